@@ -2,15 +2,25 @@ import fs from "fs";
 import path from "path";
 import fse from "fs-extra";
 import crypto from "crypto";
-import { getBooks, getBookInfo, getSection, replaceFileName, calculateFileHash } from "./utils.js";
+import { getDefaultClient, getSectionFileName, isMainModule, loadScriptConfig } from "./utils.js";
 import { config } from "./lib/config.js";
+import { getBookDirName, getDownloadsDir, getOutputDir, replaceFileName } from "./lib/layout.js";
+import { AuthError, CancelledError, addErrorKinds, formatErrorKinds, getErrorKind } from "./lib/errors.js";
+import { Checkpoint, CHECKPOINT_STATUS } from "./lib/checkpoint.js";
+import { describeShelfBook, hasSelection, selectBooks } from "./lib/selection.js";
+import { formatRateStats } from "./lib/rate-limit.js";
+import { runOrdered } from "./lib/pool.js";
+import { sleep } from "./lib/retry.js";
 import { createLogger } from "./lib/logger.js";
+import { loadManifest, saveManifest, recordSection, isSectionUnchanged, reconcileSections } from "./lib/manifest.js";
+import { saveBookMeta } from "./lib/book-meta.js";
+import { addFrontMatter, calculateContentHash, getSectionFrontMatter, hasFrontMatter, stripFrontMatter } from "./lib/front-matter.js";
 
 // 创建日志实例
 const log = createLogger("batch-download");
 
 
-// 检查文件是否存在且内容是否相同
+// 检查文件是否存在且内容是否相同（忽略 front matter）
 const shouldDownloadFile = async (filePath, newContent) => {
     // 如果文件不存在，需要下载
     if (!fs.existsSync(filePath)) {
@@ -20,8 +30,8 @@ const shouldDownloadFile = async (filePath, newContent) => {
     // 读取已存在文件的内容
     try {
         const existingContent = fs.readFileSync(filePath, "utf-8");
-        const existingHash = calculateFileHash(existingContent);
-        const newHash = calculateFileHash(newContent);
+        const existingHash = calculateContentHash(existingContent);
+        const newHash = calculateContentHash(newContent);
         
         // 如果哈希值不同，说明内容已更新，需要重新下载
         if (existingHash !== newHash) {
@@ -35,40 +45,57 @@ const shouldDownloadFile = async (filePath, newContent) => {
     }
 };
 
-// 检查小册是否已下载完成
-const isBookDownloaded = (bookName, sections) => {
-    const bookDir = path.join(process.cwd(), bookName);
-    
-    // 检查目录是否存在
-    if (!fs.existsSync(bookDir)) {
-        return false;
+// 生成章节文件内容，开启 front matter 时在正文前加上来源信息
+const renderSectionFile = (content, booklet, section) => {
+    if (!config.sync.frontMatter) {
+        return content;
     }
-    
-    // 检查所有完结章节是否都已下载
-    const finishedSections = sections.filter(section => section.status === 1);
-    
-    for (const section of finishedSections) {
-        const sectionPath = path.join(bookDir, `${section.index}.${replaceFileName(section.title)}.md`);
-        if (!fs.existsSync(sectionPath)) {
-            return false;
-        }
+    return addFrontMatter(content, getSectionFrontMatter({
+        booklet,
+        section,
+        hash: calculateContentHash(content),
+        downloadedAt: new Date().toISOString(),
+    }));
+};
+
+// front matter 开关变化时只重写文件头，正文不变，不算作章节更新
+const syncFrontMatter = (filePath, booklet, section) => {
+    const existingContent = fs.readFileSync(filePath, "utf-8");
+    if (hasFrontMatter(existingContent) === config.sync.frontMatter) {
+        return false;
     }
-    
+    fs.writeFileSync(filePath, renderSectionFile(stripFrontMatter(existingContent), booklet, section));
     return true;
 };
 
-// 下载单个小册
-const downloadBook = async (book) => {
+// 下载单个小册（登录失效时抛出 AuthError、中断时抛出 CancelledError，由调用方终止任务）
+// checkpoint 存在时记录每个章节的状态
+export const downloadBook = async (book, { outDir = getDownloadsDir(), client = getDefaultClient(), signal, checkpoint = null } = {}) => {
     const { bookId, name } = book;
     
     try {
         log.info(`开始下载小册: ${name} (ID: ${bookId})`);
         
-        const { booklet, sections } = await getBookInfo(bookId);
+        const bookInfo = await client.getBookInfo(bookId);
+        const { booklet, sections } = bookInfo;
         const bookName = booklet.base_info.title;
+        const bookDirName = getBookDirName({ bookId: booklet.booklet_id ?? bookId, title: bookName });
+        const bookDir = path.join(outDir, bookDirName);
         
         // 创建目录
-        fse.ensureDirSync(bookName);
+        fse.ensureDirSync(bookDir);
+        
+        // 保存 book.json、封面和小册介绍
+        const { coverDownloaded, introductionFile } = await saveBookMeta(bookDir, bookInfo, {
+            introduction: config.sync.introduction,
+            log,
+        });
+        if (coverDownloaded) {
+            log.info("封面下载完成");
+        }
+        if (introductionFile) {
+            log.debug(`小册介绍已保存: ${introductionFile}`);
+        }
         
         // 分离完结和写作中的章节
         const [finishSections, progressSections] = sections.reduce(
@@ -85,27 +112,110 @@ const downloadBook = async (book) => {
         
         log.info(`获取目录成功：完结 ${finishSections.length}章，写作中 ${progressSections.length}章`);
         
-        let downloadedCount = 0;
+        // 写作中的章节存为草稿，完结后自动转正
+        const syncSections = config.sync.includeDrafts
+            ? [...finishSections, ...progressSections]
+            : finishSections;
+        
+        // 按 section_id 处理重命名、调整顺序和已移除的章节
+        const manifest = loadManifest(bookDir, booklet);
+        const { renamed, removed } = reconcileSections(manifest, sections, {
+            bookDir,
+            processedDir: path.join(getOutputDir(), bookDirName),
+            removedMode: config.sync.removedSections,
+            archiveDirName: config.downloads.archiveDirName,
+            getFileName: getSectionFileName,
+        });
+        for (const item of renamed) {
+            log.info(`章节已重命名: ${item.from} -> ${item.to}`);
+        }
+        for (const item of removed) {
+            log.info(`章节已从小册中移除（${config.sync.removedSections}）: ${item.file}`);
+        }
+        
+        // 不下载草稿时记录未同步的草稿数，本地状态不把它们算作落后的章节
+        manifest.skippedDrafts = config.sync.includeDrafts
+            ? 0
+            : progressSections.filter(section => !manifest.sections[section.id]).length;
+        
+        // 先与 manifest 比较，未变化的章节不再请求 API
+        const pendingSections = [];
         let skippedCount = 0;
+        
+        for (const section of syncSections) {
+            const fileName = getSectionFileName(section);
+            if (isSectionUnchanged(manifest, section, bookDir, fileName)) {
+                log.debug(`第 ${section.index} 章未变化，跳过: ${section.title}`);
+                if (syncFrontMatter(path.join(bookDir, fileName), booklet, section)) {
+                    log.debug(`第 ${section.index} 章已更新 front matter: ${section.title}`);
+                }
+                skippedCount++;
+                checkpoint?.mark("sections", section.id, CHECKPOINT_STATUS.DONE, { bookId, index: section.index, title: section.title });
+            } else {
+                pendingSections.push(section);
+                checkpoint?.mark("sections", section.id, CHECKPOINT_STATUS.PENDING, { bookId, index: section.index, title: section.title });
+            }
+        }
+        
+        log.info(`对比 manifest：未变化 ${skippedCount}章，需要获取 ${pendingSections.length}章`);
+        
+        let downloadedCount = 0;
         let updatedCount = 0;
+        let failedCount = 0;
+        let fetchedCount = 0;
+        const errorKinds = {};
+        const promoted = [];
+        
+        // 并发获取章节内容（请求仍受全局限速约束），按章节顺序写入文件和 manifest
+        const fetchSection = async (section) => {
+            try {
+                // 收到中断信号后不再请求新的章节
+                if (signal?.aborted) {
+                    throw new CancelledError("同步已中断");
+                }
+                return { sectionInfo: await client.getSection(section.id) };
+            } catch (error) {
+                // 登录失效时后续请求都会失败，终止整个任务
+                if (error instanceof AuthError || error instanceof CancelledError) {
+                    throw error;
+                }
+                return { error };
+            }
+        };
         
-        // 下载完结的章节
-        for (let i = 0; i < finishSections.length; i++) {
-            const section = finishSections[i];
+        const commitSection = async ({ sectionInfo, error }, section) => {
             const sectionName = replaceFileName(section.title);
-            const sectionPath = `${bookName}/${section.index}.${sectionName}.md`;
+            const fileName = getSectionFileName(section);
+            const sectionPath = path.join(bookDir, fileName);
+            const previousEntry = manifest.sections[section.id];
+            let sectionStatus = CHECKPOINT_STATUS.DONE;
+            let sectionErrorKind = null;
             
             try {
-                // 先获取章节内容
-                const sectionInfo = await getSection(section.id);
+                if (error) {
+                    throw error;
+                }
+                fetchedCount++;
+                
+                // 之前是草稿、现在已完结：删除草稿文件，正式章节按新文件写入
+                if (section.status === 1 && previousEntry && previousEntry.status !== 1) {
+                    const draftPath = path.join(bookDir, previousEntry.file);
+                    if (previousEntry.file !== fileName && fs.existsSync(draftPath)) {
+                        fs.unlinkSync(draftPath);
+                    }
+                    promoted.push({ index: section.index, title: section.title });
+                    log.info(`第 ${section.index} 章已完结，草稿转为正式章节: ${sectionName}`);
+                }
                 
                 // 检查是否需要下载（包括内容更新检测）
                 const { shouldDownload, reason } = await shouldDownloadFile(sectionPath, sectionInfo.content);
+                recordSection(manifest, section, { file: fileName, hash: calculateContentHash(sectionInfo.content) });
                 
                 if (!shouldDownload) {
                     log.info(`第 ${section.index} 章已存在且内容相同，跳过: ${sectionName}`);
+                    syncFrontMatter(sectionPath, booklet, section);
                     skippedCount++;
-                    continue;
+                    return;
                 }
                 
                 // 如果文件存在但内容不同，记录为更新
@@ -115,15 +225,40 @@ const downloadBook = async (book) => {
                 }
                 
                 // 写入文件
-                fs.writeFileSync(sectionPath, sectionInfo.content);
+                fse.ensureDirSync(path.dirname(sectionPath));
+                fs.writeFileSync(sectionPath, renderSectionFile(sectionInfo.content, booklet, section));
                 log.info(`第 ${section.index} 章下载完成: ${sectionName} (${reason})`);
                 downloadedCount++;
-            } catch (error) {
-                log.error(`第 ${section.index} 章下载失败: ${sectionName} - ${error.message}`);
+            } catch (sectionError) {
+                const errorKind = getErrorKind(sectionError);
+                log.error(`第 ${section.index} 章下载失败 [${errorKind}]: ${sectionName} - ${sectionError.message}`);
+                failedCount++;
+                addErrorKinds(errorKinds, errorKind);
+                sectionStatus = CHECKPOINT_STATUS.FAILED;
+                sectionErrorKind = errorKind;
+            } finally {
+                // 每章提交后保存，进程被强制结束时已写入的章节不会丢失
+                checkpoint?.mark("sections", section.id, sectionStatus, { errorKind: sectionErrorKind });
+                saveManifest(bookDir, manifest);
+                checkpoint?.save();
             }
+        };
+        
+        try {
+            await runOrdered(pendingSections, {
+                concurrency: config.concurrency.maxConcurrent,
+                fetch: fetchSection,
+                commit: commitSection,
+            });
+        } catch (error) {
+            // 已写入的章节保留在 manifest 中
+            saveManifest(bookDir, manifest);
+            throw error;
         }
         
-        log.info(`小册 ${bookName} 下载完成 - 新增: ${downloadedCount}章, 更新: ${updatedCount}章, 跳过: ${skippedCount}章`);
+        saveManifest(bookDir, manifest);
+        
+        log.info(`小册 ${bookName} 下载完成 - 新增: ${downloadedCount}章, 更新: ${updatedCount}章, 跳过: ${skippedCount}章, 转正: ${promoted.length}章`);
         
         return { 
             success: true, 
@@ -132,43 +267,138 @@ const downloadBook = async (book) => {
             downloadedCount, 
             skippedCount,
             updatedCount,
+            failedCount,
+            fetchedCount,
+            errorKinds,
+            promoted,
+            renamedCount: renamed.length,
+            removedCount: removed.length,
+            draftCount: config.sync.includeDrafts ? progressSections.length : 0,
             totalSections: finishSections.length
         };
         
     } catch (error) {
-        log.error(`下载小册 ${name} 失败: ${error.message}`);
-        return { success: false, bookName: name, error: error.message };
+        if (error instanceof AuthError || error instanceof CancelledError) {
+            throw error;
+        }
+        const errorKind = getErrorKind(error);
+        log.error(`下载小册 ${name} 失败 [${errorKind}]: ${error.message}`);
+        return { success: false, bookName: name, error: error.message, errorKind };
     }
 };
 
-// 主函数
-const main = async () => {
+// 输出汇总（中断时为已完成部分的汇总）
+const logSummary = (results, { interrupted = false } = {}) => {
+    log.info("=".repeat(50));
+    log.info(interrupted ? "批量下载已中断，进度已保存" : "批量下载完成！");
+    log.info(`总计: ${results.total} 本小册`);
+    log.info(`成功: ${results.success} 本`);
+    log.info(`跳过: ${results.skipped} 本`);
+    log.info(`失败: ${results.failed} 本`);
+    if (interrupted) {
+        log.info(`未完成: ${results.total - results.success - results.skipped - results.failed} 本`);
+    }
+    log.info(`新增章节: ${results.totalDownloaded} 章`);
+    log.info(`更新章节: ${results.totalUpdated} 章`);
+    log.info(`跳过章节: ${results.totalSkipped} 章`);
+    log.info(`重命名章节: ${results.totalRenamed} 章`);
+    log.info(`移除章节: ${results.totalRemoved} 章`);
+    log.info(`草稿章节: ${results.totalDrafts} 章`);
+    log.info(`转正章节: ${results.promoted.length} 章`);
+    for (const section of results.promoted) {
+        log.info(`  - ${section.bookName} 第 ${section.index} 章: ${section.title}`);
+    }
+    log.info(`失败章节: ${results.totalFailedSections} 章`);
+    log.info(`耗时: ${(results.elapsedMs / 1000).toFixed(1)} 秒，获取章节 ${results.totalFetched} 章（${results.sectionsPerSecond.toFixed(2)} 章/秒）`);
+    if (Object.keys(results.errorKinds).length > 0) {
+        log.info(`失败原因: ${formatErrorKinds(results.errorKinds)}`);
+    }
+    for (const failure of results.failures) {
+        log.info(`  - ${failure.bookName} [${failure.errorKind}]: ${failure.error}`);
+    }
+    for (const line of formatRateStats(results.rates)) {
+        log.info(`请求速率: ${line}`);
+    }
+    if (interrupted) {
+        log.info("使用 juejin-dl sync --resume 从中断处继续");
+    }
+};
+
+/**
+ * 批量下载所有已购小册
+ * 运行状态写入 outDir 下的 checkpoint；收到 signal 后不再开始新的章节，已获取的章节写入完成后返回部分结果
+ * @param {object} options - 选项
+ * @param {string} options.outDir - 小册输出目录（默认为配置中的原始小册目录）
+ * @param {JuejinClient} options.client - API 客户端（默认按配置创建）
+ * @param {boolean} options.resume - 继续上次中断的运行，跳过已完成的小册
+ * @param {AbortSignal} options.signal - 中断信号
+ * @param {object} options.selection - 小册筛选条件（createSelection 的返回值，默认同步全部）
+ * @returns {Promise<object>} 下载统计结果（中断时 interrupted 为 true）
+ */
+export const batchDownload = async ({ outDir = getDownloadsDir(), client = getDefaultClient(), resume = false, signal, selection = null } = {}) => {
+    const startedAt = Date.now();
+    const checkpoint = Checkpoint.open(outDir, { command: "sync", resume });
+    
+    const results = {
+        total: 0,
+        filtered: 0, // 未通过筛选条件的小册数
+        success: 0,
+        failed: 0,
+        skipped: 0,
+        totalDownloaded: 0,
+        totalUpdated: 0,
+        totalSkipped: 0,
+        totalDrafts: 0,
+        totalRenamed: 0,
+        totalRemoved: 0,
+        totalFailedSections: 0,
+        totalFetched: 0, // 从 API 获取的章节数（用于计算吞吐量）
+        errorKinds: {}, // 失败的小册和章节按错误类别统计
+        failures: [], // 失败的小册 { bookName, errorKind, error }
+        promoted: [],
+        interrupted: false,
+    };
+    
+    // 耗时、吞吐量和请求速率（客户端没有限速器时，如测试中直接创建的客户端，不输出速率）
+    const finishStats = () => {
+        results.elapsedMs = Date.now() - startedAt;
+        results.sectionsPerSecond = results.totalFetched / Math.max(results.elapsedMs / 1000, 0.001);
+        results.rates = client.limiter ? client.limiter.getStats() : [];
+    };
+    
     try {
         log.info("开始批量下载掘金小册");
         log.info("=".repeat(50));
         
+        if (checkpoint.resumed) {
+            const { done, failed, pending } = checkpoint.count("books");
+            log.info(`继续上次中断的同步：已完成 ${done} 本，失败 ${failed} 本，未完成 ${pending} 本`);
+        } else if (resume) {
+            log.info("没有可继续的同步，开始新的同步");
+        }
+        
         // 获取所有小册列表
-        const books = await getBooks();
-        log.info(`获取到 ${books.length} 本小册`);
-        
-        const results = {
-            total: books.length,
-            success: 0,
-            failed: 0,
-            skipped: 0,
-            totalDownloaded: 0,
-            totalUpdated: 0,
-            totalSkipped: 0
-        };
+        const shelf = await client.getBooks();
+        log.info(`获取到 ${shelf.length} 本小册`);
         
-        // 逐个下载小册
-        for (let i = 0; i < books.length; i++) {
-            const book = books[i];
-            log.info(`进度: ${i + 1}/${books.length} - ${book.name}`);
-            
-            const result = await downloadBook({bookId: book.value, name: book.name});
-            
+        const books = selectBooks(shelf, selection, describeShelfBook);
+        results.total = books.length;
+        results.filtered = shelf.length - books.length;
+        if (hasSelection(selection)) {
+            log.info(`按筛选条件选择 ${books.length} 本小册（未选中 ${results.filtered} 本）`);
+        }
+        
+        for (const book of books) {
+            if (!checkpoint.isDone("books", book.value)) {
+                checkpoint.mark("books", book.value, CHECKPOINT_STATUS.PENDING, { name: book.name });
+            }
+        }
+        checkpoint.save({ force: true });
+        
+        // 下载小册（maxBooks 大于 1 时并发下载多本），按书架顺序汇总结果
+        const addResult = (result, book) => {
             if (result.success) {
+                checkpoint.mark("books", book.value, CHECKPOINT_STATUS.DONE);
                 if (result.skipped) {
                     results.skipped++;
                 } else {
@@ -176,33 +406,76 @@ const main = async () => {
                     results.totalDownloaded += result.downloadedCount || 0;
                     results.totalUpdated += result.updatedCount || 0;
                     results.totalSkipped += result.skippedCount || 0;
+                    results.totalDrafts += result.draftCount || 0;
+                    results.totalRenamed += result.renamedCount || 0;
+                    results.totalRemoved += result.removedCount || 0;
+                    results.totalFailedSections += result.failedCount || 0;
+                    results.totalFetched += result.fetchedCount || 0;
+                    addErrorKinds(results.errorKinds, result.errorKinds);
+                    for (const section of result.promoted || []) {
+                        results.promoted.push({ bookName: result.bookName, ...section });
+                    }
                 }
             } else {
+                checkpoint.mark("books", book.value, CHECKPOINT_STATUS.FAILED, { error: result.error, errorKind: result.errorKind });
                 results.failed++;
+                addErrorKinds(results.errorKinds, result.errorKind);
+                results.failures.push({ bookName: result.bookName, errorKind: result.errorKind, error: result.error });
             }
-            
-            // 添加延迟避免请求过于频繁
-            if (i < books.length - 1) {
-                await new Promise(resolve => setTimeout(resolve, config.network.requestDelay));
-            }
-        }
+            checkpoint.save({ force: true });
+        };
         
-        // 输出最终统计
-        log.info("=".repeat(50));
-        log.info("批量下载完成！");
-        log.info(`总计: ${results.total} 本小册`);
-        log.info(`成功: ${results.success} 本`);
-        log.info(`跳过: ${results.skipped} 本`);
-        log.info(`失败: ${results.failed} 本`);
-        log.info(`新增章节: ${results.totalDownloaded} 章`);
-        log.info(`更新章节: ${results.totalUpdated} 章`);
-        log.info(`跳过章节: ${results.totalSkipped} 章`);
+        await runOrdered(books, {
+            concurrency: config.concurrency.maxBooks,
+            fetch: async (book, i) => {
+                if (checkpoint.isDone("books", book.value)) {
+                    log.info(`进度: ${i + 1}/${books.length} - ${book.name}（上次运行已完成，跳过）`);
+                    return { success: true, skipped: true, bookName: book.name };
+                }
+                // 添加延迟避免请求过于频繁（收到中断信号时立即结束等待）
+                if (i > 0) {
+                    await sleep(config.network.requestDelay, signal);
+                }
+                if (signal?.aborted) {
+                    throw new CancelledError("同步已中断");
+                }
+                log.info(`进度: ${i + 1}/${books.length} - ${book.name}`);
+                return downloadBook({ bookId: book.value, name: book.name }, { outDir, client, signal, checkpoint });
+            },
+            commit: addResult,
+        });
+        
+        finishStats();
+        checkpoint.finish();
+        logSummary(results);
         
+        return results;
     } catch (error) {
+        if (error instanceof CancelledError) {
+            finishStats();
+            checkpoint.interrupt();
+            results.interrupted = true;
+            logSummary(results, { interrupted: true });
+            return results;
+        }
+        if (error instanceof AuthError) {
+            // 重新登录后可以用 --resume 继续
+            checkpoint.interrupt();
+            log.error(`${error.message}，已终止批量下载`);
+            throw error;
+        }
         log.error(`批量下载过程中发生错误: ${error.message}`);
-        process.exit(1);
+        throw error;
     }
 };
 
-// 运行主函数
-main(); 
\ No newline at end of file
+// 直接运行脚本时执行
+if (isMainModule(import.meta.url) && loadScriptConfig()) {
+    batchDownload()
+        .then((results) => {
+            process.exitCode = results.failed > 0 ? 1 : 0;
+        })
+        .catch(() => {
+            process.exitCode = 1;
+        });
+}
@@ -0,0 +1,132 @@
+import { createLogger } from "./lib/logger.js";
+import { AuthError } from "./lib/errors.js";
+import { mapConcurrent } from "./lib/pool.js";
+import { formatRateStats } from "./lib/rate-limit.js";
+import { formatTable } from "./lib/table.js";
+import { getDefaultClient, isMainModule, loadScriptConfig } from "./utils.js";
+
+// 创建日志实例
+const log = createLogger("benchmark");
+
+// 默认测试的并发数
+export const DEFAULT_BENCHMARK_CONCURRENCY = [1, 2, 4, 8];
+
+// 默认抽样的章节数
+export const DEFAULT_BENCHMARK_SECTIONS = 20;
+
+// 从书架依次取完结章节，直到达到抽样数量
+const collectSample = async (client, size) => {
+    const books = await client.getBooks();
+    const sample = [];
+
+    for (const book of books) {
+        if (sample.length >= size) {
+            break;
+        }
+        const { sections } = await client.getBookInfo(book.value);
+        for (const section of sections.filter(item => item.status === 1)) {
+            sample.push({ ...section, bookName: book.name });
+            if (sample.length >= size) {
+                break;
+            }
+        }
+    }
+
+    return sample;
+};
+
+// 按指定并发数获取所有抽样章节（不写文件）
+const measure = async (client, sample, concurrency) => {
+    let bytes = 0;
+    let failed = 0;
+    const startedAt = Date.now();
+
+    await mapConcurrent(sample, concurrency, async (section) => {
+        try {
+            const { content } = await client.getSection(section.id);
+            bytes += Buffer.byteLength(content || "");
+        } catch (error) {
+            if (error instanceof AuthError) {
+                throw error;
+            }
+            failed++;
+        }
+    });
+
+    const elapsedMs = Date.now() - startedAt;
+    const seconds = Math.max(elapsedMs / 1000, 0.001);
+    return {
+        concurrency,
+        sections: sample.length,
+        failed,
+        elapsedMs,
+        sectionsPerSecond: (sample.length - failed) / seconds,
+        kilobytesPerSecond: bytes / 1024 / seconds,
+    };
+};
+
+/**
+ * 吞吐量测试：按不同的并发数获取同一批章节（不写文件），输出耗时和吞吐量，
+ * 用于调整 concurrency.maxConcurrent 和限速配置。请求同样经过全局限速，结果反映实际同步时能达到的速度
+ * @param {object} options - 选项
+ * @param {JuejinClient} options.client - API 客户端（默认按配置创建）
+ * @param {number[]} options.concurrency - 要测试的并发数
+ * @param {number} options.sections - 抽样章节数
+ * @returns {Promise<{rows: Array, best: object|null}>} 每个并发数的结果和吞吐量最高的一项
+ */
+export const runBenchmark = async ({
+    client = getDefaultClient(),
+    concurrency = DEFAULT_BENCHMARK_CONCURRENCY,
+    sections = DEFAULT_BENCHMARK_SECTIONS,
+} = {}) => {
+    try {
+        log.info(`开始吞吐量测试：抽样 ${sections} 章，并发数 ${concurrency.join(", ")}`);
+
+        const sample = await collectSample(client, sections);
+        if (sample.length === 0) {
+            log.warn("书架上没有可用于测试的完结章节");
+            return { rows: [], best: null };
+        }
+
+        const rows = [];
+        for (const level of concurrency) {
+            const row = await measure(client, sample, level);
+            log.info(`并发 ${level}: ${(row.elapsedMs / 1000).toFixed(2)} 秒，${row.sectionsPerSecond.toFixed(2)} 章/秒`);
+            rows.push(row);
+        }
+
+        const best = rows.reduce((prev, curr) => (curr.sectionsPerSecond > prev.sectionsPerSecond ? curr : prev));
+
+        console.log("");
+        console.log(formatTable([
+            ["并发", "章节", "失败", "耗时(秒)", "章/秒", "KB/秒"],
+            ...rows.map(row => [
+                row.concurrency,
+                row.sections,
+                row.failed,
+                (row.elapsedMs / 1000).toFixed(2),
+                row.sectionsPerSecond.toFixed(2),
+                row.kilobytesPerSecond.toFixed(1),
+            ]),
+        ]));
+        console.log("");
+        if (client.limiter) {
+            for (const line of formatRateStats(client.limiter.getStats())) {
+                console.log(`请求速率: ${line}`);
+            }
+        }
+        console.log(`吞吐量最高的并发数: ${best.concurrency}（${best.sectionsPerSecond.toFixed(2)} 章/秒）`);
+
+        return { rows, best };
+    } catch (error) {
+        log.error(`吞吐量测试失败: ${error.message}`);
+        throw error;
+    }
+};
+
+// 直接运行脚本时执行
+if (isMainModule(import.meta.url) && loadScriptConfig()) {
+    runBenchmark().catch(() => {
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,239 @@
+import fs from "fs";
+import path from "path";
+import fse from "fs-extra";
+import { getDownloadsDir, getExportDir, getOutputDir } from "./lib/layout.js";
+import { createLogger } from "./lib/logger.js";
+import { MANIFEST_FILE_NAME } from "./lib/manifest.js";
+import { BOOK_META_FILE_NAME, downloadCover } from "./lib/book-meta.js";
+import { resolveBookDir, getImageMediaType } from "./lib/export/common.js";
+import { buildEpub } from "./lib/export/epub.js";
+import { buildSite } from "./lib/export/html.js";
+import { mergeMarkdown } from "./lib/export/markdown.js";
+import { getDefaultClient, calculateFileHash, isMainModule, loadScriptConfig } from "./utils.js";
+
+// 创建日志实例
+const log = createLogger("export");
+
+// 在处理后目录和原始下载目录中查找小册文件（manifest.json、book.json 只保存在原始下载目录中）
+const findBookFile = (folderName, bookDir, fileName) => {
+    const candidates = [
+        path.join(bookDir, fileName),
+        path.join(getDownloadsDir(), folderName, fileName),
+    ];
+    return candidates.find(filePath => fs.existsSync(filePath)) || null;
+};
+
+// 读取 JSON 文件，失败时返回 null
+const readJsonFile = (filePath) => {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    } catch (error) {
+        log.warn(`读取 ${filePath} 失败: ${error.message}`);
+        return null;
+    }
+};
+
+// 读取封面：优先使用本地封面文件，其次下载
+const loadCover = async ({ coverPath, coverUrl }) => {
+    const mediaType = coverPath ? getImageMediaType(coverPath) : null;
+    if (mediaType) {
+        return { data: fs.readFileSync(coverPath), mediaType, extension: path.extname(coverPath).toLowerCase() };
+    }
+    if (!coverUrl) {
+        return null;
+    }
+    try {
+        return await downloadCover(coverUrl);
+    } catch (error) {
+        log.warn(`下载封面失败，跳过封面: ${error.message}`);
+        return null;
+    }
+};
+
+/**
+ * 获取导出用的小册元数据
+ * 优先使用同步时保存的 book.json，没有时通过 manifest.json 中的小册 ID 请求 API，都没有时退回到目录名
+ * @param {string} bookDir - 处理后的小册目录
+ * @param {JuejinClient} client - API 客户端
+ * @returns {Promise<{metadata: object, coverUrl: string|null, coverPath: string|null}>} 元数据和封面
+ */
+const loadBookMetadata = async (bookDir, client) => {
+    const folderName = path.basename(bookDir);
+
+    const metaPath = findBookFile(folderName, bookDir, BOOK_META_FILE_NAME);
+    const meta = metaPath ? readJsonFile(metaPath) : null;
+    if (meta) {
+        const coverPath = meta.cover ? path.join(path.dirname(metaPath), meta.cover) : null;
+        return {
+            metadata: {
+                identifier: `urn:juejin:booklet:${meta.bookletId}`,
+                title: meta.title,
+                author: meta.author?.name,
+                summary: meta.summary,
+                publisher: "掘金小册",
+            },
+            coverUrl: meta.coverUrl,
+            coverPath: coverPath && fs.existsSync(coverPath) ? coverPath : null,
+        };
+    }
+
+    const manifestPath = findBookFile(folderName, bookDir, MANIFEST_FILE_NAME);
+    const bookletId = manifestPath ? readJsonFile(manifestPath)?.bookletId : null;
+    const fallback = {
+        metadata: {
+            identifier: `urn:juejin:local:${calculateFileHash(folderName).substring(0, 16)}`,
+            title: folderName,
+        },
+        coverUrl: null,
+        coverPath: null,
+    };
+
+    if (!bookletId) {
+        log.warn(`${folderName}: 没有找到 book.json 或 manifest.json，使用目录名作为书名`);
+        return fallback;
+    }
+
+    try {
+        const { booklet } = await client.getBookInfo(bookletId);
+        const baseInfo = booklet.base_info;
+        return {
+            metadata: {
+                identifier: `urn:juejin:booklet:${bookletId}`,
+                title: baseInfo.title,
+                author: booklet.user_info?.user_name,
+                summary: baseInfo.summary,
+                publisher: "掘金小册",
+            },
+            coverUrl: baseInfo.cover_img || null,
+            coverPath: null,
+        };
+    } catch (error) {
+        log.warn(`${folderName}: 获取小册信息失败，使用目录名作为书名 - ${error.message}`);
+        return {
+            ...fallback,
+            metadata: { ...fallback.metadata, identifier: `urn:juejin:booklet:${bookletId}` },
+        };
+    }
+};
+
+// 导出单本小册为 EPUB
+const exportEpub = async (bookDir, outDir, client) => {
+    const folderName = path.basename(bookDir);
+    const { metadata, ...coverSource } = await loadBookMetadata(bookDir, client);
+    const cover = await loadCover(coverSource);
+
+    const { buffer, chapterCount, imageCount } = await buildEpub({ bookDir, metadata, cover });
+
+    fse.ensureDirSync(outDir);
+    const outputPath = path.join(outDir, `${folderName}.epub`);
+    fs.writeFileSync(outputPath, buffer);
+
+    log.info(`${folderName}: 已导出 ${outputPath}（${chapterCount} 章，${imageCount} 张图片）`);
+    return outputPath;
+};
+
+// 导出单本小册为静态 HTML 站点（<导出目录>/<小册名>/index.html）
+const exportHtml = async (bookDir, outDir, client) => {
+    const folderName = path.basename(bookDir);
+    const { metadata, ...coverSource } = await loadBookMetadata(bookDir, client);
+    const cover = await loadCover(coverSource);
+
+    const siteDir = path.join(outDir, folderName);
+    const { chapterCount, imageCount } = await buildSite({ bookDir, outDir: siteDir, metadata, cover });
+
+    log.info(`${folderName}: 已导出 ${siteDir}（${chapterCount} 章，${imageCount} 张图片）`);
+    return siteDir;
+};
+
+// 合并导出为单个 Markdown 文件（<导出目录>/<小册名>.md），图片路径改写为相对于导出目录
+const exportMarkdown = async (bookDir, outDir, client) => {
+    const folderName = path.basename(bookDir);
+    const { metadata } = await loadBookMetadata(bookDir, client);
+
+    fse.ensureDirSync(outDir);
+    const { markdown, chapterCount } = mergeMarkdown({ bookDir, outputDir: path.resolve(outDir), metadata });
+    const outputPath = path.join(outDir, `${folderName}.md`);
+    fs.writeFileSync(outputPath, markdown, "utf-8");
+
+    log.info(`${folderName}: 已导出 ${outputPath}（${chapterCount} 章）`);
+    return outputPath;
+};
+
+// 导出格式 -> 导出函数
+const EXPORTERS = {
+    epub: exportEpub,
+    html: exportHtml,
+    md: exportMarkdown,
+};
+
+/** 支持的导出格式 */
+export const EXPORT_FORMATS = Object.keys(EXPORTERS);
+
+/**
+ * 导出处理后的小册
+ * @param {object} options - 选项
+ * @param {string} options.format - 导出格式（epub、html 或 md）
+ * @param {string} options.book - 小册目录或名称，不指定时导出处理后目录中的所有小册
+ * @param {string} options.outDir - 导出目录
+ * @param {JuejinClient} options.client - API 客户端（用于获取书名、作者和封面）
+ * @returns {Promise<{exported: string[], failed: number}>} 导出结果（EPUB 文件或站点目录）
+ */
+export const exportBook = async ({
+    format = "epub",
+    book,
+    outDir = getExportDir(),
+    client = getDefaultClient(),
+} = {}) => {
+    try {
+        const exporter = EXPORTERS[format];
+        if (!exporter) {
+            throw new Error(`不支持的导出格式: ${format}（可选: ${EXPORT_FORMATS.join(", ")}）`);
+        }
+
+        let bookDirs;
+        if (book) {
+            bookDirs = [resolveBookDir(book)];
+        } else {
+            const baseDir = getOutputDir();
+            if (!fs.existsSync(baseDir)) {
+                throw new Error(`${baseDir} 目录不存在，请先运行 juejin-dl images 命令`);
+            }
+            bookDirs = fs.readdirSync(baseDir)
+                .map(item => path.join(baseDir, item))
+                .filter(item => fs.statSync(item).isDirectory());
+        }
+
+        log.info(`开始导出 ${format.toUpperCase()}，共 ${bookDirs.length} 本小册`);
+
+        const exported = [];
+        let failed = 0;
+
+        for (const bookDir of bookDirs) {
+            try {
+                exported.push(await exporter(bookDir, outDir, client));
+            } catch (error) {
+                log.error(`${path.basename(bookDir)}: 导出失败 - ${error.message}`);
+                failed++;
+            }
+        }
+
+        log.info(`导出完成 - 成功: ${exported.length} 本, 失败: ${failed} 本, 输出目录: ${outDir}`);
+
+        return { exported, failed };
+    } catch (error) {
+        log.error(`导出过程中发生错误: ${error.message}`);
+        throw error;
+    }
+};
+
+// 直接运行脚本时执行: node export-book.js [format] [book]
+if (isMainModule(import.meta.url) && loadScriptConfig()) {
+    const [format, book] = process.argv.slice(2);
+    exportBook({ format, book })
+        .then(({ failed }) => {
+            process.exitCode = failed > 0 ? 1 : 0;
+        })
+        .catch(() => {
+            process.exitCode = 1;
+        });
+}
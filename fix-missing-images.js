@@ -1,44 +1,31 @@
 import fs from "fs";
 import path from "path";
 import fse from "fs-extra";
-import got from "got";
 import { config } from "./lib/config.js";
+import { getDownloadsDir, getOutputDir } from "./lib/layout.js";
 import { createLogger } from "./lib/logger.js";
-import { generateImageFileName } from "./utils.js";
+import { generateImageFileName, isMainModule, loadScriptConfig } from "./utils.js";
+import { getRateLimiter, formatRateStats } from "./lib/rate-limit.js";
+import { downloadImageFile, downloadImageToStore } from "./lib/image-download.js";
+import { getImageStore } from "./lib/image-store.js";
+import { fixImageExtension, getImageMetadata } from "./lib/image-type.js";
+import { loadProcessingIndex, markChaptersStale, saveProcessingIndex } from "./lib/processing-index.js";
+import { addErrorKinds, formatErrorKinds, getErrorKind } from "./lib/errors.js";
+import { describeBookFolder, hasSelection, selectBooks } from "./lib/selection.js";
 
-const OUTPUT_DIR = config.downloads.outputDir;
 const IMAGES_DIR_NAME = config.downloads.imagesDirName;
-const TIMEOUT = config.network.timeout;
-const RETRY_COUNT = config.network.retryCount;
 
 // 创建日志实例
 const log = createLogger("fix-images");
 
 
-// 尝试下载图片
-const tryDownloadImage = async (url, localPath) => {
-    for (let attempt = 1; attempt <= RETRY_COUNT; attempt++) {
-        try {
-            const response = await got(url, {
-                timeout: { request: TIMEOUT },
-                retry: { limit: 0 },
-            });
-            
-            fse.ensureDirSync(path.dirname(localPath));
-            fs.writeFileSync(localPath, response.rawBody);
-            return true;
-        } catch (error) {
-            if (attempt === RETRY_COUNT) {
-                throw new Error(`下载失败 (尝试 ${attempt} 次): ${error.message}`);
-            }
-            await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
-        }
-    }
-    return false;
+// 引用图片的章节：按处理索引的反向索引查找，没有记录时使用 missing-images.json 中的 sourceFile
+const findChapters = (processingIndex, fileName, sourceFile) => {
+    return processingIndex.images[fileName] ?? (sourceFile ? [sourceFile] : []);
 };
 
 // 扫描文件夹，找出缺失的图片和未映射的图片
-const scanForMissingImages = (folderPath) => {
+const scanForMissingImages = (folderPath, processingIndex) => {
     const mappingPath = path.join(folderPath, "mapping.json");
     const missingImagesPath = path.join(folderPath, "missing-images.json");
     
@@ -59,7 +46,7 @@ const scanForMissingImages = (folderPath) => {
                         originalUrl: info.originalUrl,
                         expectedPath: info.localFilePath || path.join(imagesDir, fileName),
                         error: info.error,
-                        sourceFile: info.sourceFile,
+                        chapters: findChapters(processingIndex, fileName, info.sourceFile),
                     });
                 }
             }
@@ -80,8 +67,9 @@ const scanForMissingImages = (folderPath) => {
                     continue;
                 }
                 
+                // localPath 为章节实际引用的文件（扩展名可能已按实际格式修正；图片库的 relative 方式时指向库中的文件）
                 const imagePath = path.join(imagesDir, fileName);
-                if (!fs.existsSync(imagePath)) {
+                if (!fs.existsSync(info.localPath ? path.join(folderPath, info.localPath) : imagePath)) {
                     // 检查是否已经在 missing 列表中
                     const alreadyInMissing = missing.some(item => item.fileName === fileName);
                     if (!alreadyInMissing) {
@@ -90,7 +78,7 @@ const scanForMissingImages = (folderPath) => {
                             originalUrl: info.originalUrl,
                             expectedPath: imagePath,
                             error: "文件不存在",
-                            sourceFile: "未知",
+                            chapters: findChapters(processingIndex, fileName),
                         });
                     }
                 }
@@ -108,6 +96,11 @@ const scanForMissingImages = (folderPath) => {
                 ? JSON.parse(fs.readFileSync(mappingPath, "utf-8"))
                 : {};
             
+            // 下载时按实际格式修正过扩展名的图片以 localPath 记录
+            const mappedFiles = new Set(Object.entries(mapping)
+                .filter(([key, info]) => !key.startsWith("_") && info?.localPath)
+                .map(([, info]) => path.posix.basename(info.localPath)));
+            
             const files = fs.readdirSync(imagesDir)
                 .filter(file => {
                     const filePath = path.join(imagesDir, file);
@@ -117,7 +110,7 @@ const scanForMissingImages = (folderPath) => {
             for (const file of files) {
                 // 排除元数据字段，只检查实际的图片映射
                 // 如果文件不在 mapping 中（排除元数据字段），就认为是未映射的图片
-                if (!mapping[file]) {
+                if (!mapping[file] && !mappedFiles.has(file)) {
                     orphaned.push({
                         fileName: file,
                         filePath: path.join(imagesDir, file),
@@ -149,23 +142,51 @@ const updateMissingImagesFile = (folderPath, missingImages) => {
     }
 };
 
-// 处理单个文件夹
-const processFolder = async (folderPath) => {
+// 把修复的图片的路径、格式和尺寸（使用图片库时还有哈希）写入 mapping.json
+const updateMapping = (folderPath, entries) => {
+    const mappingPath = path.join(folderPath, "mapping.json");
+    let mapping = {};
+    try {
+        mapping = JSON.parse(fs.readFileSync(mappingPath, "utf-8"));
+    } catch (error) {
+        // 没有 mapping.json 时新建
+    }
+    fs.writeFileSync(mappingPath, JSON.stringify({ ...mapping, ...entries }, null, 2), "utf-8");
+};
+
+// 下载缺失的图片（扩展名按实际格式修正）；使用图片库时加入库中再按配置的方式放到小册中，返回 mapping 记录
+const downloadMissingImage = async (item, folderPath, store, signal) => {
+    if (!store) {
+        const image = await downloadImageFile(item.originalUrl, item.expectedPath, { signal });
+        const localPath = path.relative(folderPath, image.path).replace(/\\/g, "/");
+        return { originalUrl: item.originalUrl, localPath, ...getImageMetadata(image) };
+    }
+    const image = await downloadImageToStore(item.originalUrl, store, { ext: path.extname(item.fileName), signal });
+    const placedPath = store.place(image.objectPath, fixImageExtension(item.expectedPath, image));
+    const localPath = path.relative(folderPath, placedPath).replace(/\\/g, "/");
+    return { originalUrl: item.originalUrl, localPath, hash: image.hash, ...getImageMetadata(image) };
+};
+
+// 处理单个文件夹（store 为全局图片库，未启用时为 null）
+const processFolder = async (folderPath, { signal, store = null } = {}) => {
     const folderName = path.basename(folderPath);
     log.info(`\n处理文件夹: ${folderName}`);
     log.info("=".repeat(50));
     
-    const { missing, orphaned } = scanForMissingImages(folderPath);
+    const processingIndex = loadProcessingIndex(folderPath);
+    const { missing, orphaned } = scanForMissingImages(folderPath, processingIndex);
     
     if (missing.length === 0 && orphaned.length === 0) {
         log.info(`  没有缺失或未映射的图片`);
-        return { fixed: 0, failed: 0, orphaned: orphaned.length };
+        return { fixed: 0, failed: 0, orphaned: orphaned.length, staleChapters: 0, errorKinds: {} };
     }
     
     let fixedCount = 0;
     let failedCount = 0;
+    const errorKinds = {};
     const missingImagesPath = path.join(folderPath, "missing-images.json");
     let missingImages = {};
+    const fixedEntries = {};
     
     // 加载现有的 missing-images.json
     if (fs.existsSync(missingImagesPath)) {
@@ -180,29 +201,37 @@ const processFolder = async (folderPath) => {
     if (missing.length > 0) {
         log.info(`  发现 ${missing.length} 张缺失图片，开始尝试下载...`);
         
-        for (const item of missing) {
-            log.info(`  尝试下载: ${item.fileName}`);
-            log.info(`    原始URL: ${item.originalUrl}`);
-            
+        // 所有缺失图片同时加入全局下载队列，并发和限速由队列处理
+        await Promise.all(missing.map(async (item) => {
             try {
-                const success = await tryDownloadImage(item.originalUrl, item.expectedPath);
-                if (success) {
-                    log.info(`  ✓ 下载成功: ${item.fileName}`);
-                    fixedCount++;
-                    // 从缺失列表中移除
-                    delete missingImages[item.fileName];
-                } else {
-                    log.error(`  ✗ 下载失败: ${item.fileName}`);
-                    failedCount++;
-                }
+                fixedEntries[item.fileName] = await downloadMissingImage(item, folderPath, store, signal);
+                log.info(`  ✓ 下载成功: ${item.fileName}${item.chapters.length > 0 ? `（${item.chapters.join(", ")}）` : ""}`);
+                fixedCount++;
+                // 从缺失列表中移除
+                delete missingImages[item.fileName];
             } catch (error) {
-                log.error(`  ✗ 下载失败: ${item.fileName} - ${error.message}`);
+                const errorKind = getErrorKind(error);
+                log.error(`  ✗ 下载失败: ${item.fileName} (${item.originalUrl}) - ${error.message}`);
                 failedCount++;
+                addErrorKinds(errorKinds, errorKind);
                 // 更新错误信息
                 if (missingImages[item.fileName]) {
                     missingImages[item.fileName].error = error.message;
+                    missingImages[item.fileName].errorKind = errorKind;
                 }
             }
+        }));
+    }
+    
+    // 引用修复的图片的章节仍是原始链接，标记为需要重新处理，下次运行 images 时替换为本地图片
+    let staleChapters = 0;
+    if (Object.keys(fixedEntries).length > 0) {
+        updateMapping(folderPath, fixedEntries);
+        const chapters = missing.filter(item => fixedEntries[item.fileName]).flatMap(item => item.chapters);
+        staleChapters = markChaptersStale(processingIndex, chapters);
+        if (staleChapters > 0) {
+            saveProcessingIndex(folderPath, processingIndex);
+            log.info(`  ${staleChapters} 个章节将在下次运行 juejin-dl images 时更新图片链接`);
         }
     }
     
@@ -222,48 +251,73 @@ const processFolder = async (folderPath) => {
     log.info(`\n${folderName}: 处理完成`);
     log.info(`  - 修复成功: ${fixedCount}`);
     log.info(`  - 修复失败: ${failedCount}`);
+    if (failedCount > 0) {
+        log.info(`  - 失败原因: ${formatErrorKinds(errorKinds)}`);
+    }
     log.info(`  - 未映射图片: ${orphaned.length}`);
+    log.info(`  - 待更新章节: ${staleChapters}`);
     
     return {
         fixed: fixedCount,
         failed: failedCount,
         orphaned: orphaned.length,
+        staleChapters,
+        errorKinds,
     };
 };
 
-// 主函数
-const main = async () => {
+/**
+ * 修复处理后目录中缺失的图片
+ * @param {object} options - 选项
+ * @param {string} options.outputDir - 处理后的输出目录（默认为配置中的处理后目录）
+ * @param {AbortSignal} options.signal - 取消信号，触发后取消排队和下载中的图片
+ * @param {object} options.selection - 小册筛选条件（按文件夹名匹配，默认检查全部）
+ * @returns {Promise<object>} 修复统计结果
+ */
+export const fixMissingImages = async ({ outputDir = getOutputDir(), signal, selection = null } = {}) => {
     try {
         
         log.info("开始修复缺失的图片");
         log.info("=".repeat(50));
         
-        if (!fs.existsSync(OUTPUT_DIR)) {
-            log.error(`错误: ${OUTPUT_DIR} 目录不存在`);
-            log.info(`请先运行 process-images.js 脚本`);
-            process.exit(1);
+        if (!fs.existsSync(outputDir)) {
+            log.info(`请先运行 juejin-dl images 命令`);
+            throw new Error(`${outputDir} 目录不存在`);
         }
         
-        const folders = fs.readdirSync(OUTPUT_DIR)
+        const allFolders = fs.readdirSync(outputDir)
             .filter(item => {
-                const itemPath = path.join(OUTPUT_DIR, item);
+                const itemPath = path.join(outputDir, item);
                 return fs.statSync(itemPath).isDirectory();
             })
-            .map(item => path.join(OUTPUT_DIR, item));
+            .map(item => path.join(outputDir, item));
+        
+        // 处理后的文件夹没有 book.json，小册 ID 和更新时间从原始小册目录读取
+        const folders = selectBooks(allFolders, selection, (folder) => {
+            const folderName = path.basename(folder);
+            return describeBookFolder(folderName, [folder, path.join(getDownloadsDir(), folderName)]);
+        });
+        if (hasSelection(selection)) {
+            log.info(`按筛选条件选择 ${folders.length}/${allFolders.length} 个文件夹`);
+        }
         
         if (folders.length === 0) {
-            log.warn(`在 ${OUTPUT_DIR} 中没有找到子文件夹`);
-            return;
+            log.warn(`在 ${outputDir} 中没有找到${hasSelection(selection) ? "匹配筛选条件的" : ""}子文件夹`);
+            return { totalFolders: 0, processedFolders: 0, totalFixed: 0, totalFailed: 0, totalOrphaned: 0, totalStaleChapters: 0, errorKinds: {} };
         }
         
         log.info(`找到 ${folders.length} 个文件夹需要检查`);
         
+        const store = getImageStore();
+        
         const results = {
             totalFolders: folders.length,
             processedFolders: 0,
             totalFixed: 0,
             totalFailed: 0,
             totalOrphaned: 0,
+            totalStaleChapters: 0, // 需要重新处理以更新图片链接的章节
+            errorKinds: {}, // 修复失败的图片按错误类别统计
         };
         
         // 处理每个文件夹
@@ -271,12 +325,14 @@ const main = async () => {
             const folder = folders[i];
             log.info(`\n进度: ${i + 1}/${folders.length}`);
             
-            const result = await processFolder(folder);
+            const result = await processFolder(folder, { signal, store });
             
             results.processedFolders++;
             results.totalFixed += result.fixed;
             results.totalFailed += result.failed;
             results.totalOrphaned += result.orphaned;
+            results.totalStaleChapters += result.staleChapters;
+            addErrorKinds(results.errorKinds, result.errorKinds);
         }
         
         // 输出最终统计
@@ -285,25 +341,45 @@ const main = async () => {
         log.info(`总计文件夹: ${results.totalFolders}`);
         log.info(`修复成功: ${results.totalFixed}`);
         log.info(`修复失败: ${results.totalFailed}`);
+        if (results.totalFailed > 0) {
+            log.info(`失败原因: ${formatErrorKinds(results.errorKinds)}`);
+        }
         log.info(`未映射图片: ${results.totalOrphaned}`);
+        results.rates = getRateLimiter().getStats();
+        for (const line of formatRateStats(results.rates)) {
+            log.info(`请求速率: ${line}`);
+        }
         
         if (results.totalFailed > 0) {
             log.warn(`\n提示: 仍有 ${results.totalFailed} 张图片无法下载`);
             log.info(`请检查网络连接或手动下载图片到对应位置`);
         }
         
+        if (results.totalStaleChapters > 0) {
+            log.info(`\n提示: 运行 juejin-dl images 把 ${results.totalStaleChapters} 个章节中的图片链接更新为本地图片`);
+        }
+        
         if (results.totalOrphaned > 0) {
             log.warn(`\n提示: 发现 ${results.totalOrphaned} 张未映射的图片`);
             log.info(`这些图片已存在但未在 mapping.json 中，可能需要手动添加到映射关系`);
         }
         
+        return results;
     } catch (error) {
         log.error(`处理过程中发生错误: ${error.message}`);
         log.error(`错误详情: ${error.stack}`);
-        process.exit(1);
+        throw error;
     }
 };
 
-// 运行主函数
-main();
+// 直接运行脚本时执行
+if (isMainModule(import.meta.url) && loadScriptConfig()) {
+    fixMissingImages()
+        .then((results) => {
+            process.exitCode = results.totalFailed > 0 ? 1 : 0;
+        })
+        .catch(() => {
+            process.exitCode = 1;
+        });
+}
 
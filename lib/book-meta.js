@@ -0,0 +1,158 @@
+/**
+ * 小册元数据
+ * 每本小册目录下保存 book.json（作者、简介、封面、章节数、购买和更新时间等）、封面图片和小册介绍，
+ * 目录本身即可描述小册，导出等功能不需要再请求 API
+ */
+
+import fs from "fs";
+import path from "path";
+import got from "got";
+import { config } from "./config.js";
+import { requestWithRetry } from "./retry.js";
+import { getRateLimiter } from "./rate-limit.js";
+
+export const BOOK_META_FILE_NAME = "book.json";
+
+// 小册介绍的文件名：readme 写入 README.md，chapter 作为第 0 章写入 0.介绍.md（会参与图片处理和导出）
+export const INTRODUCTION_FILE_NAMES = {
+    readme: "README.md",
+    chapter: "0.介绍.md",
+};
+
+// 封面 MIME 类型 -> 扩展名
+const COVER_EXTENSIONS = {
+    "image/png": ".png",
+    "image/jpeg": ".jpg",
+    "image/gif": ".gif",
+    "image/webp": ".webp",
+};
+
+// 掘金接口的时间是秒级时间戳（可能是字符串），转换为 ISO 格式
+const toIsoTime = (seconds) => {
+    const value = Number(seconds);
+    return seconds != null && Number.isFinite(value) && value > 0
+        ? new Date(value * 1000).toISOString()
+        : null;
+};
+
+/**
+ * 下载封面图片
+ * @param {string} url - 封面地址
+ * @returns {Promise<{data: Buffer, mediaType: string, extension: string}>} 封面内容
+ */
+export const downloadCover = async (url) => {
+    const response = await requestWithRetry(() => getRateLimiter().schedule(url, () => got(url, {
+        timeout: { request: config.network.timeout },
+        retry: { limit: 0 },
+    })), config.network.retryCount, config.network.retryDelay);
+    const mediaType = (response.headers["content-type"] || "").split(";")[0].trim();
+    if (!COVER_EXTENSIONS[mediaType]) {
+        throw new Error(`封面类型不支持 (${mediaType || "未知"})`);
+    }
+    return { data: response.rawBody, mediaType, extension: COVER_EXTENSIONS[mediaType] };
+};
+
+/**
+ * 读取小册目录下的 book.json
+ * @param {string} bookDir - 小册目录
+ * @returns {object|null} 元数据，不存在或损坏时返回 null
+ */
+export const loadBookMeta = (bookDir) => {
+    const metaPath = path.join(bookDir, BOOK_META_FILE_NAME);
+    if (!fs.existsSync(metaPath)) {
+        return null;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(metaPath, "utf-8"));
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * 由 getBookInfo 的结果生成 book.json 内容
+ * @param {object} bookInfo - getBookInfo 的返回值
+ * @param {string|null} cover - 封面文件名（相对小册目录）
+ * @returns {object} 元数据
+ */
+export const createBookMeta = ({ booklet, sections, purchaseTime }, cover = null) => {
+    const baseInfo = booklet.base_info;
+    return {
+        bookletId: booklet.booklet_id,
+        title: baseInfo.title,
+        url: `https://juejin.cn/book/${booklet.booklet_id}`,
+        author: {
+            id: booklet.user_info?.user_id ?? null,
+            name: booklet.user_info?.user_name ?? null,
+        },
+        summary: baseInfo.summary ?? "",
+        coverUrl: baseInfo.cover_img || null,
+        cover,
+        sectionCount: baseInfo.section_count ?? sections.length,
+        finishedSectionCount: sections.filter(section => section.status === 1).length,
+        createTime: toIsoTime(baseInfo.ctime),
+        updateTime: toIsoTime(baseInfo.mtime),
+        purchaseTime: toIsoTime(purchaseTime),
+        savedAt: new Date().toISOString(),
+        // 接口返回的完整小册信息，便于以后使用其他字段
+        booklet,
+    };
+};
+
+// 内容不同时才写入，避免每次同步都修改文件
+const writeIfChanged = (filePath, content) => {
+    if (fs.existsSync(filePath) && fs.readFileSync(filePath, "utf-8") === content) {
+        return false;
+    }
+    fs.writeFileSync(filePath, content, "utf-8");
+    return true;
+};
+
+/**
+ * 保存小册元数据、封面和介绍
+ * 封面地址未变化且文件存在时不重新下载；封面下载失败不影响同步
+ * @param {string} bookDir - 小册目录
+ * @param {object} bookInfo - getBookInfo 的返回值
+ * @param {object} options - 选项
+ * @param {string} options.introduction - 介绍的保存方式：readme、chapter 或 none
+ * @param {object} options.log - 日志实例
+ * @returns {Promise<{meta: object, coverDownloaded: boolean, introductionFile: string|null}>} 保存结果
+ */
+export const saveBookMeta = async (bookDir, bookInfo, { introduction = "readme", log } = {}) => {
+    const previous = loadBookMeta(bookDir);
+    const coverUrl = bookInfo.booklet.base_info.cover_img || null;
+
+    // 封面
+    let cover = null;
+    let coverDownloaded = false;
+    if (coverUrl) {
+        if (previous?.cover && previous.coverUrl === coverUrl && fs.existsSync(path.join(bookDir, previous.cover))) {
+            cover = previous.cover;
+        } else {
+            try {
+                const { data, extension } = await downloadCover(coverUrl);
+                cover = `cover${extension}`;
+                fs.writeFileSync(path.join(bookDir, cover), data);
+                coverDownloaded = true;
+            } catch (error) {
+                log?.warn(`下载封面失败: ${error.message}`);
+            }
+        }
+    }
+
+    // 小册介绍
+    let introductionFile = null;
+    if (INTRODUCTION_FILE_NAMES[introduction] && bookInfo.introduction) {
+        introductionFile = INTRODUCTION_FILE_NAMES[introduction];
+        writeIfChanged(path.join(bookDir, introductionFile), bookInfo.introduction);
+    }
+
+    const meta = createBookMeta(bookInfo, cover);
+    // 只有 savedAt 变化时保留原文件，避免无意义的改动
+    if (previous && JSON.stringify({ ...previous, savedAt: null }) === JSON.stringify({ ...meta, savedAt: null })) {
+        return { meta: previous, coverDownloaded, introductionFile };
+    }
+    fs.writeFileSync(path.join(bookDir, BOOK_META_FILE_NAME), JSON.stringify(meta, null, 2), "utf-8");
+
+    return { meta, coverDownloaded, introductionFile };
+};
@@ -0,0 +1,169 @@
+/**
+ * 运行状态（checkpoint）
+ * sync 和 images 运行时把每本小册、每个章节（或文件）、每张图片的状态（pending/done/failed）写入输出目录下的
+ * .checkpoint.json，中断后用 --resume 从上次停下的位置继续。文件先写临时文件再改名，进程被杀也不会写坏
+ */
+
+import fs from "fs";
+import path from "path";
+import fse from "fs-extra";
+
+export const CHECKPOINT_FILE_NAME = ".checkpoint.json";
+export const CHECKPOINT_VERSION = 1;
+
+// 条目状态
+export const CHECKPOINT_STATUS = {
+    PENDING: "pending",
+    DONE: "done",
+    FAILED: "failed",
+};
+
+// 创建空的运行状态
+const createState = (command) => ({
+    version: CHECKPOINT_VERSION,
+    command,
+    startedAt: new Date().toISOString(),
+    updatedAt: null,
+    finishedAt: null,
+    interruptedAt: null,
+    items: {},
+});
+
+// 读取运行状态，不存在、损坏或不属于该命令时返回 null
+const readState = (filePath, command) => {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    try {
+        const state = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+        if (state.version !== CHECKPOINT_VERSION || state.command !== command || !state.items) {
+            return null;
+        }
+        return state;
+    } catch (error) {
+        return null;
+    }
+};
+
+export class Checkpoint {
+    /**
+     * @param {string} filePath - checkpoint 文件路径
+     * @param {object} state - 运行状态
+     * @param {object} options - 选项
+     * @param {boolean} options.resumed - 是否从上次中断的运行继续
+     * @param {number} options.saveInterval - 两次写入的最小间隔（毫秒），save({ force: true }) 不受限制
+     * @param {Function} options.now - 当前时间（测试时可替换）
+     */
+    constructor(filePath, state, { resumed = false, saveInterval = 1000, now = Date.now } = {}) {
+        this.filePath = filePath;
+        this.state = state;
+        this.resumed = resumed;
+        this.saveInterval = saveInterval;
+        this.now = now;
+        this.lastSavedAt = 0;
+        this.dirty = false;
+    }
+
+    /**
+     * 打开 checkpoint
+     * resume 为 true 且存在未完成的同一命令的运行状态时继续使用它，否则开始新的运行（覆盖旧文件）
+     * @param {string} dir - 输出目录
+     * @param {object} options - 选项
+     * @param {string} options.command - 命令名（sync、images）
+     * @param {boolean} options.resume - 是否继续上次的运行
+     * @returns {Checkpoint} checkpoint
+     */
+    static open(dir, { command, resume = false, ...options }) {
+        const filePath = path.join(dir, CHECKPOINT_FILE_NAME);
+        const saved = resume ? readState(filePath, command) : null;
+
+        if (saved && !saved.finishedAt) {
+            saved.interruptedAt = null;
+            return new Checkpoint(filePath, saved, { ...options, resumed: true });
+        }
+        return new Checkpoint(filePath, createState(command), options);
+    }
+
+    /**
+     * 读取条目
+     * @param {string} type - 条目类型（books、sections、folders、files、images）
+     * @param {string} key - 条目标识
+     * @returns {object|null} 条目，不存在时返回 null
+     */
+    get(type, key) {
+        return this.state.items[type]?.[key] ?? null;
+    }
+
+    /**
+     * 条目是否已完成
+     * @param {string} type - 条目类型
+     * @param {string} key - 条目标识
+     * @returns {boolean}
+     */
+    isDone(type, key) {
+        return this.get(type, key)?.status === CHECKPOINT_STATUS.DONE;
+    }
+
+    /**
+     * 记录条目状态（只更新内存，由 save 写入文件）
+     * @param {string} type - 条目类型
+     * @param {string} key - 条目标识
+     * @param {string} status - 状态（CHECKPOINT_STATUS）
+     * @param {object} info - 附加信息（名称、错误类别等）
+     */
+    mark(type, key, status, info = {}) {
+        const items = this.state.items[type] ?? (this.state.items[type] = {});
+        items[key] = { ...items[key], ...info, status };
+        this.dirty = true;
+    }
+
+    /**
+     * 按状态统计条目数
+     * @param {string} type - 条目类型
+     * @returns {{pending: number, done: number, failed: number}}
+     */
+    count(type) {
+        const counts = { pending: 0, done: 0, failed: 0 };
+        for (const item of Object.values(this.state.items[type] ?? {})) {
+            counts[item.status] = (counts[item.status] || 0) + 1;
+        }
+        return counts;
+    }
+
+    /**
+     * 写入文件
+     * 距上次写入不足 saveInterval 时跳过（状态已保留在内存中，下次写入时一并保存）
+     * @param {object} options - 选项
+     * @param {boolean} options.force - 忽略写入间隔
+     */
+    save({ force = false } = {}) {
+        if (!this.dirty && !force) {
+            return;
+        }
+        const now = this.now();
+        if (!force && now - this.lastSavedAt < this.saveInterval) {
+            return;
+        }
+
+        this.state.updatedAt = new Date(now).toISOString();
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        fse.ensureDirSync(path.dirname(this.filePath));
+        fs.writeFileSync(tempPath, JSON.stringify(this.state, null, 2), "utf-8");
+        fs.renameSync(tempPath, this.filePath);
+
+        this.lastSavedAt = now;
+        this.dirty = false;
+    }
+
+    /** 标记运行已完成并写入文件（之后 --resume 会开始新的运行） */
+    finish() {
+        this.state.finishedAt = new Date(this.now()).toISOString();
+        this.save({ force: true });
+    }
+
+    /** 标记运行被中断并写入文件 */
+    interrupt() {
+        this.state.interruptedAt = new Date(this.now()).toISOString();
+        this.save({ force: true });
+    }
+}
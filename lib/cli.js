@@ -0,0 +1,380 @@
+/**
+ * 命令行入口
+ * 解析全局参数与子命令，并分发到各脚本导出的函数
+ */
+
+import fs from "fs";
+import { parseArgs } from "util";
+import { describeConfig, getConfigFilePath, loadConfig, setConfig } from "./config.js";
+import { COOKIE_SOURCES } from "./credentials.js";
+import { AuthError } from "./errors.js";
+import { createSelection } from "./selection.js";
+import { formatTable } from "./table.js";
+
+// 退出码
+export const EXIT_CODES = {
+    OK: 0, // 成功
+    FAILURE: 1, // 运行失败或部分失败
+    USAGE: 2, // 参数错误
+    AUTH: 3, // 登录失效（Cookie 过期或无效）
+    INTERRUPTED: 130, // 被 Ctrl-C 或 SIGTERM 中断（进度已保存）
+};
+
+// 参数错误（退出码为 USAGE）
+class UsageError extends Error {}
+
+// 全局参数（所有子命令通用）
+const GLOBAL_OPTIONS = {
+    config: { type: "string", short: "c" },
+    out: { type: "string", short: "o" },
+    "log-level": { type: "string", short: "l" },
+    cookies: { type: "string" },
+    "cookie-source": { type: "string" },
+    help: { type: "boolean", short: "h" },
+    version: { type: "boolean", short: "v" },
+};
+
+// 小册筛选参数（sync、images、fix 通用）
+const SELECTION_OPTIONS = {
+    include: { type: "string", multiple: true },
+    exclude: { type: "string", multiple: true },
+    "only-updated-since": { type: "string" },
+    limit: { type: "string" },
+};
+
+// 由命令行参数和配置中的 selection 生成筛选条件
+const parseSelection = (values) => {
+    try {
+        return createSelection({
+            include: values.include ?? [],
+            exclude: values.exclude ?? [],
+            updatedSince: values["only-updated-since"] ?? null,
+            limit: values.limit === undefined ? null : Number(values.limit),
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+};
+
+// 解析逗号分隔的正整数列表，例如 "1,2,4,8"
+const parseIntegerList = (text, optionName) => {
+    const values = text.split(",").map(item => Number(item.trim()));
+    if (values.length === 0 || values.some(value => !Number.isInteger(value) || value < 1)) {
+        throw new UsageError(`${optionName} 应为正整数（多个值用逗号分隔）: ${text}`);
+    }
+    return values;
+};
+
+// 运行可中断的命令：收到 SIGINT/SIGTERM 时触发 signal，命令完成进行中的写入、保存进度后返回；
+// 再次收到信号时立即退出
+const runInterruptible = async (run) => {
+    const controller = new AbortController();
+    const onSignal = (signalName) => {
+        if (controller.signal.aborted) {
+            process.exit(EXIT_CODES.INTERRUPTED);
+        }
+        console.error(`\n收到 ${signalName}，正在完成写入并保存进度（再次中断立即退出）`);
+        controller.abort();
+    };
+
+    process.on("SIGINT", onSignal);
+    process.on("SIGTERM", onSignal);
+    try {
+        return await run(controller.signal);
+    } finally {
+        process.off("SIGINT", onSignal);
+        process.off("SIGTERM", onSignal);
+    }
+};
+
+/**
+ * 子命令定义
+ * run 返回退出码；脚本模块在运行时才导入，保证全局参数先生效
+ */
+const COMMANDS = {
+    download: {
+        usage: "download [book...]",
+        description: "搜索并选择小册下载（指定小册 ID 或地址时不进行交互）",
+        run: async ({ values, positionals }) => {
+            const { parseBookRef } = await import("../utils.js");
+            const invalid = positionals.find(ref => !parseBookRef(ref));
+            if (invalid) {
+                throw new UsageError(`无法识别的小册 ID 或地址: ${invalid}`);
+            }
+            const { downloadInteractive } = await import("../main.js");
+            const { failed } = await downloadInteractive({ outDir: values.out, books: positionals });
+            return failed > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+        },
+    },
+    sync: {
+        description: "批量同步所有已购小册",
+        options: {
+            resume: { type: "boolean" },
+            ...SELECTION_OPTIONS,
+        },
+        run: async ({ values }) => {
+            const selection = parseSelection(values);
+            const { batchDownload } = await import("../batch-download.js");
+            const results = await runInterruptible(signal => batchDownload({ outDir: values.out, resume: values.resume, signal, selection }));
+            if (results.interrupted) {
+                return EXIT_CODES.INTERRUPTED;
+            }
+            return results.failed > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+        },
+    },
+    images: {
+        description: "下载 Markdown 中的图片并替换为本地路径",
+        options: {
+            resume: { type: "boolean" },
+            ...SELECTION_OPTIONS,
+        },
+        run: async ({ values }) => {
+            const selection = parseSelection(values);
+            const { processImages } = await import("../process-images.js");
+            const results = await runInterruptible(signal => processImages({ resume: values.resume, signal, selection }));
+            if (results.interrupted) {
+                return EXIT_CODES.INTERRUPTED;
+            }
+            return results.totalFailed > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+        },
+    },
+    fix: {
+        description: "重新下载缺失的图片",
+        options: SELECTION_OPTIONS,
+        run: async ({ values }) => {
+            const selection = parseSelection(values);
+            const { fixMissingImages } = await import("../fix-missing-images.js");
+            const results = await fixMissingImages({ selection });
+            return results.totalFailed > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+        },
+    },
+    export: {
+        usage: "export <format> [book]",
+        description: "导出处理后的小册为 epub、html 或 md（不指定小册时导出全部）",
+        run: async ({ values, positionals }) => {
+            const [format, book] = positionals;
+            if (!format) {
+                throw new UsageError("缺少导出格式，例如: juejin-dl export epub <小册>");
+            }
+            const { exportBook, EXPORT_FORMATS } = await import("../export-book.js");
+            if (!EXPORT_FORMATS.includes(format)) {
+                throw new UsageError(`不支持的导出格式: ${format}（可选: ${EXPORT_FORMATS.join(", ")}）`);
+            }
+            const { failed } = await exportBook({ format, book, outDir: values.out });
+            return failed > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+        },
+    },
+    benchmark: {
+        description: "测试不同并发数下获取章节的吞吐量（不写文件）",
+        options: {
+            concurrency: { type: "string" },
+            sections: { type: "string" },
+        },
+        run: async ({ values }) => {
+            const concurrency = values.concurrency ? parseIntegerList(values.concurrency, "--concurrency") : undefined;
+            const sections = values.sections ? parseIntegerList(values.sections, "--sections")[0] : undefined;
+            const { runBenchmark } = await import("../benchmark.js");
+            await runBenchmark({ concurrency, sections });
+            return EXIT_CODES.OK;
+        },
+    },
+    migrate: {
+        description: "把已下载的小册移动到当前的目录布局并按模板重命名",
+        options: {
+            from: { type: "string" },
+            "dry-run": { type: "boolean" },
+        },
+        run: async ({ values }) => {
+            const { migrateLayout } = await import("../migrate-layout.js");
+            const { conflicts } = migrateLayout({ from: values.from, dryRun: values["dry-run"] });
+            return conflicts.length > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+        },
+    },
+    config: {
+        usage: "config print",
+        description: "显示合并后的配置以及每一项的来源",
+        options: {
+            json: { type: "boolean" },
+        },
+        run: async ({ values, positionals }) => {
+            const [action] = positionals;
+            if (action !== "print") {
+                throw new UsageError(`未知的 config 操作: ${action ?? "(无)"}（可选: print）`);
+            }
+            const entries = describeConfig();
+            if (values.json) {
+                console.log(JSON.stringify(entries, null, 2));
+                return EXIT_CODES.OK;
+            }
+            console.log(`配置文件: ${getConfigFilePath() ?? "无"}\n`);
+            console.log(formatTable([
+                ["配置项", "值", "来源"],
+                ...entries.map(({ key, value, source }) => [key, typeof value === "string" ? value : JSON.stringify(value), source]),
+            ]));
+            return EXIT_CODES.OK;
+        },
+    },
+    doctor: {
+        description: "诊断 Cookie、API、图片 CDN 与输出目录权限",
+        run: async () => {
+            const { runDoctor } = await import("../test-api.js");
+            const { ok } = await runDoctor();
+            return ok ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+        },
+    },
+};
+
+// 读取 package.json 中的版本号
+const getVersion = () => {
+    const pkg = JSON.parse(fs.readFileSync(new URL("../package.json", import.meta.url), "utf-8"));
+    return pkg.version;
+};
+
+// 生成帮助信息
+const formatHelp = () => {
+    const commandLines = Object.entries(COMMANDS)
+        .map(([name, command]) => `  ${(command.usage || name).padEnd(24)}${command.description}`)
+        .join("\n");
+
+    return `用法: juejin-dl <命令> [选项]
+
+命令:
+${commandLines}
+
+sync/images 选项:
+      --resume             从上次中断处继续（跳过已完成的小册或文件夹）
+
+sync/images/fix 小册筛选（images/fix 按文件夹名匹配）:
+      --include <s>        只处理匹配的小册：小册 ID、标题片段或 /正则/（可重复）
+      --exclude <s>        不处理匹配的小册（可重复，优先于 --include）
+      --only-updated-since <date>
+                           只处理此日期之后更新过的小册（如 2024-01-31）
+      --limit <n>          最多处理的小册数
+
+migrate 选项:
+      --from <dir>         旧的小册目录（默认当前目录）
+      --dry-run            只列出要移动和重命名的文件，不做修改
+
+config 选项:
+      --json               以 JSON 格式输出
+
+benchmark 选项:
+      --concurrency <list> 要测试的并发数，逗号分隔（默认 1,2,4,8）
+      --sections <n>       抽样章节数（默认 20）
+
+全局选项:
+  -c, --config <file>      JSON 配置文件（默认查找当前目录或主目录下的 juejin.config.json、.juejinrc）
+  -o, --out <dir>          输出目录（download/sync 为小册目录，images/fix 为处理后目录，export 为导出目录；
+                           默认为 downloads.root 下的 downloads、downloads-with-images、exports）
+  -l, --log-level <level>  日志级别：DEBUG, INFO, WARN, ERROR
+      --cookies <file>     Cookie 文件路径（默认 cookies.json）
+      --cookie-source <s>  Cookie 来源：auto, cookie-editor, netscape, header, env（默认 auto）
+  -h, --help               显示帮助信息
+  -v, --version            显示版本号`;
+};
+
+/**
+ * 加载配置并应用全局参数
+ * 顺序：默认值 < 配置文件 < 环境变量 < 命令行参数
+ */
+const applyGlobalOptions = (commandName, values) => {
+    loadConfig({ file: values.config ?? null });
+    if (values["log-level"]) {
+        setConfig("logging.logLevel", values["log-level"], "命令行 --log-level");
+    }
+    if (values.cookies) {
+        setConfig("auth.cookiesFile", values.cookies, "命令行 --cookies");
+    }
+    if (values["cookie-source"]) {
+        if (!COOKIE_SOURCES.includes(values["cookie-source"])) {
+            throw new Error(`未知的 Cookie 来源: ${values["cookie-source"]}（可选: ${COOKIE_SOURCES.join(", ")}）`);
+        }
+        setConfig("auth.source", values["cookie-source"], "命令行 --cookie-source");
+    }
+    if (values.out && (commandName === "images" || commandName === "fix")) {
+        setConfig("downloads.outputDir", values.out, "命令行 --out");
+    }
+};
+
+/**
+ * 运行命令行
+ * @param {string[]} argv - 命令行参数（不含 node 与脚本路径）
+ * @returns {Promise<number>} 退出码
+ */
+export const runCli = async (argv) => {
+    const [commandName, ...rest] = argv;
+
+    if (!commandName || commandName === "help") {
+        console.log(formatHelp());
+        return commandName ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+
+    // 没有命令、只有全局参数时（如 juejin-dl --log-level DEBUG -v）只处理 --version 和 --help
+    if (commandName.startsWith("-")) {
+        let values;
+        try {
+            ({ values } = parseArgs({ args: argv, options: GLOBAL_OPTIONS }));
+        } catch (error) {
+            console.error(`参数错误: ${error.message}\n`);
+            console.error(formatHelp());
+            return EXIT_CODES.USAGE;
+        }
+        if (values.version) {
+            console.log(getVersion());
+            return EXIT_CODES.OK;
+        }
+        console.log(formatHelp());
+        return values.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+
+    const command = COMMANDS[commandName];
+    if (!command) {
+        console.error(`未知命令: ${commandName}\n`);
+        console.error(formatHelp());
+        return EXIT_CODES.USAGE;
+    }
+
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: rest,
+            options: { ...GLOBAL_OPTIONS, ...command.options },
+            allowPositionals: true,
+        });
+    } catch (error) {
+        console.error(`参数错误: ${error.message}\n`);
+        console.error(formatHelp());
+        return EXIT_CODES.USAGE;
+    }
+
+    if (parsed.values.help) {
+        console.log(formatHelp());
+        return EXIT_CODES.OK;
+    }
+
+    if (parsed.values.version) {
+        console.log(getVersion());
+        return EXIT_CODES.OK;
+    }
+
+    try {
+        applyGlobalOptions(commandName, parsed.values);
+    } catch (error) {
+        console.error(error.message);
+        return EXIT_CODES.USAGE;
+    }
+
+    try {
+        return await command.run(parsed);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(error.message);
+            return EXIT_CODES.USAGE;
+        }
+        if (error instanceof AuthError) {
+            return EXIT_CODES.AUTH;
+        }
+        // 详细错误已由各命令写入日志
+        return EXIT_CODES.FAILURE;
+    }
+};
@@ -0,0 +1,173 @@
+/**
+ * 掘金小册 API 客户端
+ * 基础地址、Cookie 来源、超时与重试策略均可注入，便于对接本地 mock 服务
+ */
+
+import got from "got";
+import { SchemaError, classifyResponse } from "./errors.js";
+import { requestWithRetry } from "./retry.js";
+
+export { requestWithRetry };
+
+export const DEFAULT_BASE_URL = "https://api.juejin.cn";
+
+// API 路径
+const API_PATHS = {
+    shelf: "booklet_api/v1/booklet/bookletshelflist",
+    booklet: "booklet_api/v1/booklet/get",
+    section: "booklet_api/v1/section/get",
+};
+
+export class JuejinClient {
+    /**
+     * @param {object} options - 客户端选项
+     * @param {string} options.baseUrl - API 基础地址
+     * @param {Function} options.cookieProvider - 返回 Cookie 字符串的函数（可返回 Promise），首次请求时才调用
+     * @param {number} options.timeout - 请求超时时间（毫秒）
+     * @param {object} options.retry - 重试策略
+     * @param {number} options.retry.attempts - 最大尝试次数
+     * @param {number} options.retry.delay - 重试延迟（毫秒）
+     * @param {RateLimiter} options.limiter - 限速器（不传时不限速）
+     */
+    constructor({
+        baseUrl = DEFAULT_BASE_URL,
+        cookieProvider = () => "",
+        timeout = 30000,
+        retry = {},
+        limiter = null,
+    } = {}) {
+        this.baseUrl = baseUrl.endsWith("/") ? baseUrl : `${baseUrl}/`;
+        this.cookieProvider = cookieProvider;
+        this.timeout = timeout;
+        this.retry = { attempts: 3, delay: 1000, ...retry };
+        this.limiter = limiter;
+        this.cookie = null;
+    }
+
+    /**
+     * 获取 Cookie（只调用一次 cookieProvider；缓存的是 Promise，并发请求共用同一次读取）
+     * @returns {Promise<string>} Cookie 字符串
+     */
+    async getCookie() {
+        this.cookie ??= this.cookieProvider();
+        return this.cookie;
+    }
+
+    /**
+     * 发送 POST 请求
+     * @param {string} apiPath - API 路径
+     * @param {object} body - 请求体
+     * @returns {Promise<object>} 响应 JSON
+     * @throws {RequestError} 已归类的错误（登录失效、无权限等不重试）
+     */
+    async post(apiPath, body) {
+        const cookie = await this.getCookie();
+        const url = new URL(apiPath, this.baseUrl).href;
+
+        const send = async () => {
+            const response = await got
+                .post(url, {
+                    json: body,
+                    headers: {
+                        cookie,
+                    },
+                    timeout: {
+                        request: this.timeout,
+                    },
+                    retry: { limit: 0 }, // 由 requestWithRetry 控制重试
+                })
+                .json();
+
+            // 接口在 HTTP 200 的响应中通过 err_no 返回登录失效、限流等错误
+            const error = classifyResponse(response);
+            if (error) {
+                throw error;
+            }
+            return response;
+        };
+
+        // 每次尝试（包括重试）都要先取得令牌
+        return requestWithRetry(
+            () => (this.limiter ? this.limiter.schedule(url, send) : send()),
+            this.retry.attempts,
+            this.retry.delay,
+        );
+    }
+
+    /**
+     * 获取已购小册列表
+     * @returns {Promise<Array<{value: string, name: string, updateTime: number|null, sectionCount: number|null}>>} 小册列表
+     */
+    async getBooks() {
+        const response = await this.post(API_PATHS.shelf);
+
+        // 检查响应结构
+        if (!response) {
+            throw new SchemaError("API 响应为空");
+        }
+
+        if (!response.data) {
+            throw new SchemaError(`API 响应缺少 data 字段: ${JSON.stringify(response)}`);
+        }
+
+        if (!Array.isArray(response.data)) {
+            throw new SchemaError(`API 响应的 data 字段不是数组: ${JSON.stringify(response.data)}`);
+        }
+
+        return response.data.map((book) => ({
+            value: book.booklet_id,
+            name: book.base_info.title,
+            updateTime: book.base_info.mtime ?? null, // 秒级时间戳
+            sectionCount: book.base_info.section_count ?? null, // 章节数（含写作中）
+        }));
+    }
+
+    /**
+     * 获取小册信息、介绍和章节目录
+     * @param {string} bookId - 小册 ID
+     * @returns {Promise<{booklet: object, sections: Array, introduction: string, purchaseTime: number|null}>} 小册信息
+     */
+    async getBookInfo(bookId) {
+        const response = await this.post(API_PATHS.booklet, { booklet_id: bookId });
+
+        // 检查响应结构
+        if (!response || !response.data) {
+            throw new SchemaError(`获取小册信息失败 (ID: ${bookId})，响应: ${JSON.stringify(response)}`);
+        }
+
+        const booklet = response.data.booklet;
+        const sections = response.data.sections.map((section, index) => ({
+            id: section.section_id,
+            title: section.title,
+            status: section.status,
+            index: index + 1,
+            updateTime: section.mtime ?? null, // 服务端更新时间，用于增量同步
+        }));
+
+        return {
+            booklet,
+            sections,
+            introduction: response.data.introduction?.markdown_show ?? "",
+            purchaseTime: response.data.user_booklet?.ctime ?? null, // 当前用户的购买时间
+        };
+    }
+
+    /**
+     * 获取章节内容
+     * @param {string} sectionId - 章节 ID
+     * @returns {Promise<{title: string, content: string}>} 章节内容
+     */
+    async getSection(sectionId) {
+        const response = await this.post(API_PATHS.section, { section_id: sectionId });
+
+        // 检查响应结构
+        if (!response || !response.data || !response.data.section) {
+            throw new SchemaError(`获取章节信息失败 (ID: ${sectionId})，响应: ${JSON.stringify(response)}`);
+        }
+
+        return {
+            title: response.data.section.title,
+            content: response.data.section.markdown_show,
+        };
+    }
+}
@@ -1,83 +1,462 @@
 /**
  * 配置管理模块
- * 集中管理所有配置项，支持环境变量覆盖
+ * 集中管理所有配置项，按 默认值 < 配置文件 < 环境变量 < 命令行参数 的顺序合并，
+ * 配置文件和环境变量按 CONFIG_SCHEMA 校验，并记录每一项的来源（juejin-dl config print）
  */
 
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { checkTemplate } from "./template.js";
+
 // 默认配置
 const defaultConfig = {
     // 下载配置
     downloads: {
-        dir: "downloads",
+        root: ".", // 输出根目录，下面三个目录为相对路径时都位于此目录下
+        dir: "downloads", // 原始小册目录（download、sync 写入，images 读取）
         outputDir: "downloads-with-images",
+        exportDir: "exports", // EPUB 等导出文件的目录
         imagesDirName: "images",
+        draftsDirName: "drafts", // 写作中章节的存放目录（位于小册目录下）
+        archiveDirName: "archive", // 已从小册中移除的章节的归档目录（位于小册目录下）
+        bookDirTemplate: "{title}", // 小册目录名模板：{title}、{bookId}
+        sectionFileTemplate: "{index}.{title}.md", // 章节文件名模板：{index}、{title}、{sectionId}，如 {index:03} 补齐 3 位
+    },
+
+    // 全局图片库（按图片内容的 SHA-256 保存，所有小册共用同一份图片）
+    imageStore: {
+        enabled: false,
+        dir: "image-store", // 图片库目录（相对路径时位于 downloads.root 下）
+        linkMode: "hardlink", // 小册引用图片的方式：hardlink（硬链接）、symlink（符号链接）、relative（相对路径）
     },
-    
+
+    // API 配置
+    api: {
+        baseUrl: "https://api.juejin.cn", // 可指向本地 mock 服务
+    },
+
     // 网络配置
     network: {
         timeout: 30000, // 请求超时时间（毫秒）
-        retryCount: 3, // 重试次数
-        retryDelay: 1000, // 重试延迟（毫秒）
+        retryCount: 3, // 最大尝试次数
+        retryDelay: 1000, // 基础重试延迟（毫秒），按错误类别指数退避
         requestDelay: 1000, // 请求之间的延迟（毫秒）
     },
-    
+
+    // 限速配置（令牌桶，每个主机独立计数；rate 为 0 表示不限速）
+    rateLimit: {
+        api: { rate: 2, burst: 2 }, // API 每秒请求数和突发上限
+        cdn: { rate: 10, burst: 10 }, // 图片 CDN 每秒请求数和突发上限
+        minRate: 0.2, // 遇到 429/5xx 降速后的最低速率
+    },
+
+    // 同步配置
+    sync: {
+        includeDrafts: true, // 是否下载写作中的章节
+        removedSections: "archive", // 已从小册中移除的章节：archive（归档）、delete（删除）、keep（保留）
+        frontMatter: false, // 是否在章节开头写入 YAML front matter（小册、章节 ID、原文地址等）
+        introduction: "readme", // 小册介绍：readme（README.md）、chapter（0.介绍.md）、none（不保存）
+    },
+
+    // 小册筛选（sync、images、fix 通用；条目为小册 ID、标题片段或 /正则/）
+    selection: {
+        include: [], // 只处理匹配的小册（为空时处理全部；命令行 --include 会替换此列表）
+        exclude: [], // 不处理匹配的小册（与命令行 --exclude 合并）
+    },
+
     // 并发配置
     concurrency: {
-        maxConcurrent: 5, // 最大并发下载数
+        maxConcurrent: 5, // 最大并发下载数（每本小册同时获取的章节数、同时下载的图片数）
+        maxBooks: 1, // 同时同步的小册数
+        maxPerHost: 4, // 每个图片主机的最大并发下载数
+    },
+
+    // 认证配置
+    auth: {
+        source: "auto", // Cookie 来源：auto、cookie-editor、netscape、header、env
+        cookiesFile: "cookies.json", // Cookie 文件（Cookie-Editor JSON、Netscape cookies.txt 或 Cookie 请求头）
     },
-    
+
     // 日志配置
     logging: {
         logDir: "log",
         enableFileLogging: true,
-        logLevel: process.env.LOG_LEVEL || "INFO", // DEBUG, INFO, WARN, ERROR
+        logLevel: "INFO", // DEBUG, INFO, WARN, ERROR
     },
 };
 
-// 从环境变量加载配置
-const loadConfigFromEnv = () => {
-    const config = { ...defaultConfig };
-    
-    // 网络配置
-    if (process.env.NETWORK_TIMEOUT) {
-        config.network.timeout = parseInt(process.env.NETWORK_TIMEOUT, 10);
+/**
+ * 配置项的类型和对应的环境变量
+ * type: string、integer、number、boolean、enum（values 中的一个）、list（字符串数组，环境变量用逗号分隔）
+ * check: 额外的检查，返回错误说明或 null
+ * 配置文件中不在此列表中的配置项会被视为错误（多半是拼写错误）
+ */
+export const CONFIG_SCHEMA = {
+    "downloads.root": { type: "string", env: "DOWNLOAD_ROOT" },
+    "downloads.dir": { type: "string", env: "DOWNLOADS_DIR" },
+    "downloads.outputDir": { type: "string", env: "OUTPUT_DIR" },
+    "downloads.exportDir": { type: "string", env: "EXPORT_DIR" },
+    "downloads.imagesDirName": { type: "string" },
+    "downloads.draftsDirName": { type: "string" },
+    "downloads.archiveDirName": { type: "string" },
+    "downloads.bookDirTemplate": {
+        type: "string",
+        env: "BOOK_DIR_TEMPLATE",
+        check: value => checkTemplate(value, { variables: ["title", "bookId"], required: [["title", "bookId"]] }),
+    },
+    "downloads.sectionFileTemplate": {
+        type: "string",
+        env: "SECTION_FILE_TEMPLATE",
+        check: value => checkTemplate(value, { variables: ["index", "title", "sectionId"], required: [["index"]], suffix: ".md" }),
+    },
+    "imageStore.enabled": { type: "boolean", env: "IMAGE_STORE" },
+    "imageStore.dir": { type: "string", env: "IMAGE_STORE_DIR" },
+    "imageStore.linkMode": { type: "enum", values: ["hardlink", "symlink", "relative"], env: "IMAGE_STORE_LINK" },
+    "api.baseUrl": { type: "string", env: "JUEJIN_API_BASE_URL" },
+    "network.timeout": { type: "integer", min: 1, env: "NETWORK_TIMEOUT" },
+    "network.retryCount": { type: "integer", min: 1, env: "RETRY_COUNT" },
+    "network.retryDelay": { type: "integer", min: 0, env: "RETRY_DELAY" },
+    "network.requestDelay": { type: "integer", min: 0, env: "REQUEST_DELAY" },
+    "rateLimit.api.rate": { type: "number", min: 0, env: "API_RATE_LIMIT" },
+    "rateLimit.api.burst": { type: "number", min: 1, env: "API_RATE_BURST" },
+    "rateLimit.cdn.rate": { type: "number", min: 0, env: "CDN_RATE_LIMIT" },
+    "rateLimit.cdn.burst": { type: "number", min: 1, env: "CDN_RATE_BURST" },
+    "rateLimit.minRate": { type: "number", min: 0 },
+    "sync.includeDrafts": { type: "boolean", env: "INCLUDE_DRAFTS" },
+    "sync.removedSections": { type: "enum", values: ["archive", "delete", "keep"], env: "REMOVED_SECTIONS" },
+    "sync.frontMatter": { type: "boolean", env: "FRONT_MATTER" },
+    "sync.introduction": { type: "enum", values: ["readme", "chapter", "none"], env: "INTRODUCTION" },
+    "selection.include": { type: "list", env: "SELECTION_INCLUDE" },
+    "selection.exclude": { type: "list", env: "SELECTION_EXCLUDE" },
+    "concurrency.maxConcurrent": { type: "integer", min: 1, env: "MAX_CONCURRENT" },
+    "concurrency.maxBooks": { type: "integer", min: 1, env: "MAX_CONCURRENT_BOOKS" },
+    "concurrency.maxPerHost": { type: "integer", min: 1, env: "MAX_CONCURRENT_PER_HOST" },
+    // Cookie 本身通过 JUEJIN_COOKIE 传入，见 lib/credentials.js
+    "auth.source": { type: "enum", values: ["auto", "cookie-editor", "netscape", "header", "env"], env: "COOKIE_SOURCE" },
+    "auth.cookiesFile": { type: "string", env: "COOKIES_FILE" },
+    "logging.logDir": { type: "string", env: "LOG_DIR" },
+    "logging.enableFileLogging": { type: "boolean", env: "ENABLE_FILE_LOGGING" },
+    "logging.logLevel": { type: "enum", values: ["DEBUG", "INFO", "WARN", "ERROR"], env: "LOG_LEVEL", upperCase: true },
+};
+
+// 自动查找的配置文件名（依次在当前目录和用户主目录中查找，使用找到的第一个）
+export const CONFIG_FILE_NAMES = ["juejin.config.json", ".juejinrc"];
+
+// 配置项来源的显示文字
+const SOURCE_DEFAULT = "默认值";
+
+// 各层配置：键为 CONFIG_SCHEMA 中的路径，值为 { value, source }
+const layers = {
+    file: new Map(),
+    env: new Map(),
+    cli: new Map(),
+};
+
+// 当前使用的配置文件（没有时为 null）
+let configFilePath = null;
+
+// 导出配置（对象本身不会被替换，各模块可以长期持有引用）
+export const config = structuredClone(defaultConfig);
+
+// 按路径读取对象中的值
+const getPath = (target, keyPath) => {
+    let value = target;
+    for (const key of keyPath.split(".")) {
+        if (value && typeof value === "object" && key in value) {
+            value = value[key];
+        } else {
+            return undefined;
+        }
+    }
+    return value;
+};
+
+// 按路径写入对象中的值（中间对象不存在时创建）
+const setPath = (target, keyPath, value) => {
+    const keys = keyPath.split(".");
+    const lastKey = keys.pop();
+    for (const key of keys) {
+        if (!target[key] || typeof target[key] !== "object") {
+            target[key] = {};
+        }
+        target = target[key];
+    }
+    target[lastKey] = value;
+};
+
+// 把默认值逐项写回配置对象（保留已有的子对象，数组复制一份，避免修改 defaultConfig）
+const resetInto = (target, defaults) => {
+    for (const [key, value] of Object.entries(defaults)) {
+        if (value && typeof value === "object" && !Array.isArray(value)) {
+            if (!target[key] || typeof target[key] !== "object") {
+                target[key] = {};
+            }
+            resetInto(target[key], value);
+        } else {
+            target[key] = structuredClone(value);
+        }
     }
-    if (process.env.RETRY_COUNT) {
-        config.network.retryCount = parseInt(process.env.RETRY_COUNT, 10);
+};
+
+// 按 默认值 < 配置文件 < 环境变量 < 命令行 的顺序重新生成配置
+const applyLayers = () => {
+    resetInto(config, defaultConfig);
+    for (const layer of [layers.file, layers.env, layers.cli]) {
+        for (const [keyPath, { value }] of layer) {
+            setPath(config, keyPath, structuredClone(value));
+        }
     }
-    if (process.env.REQUEST_DELAY) {
-        config.network.requestDelay = parseInt(process.env.REQUEST_DELAY, 10);
+};
+
+// 配置项类型的说明文字
+const describeRule = (rule) => {
+    switch (rule.type) {
+        case "integer":
+            return rule.min === undefined ? "整数" : `不小于 ${rule.min} 的整数`;
+        case "number":
+            return rule.min === undefined ? "数字" : `不小于 ${rule.min} 的数字`;
+        case "boolean":
+            return "true 或 false";
+        case "enum":
+            return `以下值之一: ${rule.values.join(", ")}`;
+        case "list":
+            return "字符串数组";
+        default:
+            return "字符串";
     }
-    
-    // 并发配置
-    if (process.env.MAX_CONCURRENT) {
-        config.concurrency.maxConcurrent = parseInt(process.env.MAX_CONCURRENT, 10);
+};
+
+// 检查配置项的值，返回规范化后的值；不符合时抛出错误（rawValue 为错误信息中显示的原始值，如环境变量的文本）
+const checkValue = (keyPath, rule, value, rawValue = value) => {
+    let valid;
+    switch (rule.type) {
+        case "integer":
+            valid = Number.isInteger(value) && (rule.min === undefined || value >= rule.min);
+            break;
+        case "number":
+            valid = typeof value === "number" && Number.isFinite(value) && (rule.min === undefined || value >= rule.min);
+            break;
+        case "boolean":
+            valid = typeof value === "boolean";
+            break;
+        case "enum":
+            if (rule.upperCase && typeof value === "string") {
+                value = value.toUpperCase();
+            }
+            valid = rule.values.includes(value);
+            break;
+        case "list":
+            valid = Array.isArray(value) && value.every(item => typeof item === "string");
+            break;
+        default:
+            valid = typeof value === "string" && value.length > 0;
     }
-    
-    // 日志配置
-    if (process.env.LOG_LEVEL) {
-        config.logging.logLevel = process.env.LOG_LEVEL;
+    if (!valid) {
+        throw new Error(`${keyPath} 应为${describeRule(rule)}，实际为 ${JSON.stringify(rawValue)}`);
     }
-    if (process.env.ENABLE_FILE_LOGGING === "false") {
-        config.logging.enableFileLogging = false;
+    const problem = rule.check?.(value);
+    if (problem) {
+        throw new Error(`${keyPath} 无效: ${problem}，实际为 ${JSON.stringify(rawValue)}`);
+    }
+    return value;
+};
+
+// 把环境变量的文本转换为配置项的值
+const parseEnvValue = (rule, text) => {
+    switch (rule.type) {
+        case "integer":
+        case "number":
+            return text.trim() === "" ? text : Number(text);
+        case "boolean":
+            if (/^(true|1|yes)$/i.test(text)) {
+                return true;
+            }
+            return /^(false|0|no)$/i.test(text) ? false : text;
+        case "list":
+            return text.split(",").map(item => item.trim()).filter(Boolean);
+        default:
+            return text;
+    }
+};
+
+// 两个字符串的编辑距离（用于提示拼写错误的配置项）
+const editDistance = (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+            previous = current;
+        }
+    }
+    return row[b.length];
+};
+
+// 未知配置项的提示：找出最接近的已知配置项
+const suggestKey = (keyPath) => {
+    const lowerKey = keyPath.toLowerCase();
+    const [best] = Object.keys(CONFIG_SCHEMA)
+        .map(key => ({ key, distance: editDistance(lowerKey, key.toLowerCase()) }))
+        .sort((a, b) => a.distance - b.distance);
+    return best && best.distance <= 3 ? `（是否是 ${best.key}？）` : "";
+};
+
+// 是否为配置分组（例如 network、rateLimit.api）
+const isGroup = keyPath => Object.keys(CONFIG_SCHEMA).some(key => key.startsWith(`${keyPath}.`));
+
+// 校验配置文件内容，合法的配置项写入 entries，错误信息写入 errors
+const collectFileEntries = (object, prefix, source, entries, errors) => {
+    for (const [key, value] of Object.entries(object)) {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        const rule = CONFIG_SCHEMA[keyPath];
+        if (rule) {
+            try {
+                entries.set(keyPath, { value: checkValue(keyPath, rule, value), source });
+            } catch (error) {
+                errors.push(error.message);
+            }
+        } else if (isGroup(keyPath)) {
+            if (value && typeof value === "object" && !Array.isArray(value)) {
+                collectFileEntries(value, keyPath, source, entries, errors);
+            } else {
+                errors.push(`${keyPath} 应为对象，实际为 ${JSON.stringify(value)}`);
+            }
+        } else {
+            errors.push(`未知的配置项 ${keyPath}${suggestKey(keyPath)}`);
+        }
+    }
+};
+
+// 读取并校验配置文件
+const readConfigFile = (filePath, entries, errors) => {
+    let content;
+    try {
+        content = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    } catch (error) {
+        errors.push(`读取配置文件失败 (${filePath}): ${error.message}`);
+        return;
+    }
+    if (!content || typeof content !== "object" || Array.isArray(content)) {
+        errors.push(`配置文件 ${filePath} 的内容应为 JSON 对象`);
+        return;
+    }
+
+    const fileErrors = [];
+    collectFileEntries(content, "", `配置文件 ${filePath}`, entries, fileErrors);
+    errors.push(...fileErrors.map(message => `${filePath}: ${message}`));
+};
+
+/**
+ * 查找配置文件：依次在当前目录和用户主目录中查找 juejin.config.json、.juejinrc
+ * @param {object} options - 选项
+ * @param {string} options.cwd - 项目目录（默认当前目录）
+ * @param {string} options.homeDir - 用户主目录
+ * @returns {string|null} 配置文件路径，没有时为 null
+ */
+export const findConfigFile = ({ cwd = process.cwd(), homeDir = os.homedir() } = {}) => {
+    for (const dir of [cwd, homeDir]) {
+        for (const name of CONFIG_FILE_NAMES) {
+            const filePath = path.join(dir, name);
+            if (fs.existsSync(filePath)) {
+                return filePath;
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * 加载配置文件和环境变量（会替换之前加载的配置文件层和环境变量层，命令行设置的值保持不变）
+ * 所有无效的配置项会汇总在一个错误中抛出，有效的配置项仍然生效
+ * @param {object} options - 选项
+ * @param {string} options.file - 配置文件路径（-c 参数），不指定时自动查找
+ * @param {string} options.cwd - 自动查找配置文件的项目目录
+ * @param {string} options.homeDir - 自动查找配置文件的用户主目录
+ * @param {object} options.env - 环境变量（默认 process.env）
+ * @returns {object} 合并后的配置
+ */
+export const loadConfig = ({ file = null, cwd, homeDir, env = process.env } = {}) => {
+    const errors = [];
+
+    layers.file.clear();
+    configFilePath = file ? path.resolve(file) : findConfigFile({ cwd, homeDir });
+    if (configFilePath) {
+        readConfigFile(configFilePath, layers.file, errors);
+    }
+
+    layers.env.clear();
+    for (const [keyPath, rule] of Object.entries(CONFIG_SCHEMA)) {
+        if (!rule.env || env[rule.env] === undefined || env[rule.env] === "") {
+            continue;
+        }
+        try {
+            const value = checkValue(keyPath, rule, parseEnvValue(rule, env[rule.env]), env[rule.env]);
+            layers.env.set(keyPath, { value, source: `环境变量 ${rule.env}` });
+        } catch (error) {
+            errors.push(`环境变量 ${rule.env}: ${error.message}`);
+        }
+    }
+
+    applyLayers();
+    if (errors.length > 0) {
+        throw new Error(`配置无效:\n${errors.map(message => `  - ${message}`).join("\n")}`);
     }
-    
     return config;
 };
 
-// 导出配置
-export const config = loadConfigFromEnv();
+/**
+ * 从 JSON 配置文件加载配置（代替自动查找的配置文件，环境变量和命令行参数仍然优先）
+ * @param {string} filePath - 配置文件路径
+ * @returns {object} 合并后的配置
+ */
+export const loadConfigFile = (filePath) => loadConfig({ file: filePath });
+
+/**
+ * 当前使用的配置文件
+ * @returns {string|null} 配置文件路径，没有时为 null
+ */
+export const getConfigFilePath = () => configFilePath;
+
+/**
+ * 列出所有配置项的当前值和来源
+ * @returns {Array<{key: string, value: *, source: string}>} 配置项（按 CONFIG_SCHEMA 的顺序）
+ */
+export const describeConfig = () => {
+    return Object.keys(CONFIG_SCHEMA).map((keyPath) => {
+        const entry = [layers.cli, layers.env, layers.file].map(layer => layer.get(keyPath)).find(Boolean);
+        return { key: keyPath, value: getPath(config, keyPath), source: entry ? entry.source : SOURCE_DEFAULT };
+    });
+};
 
 // 导出配置获取函数
-export const getConfig = (path) => {
-    const keys = path.split(".");
-    let value = config;
-    for (const key of keys) {
-        if (value && typeof value === "object" && key in value) {
-            value = value[key];
-        } else {
-            return undefined;
+export const getConfig = keyPath => getPath(config, keyPath);
+
+/**
+ * 设置配置项（优先级最高，重新加载配置文件和环境变量后仍然保留）
+ * CONFIG_SCHEMA 中的配置项与配置文件、环境变量一样校验，不符合时抛出错误
+ * @param {string} keyPath - 配置项路径，例如 "network.retryCount"
+ * @param {*} value - 值
+ * @param {string} source - 来源说明（config print 中显示），例如 "命令行 --log-level"
+ */
+export const setConfig = (keyPath, value, source = "运行时设置") => {
+    const rule = CONFIG_SCHEMA[keyPath];
+    if (rule) {
+        try {
+            value = checkValue(keyPath, rule, value);
+        } catch (error) {
+            throw new Error(`${source}: ${error.message}`);
         }
     }
-    return value;
+    layers.cli.set(keyPath, { value, source });
+    setPath(config, keyPath, value);
 };
 
+// 启动时加载配置文件和环境变量；这里忽略无效的配置项，命令行入口和直接运行的脚本（loadScriptConfig）会再次加载并报告错误
+try {
+    loadConfig();
+} catch (error) {
+    // 有效的配置项已经生效
+}
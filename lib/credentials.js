@@ -0,0 +1,211 @@
+/**
+ * Cookie 凭证加载
+ * 支持 Cookie-Editor 导出的 JSON、Netscape 格式的 cookies.txt、原始 Cookie 请求头和 JUEJIN_COOKIE 环境变量，
+ * 只保留 juejin.cn 域名下未过期的 Cookie。在第一次请求 API 时才读取，日志中只输出 Cookie 名称，不输出值
+ */
+
+import fs from "fs";
+
+// Cookie 来源
+export const COOKIE_SOURCES = ["auto", "cookie-editor", "netscape", "header", "env"];
+
+// 保存 Cookie 的环境变量（原始 Cookie 请求头格式）
+export const COOKIE_ENV_NAME = "JUEJIN_COOKIE";
+
+// 默认只保留该域名及其子域名的 Cookie
+const DEFAULT_DOMAIN = "juejin.cn";
+
+/**
+ * 解析 Cookie-Editor 导出的 JSON
+ * @param {string} text - 文件内容
+ * @returns {Array<{name: string, value: string, domain: string|null, expires: number|null}>} Cookie 列表
+ */
+export const parseCookieEditor = (text) => {
+    const data = JSON.parse(text);
+    const cookies = Array.isArray(data) ? data : data?.cookies;
+    if (!Array.isArray(cookies)) {
+        throw new Error("Cookie-Editor JSON 应该是 Cookie 数组");
+    }
+
+    return cookies
+        .filter(cookie => cookie && cookie.name)
+        .map(cookie => ({
+            name: String(cookie.name),
+            value: String(cookie.value ?? ""),
+            domain: cookie.domain || null,
+            // 会话 Cookie 没有过期时间
+            expires: cookie.session || !cookie.expirationDate ? null : Number(cookie.expirationDate),
+        }));
+};
+
+/**
+ * 解析 Netscape 格式的 cookies.txt（curl、wget 和浏览器扩展常用的格式）
+ * 每行: domain \t includeSubdomains \t path \t secure \t expires \t name \t value
+ * @param {string} text - 文件内容
+ * @returns {Array} Cookie 列表
+ */
+export const parseNetscape = (text) => {
+    const cookies = [];
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        // #HttpOnly_ 前缀表示 HttpOnly Cookie，其余 # 开头的行是注释
+        const line = rawLine.startsWith("#HttpOnly_") ? rawLine.slice("#HttpOnly_".length) : rawLine;
+        if (!line.trim() || line.startsWith("#")) {
+            continue;
+        }
+
+        const fields = line.split("\t");
+        if (fields.length < 7) {
+            continue;
+        }
+
+        const [domain, , , , expires, name, ...valueParts] = fields;
+        const expiresAt = Number(expires);
+        cookies.push({
+            name,
+            value: valueParts.join("\t"),
+            domain,
+            expires: Number.isFinite(expiresAt) && expiresAt > 0 ? expiresAt : null,
+        });
+    }
+
+    return cookies;
+};
+
+/**
+ * 解析原始 Cookie 请求头（可以带 "Cookie:" 前缀，例如从浏览器开发者工具复制）
+ * @param {string} text - Cookie 字符串
+ * @returns {Array} Cookie 列表
+ */
+export const parseCookieHeader = (text) => {
+    return text
+        .trim()
+        .replace(/^cookie:\s*/i, "")
+        .split(";")
+        .map(part => part.trim())
+        .filter(part => part.includes("="))
+        .map((part) => {
+            const separator = part.indexOf("=");
+            return {
+                name: part.slice(0, separator).trim(),
+                value: part.slice(separator + 1).trim(),
+                domain: null,
+                expires: null,
+            };
+        })
+        .filter(cookie => cookie.name);
+};
+
+// 根据内容判断文件格式
+const detectFormat = (text) => {
+    const trimmed = text.trim();
+    if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+        return "cookie-editor";
+    }
+    if (/^# (Netscape )?HTTP Cookie File/im.test(trimmed) || trimmed.split(/\r?\n/).some(line => line.split("\t").length >= 7)) {
+        return "netscape";
+    }
+    return "header";
+};
+
+const PARSERS = {
+    "cookie-editor": parseCookieEditor,
+    netscape: parseNetscape,
+    header: parseCookieHeader,
+};
+
+// 判断 Cookie 是否属于指定域名（没有域名信息的 Cookie 视为属于该域名）
+const matchesDomain = (cookie, domain) => {
+    if (!cookie.domain) {
+        return true;
+    }
+    const cookieDomain = cookie.domain.replace(/^\./, "").toLowerCase();
+    return cookieDomain === domain || cookieDomain.endsWith(`.${domain}`);
+};
+
+/**
+ * 加载 Cookie
+ * @param {object} options - 选项
+ * @param {string} options.source - 来源：auto、cookie-editor、netscape、header、env
+ * @param {string} options.file - Cookie 文件路径（env 以外的来源使用）
+ * @param {object} options.env - 环境变量（默认 process.env）
+ * @param {string} options.domain - 只保留该域名的 Cookie
+ * @param {number} options.now - 当前时间（毫秒），用于判断是否过期
+ * @returns {{cookies: Array, source: string, origin: string, dropped: {expired: number, otherDomain: number}}}
+ *          可用的 Cookie、实际使用的来源、来源描述（文件路径或环境变量名）和被过滤的数量
+ */
+export const loadCredentials = ({
+    source = "auto",
+    file = "cookies.json",
+    env = process.env,
+    domain = DEFAULT_DOMAIN,
+    now = Date.now(),
+} = {}) => {
+    if (!COOKIE_SOURCES.includes(source)) {
+        throw new Error(`未知的 Cookie 来源: ${source}（可选: ${COOKIE_SOURCES.join(", ")}）`);
+    }
+
+    let format;
+    let text;
+    let origin;
+
+    // auto: 设置了环境变量时优先使用环境变量，否则读取文件并按内容判断格式
+    if (source === "env" || (source === "auto" && env[COOKIE_ENV_NAME])) {
+        if (!env[COOKIE_ENV_NAME]) {
+            throw new Error(`环境变量 ${COOKIE_ENV_NAME} 未设置`);
+        }
+        format = "header";
+        text = env[COOKIE_ENV_NAME];
+        origin = COOKIE_ENV_NAME;
+    } else {
+        if (!fs.existsSync(file)) {
+            throw new Error(`Cookie 文件不存在: ${file}（可以用 --cookies 指定文件，或设置 ${COOKIE_ENV_NAME} 环境变量）`);
+        }
+        text = fs.readFileSync(file, "utf-8").replace(/^\uFEFF/, "");
+        format = source === "auto" ? detectFormat(text) : source;
+        origin = file;
+    }
+
+    let parsed;
+    try {
+        parsed = PARSERS[format](text);
+    } catch (error) {
+        // 解析错误信息可能包含文件片段，不输出原始内容
+        throw new Error(`解析 Cookie 失败 (${origin}，格式: ${format})`);
+    }
+
+    const dropped = { expired: 0, otherDomain: 0 };
+    const cookies = parsed.filter((cookie) => {
+        if (!matchesDomain(cookie, domain)) {
+            dropped.otherDomain++;
+            return false;
+        }
+        if (cookie.expires && cookie.expires * 1000 <= now) {
+            dropped.expired++;
+            return false;
+        }
+        return true;
+    });
+
+    return { cookies, source: format, origin, dropped };
+};
+
+/**
+ * 生成 Cookie 请求头（同名 Cookie 只保留最后一个）
+ * @param {Array} cookies - Cookie 列表
+ * @returns {string} Cookie 请求头
+ */
+export const toCookieHeader = (cookies) => {
+    const byName = new Map(cookies.map(cookie => [cookie.name, cookie.value]));
+    return [...byName].map(([name, value]) => `${name}=${value}`).join("; ");
+};
+
+/**
+ * 生成可以写入日志的 Cookie 摘要（只包含名称和数量）
+ * @param {object} result - loadCredentials 的返回值
+ * @returns {string} 摘要
+ */
+export const describeCredentials = ({ cookies, source, origin, dropped }) => {
+    const names = [...new Set(cookies.map(cookie => cookie.name))].join(", ");
+    return `从 ${origin} 读取 ${cookies.length} 个 Cookie（格式: ${source}，已过滤过期 ${dropped.expired} 个、其他域名 ${dropped.otherDomain} 个）: ${names}`;
+};
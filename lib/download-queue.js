@@ -0,0 +1,244 @@
+/**
+ * 下载队列
+ * 所有文件、所有小册的图片共用一个队列：限制全局和每个主机的并发数，相同 URL 在下载中时只下载一次，
+ * 支持优先级和取消。队列只保存任务描述，下载结果由任务自己写入磁盘，排队的图片再多也不会占用大量内存
+ */
+
+import { CancelledError } from "./errors.js";
+
+export class DownloadQueue {
+    /**
+     * @param {object} options - 选项
+     * @param {number} options.concurrency - 全局最大并发数
+     * @param {number} options.perHostConcurrency - 每个主机的最大并发数
+     */
+    constructor({ concurrency = 5, perHostConcurrency = concurrency } = {}) {
+        this.concurrency = Math.max(1, concurrency);
+        this.perHostConcurrency = Math.max(1, perHostConcurrency);
+
+        // 等待中的任务，按优先级从高到低、同优先级按加入顺序排列
+        this.queue = [];
+        // 排队或下载中的任务（key -> 任务），用于去重
+        this.entries = new Map();
+        this.hostActive = new Map();
+        this.active = 0;
+        this.sequence = 0;
+        this.idleWaiters = [];
+
+        this.stats = { completed: 0, failed: 0, cancelled: 0, deduplicated: 0, maxQueued: 0 };
+    }
+
+    /** 等待中的任务数 */
+    get size() {
+        return this.queue.length;
+    }
+
+    /** 正在下载的任务数 */
+    get pending() {
+        return this.active;
+    }
+
+    /**
+     * 加入队列
+     * key 相同的任务正在排队或下载时不会重复执行，而是共享同一个结果（优先级取较高者）
+     * @param {string} key - 任务标识（图片 URL）
+     * @param {Function} task - (signal) => Promise，执行下载；signal 在任务被取消时触发
+     * @param {object} options - 选项
+     * @param {number} options.priority - 优先级（越大越先执行，默认 0）
+     * @param {AbortSignal} options.signal - 取消信号；同一任务的所有调用方都取消后才会中止下载
+     * @param {string} options.host - 主机名（默认从 key 解析）
+     * @returns {Promise} 任务结果
+     */
+    add(key, task, { priority = 0, signal, host } = {}) {
+        if (signal?.aborted) {
+            this.stats.cancelled++;
+            return Promise.reject(new CancelledError(`下载已取消: ${key}`));
+        }
+
+        let entry = this.entries.get(key);
+        if (entry) {
+            this.stats.deduplicated++;
+            if (entry.state === "queued" && priority > entry.priority) {
+                this.removeFromQueue(entry);
+                entry.priority = priority;
+                this.insert(entry);
+            }
+        } else {
+            entry = {
+                key,
+                task,
+                priority,
+                host: host ?? getHost(key),
+                sequence: this.sequence++,
+                state: "queued",
+                controller: new AbortController(),
+                subscribers: new Set(),
+            };
+            this.entries.set(key, entry);
+            this.insert(entry);
+            this.stats.maxQueued = Math.max(this.stats.maxQueued, this.queue.length);
+        }
+
+        const promise = new Promise((resolve, reject) => {
+            const subscriber = { resolve, reject, signal, onAbort: null };
+            if (signal) {
+                subscriber.onAbort = () => this.unsubscribe(entry, subscriber);
+                signal.addEventListener("abort", subscriber.onAbort, { once: true });
+            }
+            entry.subscribers.add(subscriber);
+        });
+
+        this.next();
+        return promise;
+    }
+
+    /**
+     * 取消任务（排队中的直接移除，下载中的中止请求）
+     * @param {string} key - 任务标识
+     * @returns {boolean} 是否找到该任务
+     */
+    cancel(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return false;
+        }
+        this.abortEntry(entry);
+        return true;
+    }
+
+    /** 取消所有任务 */
+    cancelAll() {
+        for (const entry of [...this.entries.values()]) {
+            this.abortEntry(entry);
+        }
+    }
+
+    /**
+     * 等待队列清空（没有排队和下载中的任务）
+     * @returns {Promise<void>}
+     */
+    onIdle() {
+        if (this.active === 0 && this.queue.length === 0) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    /**
+     * 统计
+     * @returns {{completed: number, failed: number, cancelled: number, deduplicated: number, maxQueued: number}}
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+
+    // 按优先级插入等待队列
+    insert(entry) {
+        const index = this.queue.findIndex(item => item.priority < entry.priority
+            || (item.priority === entry.priority && item.sequence > entry.sequence));
+        this.queue.splice(index === -1 ? this.queue.length : index, 0, entry);
+    }
+
+    removeFromQueue(entry) {
+        const index = this.queue.indexOf(entry);
+        if (index !== -1) {
+            this.queue.splice(index, 1);
+        }
+    }
+
+    // 调用方取消：只有所有调用方都取消时才中止任务
+    unsubscribe(entry, subscriber) {
+        if (!entry.subscribers.delete(subscriber)) {
+            return;
+        }
+        this.stats.cancelled++;
+        subscriber.reject(new CancelledError(`下载已取消: ${entry.key}`));
+        if (entry.subscribers.size === 0) {
+            this.abortEntry(entry);
+        }
+    }
+
+    abortEntry(entry) {
+        if (entry.state === "queued") {
+            this.removeFromQueue(entry);
+            this.settle(entry, null, new CancelledError(`下载已取消: ${entry.key}`));
+            this.next();
+            return;
+        }
+        // 下载中的任务在 task 结束时统一处理
+        entry.controller.abort();
+    }
+
+    // 通知所有调用方并移除任务
+    settle(entry, result, error) {
+        this.entries.delete(entry.key);
+        entry.state = "done";
+        for (const subscriber of entry.subscribers) {
+            subscriber.signal?.removeEventListener("abort", subscriber.onAbort);
+            if (error) {
+                subscriber.reject(error);
+            } else {
+                subscriber.resolve(result);
+            }
+        }
+        if (error instanceof CancelledError) {
+            this.stats.cancelled += entry.subscribers.size;
+        } else if (error) {
+            this.stats.failed++;
+        } else {
+            this.stats.completed++;
+        }
+        entry.subscribers.clear();
+    }
+
+    // 启动等待中的任务，直到达到全局或主机并发上限
+    next() {
+        while (this.active < this.concurrency) {
+            const entry = this.queue.find(item => (this.hostActive.get(item.host) || 0) < this.perHostConcurrency);
+            if (!entry) {
+                break;
+            }
+            this.removeFromQueue(entry);
+            this.run(entry);
+        }
+
+        if (this.active === 0 && this.queue.length === 0) {
+            this.idleWaiters.splice(0).forEach(resolve => resolve());
+        }
+    }
+
+    run(entry) {
+        entry.state = "running";
+        this.active++;
+        this.hostActive.set(entry.host, (this.hostActive.get(entry.host) || 0) + 1);
+
+        const { signal } = entry.controller;
+        Promise.resolve()
+            .then(() => entry.task(signal))
+            .then(
+                result => this.settle(entry, result, null),
+                (error) => {
+                    this.settle(entry, null, signal.aborted ? new CancelledError(`下载已取消: ${entry.key}`, { cause: error }) : error);
+                },
+            )
+            .finally(() => {
+                this.active--;
+                const hostCount = this.hostActive.get(entry.host) - 1;
+                if (hostCount === 0) {
+                    this.hostActive.delete(entry.host);
+                } else {
+                    this.hostActive.set(entry.host, hostCount);
+                }
+                this.next();
+            });
+    }
+}
+
+// 从 URL 解析主机名，无法解析时整体视为一个主机
+const getHost = (key) => {
+    try {
+        return new URL(key).host;
+    } catch (error) {
+        return "";
+    }
+};
@@ -0,0 +1,236 @@
+/**
+ * 请求错误分类
+ * 把 got 抛出的错误和掘金接口的 err_no/err_msg 统一归类，重试策略和批量任务的统计都按 kind 区分
+ */
+
+// 未登录或登录失效的 err_no
+const AUTH_ERROR_CODES = new Set([403]);
+
+// 未登录时的 err_msg（部分接口的 err_no 不固定）
+const AUTH_ERROR_MESSAGE = /must login|not login|请登录|未登录|登录已?失效/i;
+
+// 未购买或无权限访问的 err_msg
+const FORBIDDEN_ERROR_MESSAGE = /未购买|没有购买|not purchased|no permission|permission denied|无权限|forbidden/i;
+
+// 请求过于频繁的 err_msg
+const RATE_LIMIT_ERROR_MESSAGE = /too many requests|rate limit|频繁|限流/i;
+
+// 连接层面的错误码
+const NETWORK_ERROR_CODES = new Set([
+    "ECONNREFUSED",
+    "ECONNRESET",
+    "EPIPE",
+    "ENOTFOUND",
+    "EAI_AGAIN",
+    "ENETUNREACH",
+    "EHOSTUNREACH",
+    "ECONNABORTED",
+]);
+
+/**
+ * 请求错误基类
+ * kind 为错误类别（unknown 表示无法归类），用于选择重试策略和汇总统计
+ */
+export class RequestError extends Error {
+    static kind = "unknown";
+
+    /**
+     * @param {string} message - 错误信息
+     * @param {object} details - 详细信息
+     * @param {number} details.statusCode - HTTP 状态码
+     * @param {number} details.errNo - 接口返回的 err_no
+     * @param {string} details.errMsg - 接口返回的 err_msg
+     * @param {Error} details.cause - 原始错误
+     */
+    constructor(message, { statusCode = null, errNo = null, errMsg = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = new.target.name;
+        this.kind = new.target.kind;
+        this.statusCode = statusCode;
+        this.errNo = errNo;
+        this.errMsg = errMsg;
+    }
+}
+
+/** 连接失败、连接被重置、DNS 解析失败等 */
+export class NetworkError extends RequestError {
+    static kind = "network";
+}
+
+/** 请求超时 */
+export class TimeoutError extends RequestError {
+    static kind = "timeout";
+}
+
+/** 服务端错误（HTTP 5xx） */
+export class ServerError extends RequestError {
+    static kind = "server";
+}
+
+/** 请求过于频繁（HTTP 429），retryAfter 为服务端要求的等待时间（毫秒） */
+export class RateLimitError extends RequestError {
+    static kind = "rate-limit";
+
+    constructor(message, { retryAfter = null, ...details } = {}) {
+        super(message, details);
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * 登录失效（Cookie 过期或无效）
+ * 重试和继续请求其他小册都没有意义，批量任务遇到后应立即终止
+ */
+export class AuthError extends RequestError {
+    static kind = "auth";
+}
+
+/** 未购买或无权限访问 */
+export class ForbiddenError extends RequestError {
+    static kind = "forbidden";
+}
+
+/** 响应格式不符合预期（无法解析的 JSON、缺少字段等） */
+export class SchemaError extends RequestError {
+    static kind = "schema";
+}
+
+/** 下载的内容不是图片（HTML 错误页、JSON、空响应或无法识别的格式） */
+export class InvalidImageError extends RequestError {
+    static kind = "invalid-image";
+}
+
+/** 请求被取消（调用方中止、任务被移出队列等） */
+export class CancelledError extends RequestError {
+    static kind = "cancelled";
+}
+
+/**
+ * 解析 Retry-After 响应头（秒数或 HTTP 日期）
+ * @param {string} value - 响应头的值
+ * @param {number} now - 当前时间（毫秒）
+ * @returns {number|null} 需要等待的毫秒数，无法解析时返回 null
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+    if (value === undefined || value === null || value === "") {
+        return null;
+    }
+    const text = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        return Math.round(Number(text) * 1000);
+    }
+    const date = Date.parse(text);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+/**
+ * 根据接口响应 { err_no, err_msg, data } 判断是否出错
+ * 只识别能确定类别的错误，其他 err_no 由调用方按缺少 data 处理
+ * @param {object} response - 掘金接口响应
+ * @returns {RequestError|null} 错误，正常响应返回 null
+ */
+export const classifyResponse = (response) => {
+    if (!response || !response.err_no) {
+        return null;
+    }
+
+    const { err_no: errNo, err_msg: errMsg = "" } = response;
+    const details = { errNo, errMsg };
+
+    if (AUTH_ERROR_CODES.has(errNo) || AUTH_ERROR_MESSAGE.test(errMsg)) {
+        return new AuthError(`登录已失效（err_no: ${errNo}，err_msg: ${errMsg}），请重新导出 Cookie 后再试`, details);
+    }
+    if (FORBIDDEN_ERROR_MESSAGE.test(errMsg)) {
+        return new ForbiddenError(`没有访问权限（err_no: ${errNo}，err_msg: ${errMsg}），请确认已购买该小册`, details);
+    }
+    if (errNo === 429 || RATE_LIMIT_ERROR_MESSAGE.test(errMsg)) {
+        return new RateLimitError(`请求过于频繁（err_no: ${errNo}，err_msg: ${errMsg}）`, details);
+    }
+    return null;
+};
+
+/**
+ * 把任意错误归类为 RequestError（已归类的错误原样返回）
+ * @param {Error} error - got 或其他代码抛出的错误
+ * @returns {RequestError} 归类后的错误
+ */
+export const classifyError = (error) => {
+    if (error instanceof RequestError) {
+        return error;
+    }
+
+    const cause = error;
+    const statusCode = error?.response?.statusCode ?? null;
+
+    if (error?.name === "AbortError" || error?.code === "ERR_ABORTED") {
+        return new CancelledError(`请求已取消: ${error.message}`, { cause });
+    }
+
+    if (error?.name === "TimeoutError" || error?.code === "ETIMEDOUT") {
+        return new TimeoutError(`请求超时: ${error.message}`, { cause });
+    }
+
+    if (error?.name === "HTTPError" && statusCode) {
+        const message = `HTTP ${statusCode}: ${error.message}`;
+        if (statusCode === 429) {
+            return new RateLimitError(message, {
+                statusCode,
+                retryAfter: parseRetryAfter(error.response.headers?.["retry-after"]),
+                cause,
+            });
+        }
+        if (statusCode === 401) {
+            return new AuthError(message, { statusCode, cause });
+        }
+        if (statusCode === 403) {
+            return new ForbiddenError(message, { statusCode, cause });
+        }
+        if (statusCode >= 500) {
+            return new ServerError(message, { statusCode, cause });
+        }
+        return new RequestError(message, { statusCode, cause });
+    }
+
+    if (error?.name === "ParseError" || error instanceof SyntaxError) {
+        return new SchemaError(`响应无法解析: ${error.message}`, { statusCode, cause });
+    }
+
+    if (NETWORK_ERROR_CODES.has(error?.code) || error?.name === "RequestError") {
+        return new NetworkError(`网络错误: ${error.message}`, { cause });
+    }
+
+    return new RequestError(error?.message ?? String(error), { cause });
+};
+
+/**
+ * 获取错误类别
+ * @param {Error} error - 错误
+ * @returns {string} 类别（network、timeout、server、rate-limit、auth、forbidden、schema、invalid-image、cancelled 或 unknown）
+ */
+export const getErrorKind = (error) => classifyError(error).kind;
+
+/**
+ * 按类别累加错误数量（用于批量任务的汇总）
+ * @param {object} counts - 已有统计 { kind: 数量 }
+ * @param {string|object} kinds - 错误类别，或另一份统计
+ * @returns {object} counts 本身
+ */
+export const addErrorKinds = (counts, kinds) => {
+    const entries = typeof kinds === "string" ? [[kinds, 1]] : Object.entries(kinds || {});
+    for (const [kind, count] of entries) {
+        counts[kind] = (counts[kind] || 0) + count;
+    }
+    return counts;
+};
+
+/**
+ * 格式化错误类别统计，例如 "network 2, schema 1"
+ * @param {object} counts - 统计 { kind: 数量 }
+ * @returns {string} 文本
+ */
+export const formatErrorKinds = (counts) => {
+    return Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([kind, count]) => `${kind} ${count}`)
+        .join(", ");
+};
@@ -0,0 +1,116 @@
+/**
+ * 站内搜索
+ * 索引由导出时生成的 search-index.js 提供（window.SEARCH_INDEX），不需要服务器，可直接通过 file:// 打开
+ */
+(function () {
+    var input = document.getElementById("search-input");
+    var results = document.getElementById("search-results");
+    var toc = document.getElementById("toc");
+    var index = window.SEARCH_INDEX || [];
+
+    // 摘要长度（匹配位置前后各取一半）
+    var SNIPPET_LENGTH = 80;
+
+    // 把文本中的关键字包裹在 <mark> 中
+    var appendHighlighted = function (parent, text, terms) {
+        var lower = text.toLowerCase();
+        var pos = 0;
+        while (pos < text.length) {
+            var next = -1;
+            var length = 0;
+            for (var i = 0; i < terms.length; i++) {
+                var found = lower.indexOf(terms[i], pos);
+                if (found !== -1 && (next === -1 || found < next)) {
+                    next = found;
+                    length = terms[i].length;
+                }
+            }
+            if (next === -1) {
+                parent.appendChild(document.createTextNode(text.slice(pos)));
+                return;
+            }
+            parent.appendChild(document.createTextNode(text.slice(pos, next)));
+            var mark = document.createElement("mark");
+            mark.textContent = text.slice(next, next + length);
+            parent.appendChild(mark);
+            pos = next + length;
+        }
+    };
+
+    // 截取第一个关键字附近的文本
+    var getSnippet = function (text, terms) {
+        var lower = text.toLowerCase();
+        var pos = lower.indexOf(terms[0]);
+        var start = Math.max(0, pos - SNIPPET_LENGTH / 2);
+        var snippet = text.slice(start, start + SNIPPET_LENGTH);
+        return (start > 0 ? "…" : "") + snippet + (start + SNIPPET_LENGTH < text.length ? "…" : "");
+    };
+
+    var search = function (query) {
+        var terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        var matches = [];
+
+        index.forEach(function (entry) {
+            var title = entry.title.toLowerCase();
+            var text = entry.text.toLowerCase();
+            var score = 0;
+            for (var i = 0; i < terms.length; i++) {
+                var inTitle = title.indexOf(terms[i]) !== -1;
+                var inText = text.indexOf(terms[i]) !== -1;
+                // 所有关键字都要出现
+                if (!inTitle && !inText) {
+                    return;
+                }
+                score += inTitle ? 10 : 1;
+            }
+            matches.push({ entry: entry, score: score });
+        });
+
+        matches.sort(function (a, b) {
+            return b.score - a.score || a.entry.index - b.entry.index;
+        });
+
+        return { terms: terms, matches: matches };
+    };
+
+    var render = function (query) {
+        results.textContent = "";
+        if (!query) {
+            results.hidden = true;
+            toc.hidden = false;
+            return;
+        }
+
+        var result = search(query);
+        results.hidden = false;
+        toc.hidden = true;
+
+        if (result.matches.length === 0) {
+            var empty = document.createElement("li");
+            empty.className = "search-empty";
+            empty.textContent = "没有找到相关章节";
+            results.appendChild(empty);
+            return;
+        }
+
+        result.matches.forEach(function (match) {
+            var item = document.createElement("li");
+            item.className = "search-result";
+            var link = document.createElement("a");
+            link.href = match.entry.href;
+            appendHighlighted(link, match.entry.title, result.terms);
+            item.appendChild(link);
+
+            if (match.entry.text.toLowerCase().indexOf(result.terms[0]) !== -1) {
+                var snippet = document.createElement("p");
+                appendHighlighted(snippet, getSnippet(match.entry.text, result.terms), result.terms);
+                item.appendChild(snippet);
+            }
+            results.appendChild(item);
+        });
+    };
+
+    input.addEventListener("input", function () {
+        render(input.value.trim());
+    });
+})();
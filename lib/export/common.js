@@ -0,0 +1,214 @@
+/**
+ * 导出公共工具
+ * 章节排序、图片映射读取、Markdown 渲染等各导出格式共用的逻辑
+ */
+
+import fs from "fs";
+import path from "path";
+import { marked } from "marked";
+import { parseDocument, DomUtils } from "htmlparser2";
+import render from "dom-serializer";
+import { stripFrontMatter } from "../front-matter.js";
+import { config } from "../config.js";
+import { getImageStoreDir, getOutputDir, parseSectionFileName } from "../layout.js";
+
+// 图片扩展名 -> MIME 类型
+const IMAGE_MEDIA_TYPES = {
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".webp": "image/webp",
+    ".svg": "image/svg+xml",
+    ".bmp": "image/bmp",
+};
+
+/**
+ * 根据文件名获取图片 MIME 类型
+ * @param {string} fileName - 文件名
+ * @returns {string|null} MIME 类型，无法识别时返回 null
+ */
+export const getImageMediaType = (fileName) => {
+    return IMAGE_MEDIA_TYPES[path.extname(fileName).toLowerCase()] || null;
+};
+
+/**
+ * 列出目录下的章节，按章节序号排序
+ * （文件名按章节文件名模板解析；不依赖 readdir 的顺序，否则 10. 会排在 2. 前面）
+ * @param {string} dir - 小册目录
+ * @returns {Array<{file: string, filePath: string, index: number, title: string}>} 章节列表
+ */
+export const listChapters = (dir) => {
+    return fs.readdirSync(dir)
+        .map((file) => {
+            const chapter = parseSectionFileName(file);
+            if (!chapter) {
+                return null;
+            }
+            return { file, filePath: path.join(dir, file), ...chapter };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.index - b.index);
+};
+
+/**
+ * 读取章节正文（去掉 front matter）
+ * @param {string} filePath - 章节文件路径
+ * @returns {string} Markdown 正文
+ */
+export const readChapter = (filePath) => stripFrontMatter(fs.readFileSync(filePath, "utf-8"));
+
+/**
+ * 读取处理后目录的 mapping.json，返回 原始 URL -> 本地相对路径
+ * @param {string} dir - 处理后的小册目录
+ * @returns {Map<string, string>} 图片映射
+ */
+export const loadImageMapping = (dir) => {
+    const mappingPath = path.join(dir, "mapping.json");
+    const urlToLocal = new Map();
+
+    if (!fs.existsSync(mappingPath)) {
+        return urlToLocal;
+    }
+
+    const mapping = JSON.parse(fs.readFileSync(mappingPath, "utf-8"));
+    for (const [key, info] of Object.entries(mapping)) {
+        // 排除元数据字段
+        if (key.startsWith("_") || !info.originalUrl) {
+            continue;
+        }
+        urlToLocal.set(info.originalUrl, info.localPath);
+    }
+
+    return urlToLocal;
+};
+
+// 判断是否为远程地址（包括 // 开头的协议相对地址）
+export const isRemoteUrl = (url) => /^(https?:)?\/\//i.test(url);
+
+// 解码 URL 中的中文等字符，格式错误时原样返回
+export const safeDecodeUri = (url) => {
+    try {
+        return decodeURI(url);
+    } catch (error) {
+        return url;
+    }
+};
+
+/**
+ * 解析章节中的图片地址，找到可以打包的本地图片
+ * 处理图片时下载失败的链接仍是远程地址，mapping.json 中有本地文件时使用本地文件；
+ * 图片库以 relative 方式引用的图片（小册目录外）打包为 images/<哈希>.<扩展名>
+ * @param {string} src - 图片地址
+ * @param {object} context - 上下文
+ * @param {string} context.bookDir - 处理后的小册目录
+ * @param {Map<string, string>} context.urlToLocal - 图片映射（loadImageMapping 的返回值）
+ * @returns {{src: string, localPath: string|null, absolutePath: string|null, mediaType: string|null}}
+ *          解析后的地址；localPath 为 null 表示无法使用本地文件
+ */
+export const resolveImage = (src, { bookDir, urlToLocal }) => {
+    let resolved = (src || "").trim();
+    if (isRemoteUrl(resolved) && urlToLocal.has(resolved)) {
+        resolved = urlToLocal.get(resolved);
+    }
+
+    const result = { src: resolved, localPath: null, absolutePath: null, mediaType: null };
+    if (isRemoteUrl(resolved)) {
+        return result;
+    }
+
+    // 只接受小册目录内的已知格式图片
+    const localPath = path.posix.normalize(safeDecodeUri(resolved));
+    const mediaType = getImageMediaType(localPath);
+    const absolutePath = path.join(bookDir, localPath);
+    if (path.isAbsolute(localPath) || !mediaType || !fs.existsSync(absolutePath)) {
+        return result;
+    }
+    if (localPath.startsWith("..")) {
+        const storePath = path.relative(getImageStoreDir(), absolutePath);
+        if (storePath.startsWith("..") || path.isAbsolute(storePath)) {
+            return result;
+        }
+        return { src: resolved, localPath: `${config.downloads.imagesDirName}/${path.basename(absolutePath)}`, absolutePath, mediaType };
+    }
+
+    return { src: resolved, localPath, absolutePath, mediaType };
+};
+
+/**
+ * 解析导出的小册目录：可以是路径，也可以是处理后目录下的小册名
+ * @param {string} book - 小册目录或名称
+ * @returns {string} 小册目录
+ */
+export const resolveBookDir = (book) => {
+    if (fs.existsSync(book) && fs.statSync(book).isDirectory()) {
+        return book;
+    }
+
+    const bookDir = path.join(getOutputDir(), book);
+    if (!fs.existsSync(bookDir)) {
+        throw new Error(`找不到小册目录: ${book}`);
+    }
+    return bookDir;
+};
+
+/** 转义 XML 特殊字符 */
+export const escapeXml = (text) => {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+};
+
+/**
+ * 将 Markdown 渲染为 HTML 片段
+ * @param {string} markdown - Markdown 内容
+ * @returns {string} HTML
+ */
+export const renderMarkdown = (markdown) => {
+    return marked.parse(markdown, { async: false, gfm: true });
+};
+
+/**
+ * 解析 HTML 片段为 DOM，便于改写图片等节点
+ * @param {string} html - HTML 片段
+ * @returns {object} DOM 文档
+ */
+export const parseHtml = (html) => parseDocument(html);
+
+/**
+ * 查找 DOM 中的所有指定标签
+ * @param {object} document - DOM 文档
+ * @param {string} tagName - 标签名
+ * @returns {Array} 元素列表
+ */
+export const findElements = (document, tagName) => {
+    return DomUtils.findAll(element => element.name === tagName, document.children);
+};
+
+/**
+ * 将 DOM 序列化为 HTML
+ * @param {object} document - DOM 文档
+ * @returns {string} HTML 片段
+ */
+export const serializeHtml = (document) => {
+    return render(document, { encodeEntities: "utf8" });
+};
+
+/**
+ * 获取 DOM 节点的纯文本
+ * @param {object} node - DOM 节点或文档
+ * @returns {string} 文本
+ */
+export const getTextContent = (node) => DomUtils.textContent(node);
+
+/**
+ * 将 DOM 序列化为 XHTML（自闭合标签、属性加引号，非 ASCII 字符输出为数字实体）
+ * @param {object} document - DOM 文档
+ * @returns {string} XHTML 片段
+ */
+export const serializeXhtml = (document) => {
+    return render(document, { xmlMode: true, selfClosingTags: true });
+};
@@ -0,0 +1,236 @@
+/**
+ * EPUB 3 导出
+ * 把处理后的小册目录（图片已本地化）打包为 EPUB，兼容只认 EPUB 2 目录的阅读器（附带 toc.ncx）
+ */
+
+import fs from "fs";
+import JSZip from "jszip";
+import { parseDocument, DomUtils } from "htmlparser2";
+import {
+    listChapters,
+    readChapter,
+    loadImageMapping,
+    isRemoteUrl,
+    resolveImage,
+    escapeXml,
+    renderMarkdown,
+    parseHtml,
+    findElements,
+    serializeXhtml,
+} from "./common.js";
+
+export const EPUB_MIMETYPE = "application/epub+zip";
+
+// 包内目录
+const CONTENT_DIR = "OEBPS";
+
+const STYLESHEET = `body { font-family: sans-serif; line-height: 1.6; }
+img { max-width: 100%; }
+pre { white-space: pre-wrap; word-wrap: break-word; background: #f6f8fa; padding: 0.5em; }
+code { font-family: monospace; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ccc; padding: 0.2em 0.5em; }
+`;
+
+const CONTAINER_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="${CONTENT_DIR}/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+// 生成 XHTML 页面
+const xhtmlPage = (title, body, language) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language}" lang="${language}">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="styles.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+/**
+ * 改写章节中的图片：本地图片收集进包内，无法嵌入的图片替换为链接或替代文本
+ * @param {object} document - 章节 DOM
+ * @param {object} context - 小册目录、图片映射和已收集的图片
+ */
+const embedImages = (document, { bookDir, urlToLocal, images }) => {
+    for (const img of findElements(document, "img")) {
+        const alt = img.attribs.alt || "";
+        const { src, localPath, absolutePath, mediaType } = resolveImage(img.attribs.src, { bookDir, urlToLocal });
+
+        if (localPath) {
+            if (!images.has(localPath)) {
+                images.set(localPath, {
+                    id: `img-${images.size + 1}`,
+                    href: localPath,
+                    absolutePath,
+                    mediaType,
+                });
+            }
+            img.attribs.src = encodeURI(localPath);
+            img.attribs.alt = alt;
+            continue;
+        }
+
+        // 无法嵌入：远程图片保留为链接，缺失的本地图片只保留替代文本
+        const replacement = isRemoteUrl(src)
+            ? `<a href="${escapeXml(src.startsWith("//") ? `https:${src}` : src)}">${escapeXml(alt || "图片")}</a>`
+            : `<span>${escapeXml(alt)}</span>`;
+        DomUtils.replaceElement(img, parseDocument(replacement).children[0]);
+    }
+};
+
+// 生成 content.opf
+const buildPackageDocument = ({ metadata, chapters, images, cover }) => {
+    const modified = new Date().toISOString().replace(/\.\d{3}Z$/, "Z");
+
+    const manifestItems = [
+        `<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>`,
+        `<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>`,
+        `<item id="css" href="styles.css" media-type="text/css"/>`,
+    ];
+    const spineItems = [];
+
+    if (cover) {
+        manifestItems.push(`<item id="cover-image" href="${cover.href}" media-type="${cover.mediaType}" properties="cover-image"/>`);
+        manifestItems.push(`<item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>`);
+        spineItems.push(`<itemref idref="cover" linear="no"/>`);
+    }
+
+    for (const chapter of chapters) {
+        manifestItems.push(`<item id="${chapter.id}" href="${chapter.href}" media-type="application/xhtml+xml"/>`);
+        spineItems.push(`<itemref idref="${chapter.id}"/>`);
+    }
+
+    for (const image of images.values()) {
+        manifestItems.push(`<item id="${image.id}" href="${escapeXml(encodeURI(image.href))}" media-type="${image.mediaType}"/>`);
+    }
+
+    const optionalMetadata = [
+        metadata.author ? `<dc:creator>${escapeXml(metadata.author)}</dc:creator>` : "",
+        metadata.summary ? `<dc:description>${escapeXml(metadata.summary)}</dc:description>` : "",
+        metadata.publisher ? `<dc:publisher>${escapeXml(metadata.publisher)}</dc:publisher>` : "",
+        cover ? `<meta name="cover" content="cover-image"/>` : "",
+    ].filter(Boolean);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${metadata.language}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${escapeXml(metadata.identifier)}</dc:identifier>
+    <dc:title>${escapeXml(metadata.title)}</dc:title>
+    <dc:language>${metadata.language}</dc:language>
+    <meta property="dcterms:modified">${modified}</meta>
+    ${optionalMetadata.join("\n    ")}
+  </metadata>
+  <manifest>
+    ${manifestItems.join("\n    ")}
+  </manifest>
+  <spine toc="ncx">
+    ${spineItems.join("\n    ")}
+  </spine>
+</package>
+`;
+};
+
+// 生成 nav.xhtml（EPUB 3 目录）
+const buildNavDocument = ({ metadata, chapters }) => {
+    const items = chapters
+        .map(chapter => `      <li><a href="${chapter.href}">${escapeXml(chapter.title)}</a></li>`)
+        .join("\n");
+
+    return xhtmlPage(metadata.title, `<nav epub:type="toc" id="toc">
+  <h1>目录</h1>
+  <ol>
+${items}
+  </ol>
+</nav>`, metadata.language);
+};
+
+// 生成 toc.ncx（EPUB 2 目录）
+const buildNcxDocument = ({ metadata, chapters }) => {
+    const navPoints = chapters
+        .map((chapter, i) => `    <navPoint id="nav-${i + 1}" playOrder="${i + 1}">
+      <navLabel><text>${escapeXml(chapter.title)}</text></navLabel>
+      <content src="${chapter.href}"/>
+    </navPoint>`)
+        .join("\n");
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head>
+    <meta name="dtb:uid" content="${escapeXml(metadata.identifier)}"/>
+  </head>
+  <docTitle><text>${escapeXml(metadata.title)}</text></docTitle>
+  <navMap>
+${navPoints}
+  </navMap>
+</ncx>
+`;
+};
+
+/**
+ * 生成 EPUB
+ * @param {object} options - 选项
+ * @param {string} options.bookDir - 处理后的小册目录
+ * @param {object} options.metadata - 元数据 { identifier, title, author, summary, publisher, language }
+ * @param {object} options.cover - 封面 { data: Buffer, mediaType, extension }，没有封面时为 null
+ * @returns {Promise<{buffer: Buffer, chapterCount: number, imageCount: number}>} EPUB 内容和统计
+ */
+export const buildEpub = async ({ bookDir, metadata, cover = null }) => {
+    const chapterFiles = listChapters(bookDir);
+    if (chapterFiles.length === 0) {
+        throw new Error(`${bookDir} 中没有找到章节`);
+    }
+
+    const meta = { language: "zh-CN", ...metadata };
+    const urlToLocal = loadImageMapping(bookDir);
+    const images = new Map();
+    const zip = new JSZip();
+
+    // mimetype 必须是第一个文件，且不压缩
+    zip.file("mimetype", EPUB_MIMETYPE, { compression: "STORE" });
+    zip.file("META-INF/container.xml", CONTAINER_XML);
+
+    const chapters = chapterFiles.map((chapter, i) => {
+        const number = String(i + 1).padStart(3, "0");
+        const document = parseHtml(renderMarkdown(readChapter(chapter.filePath)));
+        embedImages(document, { bookDir, urlToLocal, images });
+
+        const href = `chapter-${number}.xhtml`;
+        const body = `<section epub:type="chapter" id="chapter-${number}">\n${serializeXhtml(document)}\n</section>`;
+        zip.file(`${CONTENT_DIR}/${href}`, xhtmlPage(chapter.title, body, meta.language));
+
+        return { id: `chapter-${number}`, href, title: chapter.title };
+    });
+
+    for (const image of images.values()) {
+        zip.file(`${CONTENT_DIR}/${image.href}`, fs.readFileSync(image.absolutePath));
+    }
+
+    let coverItem = null;
+    if (cover) {
+        coverItem = { href: `cover${cover.extension}`, mediaType: cover.mediaType };
+        zip.file(`${CONTENT_DIR}/${coverItem.href}`, cover.data);
+        zip.file(`${CONTENT_DIR}/cover.xhtml`, xhtmlPage(meta.title, `<section epub:type="cover"><img src="${coverItem.href}" alt="${escapeXml(meta.title)}"/></section>`, meta.language));
+    }
+
+    zip.file(`${CONTENT_DIR}/styles.css`, STYLESHEET);
+    zip.file(`${CONTENT_DIR}/nav.xhtml`, buildNavDocument({ metadata: meta, chapters }));
+    zip.file(`${CONTENT_DIR}/toc.ncx`, buildNcxDocument({ metadata: meta, chapters }));
+    zip.file(`${CONTENT_DIR}/content.opf`, buildPackageDocument({ metadata: meta, chapters, images, cover: coverItem }));
+
+    const buffer = await zip.generateAsync({
+        type: "nodebuffer",
+        mimeType: EPUB_MIMETYPE,
+        compression: "DEFLATE",
+    });
+
+    return { buffer, chapterCount: chapters.length, imageCount: images.size };
+};
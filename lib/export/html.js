@@ -0,0 +1,283 @@
+/**
+ * 静态 HTML 站点导出
+ * 把处理后的小册目录（图片已本地化）渲染为静态页面：侧边栏目录、上一章/下一章导航、代码高亮和站内搜索
+ * 搜索索引以脚本形式预先生成，站点不依赖服务器，可以直接通过 file:// 打开或打包分享
+ */
+
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import { fileURLToPath } from "url";
+import fse from "fs-extra";
+import hljs from "highlight.js";
+import { parseDocument, DomUtils } from "htmlparser2";
+import {
+    listChapters,
+    readChapter,
+    loadImageMapping,
+    isRemoteUrl,
+    resolveImage,
+    escapeXml,
+    renderMarkdown,
+    parseHtml,
+    findElements,
+    serializeHtml,
+    getTextContent,
+} from "./common.js";
+
+const require = createRequire(import.meta.url);
+
+// 站点静态资源（样式和搜索脚本）
+const ASSETS_DIR = fileURLToPath(new URL("./assets", import.meta.url));
+
+// 代码高亮主题
+const HIGHLIGHT_THEME = require.resolve("highlight.js/styles/github.css");
+
+export const SEARCH_INDEX_FILE = "search-index.js";
+
+// 站点目录中的标记文件：重新导出时只替换带有该标记的目录，不会删除其他同名目录
+export const SITE_MARKER_FILE = ".juejin-site";
+
+// 章节页面文件名
+const getChapterHref = (i) => `chapter-${String(i + 1).padStart(3, "0")}.html`;
+
+// 生成侧边栏目录
+const renderToc = (chapters, currentHref) => {
+    const items = chapters
+        .map(chapter => {
+            const active = chapter.href === currentHref ? " class=\"active\"" : "";
+            return `      <li${active}><a href="${chapter.href}">${escapeXml(chapter.title)}</a></li>`;
+        })
+        .join("\n");
+
+    return `<ol id="toc">
+${items}
+    </ol>`;
+};
+
+// 生成页面
+const htmlPage = ({ title, bookTitle, chapters, currentHref = null, content }) => `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" href="assets/highlight.css">
+  <link rel="stylesheet" href="assets/site.css">
+</head>
+<body>
+  <nav class="sidebar">
+    <a class="book-title" href="index.html">${escapeXml(bookTitle)}</a>
+    <input id="search-input" type="search" placeholder="搜索章节" autocomplete="off">
+    <ul id="search-results" hidden></ul>
+    ${renderToc(chapters, currentHref)}
+  </nav>
+  <main class="content">
+${content}
+  </main>
+  <script src="${SEARCH_INDEX_FILE}"></script>
+  <script src="assets/search.js"></script>
+</body>
+</html>
+`;
+
+// 生成上一章/下一章导航
+const renderPager = (prev, next) => {
+    const prevLink = prev ? `<a class="prev" href="${prev.href}">← ${escapeXml(prev.title)}</a>` : "<span></span>";
+    const nextLink = next ? `<a class="next" href="${next.href}">${escapeXml(next.title)} →</a>` : "<span></span>";
+    return `<nav class="pager">${prevLink}${nextLink}</nav>`;
+};
+
+// 替换元素的子节点
+const replaceChildren = (element, html) => {
+    for (const child of [...element.children]) {
+        DomUtils.removeElement(child);
+    }
+    for (const child of [...parseDocument(html).children]) {
+        DomUtils.appendChild(element, child);
+    }
+};
+
+/**
+ * 高亮代码块（导出时完成，页面不需要加载高亮脚本）
+ * 只处理标注了语言且 highlight.js 支持的代码块，其余保持原样
+ * @param {object} document - 章节 DOM
+ */
+const highlightCode = (document) => {
+    for (const code of findElements(document, "code")) {
+        if (code.parent?.name !== "pre") {
+            continue;
+        }
+
+        code.attribs.class = `${code.attribs.class || ""} hljs`.trim();
+        const language = (code.attribs.class.match(/language-([\w+#-]+)/) || [])[1];
+        if (!language || !hljs.getLanguage(language)) {
+            continue;
+        }
+
+        const { value } = hljs.highlight(getTextContent(code), { language, ignoreIllegals: true });
+        replaceChildren(code, value);
+    }
+};
+
+/**
+ * 改写章节中的图片：本地图片复制到站点目录，缺失的本地图片只保留替代文本
+ * 无法本地化的远程图片保留原地址，联网时仍可显示
+ * @param {object} document - 章节 DOM
+ * @param {object} context - 小册目录、站点目录、图片映射和已复制的图片
+ */
+const copyImages = (document, { bookDir, outDir, urlToLocal, images }) => {
+    for (const img of findElements(document, "img")) {
+        const { src, localPath, absolutePath } = resolveImage(img.attribs.src, { bookDir, urlToLocal });
+
+        if (localPath) {
+            if (!images.has(localPath)) {
+                // 图片库以符号链接引用的图片复制实际文件
+                fse.copySync(absolutePath, path.join(outDir, localPath), { dereference: true });
+                images.add(localPath);
+            }
+            img.attribs.src = encodeURI(localPath);
+            img.attribs.loading = "lazy";
+            continue;
+        }
+
+        if (isRemoteUrl(src)) {
+            img.attribs.src = src;
+            continue;
+        }
+
+        DomUtils.replaceElement(img, parseDocument(`<span>${escapeXml(img.attribs.alt || "")}</span>`).children[0]);
+    }
+};
+
+// 提取用于搜索的纯文本
+const getSearchText = (document) => getTextContent(document).replace(/\s+/g, " ").trim();
+
+// 生成首页
+const renderIndexContent = ({ metadata, chapters, coverHref }) => {
+    const info = [
+        metadata.author ? `<p>作者：${escapeXml(metadata.author)}</p>` : "",
+        metadata.summary ? `<p>${escapeXml(metadata.summary)}</p>` : "",
+        chapters.length > 0 ? `<p><a href="${chapters[0].href}">开始阅读 →</a></p>` : "",
+    ].filter(Boolean).join("\n      ");
+    const cover = coverHref ? `<img src="${coverHref}" alt="${escapeXml(metadata.title)}">` : "";
+    const items = chapters
+        .map(chapter => `      <li><a href="${chapter.href}">${escapeXml(chapter.title)}</a></li>`)
+        .join("\n");
+
+    return `<h1>${escapeXml(metadata.title)}</h1>
+    <div class="book-info">
+      ${cover}
+      <div>
+      ${info}
+      </div>
+    </div>
+    <h2>目录</h2>
+    <ol>
+${items}
+    </ol>`;
+};
+
+// 检查站点目录：不能是小册目录本身或包含小册目录；已存在时必须是之前导出的站点（或空目录）
+const checkSiteDir = (bookDir, outDir) => {
+    const relative = path.relative(path.resolve(outDir), path.resolve(bookDir));
+    if (relative === "" || (!relative.startsWith("..") && !path.isAbsolute(relative))) {
+        throw new Error(`站点目录 ${outDir} 与小册目录 ${bookDir} 相同或包含小册目录，请指定其他导出目录`);
+    }
+    if (fs.existsSync(outDir) && !fs.existsSync(path.join(outDir, SITE_MARKER_FILE)) && fs.readdirSync(outDir).length > 0) {
+        throw new Error(`${outDir} 已存在且不是导出的站点，不会覆盖`);
+    }
+};
+
+// 把站点写入 outDir（空目录）
+const writeSite = ({ bookDir, outDir, metadata, cover, chapterFiles }) => {
+    const urlToLocal = loadImageMapping(bookDir);
+    const images = new Set();
+
+    fse.ensureDirSync(outDir);
+    fse.copySync(ASSETS_DIR, path.join(outDir, "assets"));
+    fse.copySync(HIGHLIGHT_THEME, path.join(outDir, "assets", "highlight.css"));
+
+    // 先渲染所有章节，生成页面时需要完整的目录
+    const chapters = chapterFiles.map((chapter, i) => {
+        const document = parseHtml(renderMarkdown(readChapter(chapter.filePath)));
+        highlightCode(document);
+        copyImages(document, { bookDir, outDir, urlToLocal, images });
+
+        return {
+            index: chapter.index,
+            title: chapter.title,
+            href: getChapterHref(i),
+            html: serializeHtml(document),
+            text: getSearchText(document),
+        };
+    });
+
+    chapters.forEach((chapter, i) => {
+        const content = `<article>
+${chapter.html}
+</article>
+${renderPager(chapters[i - 1], chapters[i + 1])}`;
+        fs.writeFileSync(path.join(outDir, chapter.href), htmlPage({
+            title: `${chapter.title} - ${metadata.title}`,
+            bookTitle: metadata.title,
+            chapters,
+            currentHref: chapter.href,
+            content,
+        }));
+    });
+
+    let coverHref = null;
+    if (cover) {
+        coverHref = `assets/cover${cover.extension}`;
+        fs.writeFileSync(path.join(outDir, coverHref), cover.data);
+    }
+
+    fs.writeFileSync(path.join(outDir, "index.html"), htmlPage({
+        title: metadata.title,
+        bookTitle: metadata.title,
+        chapters,
+        content: renderIndexContent({ metadata, chapters, coverHref }),
+    }));
+
+    // 用脚本而不是 JSON 文件保存索引：file:// 下无法 fetch 本地文件
+    const searchIndex = chapters.map(({ index, title, href, text }) => ({ index, title, href, text }));
+    fs.writeFileSync(
+        path.join(outDir, SEARCH_INDEX_FILE),
+        `window.SEARCH_INDEX = ${JSON.stringify(searchIndex).replace(/</g, "\\u003c")};\n`,
+    );
+    fs.writeFileSync(path.join(outDir, SITE_MARKER_FILE), "");
+
+    return { chapterCount: chapters.length, imageCount: images.size };
+};
+
+/**
+ * 生成静态站点
+ * 先在临时目录中生成，完成后替换站点目录；站点目录与小册目录相同、包含小册目录，
+ * 或者已存在但不是之前导出的站点时拒绝导出
+ * @param {object} options - 选项
+ * @param {string} options.bookDir - 处理后的小册目录
+ * @param {string} options.outDir - 站点目录（之前导出的站点会被替换）
+ * @param {object} options.metadata - 元数据 { title, author, summary }
+ * @param {object} options.cover - 封面 { data: Buffer, mediaType, extension }，没有封面时为 null
+ * @returns {Promise<{chapterCount: number, imageCount: number}>} 统计
+ */
+export const buildSite = async ({ bookDir, outDir, metadata, cover = null }) => {
+    checkSiteDir(bookDir, outDir);
+    const chapterFiles = listChapters(bookDir);
+    if (chapterFiles.length === 0) {
+        throw new Error(`${bookDir} 中没有找到章节`);
+    }
+
+    const buildDir = `${path.resolve(outDir)}.${process.pid}.tmp`;
+    fse.removeSync(buildDir);
+    try {
+        const stats = writeSite({ bookDir, outDir: buildDir, metadata, cover, chapterFiles });
+        fse.removeSync(outDir);
+        fs.renameSync(buildDir, outDir);
+        return stats;
+    } catch (error) {
+        fse.removeSync(buildDir);
+        throw error;
+    }
+};
@@ -0,0 +1,191 @@
+/**
+ * 合并导出 Markdown
+ * 把小册的所有章节按序号合并为一个 Markdown 文件：开头生成目录，章节标题统一为二级标题，
+ * 章节内的标题依次下移；每个标题前插入带章节前缀的锚点，保证合并后锚点唯一
+ * 图片地址由 markdown-images 解析和替换，标题由 marked 的词法分析得到（包括 setext 标题），代码中的内容不处理
+ */
+
+import path from "path";
+import { Lexer } from "marked";
+import { listChapters, readChapter, isRemoteUrl, safeDecodeUri } from "./common.js";
+import { extractImageRefs, replaceImageRefs } from "../markdown-images.js";
+
+// 代码围栏开始/结束
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+
+// 章节标题级别，合并文件的一级标题留给书名
+const CHAPTER_HEADING_LEVEL = 2;
+
+/**
+ * 生成标题锚点（与 GitHub 的规则基本一致：小写、去掉标点、空格换成 -）
+ * @param {string} text - 标题文本
+ * @returns {string} 锚点
+ */
+export const slugify = (text) => {
+    return text
+        .trim()
+        .toLowerCase()
+        .replace(/<[^>]+>/g, "")
+        .replace(/[^\p{L}\p{N}\s_-]/gu, "")
+        .replace(/\s+/g, "-");
+};
+
+/**
+ * 按行遍历 Markdown，跳过代码块中的行
+ * @param {string} content - Markdown 内容
+ * @param {Function} mapLine - (line) => 新的行（可以是多行）
+ * @returns {string} 处理后的内容
+ */
+const mapLinesOutsideFences = (content, mapLine) => {
+    let fence = null;
+
+    return content.split("\n").map((line) => {
+        const fenceMatch = line.match(FENCE_PATTERN);
+        if (fence) {
+            // 结束围栏需要相同字符且长度不小于开始围栏
+            if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length
+                && line.trim() === fenceMatch[1].trim()) {
+                fence = null;
+            }
+            return line;
+        }
+        if (fenceMatch) {
+            fence = fenceMatch[1];
+            return line;
+        }
+        return mapLine(line);
+    }).join("\n");
+};
+
+// 收集章节中的顶层标题（ATX 和 setext），返回级别、文本和原文在 content 中的位置
+const collectHeadings = (content) => {
+    const headings = [];
+    let cursor = 0;
+    for (const token of Lexer.lex(content)) {
+        // 顶层 token 的 raw 与原文一致，按顺序查找即可定位（链接定义不生成 token）
+        const start = content.indexOf(token.raw, cursor);
+        if (start === -1) {
+            continue;
+        }
+        cursor = start + token.raw.length;
+        if (token.type === "heading") {
+            headings.push({ level: token.depth, text: token.text, start, end: cursor, raw: token.raw });
+        }
+    }
+    return headings;
+};
+
+// 去掉与章节标题相同的开头标题（合并时会统一生成章节标题）
+const stripLeadingTitle = (content, title) => {
+    const body = content.replace(/^\uFEFF/, "").replace(/\r\n|\r/g, "\n");
+    const [first] = collectHeadings(body);
+    if (first && body.slice(0, first.start).trim() === "" && first.text.trim() === title.trim()) {
+        return body.slice(first.end).trim();
+    }
+    return body.trim();
+};
+
+// 把图片的相对路径改写为相对于合并文件所在目录
+const rebaseImagePath = (src, { bookDir, outputDir }) => {
+    // 远程地址、data: 等带协议的地址、绝对路径和锚点保持不变
+    if (isRemoteUrl(src) || /^[a-z][a-z0-9+.-]*:/i.test(src) || src.startsWith("/") || src.startsWith("#")) {
+        return src;
+    }
+    const absolutePath = path.resolve(bookDir, safeDecodeUri(src));
+    return encodeURI(path.relative(outputDir, absolutePath).split(path.sep).join("/"));
+};
+
+/**
+ * 转换单个章节：下移标题级别、插入唯一锚点、改写章节内锚点链接和图片路径
+ * @param {object} chapter - 章节 { index, title, content }
+ * @param {object} options - 小册目录和合并文件所在目录
+ * @returns {{anchor: string, markdown: string}} 章节锚点和转换后的内容
+ */
+const transformChapter = ({ index, title, content }, { bookDir, outputDir }) => {
+    const anchor = `chapter-${index}`;
+    const body = stripLeadingTitle(content, title);
+
+    // 改写图片地址（Markdown、引用式图片的链接定义和 HTML 中的图片属性）
+    const rebased = replaceImageRefs(body, extractImageRefs(body, { local: true }), (ref) => {
+        const src = rebaseImagePath(ref.url, { bookDir, outputDir });
+        return src === ref.url ? null : src;
+    });
+
+    // 章节内最高级别的标题下移到章节标题的下一级
+    const headings = collectHeadings(rebased);
+    const minLevel = headings.length > 0 ? Math.min(...headings.map(heading => heading.level)) : 1;
+    const shift = CHAPTER_HEADING_LEVEL + 1 - minLevel;
+
+    // 章节内原有锚点 -> 合并后的锚点
+    const slugs = new Map();
+    const slugCounts = new Map();
+
+    let transformed = "";
+    let position = 0;
+    for (const heading of headings) {
+        // 与渲染器一致：同名标题依次追加 -1、-2
+        const baseSlug = slugify(heading.text);
+        const count = slugCounts.get(baseSlug) || 0;
+        slugCounts.set(baseSlug, count + 1);
+        const slug = count === 0 ? baseSlug : `${baseSlug}-${count}`;
+        const headingAnchor = `${anchor}-${slug || "heading"}`;
+        slugs.set(slug, headingAnchor);
+
+        // setext 标题统一改为 ATX 标题，保留标题后的换行
+        const level = Math.min(6, heading.level + shift);
+        const newlines = heading.raw.match(/\n*$/)[0];
+        transformed += rebased.slice(position, heading.start)
+            + `<a id="${headingAnchor}"></a>\n\n${"#".repeat(level)} ${heading.text}${newlines}`;
+        position = heading.end;
+    }
+    transformed += rebased.slice(position);
+
+    // 改写指向章节内标题的链接
+    transformed = mapLinesOutsideFences(transformed, (line) => {
+        return line.replace(/\]\(#([^)\s]+)\)/g, (full, slug) => {
+            const target = slugs.get(safeDecodeUri(slug));
+            return target ? `](#${target})` : full;
+        });
+    });
+
+    const heading = `<a id="${anchor}"></a>\n\n${"#".repeat(CHAPTER_HEADING_LEVEL)} ${title}`;
+    return { anchor, markdown: transformed ? `${heading}\n\n${transformed}` : heading };
+};
+
+/**
+ * 合并小册的所有章节
+ * @param {object} options - 选项
+ * @param {string} options.bookDir - 小册目录
+ * @param {string} options.outputDir - 合并文件所在目录（用于改写图片的相对路径）
+ * @param {object} options.metadata - 元数据 { title, author, summary }
+ * @returns {{markdown: string, chapterCount: number}} 合并后的内容和章节数
+ */
+export const mergeMarkdown = ({ bookDir, outputDir, metadata }) => {
+    const chapterFiles = listChapters(bookDir);
+    if (chapterFiles.length === 0) {
+        throw new Error(`${bookDir} 中没有找到章节`);
+    }
+
+    const chapters = chapterFiles.map(chapter => ({
+        title: chapter.title,
+        ...transformChapter({
+            index: chapter.index,
+            title: chapter.title,
+            content: readChapter(chapter.filePath),
+        }, { bookDir, outputDir }),
+    }));
+
+    const header = [
+        `# ${metadata.title}`,
+        metadata.author ? `> 作者：${metadata.author}` : "",
+        metadata.summary || "",
+    ].filter(Boolean);
+
+    const toc = [
+        "## 目录",
+        chapters.map(chapter => `- [${chapter.title}](#${chapter.anchor})`).join("\n"),
+    ];
+
+    const markdown = [...header, ...toc, ...chapters.map(chapter => chapter.markdown)].join("\n\n");
+    return { markdown: `${markdown}\n`, chapterCount: chapters.length };
+};
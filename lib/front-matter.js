@@ -0,0 +1,104 @@
+/**
+ * 章节 YAML front matter
+ * 记录章节来源（小册、章节 ID、原文地址、下载时间等），供静态站点生成器、笔记软件等工具使用
+ * 内容比较和哈希都基于去掉 front matter 后的正文，开启或关闭 front matter 不会让章节被视为已更新
+ */
+
+import { calculateFileHash } from "../utils.js";
+
+// 文件开头的 front matter: ---\n...\n---\n
+const FRONT_MATTER_PATTERN = /^\uFEFF?---\r?\n((?:[\s\S]*?\r?\n)?)---[ \t]*(?:\r?\n|$)/;
+
+// 本工具生成的 front matter 一定包含的字段，用来和正文开头的分隔线（thematic break）区分
+const REQUIRED_KEYS = ["booklet_id", "section_id"];
+
+// 匹配本工具写入的 front matter，正文以 --- 开头时不会被误认
+const matchFrontMatter = (content) => {
+    const match = FRONT_MATTER_PATTERN.exec(content);
+    if (!match) {
+        return null;
+    }
+    const keys = new Set(match[1].split(/\r?\n/).map((line) => line.match(/^([\w-]+):/)?.[1]));
+    return REQUIRED_KEYS.every((key) => keys.has(key)) ? match : null;
+};
+
+// 章节状态 -> front matter 中的状态
+const SECTION_STATUS = {
+    0: "draft",
+    1: "finished",
+};
+
+// 序列化为 YAML 标量：字符串统一使用双引号（JSON 字符串也是合法的 YAML 双引号字符串）
+const toYamlValue = (value) => {
+    if (value === null || value === undefined) {
+        return "null";
+    }
+    if (typeof value === "number" || typeof value === "boolean") {
+        return String(value);
+    }
+    return JSON.stringify(String(value));
+};
+
+/**
+ * 判断内容是否带有本工具写入的 front matter
+ * @param {string} content - 文件内容
+ * @returns {boolean} 是否带有 front matter
+ */
+export const hasFrontMatter = (content) => matchFrontMatter(content) !== null;
+
+/**
+ * 去掉文件开头本工具写入的 front matter，返回正文
+ * @param {string} content - 文件内容
+ * @returns {string} 正文
+ */
+export const stripFrontMatter = (content) => {
+    const match = matchFrontMatter(content);
+    return match ? content.slice(match[0].length) : content;
+};
+
+/**
+ * 生成 front matter
+ * @param {object} fields - 字段（按插入顺序输出）
+ * @returns {string} front matter（以 --- 结尾并换行）
+ */
+export const buildFrontMatter = (fields) => {
+    const lines = Object.entries(fields).map(([key, value]) => `${key}: ${toYamlValue(value)}`);
+    return `---\n${lines.join("\n")}\n---\n`;
+};
+
+/**
+ * 生成章节的 front matter 字段
+ * @param {object} options - 选项
+ * @param {object} options.booklet - 小册信息（getBookInfo 返回的 booklet）
+ * @param {object} options.section - 章节（getBookInfo 返回的 sections 元素）
+ * @param {string} options.hash - 正文哈希
+ * @param {string} options.downloadedAt - 下载时间（ISO 格式）
+ * @returns {object} 字段
+ */
+export const getSectionFrontMatter = ({ booklet, section, hash, downloadedAt }) => ({
+    booklet_id: booklet.booklet_id,
+    booklet_title: booklet.base_info.title,
+    section_id: section.id,
+    index: section.index,
+    title: section.title,
+    url: `https://juejin.cn/book/${booklet.booklet_id}/section/${section.id}`,
+    author: booklet.user_info?.user_name ?? null,
+    downloaded_at: downloadedAt,
+    hash,
+    status: SECTION_STATUS[section.status] ?? String(section.status),
+});
+
+/**
+ * 在正文前加上 front matter（不额外插入空行，stripFrontMatter 可以还原出完全相同的正文）
+ * @param {string} body - 正文
+ * @param {object} fields - 字段
+ * @returns {string} 文件内容
+ */
+export const addFrontMatter = (body, fields) => `${buildFrontMatter(fields)}${body}`;
+
+/**
+ * 计算章节正文的哈希（忽略 front matter），用于内容更新检测
+ * @param {string} content - 文件内容
+ * @returns {string} 哈希值
+ */
+export const calculateContentHash = (content) => calculateFileHash(stripFrontMatter(content));
@@ -0,0 +1,115 @@
+/**
+ * 图片下载
+ * images 和 fix 命令共用一个全局下载队列；每个请求都经过限速和按错误类别的重试，
+ * 响应以流的方式写入临时文件后再改名，下载中断不会留下不完整的图片，也不会把整张图片读入内存；
+ * 改名前按内容识别图片格式并修正扩展名，不是图片的响应（HTML 错误页、JSON、空内容）按失败处理
+ */
+
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+import fse from "fs-extra";
+import got from "got";
+import { config } from "./config.js";
+import { DownloadQueue } from "./download-queue.js";
+import { fixImageExtension, inspectImageFile } from "./image-type.js";
+import { getRateLimiter } from "./rate-limit.js";
+import { requestWithRetry } from "./retry.js";
+
+let defaultQueue = null;
+
+/**
+ * 获取按当前配置创建的全局图片下载队列
+ * @returns {DownloadQueue} 下载队列
+ */
+export const getImageQueue = () => {
+    if (!defaultQueue) {
+        defaultQueue = new DownloadQueue({
+            concurrency: config.concurrency.maxConcurrent,
+            perHostConcurrency: config.concurrency.maxPerHost,
+        });
+    }
+    return defaultQueue;
+};
+
+/**
+ * 丢弃全局图片下载队列（配置变化后或测试之间调用）
+ */
+export const resetImageQueue = () => {
+    defaultQueue = null;
+};
+
+// 下载到临时文件，识别格式后按实际格式的扩展名改名
+// 返回图片信息（detectImageType 的结果）和保存路径
+const fetchToFile = (url, localPath, signal) => {
+    return requestWithRetry(() => getRateLimiter().schedule(url, async () => {
+        const tempPath = `${localPath}.${process.pid}.download`;
+        fse.ensureDirSync(path.dirname(localPath));
+        try {
+            let contentType = "";
+            const stream = got.stream(url, {
+                timeout: { request: config.network.timeout },
+                retry: { limit: 0 }, // 由 requestWithRetry 控制重试
+                signal,
+            });
+            stream.on("response", (response) => {
+                contentType = response.headers["content-type"] || "";
+            });
+            await pipeline(stream, fs.createWriteStream(tempPath));
+
+            const image = inspectImageFile(tempPath, { contentType });
+            const savedPath = fixImageExtension(localPath, image);
+            fs.renameSync(tempPath, savedPath);
+            return { ...image, path: savedPath };
+        } catch (error) {
+            fs.rmSync(tempPath, { force: true });
+            throw error;
+        }
+    }), config.network.retryCount, config.network.retryDelay, { signal });
+};
+
+/**
+ * 下载图片到本地文件
+ * 同一 URL 正在下载时（例如多本小册引用同一张图片）复用该下载，完成后复制到 localPath
+ * 扩展名与实际格式不符时（例如 .jpg 实际是 WebP）按实际格式修改保存路径的扩展名
+ * @param {string} url - 图片地址
+ * @param {string} localPath - 保存路径（按 URL 推测的文件名）
+ * @param {object} options - 选项
+ * @param {number} options.priority - 优先级（越大越先下载）
+ * @param {AbortSignal} options.signal - 取消信号
+ * @param {DownloadQueue} options.queue - 下载队列（默认使用全局队列）
+ * @returns {Promise<{path: string, mimeType: string, ext: string|null, width: number|null, height: number|null, size: number}>}
+ *          实际的保存路径和图片信息
+ * @throws {InvalidImageError} 响应不是图片
+ */
+export const downloadImageFile = async (url, localPath, { priority = 0, signal, queue = getImageQueue() } = {}) => {
+    const image = await queue.add(url, taskSignal => fetchToFile(url, localPath, taskSignal), { priority, signal });
+
+    const savedPath = fixImageExtension(localPath, image);
+    if (path.resolve(image.path) !== path.resolve(savedPath)) {
+        fse.ensureDirSync(path.dirname(savedPath));
+        fs.copyFileSync(image.path, savedPath);
+    }
+    return { ...image, path: savedPath };
+};
+
+/**
+ * 下载图片并加入全局图片库
+ * 同一 URL 正在下载时复用该下载，所有等待者得到同一个库中的文件
+ * @param {string} url - 图片地址
+ * @param {import("./image-store.js").ImageStore} store - 图片库
+ * @param {object} options - 选项
+ * @param {string} options.ext - 扩展名（含 .）
+ * @param {number} options.priority - 优先级（越大越先下载）
+ * @param {AbortSignal} options.signal - 取消信号
+ * @param {DownloadQueue} options.queue - 下载队列（默认使用全局队列）
+ * @returns {Promise<{hash: string, objectPath: string, mimeType: string, width: number|null, height: number|null, size: number}>}
+ *          图片内容的哈希、库中的路径和图片信息
+ */
+export const downloadImageToStore = async (url, store, { ext = ".jpg", priority = 0, signal, queue = getImageQueue() } = {}) => {
+    // 与 downloadImageFile 的结果不同，使用单独的键；并发仍按图片主机限制
+    return queue.add(`store:${url}`, async (taskSignal) => {
+        const { path: tempPath, ...image } = await fetchToFile(url, store.getTempPath(url, ext), taskSignal);
+        return { ...image, ...(await store.ingest(tempPath, path.extname(tempPath))) };
+    }, { priority, signal, host: new URL(url).host });
+};
@@ -0,0 +1,234 @@
+/**
+ * 全局图片库
+ * 图片按内容的 SHA-256 保存在一个目录中（<哈希前两位>/<哈希><扩展名>），所有小册共用，相同的图片只保存一份；
+ * 小册通过硬链接、符号链接或相对路径引用图片库中的文件，mapping.json 记录每个图片地址对应的哈希。
+ * 不再被任何小册引用的图片由 collectGarbage 按引用计数清理
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { pipeline } from "stream/promises";
+import fse from "fs-extra";
+import { config } from "./config.js";
+import { getImageStoreDir } from "./layout.js";
+
+// 小册引用图片库文件的方式
+export const STORE_LINK_MODES = ["hardlink", "symlink", "relative"];
+
+// 下载中的临时文件目录（位于图片库目录下）
+const TEMP_DIR_NAME = "tmp";
+
+// 计算文件内容的 SHA-256（流式读取）
+const hashFile = async (filePath) => {
+    const hash = crypto.createHash("sha256");
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest("hex");
+};
+
+export class ImageStore {
+    /**
+     * @param {string} dir - 图片库目录
+     * @param {object} options - 选项
+     * @param {string} options.linkMode - 引用方式：hardlink、symlink、relative
+     */
+    constructor(dir, { linkMode = "hardlink" } = {}) {
+        if (!STORE_LINK_MODES.includes(linkMode)) {
+            throw new Error(`未知的图片库引用方式: ${linkMode}（可选: ${STORE_LINK_MODES.join(", ")}）`);
+        }
+        this.dir = dir;
+        this.linkMode = linkMode;
+    }
+
+    /** 小册的 images 目录中是否有图片文件（relative 方式直接引用图片库中的文件） */
+    get usesLinks() {
+        return this.linkMode !== "relative";
+    }
+
+    /**
+     * 图片在库中的路径
+     * @param {string} hash - SHA-256
+     * @param {string} ext - 扩展名（含 .）
+     * @returns {string} 路径
+     */
+    getObjectPath(hash, ext) {
+        return path.join(this.dir, hash.slice(0, 2), `${hash}${ext.toLowerCase()}`);
+    }
+
+    /**
+     * 下载图片时使用的临时文件路径（同一地址总是相同）
+     * @param {string} url - 图片地址
+     * @param {string} ext - 扩展名
+     * @returns {string} 路径
+     */
+    getTempPath(url, ext) {
+        const name = crypto.createHash("sha1").update(url).digest("hex");
+        return path.join(this.dir, TEMP_DIR_NAME, `${name}${ext}`);
+    }
+
+    /**
+     * 按哈希查找库中的图片（不限扩展名）
+     * @param {string} hash - SHA-256
+     * @returns {string|null} 路径，不存在时为 null
+     */
+    find(hash) {
+        const shardDir = path.join(this.dir, hash.slice(0, 2));
+        if (!/^[0-9a-f]{64}$/.test(hash) || !fs.existsSync(shardDir)) {
+            return null;
+        }
+        const file = fs.readdirSync(shardDir).find(item => item.startsWith(hash));
+        return file ? path.join(shardDir, file) : null;
+    }
+
+    /**
+     * 把图片加入库中；库中已有相同内容的图片时复用
+     * @param {string} filePath - 图片文件
+     * @param {string} ext - 扩展名
+     * @param {object} options - 选项
+     * @param {boolean} options.keep - 保留原文件（复制而不是移动）
+     * @returns {Promise<{hash: string, objectPath: string}>} 哈希和库中的路径
+     */
+    async ingest(filePath, ext, { keep = false } = {}) {
+        const hash = await hashFile(filePath);
+        const existing = this.find(hash);
+        if (existing) {
+            if (!keep) {
+                fs.rmSync(filePath, { force: true });
+            }
+            return { hash, objectPath: existing };
+        }
+
+        const objectPath = this.getObjectPath(hash, ext);
+        fse.ensureDirSync(path.dirname(objectPath));
+        if (keep) {
+            fs.copyFileSync(filePath, objectPath);
+        } else {
+            fse.moveSync(filePath, objectPath);
+        }
+        return { hash, objectPath };
+    }
+
+    /**
+     * 在小册中放置库中图片的引用
+     * hardlink、symlink 在 targetPath 创建链接（不支持时复制），已指向同一文件时不做修改；
+     * relative 不创建文件，直接返回库中的路径
+     * @param {string} objectPath - 库中的路径
+     * @param {string} targetPath - 小册 images 目录中的路径
+     * @returns {string} 小册引用的文件路径
+     */
+    place(objectPath, targetPath) {
+        if (!this.usesLinks) {
+            return objectPath;
+        }
+
+        const symlinkTarget = path.relative(path.dirname(targetPath), objectPath);
+        if (this.isPlaced(objectPath, targetPath, symlinkTarget)) {
+            return targetPath;
+        }
+
+        fs.rmSync(targetPath, { force: true });
+        fse.ensureDirSync(path.dirname(targetPath));
+        try {
+            if (this.linkMode === "symlink") {
+                fs.symlinkSync(symlinkTarget, targetPath);
+            } else {
+                fs.linkSync(objectPath, targetPath);
+            }
+        } catch (error) {
+            // 跨设备、文件系统不支持或没有权限时复制
+            fs.copyFileSync(objectPath, targetPath);
+        }
+        return targetPath;
+    }
+
+    // targetPath 是否已经引用 objectPath
+    isPlaced(objectPath, targetPath, symlinkTarget) {
+        try {
+            const stats = fs.lstatSync(targetPath);
+            if (stats.isSymbolicLink()) {
+                return this.linkMode === "symlink" && fs.readlinkSync(targetPath) === symlinkTarget;
+            }
+            return this.linkMode === "hardlink" && stats.ino === fs.statSync(objectPath).ino;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 删除不再被引用的图片和遗留的临时文件
+     * @param {Map<string, number>} references - 哈希 -> 引用次数（collectStoreReferences 的返回值）
+     * @returns {{total: number, removed: number, freedBytes: number}} 清理结果
+     */
+    collectGarbage(references) {
+        const result = { total: 0, removed: 0, freedBytes: 0 };
+        if (!fs.existsSync(this.dir)) {
+            return result;
+        }
+
+        fs.rmSync(path.join(this.dir, TEMP_DIR_NAME), { recursive: true, force: true });
+        for (const shard of fs.readdirSync(this.dir)) {
+            const shardDir = path.join(this.dir, shard);
+            if (!fs.statSync(shardDir).isDirectory()) {
+                continue;
+            }
+            for (const file of fs.readdirSync(shardDir)) {
+                result.total++;
+                const hash = file.split(".")[0];
+                if ((references.get(hash) || 0) > 0) {
+                    continue;
+                }
+                const objectPath = path.join(shardDir, file);
+                result.freedBytes += fs.statSync(objectPath).size;
+                fs.unlinkSync(objectPath);
+                result.removed++;
+            }
+            if (fs.readdirSync(shardDir).length === 0) {
+                fs.rmdirSync(shardDir);
+            }
+        }
+        return result;
+    }
+}
+
+/**
+ * 统计处理后目录中所有小册对图片库的引用（读取每本小册的 mapping.json）
+ * @param {string} outputDir - 处理后目录
+ * @returns {Map<string, number>} 哈希 -> 引用次数
+ */
+export const collectStoreReferences = (outputDir) => {
+    const references = new Map();
+    if (!fs.existsSync(outputDir)) {
+        return references;
+    }
+
+    for (const folder of fs.readdirSync(outputDir)) {
+        const mappingPath = path.join(outputDir, folder, "mapping.json");
+        if (!fs.existsSync(mappingPath)) {
+            continue;
+        }
+        let mapping;
+        try {
+            mapping = JSON.parse(fs.readFileSync(mappingPath, "utf-8"));
+        } catch (error) {
+            // 无法读取 mapping 时不知道它引用了哪些图片，不能清理
+            throw new Error(`读取 ${mappingPath} 失败，无法确定图片引用: ${error.message}`);
+        }
+        for (const [key, entry] of Object.entries(mapping)) {
+            if (!key.startsWith("_") && entry?.hash) {
+                references.set(entry.hash, (references.get(entry.hash) || 0) + 1);
+            }
+        }
+    }
+    return references;
+};
+
+/**
+ * 按配置创建图片库（未启用时返回 null）
+ * @returns {ImageStore|null} 图片库
+ */
+export const getImageStore = () => {
+    if (!config.imageStore.enabled) {
+        return null;
+    }
+    return new ImageStore(getImageStoreDir(), { linkMode: config.imageStore.linkMode });
+};
@@ -0,0 +1,250 @@
+/**
+ * 图片格式识别
+ * 按文件开头的特征字节（以及响应的 Content-Type）判断图片的实际格式，读取宽高；
+ * HTML 错误页、JSON、空响应等不是图片的内容按 InvalidImageError 处理
+ */
+
+import fs from "fs";
+import path from "path";
+import { InvalidImageError } from "./errors.js";
+
+// 识别格式和读取宽高时读取的文件开头长度（JPEG 的尺寸可能在较大的 EXIF 之后）
+const HEADER_SIZE = 256 * 1024;
+
+const ascii = (buffer, start, end) => buffer.toString("latin1", start, end);
+
+const startsWith = (buffer, bytes) => bytes.every((byte, index) => buffer[index] === byte);
+
+// PNG: IHDR 块中的宽高
+const readPngSize = buffer => ({ width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) });
+
+// JPEG: 跳过各个段，读取 SOF 段中的宽高
+const readJpegSize = (buffer) => {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) {
+            return null;
+        }
+        const marker = buffer[offset + 1];
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+        // SOF0-SOF15，不包括 DHT（C4）、JPG（C8）、DAC（CC）
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+};
+
+// WebP: 有损（VP8）、无损（VP8L）和扩展（VP8X）格式的宽高位置不同
+const readWebpSize = (buffer) => {
+    const chunk = ascii(buffer, 12, 16);
+    if (chunk === "VP8 ") {
+        return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === "VP8L") {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === "VP8X") {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+};
+
+// SVG: 根元素的 width、height 属性（只接受数字和 px），没有时使用 viewBox
+const readSvgSize = (text) => {
+    const tag = text.match(/<svg\b[^>]*>/i)?.[0];
+    if (!tag) {
+        return null;
+    }
+    const attribute = name => tag.match(new RegExp(`\\s${name}\\s*=\\s*["']\\s*([\\d.]+)(?:px)?\\s*["']`, "i"))?.[1];
+    const [width, height] = [attribute("width"), attribute("height")];
+    if (width && height) {
+        return { width: Math.round(Number(width)), height: Math.round(Number(height)) };
+    }
+    const viewBox = tag.match(/\sviewBox\s*=\s*["']([^"']+)["']/i)?.[1].trim().split(/[\s,]+/).map(Number);
+    if (viewBox?.length === 4 && viewBox.every(Number.isFinite)) {
+        return { width: Math.round(viewBox[2]), height: Math.round(viewBox[3]) };
+    }
+    return null;
+};
+
+/**
+ * 支持识别的图片格式
+ * exts 中第一个为默认扩展名；match 按文件开头判断，size 读取宽高（不支持时为 null）
+ */
+const IMAGE_FORMATS = [
+    {
+        mimeType: "image/png",
+        exts: [".png"],
+        match: buffer => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        size: readPngSize,
+    },
+    {
+        mimeType: "image/jpeg",
+        exts: [".jpg", ".jpeg"],
+        match: buffer => startsWith(buffer, [0xff, 0xd8, 0xff]),
+        size: readJpegSize,
+    },
+    {
+        mimeType: "image/gif",
+        exts: [".gif"],
+        match: buffer => ["GIF87a", "GIF89a"].includes(ascii(buffer, 0, 6)),
+        size: buffer => ({ width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) }),
+    },
+    {
+        mimeType: "image/webp",
+        exts: [".webp"],
+        match: buffer => ascii(buffer, 0, 4) === "RIFF" && ascii(buffer, 8, 12) === "WEBP",
+        size: readWebpSize,
+    },
+    {
+        mimeType: "image/avif",
+        exts: [".avif"],
+        match: buffer => ascii(buffer, 4, 8) === "ftyp" && ["avif", "avis"].includes(ascii(buffer, 8, 12)),
+        size: null,
+    },
+    {
+        mimeType: "image/bmp",
+        exts: [".bmp"],
+        match: buffer => buffer.length >= 26 && ascii(buffer, 0, 2) === "BM" && buffer.readUInt32LE(14) >= 12,
+        size: buffer => ({ width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) }),
+    },
+    {
+        mimeType: "image/tiff",
+        exts: [".tif", ".tiff"],
+        match: buffer => ["II*\0", "MM\0*"].includes(ascii(buffer, 0, 4)),
+        size: null,
+    },
+    {
+        mimeType: "image/x-icon",
+        exts: [".ico"],
+        match: buffer => startsWith(buffer, [0x00, 0x00, 0x01, 0x00]),
+        size: buffer => ({ width: buffer[6] || 256, height: buffer[7] || 256 }),
+    },
+];
+
+const SVG_FORMAT = { mimeType: "image/svg+xml", exts: [".svg"] };
+
+// Content-Type 中的 MIME 类型（不含参数，小写）
+const parseMimeType = contentType => (contentType || "").split(";")[0].trim().toLowerCase();
+
+// 文本内容的类型：svg、html、json 或 null
+const detectText = (text) => {
+    const head = text.replace(/^\uFEFF/, "").trimStart();
+    if (/^(<!doctype html|<html[\s>]|<head[\s>]|<body[\s>])/i.test(head)) {
+        return "html";
+    }
+    if (/^</.test(head) && /<svg[\s>]/i.test(head)) {
+        return "svg";
+    }
+    if (/^[{[]/.test(head)) {
+        return "json";
+    }
+    if (/^</.test(head) && /<(html|body|div|p|title)[\s>]/i.test(head)) {
+        return "html";
+    }
+    return null;
+};
+
+/**
+ * 按内容识别图片格式
+ * 特征字节优先于 Content-Type；无法识别但 Content-Type 为 image/* 时按 Content-Type 接受（不读取宽高）
+ * @param {Buffer} header - 文件开头的内容
+ * @param {object} options - 选项
+ * @param {number} options.size - 文件大小（默认为 header 的长度）
+ * @param {string} options.contentType - 响应的 Content-Type
+ * @returns {{mimeType: string, ext: string|null, width: number|null, height: number|null, size: number}}
+ *          格式和尺寸；ext 为 null 表示保留原扩展名
+ * @throws {InvalidImageError} 内容不是图片
+ */
+export const detectImageType = (header, { size = header.length, contentType = "" } = {}) => {
+    const described = contentType ? `（Content-Type: ${contentType}）` : "";
+    if (size === 0) {
+        throw new InvalidImageError(`响应内容为空${described}`);
+    }
+
+    const withSize = (format, dimensions) => ({
+        mimeType: format.mimeType,
+        ext: format.exts[0],
+        width: dimensions?.width ?? null,
+        height: dimensions?.height ?? null,
+        size,
+    });
+
+    const format = IMAGE_FORMATS.find(item => item.match(header));
+    if (format) {
+        let dimensions = null;
+        try {
+            dimensions = format.size?.(header) ?? null;
+        } catch (error) {
+            // 文件开头不完整时不记录宽高
+        }
+        return withSize(format, dimensions);
+    }
+
+    const text = header.toString("utf-8", 0, Math.min(header.length, HEADER_SIZE));
+    const textType = detectText(text);
+    if (textType === "svg") {
+        return withSize(SVG_FORMAT, readSvgSize(text));
+    }
+    if (textType === "html") {
+        throw new InvalidImageError(`响应是 HTML 页面而不是图片${described}`);
+    }
+    if (textType === "json") {
+        throw new InvalidImageError(`响应是 JSON 而不是图片${described}`);
+    }
+
+    const mimeType = parseMimeType(contentType);
+    if (mimeType.startsWith("image/")) {
+        const known = IMAGE_FORMATS.find(item => item.mimeType === mimeType);
+        return { mimeType, ext: known?.exts[0] ?? null, width: null, height: null, size };
+    }
+    throw new InvalidImageError(`无法识别的图片格式${described}`);
+};
+
+/**
+ * 识别图片文件的格式
+ * @param {string} filePath - 文件路径
+ * @param {object} options - 选项
+ * @param {string} options.contentType - 下载时响应的 Content-Type
+ * @returns {{mimeType: string, ext: string|null, width: number|null, height: number|null, size: number}} 格式和尺寸
+ * @throws {InvalidImageError} 内容不是图片
+ */
+export const inspectImageFile = (filePath, { contentType = "" } = {}) => {
+    const { size } = fs.statSync(filePath);
+    const header = Buffer.alloc(Math.min(size, HEADER_SIZE));
+    const fd = fs.openSync(filePath, "r");
+    try {
+        fs.readSync(fd, header, 0, header.length, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+    return detectImageType(header, { size, contentType });
+};
+
+/**
+ * 按实际格式修正扩展名（原扩展名是该格式的扩展名之一时不修改，例如 .jpeg）
+ * @param {string} filePath - 文件名或路径
+ * @param {{mimeType: string, ext: string|null}} image - detectImageType 的结果
+ * @returns {string} 修正后的文件名或路径
+ */
+export const fixImageExtension = (filePath, { mimeType, ext }) => {
+    const currentExt = path.extname(filePath);
+    const format = [...IMAGE_FORMATS, SVG_FORMAT].find(item => item.mimeType === mimeType);
+    if (!ext || format?.exts.includes(currentExt.toLowerCase())) {
+        return filePath;
+    }
+    return `${filePath.slice(0, filePath.length - currentExt.length)}${ext}`;
+};
+
+/**
+ * mapping.json 中记录的图片信息
+ * @param {{mimeType: string, width: number|null, height: number|null, size: number}} image - detectImageType 的结果
+ * @returns {{mimeType: string, width: number|null, height: number|null, size: number}} 图片信息
+ */
+export const getImageMetadata = ({ mimeType, width, height, size }) => ({ mimeType, width, height, size });
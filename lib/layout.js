@@ -0,0 +1,73 @@
+/**
+ * 输出目录布局
+ * 原始小册目录、处理后目录、导出目录和图片库目录为相对路径时都位于 downloads.root 下；
+ * 小册目录名和章节文件名按 downloads.bookDirTemplate、downloads.sectionFileTemplate 生成
+ */
+
+import path from "path";
+import { config } from "./config.js";
+import { formatTemplate, parseTemplate } from "./template.js";
+
+// 旧版本（以及小册介绍 0.介绍.md）使用的章节文件名: <序号>.<标题>.md
+export const LEGACY_SECTION_FILE_TEMPLATE = "{index}.{title}.md";
+
+/** 使用 Unicode 字符替换文件名中的特殊字符 */
+export const replaceFileName = (fileName) => {
+    // https://docs.microsoft.com/zh-cn/windows/desktop/FileIO/naming-a-file#naming_conventions
+    const replaceMap = new Map([
+        ['<', '\uFF1C'], // Fullwidth Less-Than Sign
+        ['>', '\uFF1E'], // Fullwidth Greater-Than Sign
+        [':', '\uFF1A'], // Fullwidth Colon
+        ['/', '\uFF0F'], // Fullwidth Solidus
+        ['\\', '\uFF3C'],// Fullwidth Reverse Solidus
+        ['|', '\uFF5C'], // Fullwidth Vertical Line
+        ['?', '\uFF1F'], // Fullwidth Question Mark
+        ['*', '\uFF0A'], // Fullwidth Asterisk
+        ['"', '\uFF02'], // Fullwidth Quotation Mark
+    ]);
+
+    const pattern = [...replaceMap.keys()].map((key) => "\\" + key).join("|");
+
+    const regex = new RegExp(pattern, "g");
+
+    return fileName.replace(regex, (match) => replaceMap.get(match));
+};
+
+// 相对路径解析到输出根目录下
+const resolveUnderRoot = dir => (path.isAbsolute(dir) ? dir : path.join(config.downloads.root, dir));
+
+/** 原始小册目录（download、sync 写入，images 读取） */
+export const getDownloadsDir = () => resolveUnderRoot(config.downloads.dir);
+
+/** 处理图片后的小册目录 */
+export const getOutputDir = () => resolveUnderRoot(config.downloads.outputDir);
+
+/** 导出目录 */
+export const getExportDir = () => resolveUnderRoot(config.downloads.exportDir);
+
+/** 全局图片库目录 */
+export const getImageStoreDir = () => resolveUnderRoot(config.imageStore.dir);
+
+/**
+ * 小册目录名（标题中的 / : 等字符与章节标题一样替换为全角字符）
+ * @param {{bookId: string, title: string}} book - 小册 ID 和标题
+ * @returns {string} 目录名
+ */
+export const getBookDirName = ({ bookId, title }) => {
+    return formatTemplate(config.downloads.bookDirTemplate, { bookId, title: replaceFileName(title) });
+};
+
+/**
+ * 从章节文件名中解析序号和标题：先按当前模板，再按旧格式解析
+ * 模板中没有 {title} 时以去掉扩展名的文件名作为标题
+ * @param {string} fileName - 章节文件名
+ * @returns {{index: number, title: string}|null} 不是章节文件时为 null
+ */
+export const parseSectionFileName = (fileName) => {
+    const values = parseTemplate(config.downloads.sectionFileTemplate, fileName)
+        ?? parseTemplate(LEGACY_SECTION_FILE_TEMPLATE, fileName);
+    if (!values) {
+        return null;
+    }
+    return { index: values.index, title: values.title ?? path.basename(fileName, ".md") };
+};
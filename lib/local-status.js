@@ -0,0 +1,57 @@
+/**
+ * 小册的本地状态
+ * 根据小册目录下的 manifest.json 与书架信息比较，判断小册未下载、已是最新、落后几章或有更新，
+ * 用于交互式选择时在每本小册后面显示，不需要请求 API
+ */
+
+import path from "path";
+import { readManifest } from "./manifest.js";
+import { getBookDirName } from "./layout.js";
+
+/**
+ * 获取小册的本地状态
+ * state: missing（未下载）、behind（本地章节少于书架上的章节数，不下载草稿时跳过的草稿除外）、outdated（章节数相同但小册在上次同步后更新过）、current（已是最新）
+ * @param {{value: string, name: string, updateTime: number|null, sectionCount: number|null}} book - 书架条目（getBooks 的返回值）
+ * @param {string} outDir - 小册输出目录
+ * @returns {{state: string, behind: number, drafts: number, syncedAt: string|null}} 本地状态
+ */
+export const getLocalStatus = (book, outDir) => {
+    const manifest = readManifest(path.join(outDir, getBookDirName({ bookId: book.value, title: book.name })));
+    if (!manifest?.sections) {
+        return { state: "missing", behind: book.sectionCount ?? 0, drafts: 0, syncedAt: null };
+    }
+
+    const sections = Object.values(manifest.sections);
+    const drafts = sections.filter(section => section.status !== 1).length;
+    // 同步时按配置跳过的草稿（skippedDrafts）不算落后
+    const expected = sections.length + (manifest.skippedDrafts ?? 0);
+    const behind = book.sectionCount ? Math.max(0, book.sectionCount - expected) : 0;
+
+    let state = "current";
+    if (behind > 0) {
+        state = "behind";
+    } else if (book.updateTime && manifest.bookletUpdateTime && Number(book.updateTime) > Number(manifest.bookletUpdateTime)) {
+        state = "outdated";
+    }
+
+    return { state, behind, drafts, syncedAt: manifest.syncedAt ?? null };
+};
+
+/**
+ * 本地状态的显示文字
+ * @param {object} status - getLocalStatus 的返回值
+ * @returns {string} 例如 "落后 2 章 · 1 章草稿"
+ */
+export const formatLocalStatus = ({ state, behind, drafts }) => {
+    const labels = {
+        missing: "未下载",
+        behind: `落后 ${behind} 章`,
+        outdated: "有更新",
+        current: "已是最新",
+    };
+    const parts = [labels[state]];
+    if (drafts > 0) {
+        parts.push(`${drafts} 章草稿`);
+    }
+    return parts.join(" · ");
+};
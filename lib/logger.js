@@ -16,8 +16,8 @@ const LOG_LEVELS = {
     ERROR: 3,
 };
 
-// 当前日志级别
-const currentLogLevel = LOG_LEVELS[config.logging.logLevel] || LOG_LEVELS.INFO;
+// 当前日志级别（每次读取配置，以便命令行参数在运行时生效）
+const getCurrentLogLevel = () => LOG_LEVELS[String(config.logging.logLevel).toUpperCase()] ?? LOG_LEVELS.INFO;
 
 // 日志文件路径映射
 const logFiles = new Map();
@@ -90,7 +90,7 @@ class Logger {
      */
     log(level, message) {
         const levelValue = LOG_LEVELS[level];
-        if (levelValue === undefined || levelValue < currentLogLevel) {
+        if (levelValue === undefined || levelValue < getCurrentLogLevel()) {
             return;
         }
         
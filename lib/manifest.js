@@ -0,0 +1,234 @@
+/**
+ * 小册 manifest 管理
+ * 每本小册目录下的 manifest.json 记录已下载章节的状态，
+ * 同步时先与目录比较，只请求新增或更新过的章节
+ */
+
+import fs from "fs";
+import path from "path";
+import { calculateContentHash } from "./front-matter.js";
+
+export const MANIFEST_FILE_NAME = "manifest.json";
+export const MANIFEST_VERSION = 1;
+
+/**
+ * 创建空的 manifest
+ * @param {object} booklet - 小册信息（getBookInfo 返回的 booklet）
+ * @returns {object} manifest
+ */
+export const createManifest = (booklet) => ({
+    version: MANIFEST_VERSION,
+    bookletId: booklet.booklet_id,
+    title: booklet.base_info.title,
+    bookletUpdateTime: booklet.base_info.mtime ?? null,
+    syncedAt: null,
+    skippedDrafts: 0,
+    sections: {},
+});
+
+/**
+ * 读取小册目录下的 manifest，不存在或损坏时返回新的空 manifest
+ * @param {string} bookDir - 小册目录
+ * @param {object} booklet - 小册信息
+ * @returns {object} manifest
+ */
+export const loadManifest = (bookDir, booklet) => {
+    const manifestPath = path.join(bookDir, MANIFEST_FILE_NAME);
+    const manifest = createManifest(booklet);
+
+    if (!fs.existsSync(manifestPath)) {
+        return manifest;
+    }
+
+    try {
+        const saved = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+        if (saved.version === MANIFEST_VERSION && saved.sections) {
+            manifest.sections = saved.sections;
+        }
+    } catch (error) {
+        // manifest 损坏时当作首次同步，章节会被重新比对
+    }
+
+    return manifest;
+};
+
+/**
+ * 读取小册目录下已保存的 manifest（不需要小册信息，用于本地状态、迁移等不请求 API 的场景）
+ * @param {string} bookDir - 小册目录
+ * @returns {object|null} manifest，不存在或损坏时为 null
+ */
+export const readManifest = (bookDir) => {
+    const manifestPath = path.join(bookDir, MANIFEST_FILE_NAME);
+    if (!fs.existsSync(manifestPath)) {
+        return null;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * 保存 manifest
+ * @param {string} bookDir - 小册目录
+ * @param {object} manifest - manifest
+ * @param {object} options - 选项
+ * @param {boolean} options.synced - 是否更新同步时间（只移动文件时为 false）
+ */
+export const saveManifest = (bookDir, manifest, { synced = true } = {}) => {
+    const manifestPath = path.join(bookDir, MANIFEST_FILE_NAME);
+    if (synced) {
+        manifest.syncedAt = new Date().toISOString();
+    }
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), "utf-8");
+};
+
+/**
+ * 记录章节的下载状态
+ * @param {object} manifest - manifest
+ * @param {object} section - 章节（getBookInfo 返回的 sections 元素）
+ * @param {object} info - 额外信息
+ * @param {string} info.file - 章节文件名（相对小册目录）
+ * @param {string} info.hash - 正文哈希（不含 front matter）
+ */
+export const recordSection = (manifest, section, { file, hash }) => {
+    manifest.sections[section.id] = {
+        section_id: section.id,
+        index: section.index,
+        title: section.title,
+        status: section.status,
+        updateTime: section.updateTime ?? null,
+        hash,
+        file,
+    };
+};
+
+/**
+ * 判断章节相对 manifest 是否未变化（无需请求 API）
+ * 服务端更新时间未知、本地文件缺失或被改动时都视为已变化
+ * @param {object} manifest - manifest
+ * @param {object} section - 章节
+ * @param {string} bookDir - 小册目录
+ * @param {string} file - 期望的章节文件名
+ * @returns {boolean} 是否未变化
+ */
+export const isSectionUnchanged = (manifest, section, bookDir, file) => {
+    const entry = manifest.sections[section.id];
+    if (!entry || entry.updateTime == null) {
+        return false;
+    }
+
+    if (entry.updateTime !== (section.updateTime ?? null)
+        || entry.status !== section.status
+        || entry.file !== file) {
+        return false;
+    }
+
+    const filePath = path.join(bookDir, file);
+    if (!fs.existsSync(filePath)) {
+        return false;
+    }
+
+    return calculateContentHash(fs.readFileSync(filePath, "utf-8")) === entry.hash;
+};
+
+// 在两个输出目录中移动文件（目标已存在时不覆盖）
+const moveIfExists = (fromPath, toPath) => {
+    if (!fs.existsSync(fromPath) || fs.existsSync(toPath)) {
+        return false;
+    }
+    fs.mkdirSync(path.dirname(toPath), { recursive: true });
+    fs.renameSync(fromPath, toPath);
+    return true;
+};
+
+/**
+ * 根据 section_id 对齐本地文件与最新目录
+ * - 标题或序号变化的章节：重命名原始目录和处理后目录中的文件
+ * - 已从小册中移除的章节：按 removedMode 归档（archive）、删除（delete）或保留（keep）
+ * 处理后目录中被移除章节的图片会在下次处理图片时作为未使用图片清理
+ * @param {object} manifest - manifest（会就地更新）
+ * @param {Array} sections - 小册当前的全部章节
+ * @param {object} options - 选项
+ * @param {string} options.bookDir - 原始小册目录
+ * @param {string} options.processedDir - 处理后的小册目录（可不存在）
+ * @param {string} options.removedMode - 移除章节的处理方式
+ * @param {string} options.archiveDirName - 归档目录名
+ * @param {Function} options.getFileName - 由章节生成文件名的函数
+ * @returns {{renamed: Array, removed: Array}} 重命名和移除的章节
+ */
+export const reconcileSections = (manifest, sections, {
+    bookDir,
+    processedDir,
+    removedMode = "archive",
+    archiveDirName = "archive",
+    getFileName,
+}) => {
+    const renamed = [];
+    const removed = [];
+    const currentIds = new Set(sections.map(section => section.id));
+
+    // 先全部移动到临时文件名，避免序号互换时互相覆盖
+    const moves = [];
+    for (const section of sections) {
+        const entry = manifest.sections[section.id];
+        const file = getFileName(section);
+        // 状态变化（草稿转正）由同步流程重新获取正文，不在这里移动
+        if (!entry || entry.file === file || entry.status !== section.status) {
+            continue;
+        }
+
+        const tempFile = `${file}.${section.id}.tmp`;
+        const movedRaw = moveIfExists(path.join(bookDir, entry.file), path.join(bookDir, tempFile));
+        const movedProcessed = moveIfExists(path.join(processedDir, entry.file), path.join(processedDir, tempFile));
+        moves.push({ section, entry, file, tempFile, movedRaw, movedProcessed });
+    }
+
+    // 目标文件已存在时（例如上次同步已写入新文件）丢弃旧文件
+    const finishMove = (dir, tempFile, file) => {
+        if (!moveIfExists(path.join(dir, tempFile), path.join(dir, file))) {
+            fs.rmSync(path.join(dir, tempFile), { force: true });
+        }
+    };
+
+    for (const { section, entry, file, tempFile, movedRaw, movedProcessed } of moves) {
+        if (movedRaw) {
+            finishMove(bookDir, tempFile, file);
+        }
+        if (movedProcessed) {
+            finishMove(processedDir, tempFile, file);
+        }
+        if (movedRaw || movedProcessed) {
+            renamed.push({ id: section.id, from: entry.file, to: file });
+        }
+
+        entry.file = file;
+        entry.index = section.index;
+        entry.title = section.title;
+    }
+
+    for (const [sectionId, entry] of Object.entries(manifest.sections)) {
+        if (currentIds.has(sectionId) || removedMode === "keep") {
+            continue;
+        }
+
+        const rawPath = path.join(bookDir, entry.file);
+        if (removedMode === "archive") {
+            moveIfExists(rawPath, path.join(bookDir, archiveDirName, entry.file));
+        } else if (fs.existsSync(rawPath)) {
+            fs.unlinkSync(rawPath);
+        }
+
+        // 处理后的文件引用的图片可能被清理，不再保留
+        const processedPath = path.join(processedDir, entry.file);
+        if (fs.existsSync(processedPath)) {
+            fs.unlinkSync(processedPath);
+        }
+
+        removed.push({ id: sectionId, file: entry.file, title: entry.title });
+        delete manifest.sections[sectionId];
+    }
+
+    return { renamed, removed };
+};
@@ -0,0 +1,314 @@
+/**
+ * 章节中的图片引用
+ * 用 marked 的词法分析得到 Markdown 结构，HTML 片段再用 htmlparser2 解析，找出每个图片地址在文件中的位置：
+ * 行内图片（包括 <url> 形式）、引用式图片的链接定义、<img>/<source> 的 src、data-src、srcset 等属性。
+ * 代码块和行内代码中的内容不处理；替换时只改写图片地址本身，文件的其余内容逐字节保持不变
+ */
+
+import { Lexer, Tokenizer, getDefaults } from "marked";
+import { Parser } from "htmlparser2";
+
+/**
+ * 含有图片地址的 HTML 属性（懒加载的图片常把真实地址放在 data-src 中，src 为占位图）
+ */
+export const IMAGE_ATTRIBUTES = {
+    img: ["src", "data-src", "data-original", "srcset", "data-srcset"],
+    source: ["src", "srcset", "data-srcset"],
+};
+
+// 值为多个候选地址（"url 1x, url 2x"）的属性
+const SRCSET_ATTRIBUTES = new Set(["srcset", "data-srcset"]);
+
+// 行内图片 ![alt](dest "title") 中 "](" 之后的部分；dest 可以是 <...> 形式
+const INLINE_DESTINATION = /^[ \t]*\n?[ \t]*(<[^<>\n]*>|[^\s<][^\s]*?)(?:\s+(?:"[^"]*"|'[^']*'|\([^()]*\)))?[ \t]*\n?[ \t]*\)$/;
+
+// 链接定义 [label]: dest "title" 中 "]:" 之后的部分
+const DEFINITION_DESTINATION = /^\s*(<[^<>\n]*>|\S+)/;
+
+/**
+ * 规范化图片地址：去掉首尾空白，协议相对地址（//p3-juejin.byteimg.com/...）补全为 https
+ * @param {string} url - 章节中的地址
+ * @returns {string|null} 可以下载的 http(s) 地址；本地路径、data: 等返回 null
+ */
+export const normalizeImageUrl = (url) => {
+    const trimmed = (url || "").trim();
+    const absolute = trimmed.startsWith("//") ? `https:${trimmed}` : trimmed;
+    return /^https?:\/\/[^/\s]/i.test(absolute) ? absolute : null;
+};
+
+// 统一换行后的位置 -> 原文中的位置（marked 会把 \r\n、\r 统一为 \n）
+const createOffsetMap = (content) => {
+    if (!content.includes("\r")) {
+        return offset => offset;
+    }
+    const offsets = [];
+    for (let i = 0; i < content.length; i++) {
+        offsets.push(i);
+        if (content[i] === "\r" && content[i + 1] === "\n") {
+            i++;
+        }
+    }
+    offsets.push(content.length);
+    return offset => offsets[offset];
+};
+
+// 记录链接定义的分词器（marked 只把定义保存到 links 中，不生成 token）
+class DefinitionTokenizer extends Tokenizer {
+    constructor(definitions) {
+        super();
+        this.definitions = definitions;
+    }
+
+    def(src) {
+        const token = super.def(src);
+        if (token) {
+            this.definitions.push(token);
+        }
+        return token;
+    }
+}
+
+// 子 token：列表项、表格单元格中的行内 token
+const getChildTokens = (token) => {
+    if (token.type === "list") {
+        return token.items;
+    }
+    if (token.type === "table") {
+        return [...token.header, ...token.rows.flat()].flatMap(cell => cell.tokens);
+    }
+    return token.tokens || [];
+};
+
+// 在 dest 文本（相对 offset）中定位地址，<...> 形式时不包括尖括号
+const locateDestination = (dest, offset) => {
+    const bracketed = dest.startsWith("<");
+    const start = offset + (bracketed ? 1 : 0);
+    return { start, end: start + dest.length - (bracketed ? 2 : 0), bracketed };
+};
+
+// 行内图片的地址在 raw 中的位置；引用式图片（![alt][ref]）返回 null
+const locateInlineDestination = (raw) => {
+    for (let index = raw.indexOf("]("); index !== -1; index = raw.indexOf("](", index + 1)) {
+        const rest = raw.slice(index + 2);
+        const match = rest.match(INLINE_DESTINATION);
+        if (match) {
+            return locateDestination(match[1], index + 2 + rest.indexOf(match[1]));
+        }
+    }
+    return null;
+};
+
+// 拆分 srcset 的候选地址，返回各地址在 value 中的位置
+const splitSrcset = (value) => {
+    const candidates = [];
+    let index = 0;
+    while (index < value.length) {
+        while (index < value.length && /[\s,]/.test(value[index])) {
+            index++;
+        }
+        const start = index;
+        while (index < value.length && !/\s/.test(value[index])) {
+            index++;
+        }
+        // 地址末尾的逗号表示没有描述符
+        const end = value[index - 1] === "," ? index - 1 : index;
+        if (end > start) {
+            candidates.push({ url: value.slice(start, end), start, end });
+        }
+        // 跳过描述符（1x、640w）
+        while (index < value.length && value[index] !== ",") {
+            index++;
+        }
+    }
+    return candidates;
+};
+
+/**
+ * 找出 HTML 片段中的图片地址
+ * @param {string} html - HTML 片段
+ * @returns {Array<{url: string, start: number, end: number, attribute: string}>} 地址（已解码实体）和在片段中的位置
+ */
+export const extractHtmlImageRefs = (html) => {
+    const refs = [];
+    let tagName = "";
+    const parser = new Parser({
+        onopentagname: (name) => {
+            tagName = name;
+        },
+        onattribute: (name, value, quote) => {
+            if (!IMAGE_ATTRIBUTES[tagName]?.includes(name) || quote === undefined || !value.trim()) {
+                return;
+            }
+            // 属性在片段中为 name = "value"：startIndex 为属性名的开始，endIndex 为属性的结束（不含）
+            const { startIndex, endIndex } = parser;
+            let valueStart = html.indexOf("=", startIndex + name.length) + 1;
+            while (/\s/.test(html[valueStart])) {
+                valueStart++;
+            }
+            const quoted = html[valueStart] === "\"" || html[valueStart] === "'";
+            const rawStart = valueStart + (quoted ? 1 : 0);
+            const rawValue = html.slice(rawStart, endIndex - (quoted ? 1 : 0));
+
+            if (!SRCSET_ATTRIBUTES.has(name)) {
+                const leading = rawValue.length - rawValue.trimStart().length;
+                refs.push({ url: value.trim(), start: rawStart + leading, end: rawStart + rawValue.trimEnd().length, attribute: name });
+                return;
+            }
+            // 按解码后的值取地址，按原文取位置（两者的候选数不同时说明地址中有编码的分隔符，使用原文）
+            const decoded = splitSrcset(value);
+            const candidates = splitSrcset(rawValue);
+            candidates.forEach((candidate, index) => {
+                refs.push({
+                    url: decoded.length === candidates.length ? decoded[index].url : candidate.url,
+                    start: rawStart + candidate.start,
+                    end: rawStart + candidate.end,
+                    attribute: name,
+                });
+            });
+        },
+    }, { lowerCaseTags: true, lowerCaseAttributeNames: true });
+    parser.end(html);
+    return refs;
+};
+
+/**
+ * 找出 Markdown 中的图片地址
+ * - 行内图片 ![alt](url "title")、![alt](<url>)
+ * - 引用式图片 ![alt][ref]、![ref]：位置为链接定义 [ref]: url 中的地址（只包括被图片引用的定义）
+ * - HTML 中的 <img>、<picture><source> 的图片属性
+ * 代码块、行内代码中的内容不算图片；默认只返回 http(s) 和协议相对地址
+ * @param {string} content - Markdown 内容
+ * @param {object} options - 选项
+ * @param {boolean} options.local - 同时返回本地路径等其他地址（原样返回，用于导出时改写相对路径）
+ * @returns {Array<{url: string, start: number, end: number, source: string, bracketed: boolean}>}
+ *          url 为规范化后的地址；start、end 为地址原文在 content 中的位置；
+ *          source 为 markdown、definition 或 html；bracketed 表示地址写在 <> 中
+ */
+export const extractImageRefs = (content, { local = false } = {}) => {
+    const text = content.replace(/\r\n|\r/g, "\n");
+    const toOriginal = createOffsetMap(content);
+    const definitions = [];
+    const lexer = new Lexer({ ...getDefaults(), tokenizer: new DefinitionTokenizer(definitions) });
+    const tokens = lexer.lex(text);
+
+    const refs = [];
+    const skippedRanges = [];
+    const referencedUrls = new Set();
+    let cursor = 0;
+
+    const addRef = (url, start, end, source, bracketed = false) => {
+        const normalized = normalizeImageUrl(url) ?? (local && url.trim() ? url.trim() : null);
+        if (normalized) {
+            refs.push({ url: normalized, start: toOriginal(start), end: toOriginal(end), source, bracketed });
+        }
+    };
+
+    // token 按文档顺序出现，依次在文本中定位 raw（不超出外层 token 的范围 limit）；
+    // 嵌套在引用块、列表中的 raw 去掉了 > 和缩进，可能与原文不同，定位不到时跳过
+    const locate = (raw, limit) => {
+        const start = text.indexOf(raw, cursor);
+        if (start === -1 || start + raw.length > limit) {
+            return -1;
+        }
+        cursor = start + raw.length;
+        return start;
+    };
+
+    const walk = (tokenList, limit) => {
+        for (const token of tokenList) {
+            if (token.type === "image") {
+                const start = locate(token.raw, limit);
+                const destination = locateInlineDestination(token.raw);
+                if (!destination) {
+                    referencedUrls.add(token.href);
+                } else if (start !== -1) {
+                    addRef(token.href, start + destination.start, start + destination.end, "markdown", destination.bracketed);
+                }
+            } else if (token.type === "html") {
+                const start = locate(token.raw, limit);
+                if (start !== -1) {
+                    skippedRanges.push([start, start + token.raw.length]);
+                    for (const ref of extractHtmlImageRefs(token.raw)) {
+                        addRef(ref.url, start + ref.start, start + ref.end, "html");
+                    }
+                }
+            } else if (token.type === "code" || token.type === "codespan") {
+                const start = locate(token.raw, limit);
+                if (start !== -1) {
+                    skippedRanges.push([start, start + token.raw.length]);
+                }
+            } else {
+                const children = getChildTokens(token);
+                if (children.length === 0) {
+                    locate(token.raw, limit);
+                    continue;
+                }
+                // 子 token 在外层 token 的范围内查找；外层定位不到时沿用上一层的范围
+                const start = locate(token.raw, limit);
+                if (start === -1) {
+                    walk(children, limit);
+                } else {
+                    cursor = start;
+                    walk(children, start + token.raw.length);
+                    cursor = start + token.raw.length;
+                }
+            }
+        }
+    };
+    walk(tokens, text.length);
+
+    // 被图片引用的链接定义（同名定义以第一个为准，与 marked 一致）
+    const seenTags = new Set();
+    let searchFrom = 0;
+    for (const definition of definitions) {
+        const link = tokens.links[definition.tag];
+        if (seenTags.has(definition.tag) || link?.href !== definition.href || link?.title !== definition.title) {
+            continue;
+        }
+        seenTags.add(definition.tag);
+        if (!referencedUrls.has(definition.href)) {
+            continue;
+        }
+        // 定义不在 token 中，在代码和 HTML 之外查找原文
+        let start = text.indexOf(definition.raw, searchFrom);
+        while (start !== -1 && skippedRanges.some(([from, to]) => start < to && start + definition.raw.length > from)) {
+            start = text.indexOf(definition.raw, start + 1);
+        }
+        if (start === -1) {
+            continue;
+        }
+        searchFrom = start + definition.raw.length;
+        const labelEnd = definition.raw.indexOf("]:") + 2;
+        const match = definition.raw.slice(labelEnd).match(DEFINITION_DESTINATION);
+        const destination = locateDestination(match[1], labelEnd + match.index + match[0].length - match[1].length);
+        addRef(definition.href, start + destination.start, start + destination.end, "definition", destination.bracketed);
+    }
+
+    return refs.sort((a, b) => a.start - b.start);
+};
+
+// 按引用的位置写入新地址：Markdown 中含空白或括号的地址写在 <> 中，HTML 属性中转义引号和 &
+const formatDestination = (ref, value) => {
+    if (ref.source === "html") {
+        return value.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+    }
+    return !ref.bracketed && /[\s()<>]/.test(value) ? `<${value}>` : value;
+};
+
+/**
+ * 替换图片地址，文件的其余内容保持不变
+ * @param {string} content - Markdown 内容
+ * @param {Array} refs - extractImageRefs 的结果
+ * @param {Function} replace - (ref) => 新地址，返回 null 或 undefined 时保留原地址
+ * @returns {string} 替换后的内容
+ */
+export const replaceImageRefs = (content, refs, replace) => {
+    let result = content;
+    for (const ref of [...refs].sort((a, b) => b.start - a.start)) {
+        const value = replace(ref);
+        if (value !== null && value !== undefined) {
+            result = result.slice(0, ref.start) + formatDestination(ref, value) + result.slice(ref.end);
+        }
+    }
+    return result;
+};
@@ -0,0 +1,89 @@
+/**
+ * 并发控制
+ * 有界的任务池：同时运行的任务数不超过上限；支持并发获取、按输入顺序提交结果，
+ * 保证写文件、更新 manifest 等操作的顺序与串行执行时一致
+ */
+
+/**
+ * 创建并发限制器
+ * @param {number} concurrency - 最大并发数
+ * @returns {Function} limit(fn) 排队执行 fn 并返回其结果；limit.clear() 丢弃尚未开始的任务，limit.idle() 等待运行中的任务结束
+ */
+export const createLimit = (concurrency) => {
+    const max = Math.max(1, Math.floor(concurrency) || 1);
+    const queue = [];
+    const idleWaiters = [];
+    let active = 0;
+
+    const next = () => {
+        if (active === 0 && queue.length === 0) {
+            idleWaiters.splice(0).forEach(resolve => resolve());
+        }
+        while (active < max && queue.length > 0) {
+            const { fn, resolve, reject } = queue.shift();
+            active++;
+            Promise.resolve()
+                .then(fn)
+                .then(resolve, reject)
+                .finally(() => {
+                    active--;
+                    next();
+                });
+        }
+    };
+
+    const limit = (fn) => new Promise((resolve, reject) => {
+        queue.push({ fn, resolve, reject });
+        next();
+    });
+
+    limit.clear = () => {
+        queue.length = 0;
+        next();
+    };
+    limit.idle = () => (active === 0 ? Promise.resolve() : new Promise(resolve => idleWaiters.push(resolve)));
+
+    return limit;
+};
+
+/**
+ * 并发执行任务，结果按输入顺序返回
+ * 任意任务出错时不再启动新任务，等运行中的任务结束后抛出该错误
+ * @param {Array} items - 输入
+ * @param {number} concurrency - 最大并发数
+ * @param {Function} worker - (item, index) => Promise
+ * @returns {Promise<Array>} 结果
+ */
+export const mapConcurrent = async (items, concurrency, worker) => {
+    return runOrdered(items, { concurrency, fetch: worker, commit: result => result });
+};
+
+/**
+ * 并发获取、按顺序提交
+ * fetch 最多 concurrency 个同时运行；commit 严格按输入顺序逐个执行，前一项提交完成才提交下一项
+ * fetch 或 commit 出错时不再启动新的获取，已提交的结果保持不变，等运行中的获取结束后抛出错误
+ * @param {Array} items - 输入
+ * @param {object} options - 选项
+ * @param {number} options.concurrency - 最大并发数
+ * @param {Function} options.fetch - (item, index) => Promise，可以并发执行的部分（如请求 API）
+ * @param {Function} options.commit - (result, item, index) => 提交结果（如写文件），按顺序执行
+ * @returns {Promise<Array>} 每项 commit 的返回值
+ */
+export const runOrdered = async (items, { concurrency, fetch, commit }) => {
+    const limit = createLimit(concurrency);
+    const tasks = items.map((item, index) => limit(() => fetch(item, index)));
+    // 出错后不再等待的任务不能产生未处理的 rejection
+    tasks.forEach(task => task.catch(() => {}));
+
+    const results = [];
+    try {
+        for (let index = 0; index < items.length; index++) {
+            results.push(await commit(await tasks[index], items[index], index));
+        }
+    } catch (error) {
+        limit.clear();
+        await limit.idle();
+        throw error;
+    }
+    return results;
+};
@@ -0,0 +1,139 @@
+/**
+ * 图片处理索引
+ * 处理后的每本小册目录下的 processing-index.json 按章节记录处理状态：
+ * 原文哈希（不含 front matter）、输出文件哈希、处理时间和章节引用的图片（mapping.json 中的键），
+ * 以及图片到引用它的章节的反向索引。images 按章节判断是否跳过、清理不再被引用的图片，
+ * fix 修复图片后把引用它的章节标记为需要重新处理
+ */
+
+import fs from "fs";
+import path from "path";
+import { calculateFileHash } from "../utils.js";
+
+export const PROCESSING_INDEX_FILE_NAME = "processing-index.json";
+export const PROCESSING_INDEX_VERSION = 1;
+
+/**
+ * 创建空的处理索引
+ * @returns {object} 处理索引
+ */
+export const createProcessingIndex = () => ({
+    version: PROCESSING_INDEX_VERSION,
+    chapters: {},
+    images: {},
+});
+
+/**
+ * 读取小册目录下的处理索引，不存在、损坏或版本不同时返回空索引（所有章节重新处理）
+ * @param {string} bookDir - 处理后的小册目录
+ * @returns {object} 处理索引
+ */
+export const loadProcessingIndex = (bookDir) => {
+    const index = createProcessingIndex();
+    try {
+        const saved = JSON.parse(fs.readFileSync(path.join(bookDir, PROCESSING_INDEX_FILE_NAME), "utf-8"));
+        if (saved.version === PROCESSING_INDEX_VERSION && saved.chapters) {
+            index.chapters = saved.chapters;
+            index.images = buildImageIndex(saved.chapters);
+        }
+    } catch (error) {
+        // 没有索引（首次处理或旧版本处理的目录）时所有章节重新处理，已下载的图片不会重新下载
+    }
+    return index;
+};
+
+/**
+ * 按章节记录生成反向索引：图片 -> 引用它的章节
+ * @param {object} chapters - 章节记录
+ * @returns {object} { 图片: [章节文件名] }
+ */
+export const buildImageIndex = (chapters) => {
+    const images = {};
+    // 按章节序号排列，保存的文件内容不受处理完成顺序影响
+    const files = Object.keys(chapters).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    for (const file of files) {
+        const entry = chapters[file];
+        for (const image of entry.images || []) {
+            (images[image] ??= []).push(file);
+        }
+    }
+    return images;
+};
+
+/**
+ * 保存处理索引（同时更新反向索引）
+ * @param {string} bookDir - 处理后的小册目录
+ * @param {object} index - 处理索引
+ */
+export const saveProcessingIndex = (bookDir, index) => {
+    index.images = buildImageIndex(index.chapters);
+    fs.writeFileSync(path.join(bookDir, PROCESSING_INDEX_FILE_NAME), JSON.stringify(index, null, 2), "utf-8");
+};
+
+/**
+ * 记录章节的处理结果
+ * @param {object} index - 处理索引
+ * @param {string} file - 章节文件名
+ * @param {object} result - 处理结果
+ * @param {string} result.sourceHash - 原文哈希（calculateContentHash）
+ * @param {string} result.output - 写入的输出内容
+ * @param {string[]} result.images - 章节引用的图片（mapping.json 中的键）
+ */
+export const recordChapter = (index, file, { sourceHash, output, images }) => {
+    index.chapters[file] = {
+        sourceHash,
+        outputHash: calculateFileHash(output),
+        processedAt: new Date().toISOString(),
+        images: [...new Set(images)],
+    };
+};
+
+/**
+ * 章节是否不需要重新处理：原文哈希与记录相同，输出文件存在且未被修改，没有被标记为需要重新处理
+ * （章节引用的图片是否都在本地由调用方检查）
+ * @param {object} index - 处理索引
+ * @param {string} file - 章节文件名
+ * @param {object} chapter - 当前状态
+ * @param {string} chapter.sourceHash - 原文哈希
+ * @param {string} chapter.outputPath - 输出文件路径
+ * @returns {boolean} 是否不需要重新处理
+ */
+export const isChapterUnchanged = (index, file, { sourceHash, outputPath }) => {
+    const entry = index.chapters[file];
+    if (!entry || entry.stale || entry.sourceHash !== sourceHash || !fs.existsSync(outputPath)) {
+        return false;
+    }
+    return calculateFileHash(fs.readFileSync(outputPath, "utf-8")) === entry.outputHash;
+};
+
+/**
+ * 标记章节需要重新处理（例如 fix 下载了章节中缺失的图片，需要把链接替换为本地路径）
+ * @param {object} index - 处理索引
+ * @param {string[]} files - 章节文件名
+ * @returns {number} 标记的章节数
+ */
+export const markChaptersStale = (index, files) => {
+    let count = 0;
+    for (const file of new Set(files)) {
+        if (index.chapters[file] && !index.chapters[file].stale) {
+            index.chapters[file].stale = true;
+            count++;
+        }
+    }
+    return count;
+};
+
+/**
+ * 删除原文已不存在的章节记录
+ * @param {object} index - 处理索引
+ * @param {string[]} files - 原始小册目录中现有的章节文件名
+ * @returns {string[]} 删除的章节
+ */
+export const pruneChapters = (index, files) => {
+    const existing = new Set(files);
+    const removed = Object.keys(index.chapters).filter(file => !existing.has(file));
+    for (const file of removed) {
+        delete index.chapters[file];
+    }
+    return removed;
+};
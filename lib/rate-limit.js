@@ -0,0 +1,234 @@
+/**
+ * 全局请求限速
+ * 每个主机一个令牌桶，API 和图片 CDN 分别配置速率；所有对外请求都先取得令牌再发出
+ * 遇到 429 或 5xx 时把速率减半，之后连续成功一定次数再逐步恢复到配置的速率
+ */
+
+import { config } from "./config.js";
+import { getErrorKind } from "./errors.js";
+
+// 触发降速的错误类别
+const SLOWDOWN_KINDS = new Set(["rate-limit", "server"]);
+
+// 连续成功多少次后提高速率
+const RECOVERY_STREAK = 10;
+
+// 每次降速和恢复的倍数
+const SLOWDOWN_FACTOR = 0.5;
+const RECOVERY_FACTOR = 1.25;
+
+// 两次降速的最小间隔（毫秒），避免同一波并发失败把速率降到最低
+const SLOWDOWN_COOLDOWN = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 令牌桶
+ * rate 为每秒补充的令牌数（0 表示不限速），burst 为桶容量；按 FIFO 顺序发放令牌
+ */
+export class TokenBucket {
+    /**
+     * @param {object} options - 选项
+     * @param {number} options.rate - 每秒请求数（0 表示不限速）
+     * @param {number} options.burst - 允许的突发请求数
+     * @param {number} options.minRate - 降速后的最低速率
+     * @param {Function} options.now - 当前时间（毫秒），测试时可替换
+     * @param {Function} options.sleep - 等待函数，测试时可替换
+     */
+    constructor({ rate, burst = rate, minRate = 0.1, now = Date.now, sleep: wait = sleep }) {
+        this.maxRate = rate;
+        this.rate = rate;
+        this.minRate = Math.min(minRate, rate || minRate);
+        this.burst = Math.max(1, burst || 1);
+        this.tokens = this.burst;
+        this.now = now;
+        this.sleep = wait;
+        this.updatedAt = now();
+        this.queue = Promise.resolve();
+
+        // 统计
+        this.requests = 0;
+        this.slowdowns = 0;
+        this.firstRequestAt = null;
+        this.lastRequestAt = null;
+        this.lastSlowdownAt = -Infinity;
+        this.successStreak = 0;
+    }
+
+    // 按经过的时间补充令牌
+    refill() {
+        const now = this.now();
+        this.tokens = Math.min(this.burst, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+        this.updatedAt = now;
+    }
+
+    /**
+     * 取得一个令牌（令牌不足时等待）
+     * @returns {Promise<void>}
+     */
+    acquire() {
+        const next = this.queue.then(async () => {
+            if (this.rate > 0) {
+                this.refill();
+                while (this.tokens < 1) {
+                    await this.sleep(Math.ceil(((1 - this.tokens) / this.rate) * 1000));
+                    this.refill();
+                }
+                this.tokens -= 1;
+            }
+
+            const now = this.now();
+            this.firstRequestAt ??= now;
+            this.lastRequestAt = now;
+            this.requests++;
+        });
+        this.queue = next;
+        return next;
+    }
+
+    /** 请求成功：连续成功足够次数后提高速率 */
+    onSuccess() {
+        if (this.rate === this.maxRate) {
+            return;
+        }
+        this.successStreak++;
+        if (this.successStreak >= RECOVERY_STREAK) {
+            this.refill();
+            this.rate = Math.min(this.maxRate, this.rate * RECOVERY_FACTOR);
+            this.successStreak = 0;
+        }
+    }
+
+    /** 遇到限流或服务端错误：降低速率 */
+    onThrottle() {
+        this.successStreak = 0;
+        const now = this.now();
+        if (this.maxRate === 0 || now - this.lastSlowdownAt < SLOWDOWN_COOLDOWN) {
+            return;
+        }
+        this.refill();
+        this.rate = Math.max(this.minRate, this.rate * SLOWDOWN_FACTOR);
+        // 清空剩余令牌，降速立即生效
+        this.tokens = Math.min(this.tokens, 0);
+        this.lastSlowdownAt = now;
+        this.slowdowns++;
+    }
+
+    /**
+     * 统计
+     * @returns {{requests: number, effectiveRate: number|null, rate: number, maxRate: number, slowdowns: number}}
+     *          请求数、实际速率（次/秒，请求少于两次时为 null）、当前速率、配置的速率和降速次数
+     */
+    getStats() {
+        const elapsed = (this.lastRequestAt - this.firstRequestAt) / 1000;
+        return {
+            requests: this.requests,
+            effectiveRate: this.requests > 1 && elapsed > 0 ? (this.requests - 1) / elapsed : null,
+            rate: this.rate,
+            maxRate: this.maxRate,
+            slowdowns: this.slowdowns,
+        };
+    }
+}
+
+/**
+ * 按主机分配令牌桶的限速器
+ * API 主机使用 api 配置，其他主机（图片 CDN、封面等）使用 cdn 配置
+ */
+export class RateLimiter {
+    /**
+     * @param {object} options - 选项
+     * @param {string} options.apiHost - API 主机名
+     * @param {object} options.api - API 速率 { rate, burst }
+     * @param {object} options.cdn - 图片 CDN 速率 { rate, burst }
+     * @param {number} options.minRate - 降速后的最低速率
+     * @param {Function} options.now - 当前时间（毫秒）
+     * @param {Function} options.sleep - 等待函数
+     */
+    constructor({ apiHost, api, cdn, minRate, now, sleep: wait }) {
+        this.apiHost = apiHost;
+        this.limits = { api, cdn };
+        this.options = { minRate, now, sleep: wait };
+        this.buckets = new Map();
+    }
+
+    // 获取主机对应的令牌桶
+    getBucket(url) {
+        const host = new URL(url).host;
+        if (!this.buckets.has(host)) {
+            const group = host === this.apiHost ? "api" : "cdn";
+            this.buckets.set(host, {
+                group,
+                bucket: new TokenBucket({ ...this.limits[group], ...this.options }),
+            });
+        }
+        return this.buckets.get(host).bucket;
+    }
+
+    /**
+     * 取得令牌后执行请求，并根据结果调整速率
+     * @param {string} url - 请求地址
+     * @param {Function} requestFn - 请求函数
+     * @returns {Promise} 请求结果
+     */
+    async schedule(url, requestFn) {
+        const bucket = this.getBucket(url);
+        await bucket.acquire();
+        try {
+            const result = await requestFn();
+            bucket.onSuccess();
+            return result;
+        } catch (error) {
+            if (SLOWDOWN_KINDS.has(getErrorKind(error))) {
+                bucket.onThrottle();
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 各主机的请求统计
+     * @returns {Array<{host: string, group: string, requests: number, effectiveRate: number|null, rate: number, maxRate: number, slowdowns: number}>}
+     */
+    getStats() {
+        return [...this.buckets].map(([host, { group, bucket }]) => ({ host, group, ...bucket.getStats() }));
+    }
+}
+
+/**
+ * 格式化请求速率统计，用于任务汇总
+ * @param {Array} stats - RateLimiter.getStats() 的返回值
+ * @returns {string[]} 每个主机一行
+ */
+export const formatRateStats = (stats) => {
+    return stats.map(({ host, requests, effectiveRate, maxRate, slowdowns }) => {
+        const effective = effectiveRate === null ? "-" : effectiveRate.toFixed(2);
+        const limit = maxRate > 0 ? `${maxRate} 次/秒` : "不限";
+        return `${host}: ${requests} 次请求，实际 ${effective} 次/秒（限速 ${limit}，降速 ${slowdowns} 次）`;
+    });
+};
+
+let defaultLimiter = null;
+
+/**
+ * 获取按当前配置创建的全局限速器（API 客户端和图片下载共用）
+ * @returns {RateLimiter} 限速器
+ */
+export const getRateLimiter = () => {
+    if (!defaultLimiter) {
+        defaultLimiter = new RateLimiter({
+            apiHost: new URL(config.api.baseUrl).host,
+            api: config.rateLimit.api,
+            cdn: config.rateLimit.cdn,
+            minRate: config.rateLimit.minRate,
+        });
+    }
+    return defaultLimiter;
+};
+
+/**
+ * 丢弃全局限速器（配置变化后或测试之间调用）
+ */
+export const resetRateLimiter = () => {
+    defaultLimiter = null;
+};
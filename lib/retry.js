@@ -0,0 +1,101 @@
+/**
+ * 按错误类别重试
+ * 每类错误有独立的重试策略：可重试的错误按指数退避加随机抖动等待，优先使用服务端的 Retry-After；
+ * 登录失效、无权限、响应格式错误等重试也不会成功的错误立即失败
+ */
+
+import { CancelledError, classifyError } from "./errors.js";
+
+/**
+ * 等待指定时间，取消时提前结束（不抛出错误，由调用方检查 signal.aborted）
+ * @param {number} ms - 毫秒
+ * @param {AbortSignal} signal - 取消信号
+ * @returns {Promise<void>}
+ */
+export const sleep = (ms, signal) => new Promise((resolve) => {
+    const onAbort = () => {
+        clearTimeout(timer);
+        resolve();
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+});
+
+/**
+ * 各类错误的重试策略
+ * retryable: 是否重试；multiplier: 基础延迟的倍数；maxDelay: 单次等待上限（毫秒）
+ */
+export const RETRY_POLICIES = {
+    network: { retryable: true, multiplier: 1, maxDelay: 30000 },
+    timeout: { retryable: true, multiplier: 1, maxDelay: 30000 },
+    server: { retryable: true, multiplier: 2, maxDelay: 60000 },
+    "rate-limit": { retryable: true, multiplier: 5, maxDelay: 120000 },
+    auth: { retryable: false },
+    forbidden: { retryable: false },
+    schema: { retryable: false },
+    "invalid-image": { retryable: false },
+    cancelled: { retryable: false },
+    unknown: { retryable: true, multiplier: 1, maxDelay: 30000 },
+};
+
+/**
+ * 计算重试前的等待时间
+ * 指数退避（基础延迟 × 倍数 × 2^(第几次重试 - 1)），取一半固定、一半随机，避免多个请求同时重试
+ * @param {RequestError} error - 已归类的错误
+ * @param {number} attempt - 已尝试次数（从 1 开始）
+ * @param {number} baseDelay - 基础延迟（毫秒）
+ * @param {Function} random - 随机数函数（测试时可固定）
+ * @returns {number} 等待时间（毫秒）
+ */
+export const getRetryDelay = (error, attempt, baseDelay, random = Math.random) => {
+    const policy = RETRY_POLICIES[error.kind] ?? RETRY_POLICIES.unknown;
+
+    // 服务端指定了等待时间时按服务端要求等待
+    if (error.retryAfter !== null && error.retryAfter !== undefined) {
+        return Math.min(error.retryAfter, policy.maxDelay);
+    }
+
+    const delay = Math.min(baseDelay * policy.multiplier * 2 ** (attempt - 1), policy.maxDelay);
+    return Math.round(delay / 2 + random() * (delay / 2));
+};
+
+/**
+ * 带重试的请求
+ * 抛出的错误都已归类（RequestError 子类），attempts 为实际尝试次数
+ * @param {Function} requestFn - 请求函数
+ * @param {number} maxRetries - 最大尝试次数
+ * @param {number} retryDelay - 基础重试延迟（毫秒）
+ * @param {object} options - 选项
+ * @param {Function} options.onRetry - 每次重试前调用 (error, attempt, delay)
+ * @param {Function} options.random - 随机数函数
+ * @param {AbortSignal} options.signal - 取消信号，取消后不再重试
+ * @returns {Promise} 请求结果
+ */
+export const requestWithRetry = async (requestFn, maxRetries = 3, retryDelay = 1000, { onRetry, random, signal } = {}) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            if (signal?.aborted) {
+                throw new CancelledError("请求已取消");
+            }
+            return await requestFn();
+        } catch (rawError) {
+            const error = signal?.aborted && !(rawError instanceof CancelledError)
+                ? new CancelledError("请求已取消", { cause: rawError })
+                : classifyError(rawError);
+            const policy = RETRY_POLICIES[error.kind] ?? RETRY_POLICIES.unknown;
+
+            // 不可重试或已达到最大尝试次数，直接抛出
+            if (!policy.retryable || attempt >= maxRetries) {
+                error.attempts = attempt;
+                throw error;
+            }
+
+            const delay = getRetryDelay(error, attempt, retryDelay, random);
+            onRetry?.(error, attempt, delay);
+            await sleep(delay, signal);
+        }
+    }
+};
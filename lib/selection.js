@@ -0,0 +1,154 @@
+/**
+ * 小册筛选
+ * sync 按书架上的小册、images 和 fix 按小册文件夹筛选，条件相同：
+ * --include/--exclude（小册 ID、标题片段或 /正则/）、--only-updated-since（小册更新时间）、--limit，
+ * 以及配置文件中的 selection.include/exclude
+ */
+
+import { config } from "./config.js";
+import { loadBookMeta } from "./book-meta.js";
+
+// 掘金小册 ID 是较长的纯数字，短数字按标题片段匹配
+const BOOK_ID_PATTERN = /^\d{10,}$/;
+
+/**
+ * 解析筛选条件
+ * "/.../flags" 为正则（匹配标题），长数字为小册 ID，其他为标题片段（不区分大小写）
+ * @param {string} text - 筛选条件
+ * @returns {{type: string, value: string|RegExp, text: string}} 解析结果
+ */
+export const parseSelector = (text) => {
+    const value = String(text).trim();
+    const regexMatch = value.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+        try {
+            // g、y 会让 test() 记住上次匹配的位置，去掉
+            return { type: "regex", value: new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, "")), text: value };
+        } catch (error) {
+            throw new Error(`无效的正则表达式: ${value} (${error.message})`);
+        }
+    }
+    if (BOOK_ID_PATTERN.test(value)) {
+        return { type: "id", value, text: value };
+    }
+    return { type: "title", value: value.toLowerCase(), text: value };
+};
+
+/**
+ * 小册是否匹配筛选条件
+ * @param {object} selector - parseSelector 的返回值
+ * @param {{id: string|null, title: string}} book - 小册
+ * @returns {boolean}
+ */
+export const matchesSelector = (selector, { id, title }) => {
+    switch (selector.type) {
+        case "id":
+            return id === selector.value;
+        case "regex":
+            return selector.value.test(title);
+        default:
+            return title.toLowerCase().includes(selector.value);
+    }
+};
+
+/**
+ * 解析日期（YYYY-MM-DD 或 ISO 时间）
+ * @param {string} text - 日期
+ * @returns {Date} 日期
+ */
+export const parseDate = (text) => {
+    const date = new Date(text);
+    if (!text || Number.isNaN(date.getTime())) {
+        throw new Error(`无效的日期: ${text}（格式如 2024-01-31）`);
+    }
+    return date;
+};
+
+/**
+ * 创建筛选条件
+ * 命令行 include 不为空时替换配置中的 include；exclude 与配置合并，排除优先于包含
+ * @param {object} options - 命令行条件
+ * @param {string[]} options.include - 只处理匹配的小册
+ * @param {string[]} options.exclude - 不处理匹配的小册
+ * @param {string|Date} options.updatedSince - 只处理此时间之后更新过的小册
+ * @param {number} options.limit - 最多处理的小册数
+ * @returns {{include: Array, exclude: Array, updatedSince: Date|null, limit: number|null}} 筛选条件
+ */
+export const createSelection = ({ include = [], exclude = [], updatedSince = null, limit = null } = {}) => {
+    if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+        throw new Error(`--limit 应为正整数: ${limit}`);
+    }
+    const includeList = include.length > 0 ? include : config.selection.include;
+    return {
+        include: includeList.map(parseSelector),
+        exclude: [...config.selection.exclude, ...exclude].map(parseSelector),
+        updatedSince: updatedSince === null || updatedSince instanceof Date ? updatedSince : parseDate(updatedSince),
+        limit,
+    };
+};
+
+/**
+ * 是否设置了任何筛选条件
+ * @param {object} selection - createSelection 的返回值
+ * @returns {boolean}
+ */
+export const hasSelection = (selection) => {
+    return Boolean(selection) && (selection.include.length > 0 || selection.exclude.length > 0
+        || selection.updatedSince !== null || selection.limit !== null);
+};
+
+/**
+ * 按筛选条件选择小册（保持原有顺序）
+ * 设置了 updatedSince 时，更新时间未知的小册不会被选中
+ * @param {Array} items - 小册（书架条目或文件夹）
+ * @param {object} selection - createSelection 的返回值，为空时全部选中
+ * @param {Function} describe - item => { id, title, updateTime }，updateTime 为毫秒时间戳或 null
+ * @returns {Array} 选中的小册
+ */
+export const selectBooks = (items, selection, describe) => {
+    if (!hasSelection(selection)) {
+        return items;
+    }
+
+    const selected = items.filter((item) => {
+        const book = describe(item);
+        if (selection.exclude.some(selector => matchesSelector(selector, book))) {
+            return false;
+        }
+        if (selection.include.length > 0 && !selection.include.some(selector => matchesSelector(selector, book))) {
+            return false;
+        }
+        if (selection.updatedSince && !(book.updateTime && book.updateTime >= selection.updatedSince.getTime())) {
+            return false;
+        }
+        return true;
+    });
+
+    return selection.limit ? selected.slice(0, selection.limit) : selected;
+};
+
+/**
+ * 书架条目（getBooks 的返回值）的筛选信息
+ * @param {{value: string, name: string, updateTime: number|null}} book - 书架条目（updateTime 为秒级时间戳）
+ * @returns {{id: string, title: string, updateTime: number|null}}
+ */
+export const describeShelfBook = (book) => ({
+    id: book.value,
+    title: book.name,
+    updateTime: book.updateTime ? Number(book.updateTime) * 1000 : null,
+});
+
+/**
+ * 小册文件夹的筛选信息：标题为文件夹名，ID 和更新时间来自 book.json（没有时为 null）
+ * @param {string} folderName - 文件夹名
+ * @param {string[]} metaDirs - 依次查找 book.json 的目录（处理后的文件夹没有 book.json 时使用原始小册目录）
+ * @returns {{id: string|null, title: string, updateTime: number|null}}
+ */
+export const describeBookFolder = (folderName, metaDirs) => {
+    const meta = metaDirs.map(loadBookMeta).find(Boolean);
+    return {
+        id: meta?.bookletId ?? null,
+        title: folderName,
+        updateTime: meta?.updateTime ? new Date(meta.updateTime).getTime() : null,
+    };
+};
@@ -0,0 +1,45 @@
+/**
+ * 终端表格
+ * 按显示宽度对齐（中文等全角字符占两列），用于 doctor、benchmark 等命令的输出
+ */
+
+// 全角字符（CJK、谚文、全角标点等）
+const WIDE_CHAR_PATTERN = /[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/;
+
+/**
+ * 计算文本在终端中的显示宽度
+ * @param {string} text - 文本
+ * @returns {number} 列数
+ */
+export const getDisplayWidth = (text) => {
+    let width = 0;
+    for (const char of String(text)) {
+        width += WIDE_CHAR_PATTERN.test(char) ? 2 : 1;
+    }
+    return width;
+};
+
+const padDisplay = (text, width) => text + " ".repeat(Math.max(0, width - getDisplayWidth(text)));
+
+/**
+ * 生成表格（第一行为表头，表头下方加分隔线；最后一列不补空格）
+ * @param {Array<Array<string|number>>} rows - 行
+ * @returns {string} 表格
+ */
+export const formatTable = (rows) => {
+    const cells = rows.map(row => row.map(cell => String(cell)));
+    const columnCount = Math.max(...cells.map(row => row.length));
+    const widths = Array.from({ length: columnCount }, (_, column) => {
+        return Math.max(...cells.map(row => getDisplayWidth(row[column] ?? "")));
+    });
+
+    const lines = cells.map((row) => {
+        return row
+            .map((cell, column) => (column === row.length - 1 ? cell : padDisplay(cell, widths[column])))
+            .join("  ")
+            .trimEnd();
+    });
+    const totalWidth = widths.reduce((sum, width) => sum + width, 0) + (columnCount - 1) * 2;
+    lines.splice(1, 0, "-".repeat(totalWidth));
+    return lines.join("\n");
+};
@@ -0,0 +1,89 @@
+/**
+ * 文件名模板
+ * 模板中的 {name} 替换为对应的值，{name:03} 表示用 0 补齐到 3 位（只用于数字），
+ * 例如 "{index:03}-{title}.md" -> "001-开篇.md"；同一模板也可以反过来从文件名中解析出各个值
+ */
+
+// 模板中的变量：{name} 或 {name:宽度}
+const VARIABLE_PATTERN = /\{(\w+)(?::(\d+))?\}/g;
+
+// 解析文件名时只匹配数字的变量（ID 超出安全整数范围，仍按字符串返回）
+const NUMERIC_VARIABLES = new Set(["index", "sectionId", "bookId"]);
+
+// 转义正则中的特殊字符
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * 检查模板
+ * @param {string} template - 模板
+ * @param {object} options - 选项
+ * @param {string[]} options.variables - 可用的变量
+ * @param {string[][]} options.required - 必须包含的变量（每组中至少包含一个）
+ * @param {string} options.suffix - 模板必须以此结尾（例如 ".md"）
+ * @returns {string|null} 错误说明，没有问题时为 null
+ */
+export const checkTemplate = (template, { variables, required = [], suffix = "" }) => {
+    const used = [...template.matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+    const unknown = used.find(name => !variables.includes(name));
+    if (unknown) {
+        return `未知的模板变量 {${unknown}}（可用: ${variables.map(name => `{${name}}`).join(", ")}）`;
+    }
+    if (/[/\\]/.test(template)) {
+        return "模板中不能包含路径分隔符";
+    }
+    for (const group of required) {
+        if (!group.some(name => used.includes(name))) {
+            return `模板中需要包含 ${group.map(name => `{${name}}`).join(" 或 ")}`;
+        }
+    }
+    if (suffix && !template.endsWith(suffix)) {
+        return `模板应以 ${suffix} 结尾`;
+    }
+    return null;
+};
+
+/**
+ * 按模板生成文件名
+ * @param {string} template - 模板
+ * @param {object} values - 变量的值
+ * @returns {string} 文件名
+ */
+export const formatTemplate = (template, values) => {
+    return template.replace(VARIABLE_PATTERN, (_, name, width) => {
+        const value = String(values[name] ?? "");
+        return width ? value.padStart(Number(width), "0") : value;
+    });
+};
+
+/**
+ * 按模板从文件名中解析出各变量的值（index 转换为数字）
+ * @param {string} template - 模板
+ * @param {string} text - 文件名
+ * @returns {object|null} 变量的值，文件名不符合模板时为 null
+ */
+export const parseTemplate = (template, text) => {
+    const names = [];
+    let source = "";
+    let lastIndex = 0;
+    for (const match of template.matchAll(VARIABLE_PATTERN)) {
+        const [placeholder, name] = match;
+        source += escapeRegExp(template.slice(lastIndex, match.index));
+        // 同一变量出现多次时只取第一次
+        source += NUMERIC_VARIABLES.has(name) ? "(\\d+)" : "(.+?)";
+        names.push(name);
+        lastIndex = match.index + placeholder.length;
+    }
+    source += escapeRegExp(template.slice(lastIndex));
+
+    const match = text.match(new RegExp(`^${source}$`));
+    if (!match) {
+        return null;
+    }
+    const values = {};
+    names.forEach((name, i) => {
+        if (!(name in values)) {
+            values[name] = name === "index" ? parseInt(match[i + 1], 10) : match[i + 1];
+        }
+    });
+    return values;
+};
@@ -1,69 +1,216 @@
-import fs from "fs";
 import inquirer from "inquirer";
-import fse from "fs-extra";
 
-import { getBooks, getBookInfo, getSection, replaceFileName } from "./utils.js";
+import { getDefaultClient, isMainModule, loadScriptConfig, parseBookRef } from "./utils.js";
+import { downloadBook } from "./batch-download.js";
+import { processImages } from "./process-images.js";
+import { exportBook } from "./export-book.js";
+import { getBookDirName, getDownloadsDir, getOutputDir } from "./lib/layout.js";
 import { createLogger } from "./lib/logger.js";
+import { formatLocalStatus, getLocalStatus } from "./lib/local-status.js";
+import { createSelection, matchesSelector, parseSelector } from "./lib/selection.js";
 
 // 创建日志实例
 const log = createLogger("main");
 
-const main = async () => {
-    try {
-        log.info("开始运行掘金小册下载器");
-        const books = await getBooks();
-        log.info(`获取到 ${books.length} 本小册`);
-        
-        const { bookId } = await inquirer.prompt([
+// 下载完成后可选的后续操作（导出前会先处理图片）
+export const FOLLOW_UP_ACTIONS = [
+    { name: "处理图片（下载图片并替换为本地路径）", value: "images" },
+    { name: "导出 EPUB", value: "epub" },
+    { name: "导出 HTML 站点", value: "html" },
+    { name: "合并为单个 Markdown", value: "md" },
+];
+
+// 按小册 ID 或地址在书架上查找小册
+const findBooksByRefs = (books, refs) => {
+    return refs.map((ref) => {
+        const bookId = parseBookRef(ref);
+        if (!bookId) {
+            throw new Error(`无法识别的小册 ID 或地址: ${ref}`);
+        }
+        const book = books.find(item => item.value === bookId);
+        if (!book) {
+            throw new Error(`书架上没有该小册: ${bookId}（只能下载已购买的小册）`);
+        }
+        return book;
+    });
+};
+
+/**
+ * 按搜索词筛选书架上的小册
+ * @param {Array} books - 书架上的小册
+ * @param {string} keyword - 标题片段、小册 ID 或 /正则/，为空时返回全部
+ * @returns {Array} 匹配的小册
+ * @throws {Error} 正则无效
+ */
+export const filterBooks = (books, keyword) => {
+    if (!keyword.trim()) {
+        return books;
+    }
+    const selector = parseSelector(keyword);
+    return books.filter(book => matchesSelector(selector, { id: book.value, title: book.name }));
+};
+
+/**
+ * 合并一次勾选的结果：本次列出的小册以勾选结果为准，未列出的小册保持之前的选择
+ * @param {Set<string>} selectedIds - 之前选择的小册 ID
+ * @param {Array} listed - 本次列出的小册
+ * @param {string[]} checkedIds - 本次勾选的小册 ID
+ * @returns {Set<string>} 新的选择
+ */
+export const updateSelection = (selectedIds, listed, checkedIds) => {
+    const result = new Set(selectedIds);
+    for (const book of listed) {
+        result.delete(book.value);
+    }
+    for (const id of checkedIds) {
+        result.add(id);
+    }
+    return result;
+};
+
+// 搜索并多选小册，每本小册后面显示本地状态；可以多次搜索，已选的小册在之后的列表中保持勾选
+const pickBooks = async (books, outDir, prompt) => {
+    let selectedIds = new Set();
+    for (;;) {
+        const { keyword } = await prompt([
             {
-                type: "list",
-                name: "bookId",
-                message: "请选择要下载的小册",
-                choices: books,
+                type: "input",
+                name: "keyword",
+                message: `搜索小册（标题片段、小册 ID 或 /正则/，留空显示全部${selectedIds.size > 0 ? `；已选 ${selectedIds.size} 本` : ""}）`,
             },
         ]);
-        log.info(`用户选择了小册ID: ${bookId}`);
 
-        const { booklet, sections } = await getBookInfo(bookId);
-        const bookName = booklet.base_info.title;
+        let matched;
+        try {
+            matched = filterBooks(books, keyword);
+        } catch (error) {
+            log.warn(error.message);
+            continue;
+        }
+        if (matched.length === 0) {
+            log.warn(`没有匹配 "${keyword.trim()}" 的小册`);
+            continue;
+        }
 
-        fse.ensureDirSync(bookName);
+        const { bookIds } = await prompt([
+            {
+                type: "checkbox",
+                name: "bookIds",
+                message: `请选择要下载的小册（空格选择，回车确认，共 ${matched.length} 本）`,
+                choices: matched.map(book => ({
+                    name: `${book.name}  [${formatLocalStatus(getLocalStatus(book, outDir))}]`,
+                    value: book.value,
+                    short: book.name,
+                    checked: selectedIds.has(book.value),
+                })),
+                pageSize: 15,
+            },
+        ]);
+        selectedIds = updateSelection(selectedIds, matched, bookIds);
+        if (selectedIds.size === 0) {
+            log.info("没有选择小册，请重新搜索");
+            continue;
+        }
 
-        const [finishSections, progressSections] = sections.reduce(
-            (prev, curr) => {
-                if (curr.status === 1) {
-                    prev[0].push(curr);
-                } else {
-                    prev[1].push(curr);
-                }
-                return prev;
+        const { more } = await prompt([
+            {
+                type: "confirm",
+                name: "more",
+                message: `已选 ${selectedIds.size} 本小册，继续搜索并添加其他小册？`,
+                default: false,
             },
-            [[], []],
-        );
+        ]);
+        if (!more) {
+            return books.filter(book => selectedIds.has(book.value));
+        }
+    }
+};
+
+// 执行后续操作：先处理所选小册的图片，再按所选格式导出
+const runFollowUp = async (actions, books, { outDir, client }) => {
+    if (actions.length === 0) {
+        return;
+    }
 
-        log.info(
-            `获取目录成功：完结 ${finishSections.length}章，写作中 ${progressSections.length}章`,
-        );
+    // 按小册 ID 匹配下载目录中的 book.json，只处理刚下载的小册
+    await processImages({
+        inputDir: outDir,
+        outputDir: getOutputDir(),
+        selection: createSelection({ include: books.map(book => book.value) }),
+    });
 
-        for (let i = 0; i < finishSections.length; i++) {
-            const section = finishSections[i];
-            const sectionInfo = await getSection(section.id);
+    for (const format of actions.filter(action => action !== "images")) {
+        for (const book of books) {
+            await exportBook({ format, book: getBookDirName({ bookId: book.value, title: book.name }), client });
+        }
+    }
+};
 
-            const sectionName = replaceFileName(sectionInfo.title);
+/**
+ * 选择并下载小册
+ * 指定 books（小册 ID 或掘金小册地址）时直接下载，不进行任何交互，可用于脚本；
+ * 否则搜索并多选书架上的小册，下载完成后询问是否处理图片或导出
+ * @param {object} options - 选项
+ * @param {string} options.outDir - 小册输出目录（默认为配置中的原始小册目录）
+ * @param {JuejinClient} options.client - API 客户端（默认按配置创建）
+ * @param {string[]} options.books - 要下载的小册 ID 或地址
+ * @param {Function} options.prompt - 交互函数（默认 inquirer.prompt，测试时可替换）
+ * @returns {Promise<{results: Array, failed: number, actions: string[]}>} 每本小册的下载结果（同 downloadBook）和执行的后续操作
+ */
+export const downloadInteractive = async ({
+    outDir = getDownloadsDir(),
+    client = getDefaultClient(),
+    books: refs = [],
+    prompt = inquirer.prompt,
+} = {}) => {
+    try {
+        log.info("开始运行掘金小册下载器");
+        const books = await client.getBooks();
+        log.info(`获取到 ${books.length} 本小册`);
 
-            const sectionPath = `${bookName}/${section.index}.${sectionName}.md`;
+        const interactive = refs.length === 0;
+        const selected = interactive ? await pickBooks(books, outDir, prompt) : findBooksByRefs(books, refs);
+        log.info(`选择了 ${selected.length} 本小册: ${selected.map(book => book.name).join("、")}`);
 
-            fs.writeFileSync(sectionPath, sectionInfo.content);
+        // 与批量同步共用下载逻辑，同样会写入 manifest.json
+        const results = [];
+        for (const book of selected) {
+            results.push(await downloadBook({ bookId: book.value, name: book.name }, { outDir, client }));
+        }
+        const failed = results.filter(result => !result.success).length;
+        const downloaded = selected.filter((book, i) => results[i].success);
 
-            log.info(`第 ${section.index} 章下载完成`);
+        let actions = [];
+        if (interactive && downloaded.length > 0) {
+            ({ actions } = await prompt([
+                {
+                    type: "checkbox",
+                    name: "actions",
+                    message: "下载完成，接下来要做什么？（可多选，直接回车结束）",
+                    choices: FOLLOW_UP_ACTIONS,
+                },
+            ]));
+            await runFollowUp(actions, downloaded, { outDir, client });
         }
 
-        log.info(`小册 ${bookName} 下载完成`);
+        if (failed > 0) {
+            log.warn(`${failed} 本小册下载失败`);
+        }
+        return { results, failed, actions };
     } catch (error) {
         log.error(`运行过程中发生错误: ${error.message}`);
         log.error(`错误详情: ${error.stack}`);
-        process.exit(1);
+        throw error;
     }
 };
 
-main();
+// 直接运行脚本时执行: node main.js [小册 ID 或地址...]
+if (isMainModule(import.meta.url) && loadScriptConfig()) {
+    downloadInteractive({ books: process.argv.slice(2) })
+        .then(({ failed }) => {
+            process.exitCode = failed > 0 ? 1 : 0;
+        })
+        .catch(() => {
+            process.exitCode = 1;
+        });
+}
@@ -0,0 +1,129 @@
+import fs from "fs";
+import path from "path";
+import fse from "fs-extra";
+import { createLogger } from "./lib/logger.js";
+import { getBookDirName, getDownloadsDir, getOutputDir } from "./lib/layout.js";
+import { readManifest, reconcileSections, saveManifest } from "./lib/manifest.js";
+import { getSectionFileName, isMainModule, loadScriptConfig } from "./utils.js";
+
+// 创建日志实例
+const log = createLogger("migrate");
+
+// 在各目录下查找小册目录（有 manifest.json 的子目录），同一目录只返回一次
+const findBookDirs = (dirs) => {
+    const found = new Map();
+    for (const dir of dirs) {
+        if (!fs.existsSync(dir)) {
+            continue;
+        }
+        for (const item of fs.readdirSync(dir)) {
+            const bookDir = path.join(dir, item);
+            const manifest = fs.statSync(bookDir).isDirectory() ? readManifest(bookDir) : null;
+            if (manifest?.sections && !found.has(path.resolve(bookDir))) {
+                found.set(path.resolve(bookDir), { bookDir, manifest });
+            }
+        }
+    }
+    return [...found.values()];
+};
+
+// manifest 中记录的章节（用于按模板重新生成文件名）
+const getManifestSections = manifest => Object.values(manifest.sections).map(entry => ({
+    id: entry.section_id,
+    index: entry.index,
+    title: entry.title,
+    status: entry.status,
+}));
+
+// 移动目录（目标已存在时不覆盖）
+const moveDir = (from, to, dryRun) => {
+    if (!dryRun) {
+        fse.moveSync(from, to);
+    }
+    log.info(`${dryRun ? "将移动" : "已移动"}: ${from} -> ${to}`);
+};
+
+/**
+ * 把已下载的小册迁移到当前的目录布局
+ * 在 from 目录（旧版本默认下载到当前目录）和原始小册目录中查找小册，按小册目录名模板移动到原始小册目录下，
+ * 处理后目录中的同名文件夹一起改名；章节文件按章节文件名模板重命名（原始目录和处理后目录）
+ * @param {object} options - 选项
+ * @param {string} options.from - 旧的小册目录（默认当前目录）
+ * @param {boolean} options.dryRun - 只列出要移动的目录和文件，不做修改
+ * @returns {{books: number, moved: Array, renamedSections: number, conflicts: Array}} 迁移结果
+ */
+export const migrateLayout = ({ from = ".", dryRun = false } = {}) => {
+    const downloadsDir = getDownloadsDir();
+    const outputDir = getOutputDir();
+    const results = { books: 0, moved: [], renamedSections: 0, conflicts: [] };
+
+    try {
+        log.info(`开始迁移目录布局${dryRun ? "（只预览，不修改文件）" : ""}`);
+        log.info("=".repeat(50));
+
+        for (const { bookDir, manifest } of findBookDirs([from, downloadsDir])) {
+            results.books++;
+            const dirName = getBookDirName({ bookId: manifest.bookletId, title: manifest.title });
+            const targetDir = path.join(downloadsDir, dirName);
+            const processedDir = path.join(outputDir, dirName);
+
+            if (path.resolve(bookDir) !== path.resolve(targetDir)) {
+                if (fs.existsSync(targetDir)) {
+                    log.warn(`目标目录已存在，跳过: ${bookDir} -> ${targetDir}`);
+                    results.conflicts.push({ from: bookDir, to: targetDir });
+                    continue;
+                }
+                moveDir(bookDir, targetDir, dryRun);
+                results.moved.push({ from: bookDir, to: targetDir });
+
+                const oldProcessedDir = path.join(outputDir, path.basename(bookDir));
+                if (path.resolve(oldProcessedDir) !== path.resolve(processedDir) && fs.existsSync(oldProcessedDir)) {
+                    if (fs.existsSync(processedDir)) {
+                        log.warn(`处理后目录已存在，跳过: ${oldProcessedDir} -> ${processedDir}`);
+                        results.conflicts.push({ from: oldProcessedDir, to: processedDir });
+                    } else {
+                        moveDir(oldProcessedDir, processedDir, dryRun);
+                        results.moved.push({ from: oldProcessedDir, to: processedDir });
+                    }
+                }
+            }
+
+            const sections = getManifestSections(manifest);
+            if (dryRun) {
+                const renamed = sections.filter(section => manifest.sections[section.id].file !== getSectionFileName(section));
+                results.renamedSections += renamed.length;
+                continue;
+            }
+
+            // 与同步时处理章节改名的逻辑相同；这里章节都来自 manifest，不会有被移除的章节
+            const { renamed } = reconcileSections(manifest, sections, {
+                bookDir: targetDir,
+                processedDir,
+                removedMode: "keep",
+                getFileName: getSectionFileName,
+            });
+            if (renamed.length > 0) {
+                saveManifest(targetDir, manifest, { synced: false });
+                log.info(`${dirName}: 重命名 ${renamed.length} 个章节文件`);
+            }
+            results.renamedSections += renamed.length;
+        }
+
+        log.info("=".repeat(50));
+        log.info(`迁移${dryRun ? "预览" : ""}完成 - 小册: ${results.books} 本, 移动目录: ${results.moved.length} 个, 重命名章节: ${results.renamedSections} 个, 冲突: ${results.conflicts.length} 个`);
+        return results;
+    } catch (error) {
+        log.error(`迁移过程中发生错误: ${error.message}`);
+        throw error;
+    }
+};
+
+// 直接运行脚本时执行: node migrate-layout.js [旧的小册目录]
+if (isMainModule(import.meta.url) && loadScriptConfig()) {
+    try {
+        const { conflicts } = migrateLayout({ from: process.argv[2] });
+        process.exitCode = conflicts.length > 0 ? 1 : 0;
+    } catch (error) {
+        process.exitCode = 1;
+    }
+}
@@ -0,0 +1,153 @@
+/**
+ * 本地掘金 API mock 服务
+ * 从 fixtures 目录读取书架、小册和章节数据，用于离线开发和测试
+ * GET /images/<文件名> 返回 fixtures/images 下的图片，可在 fixtures 中代替图片 CDN 地址
+ * fixtures 中的 {{baseUrl}} 会替换为服务自身的地址（例如 "{{baseUrl}}/images/cover.png"）
+ *
+ * 单独运行: node mock/server.js [port]
+ * 然后: JUEJIN_API_BASE_URL=http://127.0.0.1:<port> juejin-dl sync
+ */
+
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+import { isMainModule } from "../utils.js";
+
+export const DEFAULT_FIXTURES_DIR = fileURLToPath(new URL("./fixtures", import.meta.url));
+
+// 掘金 API 的响应包装格式
+const envelope = (data, errNo = 0, errMsg = "success") => ({
+    err_no: errNo,
+    err_msg: errMsg,
+    data,
+});
+
+// 读取 fixture 文件，不存在时返回 null
+const readFixture = (fixturesDir, baseUrl, ...segments) => {
+    const filePath = path.join(fixturesDir, ...segments);
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, "utf-8").replaceAll("{{baseUrl}}", baseUrl));
+};
+
+// 读取请求体 JSON
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", chunk => chunks.push(chunk));
+    req.on("end", () => {
+        const raw = Buffer.concat(chunks).toString("utf-8");
+        try {
+            resolve(raw ? JSON.parse(raw) : {});
+        } catch (error) {
+            reject(error);
+        }
+    });
+    req.on("error", reject);
+});
+
+// 图片扩展名 -> Content-Type
+const IMAGE_CONTENT_TYPES = {
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".gif": "image/gif",
+    ".webp": "image/webp",
+    ".svg": "image/svg+xml",
+};
+
+// 返回 fixtures/images 下的图片
+const serveImage = (fixturesDir, pathname, res) => {
+    const fileName = path.basename(decodeURIComponent(pathname));
+    const filePath = path.join(fixturesDir, "images", fileName);
+    if (!fs.existsSync(filePath)) {
+        res.writeHead(404, { "content-type": "text/html; charset=utf-8" });
+        res.end("<html><body>404 Not Found</body></html>");
+        return;
+    }
+    const contentType = IMAGE_CONTENT_TYPES[path.extname(fileName).toLowerCase()] || "application/octet-stream";
+    res.writeHead(200, { "content-type": contentType });
+    res.end(fs.readFileSync(filePath));
+};
+
+// 路由：API 路径 -> 处理函数
+const routes = {
+    "/booklet_api/v1/booklet/bookletshelflist": (readJson) => {
+        return envelope(readJson("shelf.json") || []);
+    },
+    "/booklet_api/v1/booklet/get": (readJson, body) => {
+        const booklet = readJson("booklets", `${body.booklet_id}.json`);
+        return booklet ? envelope(booklet) : envelope(null, 404, "booklet not found");
+    },
+    "/booklet_api/v1/section/get": (readJson, body) => {
+        const section = readJson("sections", `${body.section_id}.json`);
+        return section ? envelope({ section }) : envelope(null, 404, "section not found");
+    },
+};
+
+/**
+ * 启动 mock 服务
+ * @param {object} options - 选项
+ * @param {number} options.port - 监听端口（0 表示随机端口）
+ * @param {string} options.fixturesDir - fixtures 目录
+ * @returns {Promise<{url: string, requests: Array, close: Function}>} 服务信息
+ */
+export const startMockServer = ({ port = 0, fixturesDir = DEFAULT_FIXTURES_DIR } = {}) => {
+    // 记录收到的请求，便于测试断言
+    const requests = [];
+
+    const server = http.createServer(async (req, res) => {
+        const send = (statusCode, payload) => {
+            res.writeHead(statusCode, { "content-type": "application/json; charset=utf-8" });
+            res.end(JSON.stringify(payload));
+        };
+
+        try {
+            const { pathname } = new URL(req.url, "http://localhost");
+            const body = await readBody(req);
+            requests.push({ method: req.method, path: pathname, body, cookie: req.headers.cookie || "" });
+
+            if (req.method === "GET" && pathname.startsWith("/images/")) {
+                serveImage(fixturesDir, pathname, res);
+                return;
+            }
+
+            const route = routes[pathname];
+            if (req.method !== "POST" || !route) {
+                send(404, envelope(null, 404, "not found"));
+                return;
+            }
+
+            if (!req.headers.cookie) {
+                send(200, envelope(null, 403, "must login"));
+                return;
+            }
+
+            const { port: serverPort } = server.address();
+            const readJson = (...segments) => readFixture(fixturesDir, `http://127.0.0.1:${serverPort}`, ...segments);
+            send(200, route(readJson, body));
+        } catch (error) {
+            send(500, envelope(null, 500, error.message));
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, "127.0.0.1", () => {
+            const { port: actualPort } = server.address();
+            resolve({
+                url: `http://127.0.0.1:${actualPort}`,
+                requests,
+                close: () => new Promise(done => server.close(done)),
+            });
+        });
+    });
+};
+
+// 直接运行脚本时执行
+if (isMainModule(import.meta.url)) {
+    const port = parseInt(process.argv[2] || "3000", 10);
+    startMockServer({ port }).then(({ url }) => {
+        console.log(`mock 服务已启动: ${url}`);
+    });
+}
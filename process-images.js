@@ -1,196 +1,185 @@
 import fs from "fs";
 import path from "path";
 import fse from "fs-extra";
-import got from "got";
 import crypto from "crypto";
 import { config } from "./lib/config.js";
+import { getDownloadsDir, getOutputDir } from "./lib/layout.js";
 import { createLogger } from "./lib/logger.js";
-import { generateImageFileName, calculateFileHash } from "./utils.js";
+import { generateImageFileName, isMainModule, loadScriptConfig } from "./utils.js";
+import { calculateContentHash } from "./lib/front-matter.js";
+import { getRateLimiter, formatRateStats } from "./lib/rate-limit.js";
+import { downloadImageFile, downloadImageToStore, getImageQueue } from "./lib/image-download.js";
+import { collectStoreReferences, getImageStore } from "./lib/image-store.js";
+import { fixImageExtension, getImageMetadata, inspectImageFile } from "./lib/image-type.js";
+import { extractImageRefs, replaceImageRefs } from "./lib/markdown-images.js";
+import { isChapterUnchanged, loadProcessingIndex, pruneChapters, recordChapter, saveProcessingIndex } from "./lib/processing-index.js";
+import { runOrdered } from "./lib/pool.js";
+import { CancelledError, InvalidImageError, addErrorKinds, formatErrorKinds, getErrorKind } from "./lib/errors.js";
+import { Checkpoint, CHECKPOINT_STATUS } from "./lib/checkpoint.js";
+import { describeBookFolder, hasSelection, selectBooks } from "./lib/selection.js";
 
 // 配置常量
-const DOWNLOADS_DIR = config.downloads.dir;
-const OUTPUT_DIR = config.downloads.outputDir;
 const IMAGES_DIR_NAME = config.downloads.imagesDirName;
-const MAX_CONCURRENT = config.concurrency.maxConcurrent;
-const TIMEOUT = config.network.timeout;
-const RETRY_COUNT = config.network.retryCount;
 
 // 创建日志实例
 const log = createLogger("process-images");
 
 
-// 下载单个图片
-const downloadImage = async (url, localPath) => {
-    // 如果文件已存在，跳过下载
-    if (fs.existsSync(localPath)) {
-        return true;
+// 检查章节是否已处理过：原文和输出文件与处理索引中的记录一致，且引用的图片都已在本地（hasLocalImage 判断）
+const isChapterProcessed = (processingIndex, fileName, { sourceHash, outputFilePath, hasLocalImage }) => {
+    if (!isChapterUnchanged(processingIndex, fileName, { sourceHash, outputPath: outputFilePath })) {
+        return false;
     }
+    return processingIndex.chapters[fileName].images.every(hasLocalImage);
+};
 
-    for (let attempt = 1; attempt <= RETRY_COUNT; attempt++) {
-        try {
-            const response = await got(url, {
-                timeout: { request: TIMEOUT },
-                retry: { limit: 0 }, // 手动控制重试
-            });
-
-            // 确保目录存在
-            fse.ensureDirSync(path.dirname(localPath));
+// 图片在 images 目录中的文件（上次保存时可能按实际格式修正了扩展名）
+const getSavedImagePath = (imagesDir, imageFileName, previous) => {
+    const savedName = previous?.localPath?.startsWith(`${IMAGES_DIR_NAME}/`)
+        ? path.posix.basename(previous.localPath)
+        : imageFileName;
+    return path.join(imagesDir, savedName);
+};
 
-            // 写入文件
-            fs.writeFileSync(localPath, response.rawBody);
-            return true;
-        } catch (error) {
-            if (attempt === RETRY_COUNT) {
-                throw new Error(`下载失败 (尝试 ${attempt} 次): ${error.message}`);
-            }
-            // 等待后重试
-            await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+// 读取已保存图片的格式：mapping 中记录过且文件大小未变时直接使用，否则按内容识别
+// 文件不是有效图片时（例如之前保存的 HTML 错误页）删除文件并返回 null，重新下载
+const readSavedImage = (filePath, previous) => {
+    const { size } = fs.statSync(filePath);
+    if (previous?.mimeType && previous.size === size) {
+        return { ...getImageMetadata(previous), ext: path.extname(filePath) };
+    }
+    try {
+        return inspectImageFile(filePath);
+    } catch (error) {
+        if (!(error instanceof InvalidImageError)) {
+            throw error;
         }
+        log.warn(`  本地图片无效，重新下载: ${path.basename(filePath)} - ${error.message}`);
+        fs.rmSync(filePath, { force: true });
+        return null;
     }
-    return false;
 };
 
-// 提取图片 URL（支持 Markdown 和 HTML 格式）
-const extractImageUrls = (content) => {
-    const urls = [];
-    
-    // Markdown 格式: ![alt](url) 或 ![alt](url "title")
-    const markdownRegex = /!\[([^\]]*)\]\((https?:\/\/[^\s"\)]+)(?:\s+"([^"]*)")?\)/g;
-    let match;
-    while ((match = markdownRegex.exec(content)) !== null) {
-        const [fullMatch, alt, url, title] = match;
-        urls.push({
-            fullMatch,
-            url: url.trim(),
-            type: "markdown",
-            alt: alt || "",
-            title: title || "",
-        });
+// 获取图片：已保存的有效图片直接使用（扩展名与实际格式不符时改名），否则下载
+// 使用图片库时：mapping 中记录的哈希已在库中时直接使用，images 目录中有启用图片库之前下载的文件时加入库中
+// 返回图片信息、保存路径（path）或库中的路径（objectPath、hash），cached 表示没有下载
+const fetchImage = async (url, { store, imagesDir, imageFileName, previous, priority, signal, checkpoint }) => {
+    if (store && previous?.hash) {
+        const objectPath = store.find(previous.hash);
+        const stored = objectPath ? readSavedImage(objectPath, previous) : null;
+        if (stored) {
+            return { ...stored, hash: previous.hash, objectPath, cached: true };
+        }
     }
-    
-    // HTML 格式: <img src="url" ...>
-    const htmlRegex = /<img\s+[^>]*src=["'](https?:\/\/[^"']+)["'][^>]*>/gi;
-    while ((match = htmlRegex.exec(content)) !== null) {
-        const [fullMatch, url] = match;
-        // 检查是否已经在 markdown 格式中匹配过（避免重复）
-        const alreadyMatched = urls.some(item => 
-            item.fullMatch === fullMatch || item.url === url.trim()
-        );
-        if (!alreadyMatched) {
-            urls.push({
-                fullMatch,
-                url: url.trim(),
-                type: "html",
-            });
+
+    let savedPath = getSavedImagePath(imagesDir, imageFileName, previous);
+    const saved = fs.existsSync(savedPath) ? readSavedImage(savedPath, previous) : null;
+    if (saved) {
+        const fixedPath = fixImageExtension(savedPath, saved);
+        if (store) {
+            return { ...saved, ...(await store.ingest(savedPath, path.extname(fixedPath), { keep: true })), cached: true };
+        }
+        if (fixedPath !== savedPath) {
+            fs.renameSync(savedPath, fixedPath);
+            savedPath = fixedPath;
         }
+        return { ...saved, path: savedPath, cached: true };
     }
-    
-    return urls;
-};
 
-// 检查文件是否已处理过
-const isFileProcessed = (filePath, outputFilePath, mappingPath) => {
-    // 检查输出文件是否存在
-    if (!fs.existsSync(outputFilePath)) {
-        return false;
+    // 加入全局下载队列（并发、限速和相同 URL 去重由队列处理）
+    checkpoint?.mark("images", url, CHECKPOINT_STATUS.PENDING, { file: imageFileName });
+    if (store) {
+        return { ...(await downloadImageToStore(url, store, { ext: path.extname(imageFileName), priority, signal })), cached: false };
     }
-    
-    // 检查 mapping.json 是否存在
-    if (!fs.existsSync(mappingPath)) {
-        return false;
+    return { ...(await downloadImageFile(url, path.join(imagesDir, imageFileName), { priority, signal })), cached: false };
+};
+
+// 记录图片的映射关系：已有保存成功的记录（带 mimeType）时不覆盖
+const setMapping = (mapping, imageFileName, entry) => {
+    if (entry && !mapping[imageFileName]?.mimeType) {
+        mapping[imageFileName] = entry;
     }
-    
-    // 读取原始文件，检查是否有图片
+};
+
+// 获取图片并记录映射关系，返回章节中引用的本地路径（每次运行每张图片只调用一次）
+const getImage = async (url, imageFileName, { store, outputDir, imagesDir, mapping, previous, priority, signal, checkpoint }) => {
+    let image;
     try {
-        const content = fs.readFileSync(filePath, "utf-8");
-        const contentHash = calculateFileHash(content);
-        
-        // 尝试从 mapping.json 中读取上次处理的文件哈希
-        let mapping = {};
-        let lastProcessedHash = null;
-        
-        try {
-            const mappingContent = fs.readFileSync(mappingPath, "utf-8");
-            mapping = JSON.parse(mappingContent);
-            // 从 mapping.json 的元数据中获取文件哈希（如果存在）
-            if (mapping._metadata && mapping._metadata.sourceFileHash) {
-                lastProcessedHash = mapping._metadata.sourceFileHash;
-            }
-        } catch (error) {
-            // 如果读取失败，认为未处理
-            return false;
-        }
-        
-        // 如果文件哈希不同，说明内容已更新，需要重新处理
-        if (lastProcessedHash && lastProcessedHash !== contentHash) {
-            return false;
-        }
-        
-        const imageUrls = extractImageUrls(content);
-        
-        if (imageUrls.length === 0) {
-            // 没有图片，只要输出文件存在且哈希匹配就认为已处理
-            return lastProcessedHash === contentHash || !lastProcessedHash;
-        }
-        
-        // 有图片，需要检查所有图片是否都已下载
-        const imagesDir = path.join(path.dirname(outputFilePath), IMAGES_DIR_NAME);
-        
-        for (const imageInfo of imageUrls) {
-            const imageFileName = generateImageFileName(imageInfo.url);
-            const localImagePath = path.join(imagesDir, imageFileName);
-            
-            // 如果图片文件不存在，说明未完全处理
-            if (!fs.existsSync(localImagePath)) {
-                return false;
-            }
-        }
-        
-        // 所有图片都存在，且文件哈希匹配
-        return lastProcessedHash === contentHash || !lastProcessedHash;
+        image = await fetchImage(url, { store, imagesDir, imageFileName, previous, priority, signal, checkpoint });
     } catch (error) {
-        // 如果读取失败，认为未处理
-        return false;
+        if (!(error instanceof CancelledError)) {
+            log.error(`  ✗ 下载失败: ${imageFileName} - ${error.message}`);
+            checkpoint?.mark("images", url, CHECKPOINT_STATUS.FAILED, { errorKind: getErrorKind(error) });
+        }
+        throw error;
+    }
+
+    // 使用图片库时在 images 目录中放置链接（relative 方式直接引用库中的文件）
+    const savedPath = store
+        ? store.place(image.objectPath, path.join(imagesDir, fixImageExtension(imageFileName, image)))
+        : image.path;
+    const savedImagePath = path.relative(outputDir, savedPath).replace(/\\/g, "/");
+
+    mapping[imageFileName] = {
+        originalUrl: url,
+        localPath: savedImagePath,
+        ...(store ? { hash: image.hash } : {}),
+        ...getImageMetadata(image),
+    };
+
+    const savedName = path.basename(savedImagePath);
+    const renamed = savedName === imageFileName ? "" : `（实际格式为 ${image.mimeType}，保存为 ${savedName}）`;
+    if (image.cached) {
+        log.info(`  ⊙ ${store ? "使用图片库" : "使用缓存"}: ${imageFileName}${renamed}`);
+    } else {
+        log.info(`  ✓ 下载成功: ${imageFileName}${renamed}`);
+        checkpoint?.mark("images", url, CHECKPOINT_STATUS.DONE);
     }
+    return savedImagePath;
 };
 
-// 处理单个 Markdown 文件
-const processMarkdownFile = async (filePath, outputDir, imagesDir, mapping, mappingPath, missingImages, usedImageFiles) => {
+// 处理单个 Markdown 文件（priority 为该文件图片在全局下载队列中的优先级）
+// 收到中断信号时抛出 CancelledError，不写入输出文件，下次运行重新处理
+// store 为全局图片库（未启用时为 null），existingMapping 为上次运行保存的映射关系，
+// pendingImages 为本次运行中各图片的获取结果（图片文件名 -> Promise），引用同一图片的章节共用一次获取，
+// 处理结果记录到 processingIndex（处理索引）中
+const processMarkdownFile = async (filePath, outputDir, imagesDir, mapping, missingImages, { priority = 0, signal, checkpoint = null, store = null, existingMapping = {}, pendingImages = new Map(), processingIndex } = {}) => {
     const fileName = path.basename(filePath);
     const outputFilePath = path.join(outputDir, fileName);
+    const hasLocalImage = (imageFileName) => {
+        const previous = existingMapping[imageFileName];
+        const savedPath = getSavedImagePath(imagesDir, imageFileName, previous);
+        if (!store) {
+            return fs.existsSync(savedPath);
+        }
+        return Boolean(previous?.hash && store.find(previous.hash)) && (!store.usesLinks || fs.existsSync(savedPath));
+    };
     
     try {
+        if (signal?.aborted) {
+            throw new CancelledError("图片处理已中断");
+        }
+        
         // 读取原始文件内容
         const content = fs.readFileSync(filePath, "utf-8");
-        const contentHash = calculateFileHash(content);
+        const contentHash = calculateContentHash(content);
         
         // 检查是否已处理过
-        const wasProcessed = isFileProcessed(filePath, outputFilePath, mappingPath);
+        const wasProcessed = isChapterProcessed(processingIndex, fileName, { sourceHash: contentHash, outputFilePath, hasLocalImage });
         
         if (wasProcessed) {
             log.info(`${fileName}: 已处理过，跳过`);
             
-            // 即使跳过，也要记录使用的图片文件（用于清理）
-            const imageUrls = extractImageUrls(content);
-            for (const imageInfo of imageUrls) {
-                const imageFileName = generateImageFileName(imageInfo.url);
-                usedImageFiles.add(imageFileName);
-            }
-            
-            // 读取已存在的 mapping.json 来统计图片数量
-            let existingImagesCount = 0;
-            try {
-                const existingMapping = JSON.parse(fs.readFileSync(mappingPath, "utf-8"));
-                // 排除元数据
-                existingImagesCount = Object.keys(existingMapping).filter(key => !key.startsWith("_")).length;
-            } catch (error) {
-                // 忽略错误
+            // 即使跳过，也要保留章节引用的图片的映射关系（用于清理和图片库的引用计数）
+            const { images } = processingIndex.chapters[fileName];
+            for (const imageFileName of images) {
+                setMapping(mapping, imageFileName, existingMapping[imageFileName]);
             }
             
             return { 
                 processed: true, 
                 skipped: true,
-                imagesCount: existingImagesCount, 
+                imagesCount: images.length, 
                 downloadedCount: 0 
             };
         }
@@ -200,123 +189,89 @@ const processMarkdownFile = async (filePath, outputDir, imagesDir, mapping, mapp
             log.info(`${fileName}: 文件内容已更新，重新处理`);
         }
         
-        // 提取所有图片 URL
-        const imageUrls = extractImageUrls(content);
+        // 提取所有图片引用（同一地址可能被引用多次，只下载一次）
+        const imageRefs = extractImageRefs(content);
+        const imageUrls = [...new Set(imageRefs.map(ref => ref.url))];
         
         if (imageUrls.length === 0) {
             log.info(`${fileName}: 没有找到图片，直接复制文件`);
             // 没有图片，直接复制文件
             fse.ensureDirSync(outputDir);
             fs.writeFileSync(outputFilePath, content, "utf-8");
-            
-            // 保存文件哈希到 mapping.json
-            if (!mapping._metadata) {
-                mapping._metadata = {};
-            }
-            mapping._metadata.sourceFileHash = contentHash;
-            mapping._metadata.lastProcessed = new Date().toISOString();
-            fs.writeFileSync(mappingPath, JSON.stringify(mapping, null, 2), "utf-8");
+            recordChapter(processingIndex, fileName, { sourceHash: contentHash, output: content, images: [] });
             
             return { processed: true, imagesCount: 0, downloadedCount: 0 };
         }
         
         log.info(`${fileName}: 找到 ${imageUrls.length} 张图片`);
         
-        let newContent = content;
         let downloadedCount = 0;
         const downloadPromises = [];
-        const downloadResults = new Map(); // 存储每个图片的下载结果
+        const downloadResults = new Map(); // 下载成功的图片地址 -> 章节中引用的本地路径
         
         // 下载所有图片
-        for (const imageInfo of imageUrls) {
-            const { url, fullMatch, type, alt, title } = imageInfo;
-            
-            // 生成本地文件名和路径
+        for (const url of imageUrls) {
+            // 生成本地文件名和路径（按 URL 推测，下载后按实际格式修正扩展名；mapping 仍以此为键）
             const imageFileName = generateImageFileName(url);
             const localImagePath = path.join(imagesDir, imageFileName);
             const relativeImagePath = path.join(IMAGES_DIR_NAME, imageFileName).replace(/\\/g, "/");
             
-            // 记录使用的图片文件（用于后续清理）
-            usedImageFiles.add(imageFileName);
+            // 本次运行中已有章节在获取这张图片时等待同一个结果，映射关系只在获取成功后写入
+            let fetching = pendingImages.get(imageFileName);
+            if (!fetching) {
+                fetching = getImage(url, imageFileName, {
+                    store, outputDir, imagesDir, mapping, priority, signal, checkpoint,
+                    // 本次运行中已保存的图片优先（可能已改名或放入图片库），其次是上次运行的映射
+                    previous: mapping[imageFileName]?.mimeType ? mapping[imageFileName] : existingMapping[imageFileName],
+                });
+                pendingImages.set(imageFileName, fetching);
+            }
             
-            // 记录映射关系
-            mapping[imageFileName] = {
-                originalUrl: url,
-                localPath: relativeImagePath,
+            const onSaved = (savedImagePath) => {
+                downloadedCount++; // 使用缓存时统计也算作成功
+                downloadResults.set(url, savedImagePath);
             };
             
-            // 检查图片是否已存在（缓存检查）
-            const imageExists = fs.existsSync(localImagePath);
-            if (imageExists) {
-                log.info(`  ⊙ 使用缓存: ${imageFileName}`);
-                downloadedCount++; // 统计时也算作成功
-                downloadResults.set(fullMatch, { success: true, imageFileName, relativeImagePath, type, alt, title });
-            } else {
-                // 添加到下载队列
-                const downloadPromise = downloadImage(url, localImagePath)
-                    .then(() => {
-                        downloadedCount++;
-                    log.info(`  ✓ 下载成功: ${imageFileName}`);
-                    downloadResults.set(fullMatch, { success: true, imageFileName, relativeImagePath, type, alt, title });
-                })
-                .catch((error) => {
-                    log.error(`  ✗ 下载失败: ${imageFileName} - ${error.message}`);
-                        // 记录缺失的图片
-                        missingImages[imageFileName] = {
-                            originalUrl: url,
-                            expectedPath: relativeImagePath,
-                            localFilePath: localImagePath,
-                            error: error.message,
-                            sourceFile: fileName,
-                        };
-                        downloadResults.set(fullMatch, { success: false, imageFileName, relativeImagePath, type, alt, title });
-                    });
-                
-                downloadPromises.push(downloadPromise);
-            }
-        }
-        
-        // 等待所有下载完成（控制并发）
-        const chunks = [];
-        for (let i = 0; i < downloadPromises.length; i += MAX_CONCURRENT) {
-            chunks.push(downloadPromises.slice(i, i + MAX_CONCURRENT));
+            const onFailed = (error) => {
+                // 中断导致的取消不算缺失，下次运行继续下载
+                if (error instanceof CancelledError) {
+                    return;
+                }
+                // 记录映射关系（下载失败时保留，供 fix 命令使用）
+                setMapping(mapping, imageFileName, { originalUrl: url, localPath: relativeImagePath });
+                // 记录缺失的图片（包括不是图片的响应）
+                missingImages[imageFileName] = {
+                    originalUrl: url,
+                    expectedPath: relativeImagePath,
+                    localFilePath: localImagePath,
+                    error: error.message,
+                    errorKind: getErrorKind(error),
+                    sourceFile: fileName,
+                };
+            };
+            
+            downloadPromises.push(fetching.then(onSaved, onFailed));
         }
         
-        for (const chunk of chunks) {
-            await Promise.all(chunk);
+        // 等待本文件的图片下载完成
+        await Promise.all(downloadPromises);
+        if (signal?.aborted) {
+            throw new CancelledError("图片处理已中断");
         }
         
-        // 只替换下载成功的图片链接，失败的保持原始 URL
-        for (const imageInfo of imageUrls) {
-            const { fullMatch } = imageInfo;
-            const result = downloadResults.get(fullMatch);
-            
-            if (result && result.success) {
-                // 只替换下载成功的图片
-                if (result.type === "markdown") {
-                    // 如果有 title，保留 title；否则只保留 alt
-                    const titlePart = result.title ? ` "${result.title}"` : "";
-                    const newMarkdown = `![${result.alt}](${result.relativeImagePath}${titlePart})`;
-                    newContent = newContent.replace(fullMatch, newMarkdown);
-                } else if (result.type === "html") {
-                    // 替换 HTML img 标签中的 src
-                    const newHtml = fullMatch.replace(/src=["']([^"']+)["']/i, `src="${result.relativeImagePath}"`);
-                    newContent = newContent.replace(fullMatch, newHtml);
-                }
-            }
-            // 如果下载失败，不替换链接，保持原始 URL
-        }
+        // 只替换下载成功的图片地址，失败的保持原始 URL，文件其余内容不变
+        const newContent = replaceImageRefs(content, imageRefs, ref => downloadResults.get(ref.url));
         
         // 保存处理后的文件
         fse.ensureDirSync(outputDir);
         fs.writeFileSync(outputFilePath, newContent, "utf-8");
         
-        // 保存文件哈希到 mapping.json 的元数据中
-        if (!mapping._metadata) {
-            mapping._metadata = {};
-        }
-        mapping._metadata.sourceFileHash = contentHash;
-        mapping._metadata.lastProcessed = new Date().toISOString();
+        // 记录章节的原文、输出和引用的图片（下载失败的图片也记录，下次运行重新下载）
+        recordChapter(processingIndex, fileName, {
+            sourceHash: contentHash,
+            output: newContent,
+            images: imageUrls.map(url => generateImageFileName(url)),
+        });
         
         const failedCount = imageUrls.length - downloadedCount;
         log.info(`${fileName}: 处理完成，下载了 ${downloadedCount}/${imageUrls.length} 张图片`);
@@ -331,6 +286,9 @@ const processMarkdownFile = async (filePath, outputDir, imagesDir, mapping, mapp
             failedCount,
         };
     } catch (error) {
+        if (error instanceof CancelledError) {
+            throw error;
+        }
         log.error(`处理文件失败 ${fileName}: ${error.message}`);
         return {
             processed: false,
@@ -339,8 +297,8 @@ const processMarkdownFile = async (filePath, outputDir, imagesDir, mapping, mapp
     }
 };
 
-// 处理单个文件夹
-const processFolder = async (folderPath, outputBaseDir) => {
+// 处理单个文件夹（store 为全局图片库，未启用时为 null）
+const processFolder = async (folderPath, outputBaseDir, { signal, checkpoint = null, store = null } = {}) => {
     const folderName = path.basename(folderPath);
     const outputFolderPath = path.join(outputBaseDir, folderName);
     const imagesDir = path.join(outputFolderPath, IMAGES_DIR_NAME);
@@ -366,6 +324,8 @@ const processFolder = async (folderPath, outputBaseDir) => {
     
     // 映射关系
     const mapping = {};
+    // 本次运行中各图片的获取结果（各章节共用）
+    const pendingImages = new Map();
     
     let processedCount = 0;
     let totalImagesCount = 0;
@@ -375,8 +335,8 @@ const processFolder = async (folderPath, outputBaseDir) => {
     const mappingPath = path.join(outputFolderPath, "mapping.json");
     const missingImagesPath = path.join(outputFolderPath, "missing-images.json");
     
-    // 记录当前处理过程中使用的所有图片文件名
-    const usedImageFiles = new Set();
+    // 按章节记录的处理状态
+    const processingIndex = loadProcessingIndex(outputFolderPath);
     
     // 如果 mapping.json 已存在，尝试加载已有的映射关系
     let existingMapping = {};
@@ -385,9 +345,9 @@ const processFolder = async (folderPath, outputBaseDir) => {
             existingMapping = JSON.parse(fs.readFileSync(mappingPath, "utf-8"));
             // 排除元数据
             const imageMappings = Object.keys(existingMapping).filter(key => !key.startsWith("_"));
-            log(`加载已有映射关系: ${imageMappings.length} 条记录`);
+            log.info(`加载已有映射关系: ${imageMappings.length} 条记录`);
         } catch (error) {
-            log(`加载已有映射关系失败: ${error.message}`, "WARN");
+            log.warn(`加载已有映射关系失败: ${error.message}`);
         }
     }
     
@@ -397,21 +357,69 @@ const processFolder = async (folderPath, outputBaseDir) => {
     let skippedCount = 0;
     let totalFailedCount = 0;
     
-    // 处理每个文件
-    for (const file of files) {
-        const result = await processMarkdownFile(file, outputFolderPath, imagesDir, mapping, mappingPath, missingImages, usedImageFiles);
-        if (result.processed) {
-            processedCount++;
-            if (result.skipped) {
-                skippedCount++;
-            }
-            totalImagesCount += result.imagesCount || 0;
-            totalDownloadedCount += result.downloadedCount || 0;
-            totalFailedCount += result.failedCount || 0;
+    // 同时处理多个文件，图片进入同一个下载队列；靠前的文件优先级更高，尽早完成写入
+    try {
+        await runOrdered(files, {
+            concurrency: config.concurrency.maxConcurrent,
+            fetch: (file, index) => processMarkdownFile(file, outputFolderPath, imagesDir, mapping, missingImages, {
+                priority: -index,
+                signal,
+                checkpoint,
+                store,
+                existingMapping,
+                pendingImages,
+                processingIndex,
+            }),
+            commit: (result, file) => {
+                checkpoint?.mark("files", `${folderName}/${path.basename(file)}`, result.processed ? CHECKPOINT_STATUS.DONE : CHECKPOINT_STATUS.FAILED);
+                checkpoint?.save();
+                if (!result.processed) {
+                    // 处理失败的章节保留上次的输出，其引用的图片不清理
+                    for (const imageFileName of processingIndex.chapters[path.basename(file)]?.images || []) {
+                        mapping[imageFileName] ??= existingMapping[imageFileName];
+                    }
+                    return;
+                }
+                processedCount++;
+                if (result.skipped) {
+                    skippedCount++;
+                }
+                totalImagesCount += result.imagesCount || 0;
+                totalDownloadedCount += result.downloadedCount || 0;
+                totalFailedCount += result.failedCount || 0;
+            },
+        });
+    } catch (error) {
+        // 中断时只保存已下载图片的映射（与已有映射合并）和已完成章节的记录，不清理图片：未处理的章节可能仍引用它们
+        if (error instanceof CancelledError) {
+            fs.writeFileSync(mappingPath, JSON.stringify({ ...existingMapping, ...mapping }, null, 2), "utf-8");
+            saveProcessingIndex(outputFolderPath, processingIndex);
         }
+        throw error;
     }
     
-    // 清理不再使用的图片文件
+    // 原文已删除的章节不再引用图片；保存处理索引（同时更新图片到章节的反向索引）
+    const removedChapters = pruneChapters(processingIndex, files.map(file => path.basename(file)));
+    if (removedChapters.length > 0) {
+        log.info(`移除已删除章节的处理记录: ${removedChapters.join(", ")}`);
+    }
+    saveProcessingIndex(outputFolderPath, processingIndex);
+    
+    // mapping.json 只保留仍被章节引用的图片
+    const cleanedMapping = {};
+    for (const [imageFile, entry] of Object.entries(mapping)) {
+        if (processingIndex.images[imageFile] && entry) {
+            cleanedMapping[imageFile] = entry;
+        }
+    }
+    
+    // images 目录中仍被引用的文件（扩展名可能已按实际格式修正；图片库的 relative 方式引用的是库中的文件，
+    // images 目录中剩下的都是启用图片库之前的文件）
+    const usedImageFiles = new Set(Object.values(cleanedMapping)
+        .filter(entry => entry.localPath?.startsWith(`${IMAGES_DIR_NAME}/`))
+        .map(entry => path.posix.basename(entry.localPath)));
+    
+    // 清理不再使用的图片文件（使用图片库时只是删除链接，库中的图片在全部处理完后按引用计数清理）
     let cleanedCount = 0;
     let cleanedSize = 0;
     
@@ -424,8 +432,8 @@ const processFolder = async (folderPath, outputBaseDir) => {
             if (!usedImageFiles.has(imageFile)) {
                 const imagePath = path.join(imagesDir, imageFile);
                 try {
-                    const stats = fs.statSync(imagePath);
-                    cleanedSize += stats.size;
+                    const stats = fs.lstatSync(imagePath);
+                    cleanedSize += store ? 0 : stats.size;
                     fs.unlinkSync(imagePath);
                     cleanedCount++;
                     log.info(`  清理未使用的图片: ${imageFile}`);
@@ -436,28 +444,23 @@ const processFolder = async (folderPath, outputBaseDir) => {
         }
     }
     
-    // 清理 mapping.json 中不再使用的图片记录
-    const cleanedMapping = {};
-    // 保留元数据
-    if (mapping._metadata) {
-        cleanedMapping._metadata = mapping._metadata;
-    }
-    // 只保留当前使用的图片映射
-    for (const imageFile of usedImageFiles) {
-        if (mapping[imageFile]) {
-            cleanedMapping[imageFile] = mapping[imageFile];
-        }
-    }
-    
     // 保存清理后的映射关系
     fs.writeFileSync(mappingPath, JSON.stringify(cleanedMapping, null, 2), "utf-8");
     log.info(`\n映射关系已保存到: ${mappingPath}`);
     
-    if (cleanedCount > 0) {
+    if (cleanedCount > 0 && store) {
+        log.info(`移除了 ${cleanedCount} 个未使用的图片链接`);
+    } else if (cleanedCount > 0) {
         const cleanedSizeMB = (cleanedSize / 1024 / 1024).toFixed(2);
         log.info(`清理了 ${cleanedCount} 个未使用的图片文件，释放空间 ${cleanedSizeMB} MB`);
     }
     
+    // 按错误类别统计下载失败的图片
+    const errorKinds = {};
+    for (const item of Object.values(missingImages)) {
+        addErrorKinds(errorKinds, item.errorKind || "unknown");
+    }
+    
     // 保存缺失图片映射
     if (Object.keys(missingImages).length > 0) {
         fs.writeFileSync(missingImagesPath, JSON.stringify(missingImages, null, 2), "utf-8");
@@ -475,6 +478,9 @@ const processFolder = async (folderPath, outputBaseDir) => {
     log.info(`  - 图片总数: ${totalImagesCount}`);
     log.info(`  - 下载成功: ${totalDownloadedCount}`);
     log.info(`  - 下载失败: ${totalFailedCount}`);
+    if (totalFailedCount > 0) {
+        log.info(`  - 失败原因: ${formatErrorKinds(errorKinds)}`);
+    }
     if (cleanedCount > 0) {
         log.info(`  - 清理未使用图片: ${cleanedCount} 个`);
     }
@@ -486,12 +492,70 @@ const processFolder = async (folderPath, outputBaseDir) => {
         imagesCount: totalImagesCount,
         downloadedCount: totalDownloadedCount,
         failedCount: totalFailedCount,
+        errorKinds,
         cleanedCount,
     };
 };
 
-// 主函数
-const main = async () => {
+// 按整个处理后目录中各小册的引用计数清理图片库
+const collectStoreGarbage = (store, outputDir) => {
+    try {
+        const result = store.collectGarbage(collectStoreReferences(outputDir));
+        const freedMB = (result.freedBytes / 1024 / 1024).toFixed(2);
+        log.info(`图片库: ${result.total - result.removed} 张图片，清理未引用的图片 ${result.removed} 张，释放空间 ${freedMB} MB`);
+        return result;
+    } catch (error) {
+        log.warn(`清理图片库失败: ${error.message}`);
+        return null;
+    }
+};
+
+// 输出汇总（中断时为已完成部分的汇总）
+const logSummary = (results, outputDir) => {
+    log.info("\n" + "=".repeat(50));
+    log.info(results.interrupted ? "图片处理已中断，进度已保存" : "批量处理完成！");
+    log.info(`总计文件夹: ${results.totalFolders}`);
+    log.info(`处理文件: ${results.processedFiles}/${results.totalFiles}`);
+    log.info(`跳过文件: ${results.skippedFiles}`);
+    log.info(`图片总数: ${results.totalImages}`);
+    log.info(`下载成功: ${results.totalDownloaded}`);
+    log.info(`下载失败: ${results.totalFailed}`);
+    if (results.totalFailed > 0) {
+        log.info(`失败原因: ${formatErrorKinds(results.errorKinds)}`);
+    }
+    results.queue = getImageQueue().getStats();
+    if (results.queue.deduplicated > 0) {
+        log.info(`重复图片: ${results.queue.deduplicated} 张（与下载中的图片共用一次下载）`);
+    }
+    results.rates = getRateLimiter().getStats();
+    for (const line of formatRateStats(results.rates)) {
+        log.info(`请求速率: ${line}`);
+    }
+    log.info(`输出目录: ${outputDir}`);
+    
+    if (results.totalFailed > 0) {
+        log.warn(`\n提示: 有 ${results.totalFailed} 张图片下载失败，请查看各文件夹下的 missing-images.json 文件`);
+        log.info(`可以使用 juejin-dl fix 命令尝试重新下载或手动处理`);
+    }
+    if (results.interrupted) {
+        log.info("使用 juejin-dl images --resume 从中断处继续");
+    }
+};
+
+/**
+ * 批量处理 Markdown 文件中的图片
+ * @param {object} options - 选项
+ * @param {string} options.inputDir - 原始 Markdown 目录（默认为配置中的原始小册目录）
+ * @param {string} options.outputDir - 处理后的输出目录（默认为配置中的处理后目录）
+ * @param {boolean} options.resume - 继续上次中断的运行，跳过已完成的文件夹
+ * @param {AbortSignal} options.signal - 中断信号，触发后取消排队和下载中的图片，保存进度后返回部分结果
+ * @param {object} options.selection - 小册筛选条件（按文件夹名匹配，默认处理全部）
+ * @returns {Promise<object>} 处理统计结果（中断时 interrupted 为 true）
+ */
+export const processImages = async ({ inputDir = getDownloadsDir(), outputDir = getOutputDir(), resume = false, signal, selection = null } = {}) => {
+    let checkpoint = null;
+    let results = null;
+    
     try {
         // 确保 log 文件夹存在
         fse.ensureDirSync("log");
@@ -500,30 +564,55 @@ const main = async () => {
         log.info("=".repeat(50));
         
         // 检查 downloads 目录是否存在
-        if (!fs.existsSync(DOWNLOADS_DIR)) {
-            log.error(`错误: ${DOWNLOADS_DIR} 目录不存在`);
-            process.exit(1);
+        if (!fs.existsSync(inputDir)) {
+            throw new Error(`${inputDir} 目录不存在`);
         }
         
         // 获取所有子文件夹
-        const folders = fs.readdirSync(DOWNLOADS_DIR)
+        const allFolders = fs.readdirSync(inputDir)
             .filter(item => {
-                const itemPath = path.join(DOWNLOADS_DIR, item);
+                const itemPath = path.join(inputDir, item);
                 return fs.statSync(itemPath).isDirectory();
             })
-            .map(item => path.join(DOWNLOADS_DIR, item));
+            .map(item => path.join(inputDir, item));
+        
+        // 按筛选条件选择文件夹，未选中的文件夹保持不变
+        const folders = selectBooks(allFolders, selection, folder => describeBookFolder(path.basename(folder), [folder]));
+        if (hasSelection(selection)) {
+            log.info(`按筛选条件选择 ${folders.length}/${allFolders.length} 个文件夹`);
+        }
         
         if (folders.length === 0) {
-            log.warn(`在 ${DOWNLOADS_DIR} 中没有找到子文件夹`);
-            return;
+            log.warn(`在 ${inputDir} 中没有找到${hasSelection(selection) ? "匹配筛选条件的" : ""}子文件夹`);
+            return { totalFolders: 0, processedFolders: 0, totalFiles: 0, processedFiles: 0, skippedFiles: 0, totalImages: 0, totalDownloaded: 0, totalFailed: 0, errorKinds: {} };
         }
         
         log.info(`找到 ${folders.length} 个文件夹需要处理`);
         
         // 创建输出目录
-        fse.ensureDirSync(OUTPUT_DIR);
+        fse.ensureDirSync(outputDir);
+        
+        const store = getImageStore();
+        if (store) {
+            log.info(`使用全局图片库: ${store.dir}（${store.linkMode}）`);
+        }
         
-        const results = {
+        // 运行状态保存在输出目录下
+        checkpoint = Checkpoint.open(outputDir, { command: "images", resume });
+        if (checkpoint.resumed) {
+            const { done, failed, pending } = checkpoint.count("folders");
+            log.info(`继续上次中断的处理：已完成 ${done} 个文件夹，失败 ${failed} 个，未完成 ${pending} 个`);
+        } else if (resume) {
+            log.info("没有可继续的图片处理，开始新的处理");
+        }
+        for (const folder of folders) {
+            if (!checkpoint.isDone("folders", path.basename(folder))) {
+                checkpoint.mark("folders", path.basename(folder), CHECKPOINT_STATUS.PENDING);
+            }
+        }
+        checkpoint.save({ force: true });
+        
+        results = {
             totalFolders: folders.length,
             processedFolders: 0,
             totalFiles: 0,
@@ -532,14 +621,24 @@ const main = async () => {
             totalImages: 0,
             totalDownloaded: 0,
             totalFailed: 0,
+            errorKinds: {}, // 下载失败的图片按错误类别统计
+            interrupted: false,
         };
         
         // 处理每个文件夹
         for (let i = 0; i < folders.length; i++) {
             const folder = folders[i];
+            const folderName = path.basename(folder);
+            if (checkpoint.isDone("folders", folderName)) {
+                log.info(`\n进度: ${i + 1}/${folders.length} - ${folderName}（上次运行已完成，跳过）`);
+                results.processedFolders++;
+                continue;
+            }
             log.info(`\n进度: ${i + 1}/${folders.length}`);
             
-            const result = await processFolder(folder, OUTPUT_DIR);
+            const result = await processFolder(folder, outputDir, { signal, checkpoint, store });
+            checkpoint.mark("folders", folderName, CHECKPOINT_STATUS.DONE);
+            checkpoint.save({ force: true });
             
             results.processedFolders++;
             results.totalFiles += result.total;
@@ -548,32 +647,37 @@ const main = async () => {
             results.totalImages += result.imagesCount;
             results.totalDownloaded += result.downloadedCount;
             results.totalFailed += result.failedCount || 0;
+            addErrorKinds(results.errorKinds, result.errorKinds);
             // 注意：cleanedCount 是文件夹级别的统计，不需要累加到总结果中
         }
         
-        // 输出最终统计
-        log.info("\n" + "=".repeat(50));
-        log.info("批量处理完成！");
-        log.info(`总计文件夹: ${results.totalFolders}`);
-        log.info(`处理文件: ${results.processedFiles}/${results.totalFiles}`);
-        log.info(`跳过文件: ${results.skippedFiles}`);
-        log.info(`图片总数: ${results.totalImages}`);
-        log.info(`下载成功: ${results.totalDownloaded}`);
-        log.info(`下载失败: ${results.totalFailed}`);
-        log.info(`输出目录: ${OUTPUT_DIR}`);
-        
-        if (results.totalFailed > 0) {
-            log.warn(`\n提示: 有 ${results.totalFailed} 张图片下载失败，请查看各文件夹下的 missing-images.json 文件`);
-            log.info(`可以使用 fix-missing-images.js 脚本尝试重新下载或手动处理`);
+        checkpoint.finish();
+        // 有文件处理失败时其映射关系不完整，不清理图片库，避免删除仍被引用的图片
+        if (store && results.processedFiles === results.totalFiles) {
+            results.store = collectStoreGarbage(store, outputDir);
+        } else if (store) {
+            log.warn("有文件处理失败，跳过图片库清理");
         }
+        logSummary(results, outputDir);
         
+        return results;
     } catch (error) {
+        if (error instanceof CancelledError && results) {
+            checkpoint.interrupt();
+            results.interrupted = true;
+            logSummary(results, outputDir);
+            return results;
+        }
         log.error(`处理过程中发生错误: ${error.message}`);
         log.error(`错误详情: ${error.stack}`);
-        process.exit(1);
+        throw error;
     }
 };
 
-// 运行主函数
-main();
+// 直接运行脚本时执行
+if (isMainModule(import.meta.url) && loadScriptConfig()) {
+    processImages().catch(() => {
+        process.exitCode = 1;
+    });
+}
 
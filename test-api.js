@@ -1,84 +1,227 @@
-import fse from "fs-extra";
+import fs from "fs";
+import path from "path";
 import got from "got";
+import { config } from "./lib/config.js";
+import { loadCredentials } from "./lib/credentials.js";
+import { AuthError } from "./lib/errors.js";
+import { getRateLimiter } from "./lib/rate-limit.js";
+import { getDownloadsDir, getExportDir, getOutputDir } from "./lib/layout.js";
+import { formatTable } from "./lib/table.js";
+import { createLogger } from "./lib/logger.js";
+import { createClient, isMainModule, loadScriptConfig } from "./utils.js";
 
-// 检查 cookies.json 文件
+const log = createLogger("doctor");
+
+// 检查结果
+const STATUS = {
+    pass: "PASS",
+    warn: "WARN",
+    fail: "FAIL",
+    skip: "SKIP",
+};
+
+// 登录态相关的 Cookie，用于判断过期时间
+const SESSION_COOKIES = ["sessionid", "sid_guard", "sid_tt", "uid_tt"];
+
+// Cookie 在该天数内过期时给出警告
+const EXPIRY_WARNING_DAYS = 7;
+
+// Markdown 或 HTML 中的第一张远程图片
+const IMAGE_URL_PATTERN = /!\[[^\]]*\]\(\s*<?(https?:\/\/[^)\s>]+)|<img\b[^>]*?\ssrc=["'](https?:\/\/[^"']+)["']/i;
+
+/**
+ * 生成检查结果表格
+ * @param {Array<{name: string, status: string, detail: string}>} checks - 检查结果
+ * @returns {string} 表格
+ */
+export const formatDoctorTable = (checks) => {
+    return formatTable([["检查项", "结果", "说明"], ...checks.map(check => [check.name, STATUS[check.status], check.detail])]);
+};
+
+// 图片地址的主机名（地址无效时显示原地址）
+const getHost = (url) => {
+    try {
+        return new URL(url).host;
+    } catch (error) {
+        return url;
+    }
+};
+
+// 检查 Cookie 是否存在（只输出名称和数量，不输出值）
 const checkCookies = () => {
     try {
-        const cookies = fse.readJSONSync("./cookies.json");
-        console.log("✅ cookies.json 文件存在");
-        console.log(`📊 包含 ${cookies.length} 个 cookie`);
-        
-        // 检查关键 cookie
-        const cookieNames = cookies.map(c => c.name);
-        const importantCookies = ['sessionid', 'sid_guard', 'sid_tt', 'uid_tt'];
-        
-        importantCookies.forEach(name => {
-            if (cookieNames.includes(name)) {
-                console.log(`✅ 找到重要 cookie: ${name}`);
-            } else {
-                console.log(`❌ 缺少重要 cookie: ${name}`);
-            }
+        const { cookies, source, origin, dropped } = loadCredentials({
+            source: config.auth.source,
+            file: config.auth.cookiesFile,
         });
-        
-        return cookies;
+        if (cookies.length === 0) {
+            return {
+                status: "fail",
+                detail: `${origin} 中没有可用的 juejin.cn Cookie（过期 ${dropped.expired} 个、其他域名 ${dropped.otherDomain} 个）`,
+            };
+        }
+
+        const names = cookies.map(cookie => cookie.name);
+        const missing = SESSION_COOKIES.filter(name => !names.includes(name));
+        const detail = `从 ${origin} 读取 ${cookies.length} 个（格式: ${source}）`;
+        if (missing.length > 0) {
+            return { status: "warn", detail: `${detail}，缺少 ${missing.join(", ")}`, cookies };
+        }
+        return { status: "pass", detail, cookies };
     } catch (error) {
-        console.error("❌ cookies.json 文件读取失败:", error.message);
-        return null;
+        return { status: "fail", detail: error.message };
     }
 };
 
-// 测试 API 连接
-const testAPI = async (cookies) => {
-    if (!cookies) {
-        console.error("❌ 无法测试 API，cookies 无效");
-        return;
+// 检查登录态 Cookie 的过期时间
+const checkExpiry = (cookies, now = Date.now()) => {
+    const sessionCookies = cookies.filter(cookie => SESSION_COOKIES.includes(cookie.name));
+    const expiring = (sessionCookies.length > 0 ? sessionCookies : cookies).filter(cookie => cookie.expires);
+    if (expiring.length === 0) {
+        return { status: "pass", detail: "没有过期时间（会话 Cookie 或请求头格式）" };
+    }
+
+    const earliest = expiring.reduce((prev, curr) => (curr.expires < prev.expires ? curr : prev));
+    const days = Math.floor((earliest.expires * 1000 - now) / (24 * 60 * 60 * 1000));
+    const detail = `${earliest.name} 最早过期: ${new Date(earliest.expires * 1000).toISOString().slice(0, 10)}（剩余 ${days} 天）`;
+    return { status: days < EXPIRY_WARNING_DAYS ? "warn" : "pass", detail };
+};
+
+// 检查输出目录是否可写（目录不存在时检查最近的已存在上级目录）
+const checkWritable = (dir) => {
+    let target = path.resolve(dir);
+    while (!fs.existsSync(target) && path.dirname(target) !== target) {
+        target = path.dirname(target);
     }
-    
-    const cookie = cookies.reduce(
-        (prev, curr) => prev + `${curr.name}=${curr.value};`,
-        "",
-    );
-    
     try {
-        console.log("\n🔍 测试 API 连接...");
-        
-        const response = await got
-            .post("https://api.juejin.cn/booklet_api/v1/booklet/bookletshelflist", {
-                headers: {
-                    cookie: cookie,
-                },
-            })
-            .json();
-        
-        console.log("✅ API 请求成功");
-        console.log("📊 响应结构:");
-        console.log(JSON.stringify(response, null, 2));
-        
-        if (response && response.data) {
-            console.log(`✅ 找到 ${response.data.length} 本小册`);
-        } else {
-            console.log("❌ 响应中没有 data 字段");
-        }
-        
+        fs.accessSync(target, fs.constants.W_OK);
+        return { status: "pass", detail: target === path.resolve(dir) ? dir : `${dir}（尚未创建，${target} 可写）` };
     } catch (error) {
-        console.error("❌ API 请求失败:", error.message);
-        if (error.response) {
-            console.error("响应状态码:", error.response.statusCode);
-            console.error("响应内容:", error.response.body);
-        }
+        return { status: "fail", detail: `${target} 不可写` };
     }
 };
 
-// 主函数
-const main = async () => {
+/**
+ * 诊断 Cookie、API、图片 CDN 和输出目录
+ * 前一项失败时，依赖它的检查项会跳过
+ * @param {object} options - 选项
+ * @param {JuejinClient} options.client - API 客户端（默认按配置创建）
+ * @returns {Promise<{ok: boolean, checks: Array<{name: string, status: string, detail: string}>}>} 诊断结果
+ */
+export const runDoctor = async ({ client = createClient() } = {}) => {
+    const checks = [];
+    const add = (name, { status, detail }) => {
+        checks.push({ name, status, detail });
+        return status !== "fail" && status !== "skip";
+    };
+    const skip = (name) => add(name, { status: "skip", detail: "前置检查未通过" });
+
     console.log("🔧 掘金小册下载器诊断工具");
-    console.log("=".repeat(50));
-    
-    const cookies = checkCookies();
-    await testAPI(cookies);
-    
-    console.log("\n" + "=".repeat(50));
-    console.log("诊断完成");
+
+    // Cookie
+    const cookieResult = checkCookies();
+    const hasCookies = add("Cookie", cookieResult);
+    if (hasCookies) {
+        add("Cookie 过期时间", checkExpiry(cookieResult.cookies));
+    } else {
+        skip("Cookie 过期时间");
+    }
+
+    // 登录态和书架
+    let books = null;
+    if (hasCookies) {
+        try {
+            books = await client.getBooks();
+            add("登录状态", { status: "pass", detail: "Cookie 有效" });
+            add("书架", books.length > 0
+                ? { status: "pass", detail: `${books.length} 本小册` }
+                : { status: "warn", detail: "书架为空" });
+        } catch (error) {
+            add("登录状态", error instanceof AuthError
+                ? { status: "fail", detail: error.message }
+                : { status: "fail", detail: `请求失败: ${error.message}` });
+            skip("书架");
+        }
+    } else {
+        skip("登录状态");
+        skip("书架");
+    }
+
+    // 小册和章节
+    let imageUrl = null;
+    let bookInfo = null;
+    if (books && books.length > 0) {
+        try {
+            bookInfo = await client.getBookInfo(books[0].value);
+            imageUrl = bookInfo.booklet.base_info.cover_img || null;
+            add("获取小册", { status: "pass", detail: `${books[0].name}（${bookInfo.sections.length} 章）` });
+        } catch (error) {
+            add("获取小册", { status: "fail", detail: error.message });
+        }
+    } else {
+        skip("获取小册");
+    }
+
+    const section = bookInfo?.sections.find(item => item.status === 1);
+    if (section) {
+        try {
+            const { content } = await client.getSection(section.id);
+            const match = content.match(IMAGE_URL_PATTERN);
+            imageUrl = match ? match[1] || match[2] : imageUrl;
+            add("获取章节", content
+                ? { status: "pass", detail: `第 ${section.index} 章: ${section.title}` }
+                : { status: "warn", detail: `第 ${section.index} 章内容为空` });
+        } catch (error) {
+            add("获取章节", { status: "fail", detail: error.message });
+        }
+    } else {
+        skip("获取章节");
+    }
+
+    // 图片 CDN
+    if (imageUrl) {
+        try {
+            const response = await getRateLimiter().schedule(imageUrl, () => got(imageUrl, {
+                timeout: { request: config.network.timeout },
+                retry: { limit: 0 },
+            }));
+            add("图片 CDN", { status: "pass", detail: `${getHost(imageUrl)}（HTTP ${response.statusCode}）` });
+        } catch (error) {
+            add("图片 CDN", { status: "fail", detail: `${getHost(imageUrl)}: ${error.message}` });
+        }
+    } else {
+        skip("图片 CDN");
+    }
+
+    // 输出目录
+    const outputDirs = {
+        "小册目录": getDownloadsDir(),
+        "处理后目录": getOutputDir(),
+        "导出目录": getExportDir(),
+        "日志目录": config.logging.logDir,
+    };
+    for (const [name, dir] of Object.entries(outputDirs)) {
+        add(`写入权限: ${name}`, checkWritable(dir));
+    }
+
+    const ok = checks.every(check => check.status !== "fail");
+
+    console.log("");
+    console.log(formatDoctorTable(checks));
+    console.log("");
+    console.log(ok ? "诊断完成：全部通过" : "诊断完成：存在失败的检查项");
+
+    return { ok, checks };
 };
 
-main(); 
\ No newline at end of file
+// 直接运行脚本时执行
+if (isMainModule(import.meta.url) && loadScriptConfig()) {
+    runDoctor()
+        .then(({ ok }) => {
+            process.exitCode = ok ? 0 : 1;
+        })
+        .catch((error) => {
+            log.error(`诊断过程中发生错误: ${error.message}`);
+            process.exitCode = 1;
+        });
+}
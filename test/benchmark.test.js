@@ -0,0 +1,31 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createMockClient } from "./helpers.js";
+import { startMockServer } from "../mock/server.js";
+import { runBenchmark } from "../benchmark.js";
+
+let server;
+
+before(async () => {
+    server = await startMockServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+test("benchmark 按各并发数获取同一批章节并统计吞吐量", async (t) => {
+    t.mock.method(console, "log", () => {});
+    const client = createMockClient(server);
+    const before = server.requests.length;
+
+    const { rows, best } = await runBenchmark({ client, concurrency: [1, 3], sections: 3 });
+
+    assert.deepEqual(rows.map(row => [row.concurrency, row.sections, row.failed]), [[1, 3, 0], [3, 3, 0]]);
+    assert.ok(rows.every(row => row.sectionsPerSecond > 0 && row.kilobytesPerSecond > 0));
+    assert.ok(rows.includes(best));
+
+    // 书架 + 2 本小册 + 每轮 3 章
+    const sectionRequests = server.requests.slice(before).filter(request => request.path.endsWith("/section/get"));
+    assert.equal(sectionRequests.length, 6);
+});
@@ -0,0 +1,124 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { copyFixtures, createMockClient, makeTempDir, updateFixture } from "./helpers.js";
+import { startMockServer } from "../mock/server.js";
+import { downloadBook } from "../batch-download.js";
+import { exportBook } from "../export-book.js";
+import { BOOK_META_FILE_NAME } from "../lib/book-meta.js";
+import { setConfig } from "../lib/config.js";
+
+const BOOK = { bookId: "7000000000000000001", name: "Node.js 实战：从入门到部署" };
+
+let server;
+let fixturesDir;
+
+before(async () => {
+    fixturesDir = copyFixtures();
+    server = await startMockServer({ fixturesDir });
+});
+
+after(async () => {
+    await server.close();
+});
+
+// 统计封面的下载次数
+const countCoverRequests = () => server.requests.filter(req => req.path === "/images/cover.png").length;
+
+test("保存 book.json、封面和小册介绍", async () => {
+    const outDir = makeTempDir();
+    await downloadBook(BOOK, { outDir, client: createMockClient(server) });
+
+    const bookDir = path.join(outDir, BOOK.name);
+    const meta = JSON.parse(fs.readFileSync(path.join(bookDir, BOOK_META_FILE_NAME), "utf-8"));
+
+    assert.equal(meta.bookletId, BOOK.bookId);
+    assert.equal(meta.title, BOOK.name);
+    assert.equal(meta.url, "https://juejin.cn/book/7000000000000000001");
+    assert.deepEqual(meta.author, { id: "100001", name: "示例作者" });
+    assert.equal(meta.summary, "从零开始用 Node.js 构建并部署一个完整的服务。");
+    assert.equal(meta.coverUrl, `${server.url}/images/cover.png`);
+    assert.equal(meta.cover, "cover.png");
+    assert.equal(meta.sectionCount, 3);
+    assert.equal(meta.finishedSectionCount, 2);
+    assert.equal(meta.createTime, "2023-03-28T10:40:00.000Z");
+    assert.equal(meta.updateTime, "2023-11-14T22:13:20.000Z");
+    assert.equal(meta.purchaseTime, "2023-05-25T07:33:20.000Z");
+    assert.equal(meta.booklet.booklet_id, BOOK.bookId);
+
+    assert.deepEqual(fs.readFileSync(path.join(bookDir, "cover.png")), fs.readFileSync(path.join(fixturesDir, "images", "cover.png")));
+    assert.equal(fs.readFileSync(path.join(bookDir, "README.md"), "utf-8"), "# 小册介绍\n\n这是一本关于 Node.js 的示例小册。\n");
+});
+
+test("封面地址未变化时不重复下载，变化时重新下载", async () => {
+    const outDir = makeTempDir();
+    const client = createMockClient(server);
+
+    await downloadBook(BOOK, { outDir, client });
+    const before = countCoverRequests();
+    await downloadBook(BOOK, { outDir, client });
+    assert.equal(countCoverRequests(), before);
+
+    const copy = path.join(fixturesDir, "images", "cover-new.png");
+    fs.copyFileSync(path.join(fixturesDir, "images", "cover.png"), copy);
+    updateFixture(fixturesDir, "booklets/7000000000000000001.json", (data) => {
+        data.booklet.base_info.cover_img = "{{baseUrl}}/images/cover-new.png";
+    });
+    try {
+        await downloadBook(BOOK, { outDir, client });
+        const meta = JSON.parse(fs.readFileSync(path.join(outDir, BOOK.name, BOOK_META_FILE_NAME), "utf-8"));
+        assert.equal(meta.coverUrl, `${server.url}/images/cover-new.png`);
+        assert.ok(server.requests.some(req => req.path === "/images/cover-new.png"));
+    } finally {
+        updateFixture(fixturesDir, "booklets/7000000000000000001.json", (data) => {
+            data.booklet.base_info.cover_img = "{{baseUrl}}/images/cover.png";
+        });
+    }
+});
+
+test("封面下载失败不影响同步", async () => {
+    const outDir = makeTempDir();
+    updateFixture(fixturesDir, "booklets/7000000000000000001.json", (data) => {
+        data.booklet.base_info.cover_img = "{{baseUrl}}/images/missing.png";
+    });
+
+    try {
+        const result = await downloadBook(BOOK, { outDir, client: createMockClient(server) });
+        assert.equal(result.success, true);
+        const meta = JSON.parse(fs.readFileSync(path.join(outDir, BOOK.name, BOOK_META_FILE_NAME), "utf-8"));
+        assert.equal(meta.cover, null);
+    } finally {
+        updateFixture(fixturesDir, "booklets/7000000000000000001.json", (data) => {
+            data.booklet.base_info.cover_img = "{{baseUrl}}/images/cover.png";
+        });
+    }
+});
+
+test("introduction=chapter 时介绍作为第 0 章保存", async () => {
+    const outDir = makeTempDir();
+    setConfig("sync.introduction", "chapter");
+    try {
+        await downloadBook(BOOK, { outDir, client: createMockClient(server) });
+    } finally {
+        setConfig("sync.introduction", "readme");
+    }
+
+    const bookDir = path.join(outDir, BOOK.name);
+    assert.ok(fs.existsSync(path.join(bookDir, "0.介绍.md")));
+    assert.ok(!fs.existsSync(path.join(bookDir, "README.md")));
+});
+
+test("导出时使用 book.json 和本地封面，不再请求 API", async () => {
+    const outDir = makeTempDir();
+    await downloadBook(BOOK, { outDir, client: createMockClient(server) });
+    const bookDir = path.join(outDir, BOOK.name);
+
+    const requestsBefore = server.requests.length;
+    const exportDir = makeTempDir();
+    const { exported } = await exportBook({ format: "md", book: bookDir, outDir: exportDir, client: createMockClient(server) });
+
+    assert.equal(server.requests.length, requestsBefore);
+    const markdown = fs.readFileSync(exported[0], "utf-8");
+    assert.ok(markdown.startsWith("# Node.js 实战：从入门到部署\n\n> 作者：示例作者\n"));
+});
@@ -0,0 +1,190 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { createMockClient, makeTempDir } from "./helpers.js";
+import { startMockServer } from "../mock/server.js";
+import { batchDownload } from "../batch-download.js";
+import { processImages } from "../process-images.js";
+import { Checkpoint, CHECKPOINT_FILE_NAME, CHECKPOINT_STATUS } from "../lib/checkpoint.js";
+import { setConfig } from "../lib/config.js";
+
+const BOOK_1 = "7000000000000000001";
+const BOOK_2 = "7000000000000000002";
+
+let server;
+
+before(async () => {
+    server = await startMockServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+const readCheckpoint = dir => JSON.parse(fs.readFileSync(path.join(dir, CHECKPOINT_FILE_NAME), "utf-8"));
+
+test("Checkpoint 记录条目状态并按间隔写入文件", () => {
+    const dir = makeTempDir();
+    let now = 1000;
+    const checkpoint = Checkpoint.open(dir, { command: "sync", saveInterval: 1000, now: () => now });
+
+    checkpoint.mark("books", "1", CHECKPOINT_STATUS.PENDING, { name: "小册 1" });
+    checkpoint.mark("books", "2", CHECKPOINT_STATUS.PENDING, { name: "小册 2" });
+    checkpoint.save({ force: true });
+    checkpoint.mark("books", "1", CHECKPOINT_STATUS.DONE);
+
+    // 未到写入间隔，文件中仍是上次的状态
+    checkpoint.save();
+    assert.equal(readCheckpoint(dir).items.books["1"].status, CHECKPOINT_STATUS.PENDING);
+
+    now += 1000;
+    checkpoint.save();
+    assert.deepEqual(readCheckpoint(dir).items.books["1"], { name: "小册 1", status: CHECKPOINT_STATUS.DONE });
+    assert.deepEqual(checkpoint.count("books"), { pending: 1, done: 1, failed: 0 });
+    assert.equal(checkpoint.isDone("books", "1"), true);
+    assert.equal(checkpoint.isDone("books", "2"), false);
+    // 不留下临时文件
+    assert.deepEqual(fs.readdirSync(dir), [CHECKPOINT_FILE_NAME]);
+});
+
+test("Checkpoint 只有 resume 且上次运行未完成时才继续使用", () => {
+    const dir = makeTempDir();
+    const first = Checkpoint.open(dir, { command: "sync" });
+    first.mark("books", "1", CHECKPOINT_STATUS.DONE);
+    first.interrupt();
+
+    assert.equal(Checkpoint.open(dir, { command: "sync" }).isDone("books", "1"), false);
+    assert.equal(Checkpoint.open(dir, { command: "images", resume: true }).resumed, false);
+
+    const resumed = Checkpoint.open(dir, { command: "sync", resume: true });
+    assert.equal(resumed.resumed, true);
+    assert.equal(resumed.isDone("books", "1"), true);
+
+    resumed.finish();
+    assert.equal(Checkpoint.open(dir, { command: "sync", resume: true }).resumed, false);
+});
+
+test("中断的同步保存已写入的章节，--resume 只获取剩余章节", async () => {
+    setConfig("concurrency.maxConcurrent", 1);
+    try {
+        const outDir = makeTempDir();
+        const controller = new AbortController();
+        const client = createMockClient(server);
+
+        // 第一个章节获取完成后收到中断信号
+        const getSection = client.getSection.bind(client);
+        client.getSection = async (id) => {
+            const section = await getSection(id);
+            controller.abort();
+            return section;
+        };
+
+        const interrupted = await batchDownload({ outDir, client, signal: controller.signal });
+        assert.equal(interrupted.interrupted, true);
+        assert.equal(interrupted.totalDownloaded, 0); // 小册未完成，不计入汇总
+
+        const state = readCheckpoint(outDir);
+        assert.ok(state.interruptedAt);
+        assert.equal(state.finishedAt, null);
+        assert.equal(state.items.books[BOOK_1].status, CHECKPOINT_STATUS.PENDING);
+        assert.equal(state.items.books[BOOK_2].status, CHECKPOINT_STATUS.PENDING);
+        const sectionStatuses = Object.values(state.items.sections).map(section => section.status);
+        assert.deepEqual(sectionStatuses.sort(), ["done", "pending", "pending"]);
+
+        // 已写入的章节保存在 manifest 中
+        const manifest = JSON.parse(fs.readFileSync(path.join(outDir, "Node.js 实战：从入门到部署", "manifest.json"), "utf-8"));
+        assert.equal(Object.keys(manifest.sections).length, 1);
+
+        const resumed = await batchDownload({ outDir, client: createMockClient(server), resume: true });
+        assert.equal(resumed.interrupted, false);
+        assert.equal(resumed.success, 2);
+        assert.equal(resumed.totalFetched, 3);
+        assert.equal(resumed.totalDownloaded, 3);
+        assert.ok(readCheckpoint(outDir).finishedAt);
+    } finally {
+        setConfig("concurrency.maxConcurrent", 5);
+    }
+});
+
+test("--resume 跳过上次已完成的小册", async () => {
+    const outDir = makeTempDir();
+    const controller = new AbortController();
+    const client = createMockClient(server);
+
+    // 第二本小册开始时收到中断信号
+    const getBookInfo = client.getBookInfo.bind(client);
+    client.getBookInfo = async (bookId) => {
+        if (bookId === BOOK_2) {
+            controller.abort();
+        }
+        return getBookInfo(bookId);
+    };
+
+    const interrupted = await batchDownload({ outDir, client, signal: controller.signal });
+    assert.equal(interrupted.interrupted, true);
+    assert.equal(interrupted.success, 1);
+    assert.equal(readCheckpoint(outDir).items.books[BOOK_1].status, CHECKPOINT_STATUS.DONE);
+
+    const before = server.requests.length;
+    const resumed = await batchDownload({ outDir, client: createMockClient(server), resume: true });
+    assert.equal(resumed.skipped, 1);
+    assert.equal(resumed.success, 1);
+    // 不再请求已完成的小册
+    const bookRequests = server.requests.slice(before)
+        .filter(request => request.path === "/booklet_api/v1/booklet/get")
+        .map(request => request.body.booklet_id);
+    assert.deepEqual(bookRequests, [BOOK_2]);
+});
+
+test("中断的图片处理不写入输出文件，--resume 后继续处理", async () => {
+    const inputDir = makeTempDir();
+    const outputDir = makeTempDir();
+    const bookDir = path.join(inputDir, "示例小册");
+    fs.mkdirSync(bookDir);
+    fs.writeFileSync(path.join(bookDir, "1.开篇.md"), `# 开篇\n\n![架构](${server.url}/images/arch.png)\n`);
+
+    const controller = new AbortController();
+    controller.abort();
+    const interrupted = await processImages({ inputDir, outputDir, signal: controller.signal });
+
+    assert.equal(interrupted.interrupted, true);
+    assert.equal(fs.existsSync(path.join(outputDir, "示例小册", "1.开篇.md")), false);
+    assert.equal(fs.existsSync(path.join(outputDir, "示例小册", "missing-images.json")), false);
+    assert.equal(readCheckpoint(outputDir).items.folders["示例小册"].status, CHECKPOINT_STATUS.PENDING);
+
+    const resumed = await processImages({ inputDir, outputDir, resume: true });
+    assert.equal(resumed.interrupted, false);
+    assert.equal(resumed.totalDownloaded, 1);
+    assert.match(fs.readFileSync(path.join(outputDir, "示例小册", "1.开篇.md"), "utf-8"), /\]\(images\//);
+
+    const state = readCheckpoint(outputDir);
+    assert.equal(state.items.folders["示例小册"].status, CHECKPOINT_STATUS.DONE);
+    assert.equal(state.items.images[`${server.url}/images/arch.png`].status, CHECKPOINT_STATUS.DONE);
+});
+
+test("小册之间的等待中收到中断信号时立即结束", async () => {
+    setConfig("concurrency.maxBooks", 1);
+    setConfig("network.requestDelay", 60000);
+    try {
+        const controller = new AbortController();
+        const client = createMockClient(server);
+
+        // 第一本小册完成后（第二本小册等待期间）收到中断信号
+        const getBookInfo = client.getBookInfo.bind(client);
+        client.getBookInfo = async (id) => {
+            setTimeout(() => controller.abort(), 200);
+            return getBookInfo(id);
+        };
+
+        const startedAt = Date.now();
+        const results = await batchDownload({ outDir: makeTempDir(), client, signal: controller.signal });
+
+        assert.equal(results.interrupted, true);
+        assert.equal(results.success, 1);
+        assert.ok(Date.now() - startedAt < 10000);
+    } finally {
+        setConfig("concurrency.maxBooks", 1);
+        setConfig("network.requestDelay", 0);
+    }
+});
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { EXIT_CODES, runCli } from "../lib/cli.js";
+
+const { version } = JSON.parse(fs.readFileSync(new URL("../package.json", import.meta.url), "utf-8"));
+
+test("-v/--version 可以和其他全局参数一起使用，也可以放在命令之后", async (t) => {
+    const log = t.mock.method(console, "log", () => {});
+
+    assert.equal(await runCli(["--version"]), EXIT_CODES.OK);
+    assert.equal(await runCli(["--log-level", "DEBUG", "-v"]), EXIT_CODES.OK);
+    assert.equal(await runCli(["download", "-v"]), EXIT_CODES.OK);
+    assert.deepEqual(log.mock.calls.map(call => call.arguments[0]), [version, version, version]);
+});
+
+test("只有全局参数、没有命令时显示帮助", async (t) => {
+    const log = t.mock.method(console, "log", () => {});
+    const error = t.mock.method(console, "error", () => {});
+
+    assert.equal(await runCli(["-h"]), EXIT_CODES.OK);
+    assert.equal(await runCli(["--log-level", "DEBUG"]), EXIT_CODES.USAGE);
+    assert.equal(log.mock.calls.length, 2);
+    assert.equal(await runCli(["--unknown"]), EXIT_CODES.USAGE);
+    assert.match(error.mock.calls[0].arguments[0], /参数错误/);
+});
+
+test("不支持的导出格式返回参数错误", async (t) => {
+    const error = t.mock.method(console, "error", () => {});
+
+    assert.equal(await runCli(["export", "pdf"]), EXIT_CODES.USAGE);
+    assert.match(error.mock.calls[0].arguments[0], /不支持的导出格式: pdf（可选: epub, html, md）/);
+});
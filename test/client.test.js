@@ -0,0 +1,88 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createMockClient } from "./helpers.js";
+import { startMockServer } from "../mock/server.js";
+import { AuthError } from "../lib/errors.js";
+
+let server;
+
+before(async () => {
+    server = await startMockServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+test("getBooks 返回书架上的小册", async () => {
+    const client = createMockClient(server);
+    const books = await client.getBooks();
+
+    assert.deepEqual(books, [
+        { value: "7000000000000000001", name: "Node.js 实战：从入门到部署", updateTime: 1700000000, sectionCount: 3 },
+        { value: "7000000000000000002", name: "前端工程化: 原理与实践", updateTime: 1690000000, sectionCount: 1 },
+    ]);
+});
+
+test("getBookInfo 返回小册信息和按顺序编号的章节", async () => {
+    const client = createMockClient(server);
+    const { booklet, sections } = await client.getBookInfo("7000000000000000001");
+
+    assert.equal(booklet.base_info.title, "Node.js 实战：从入门到部署");
+    assert.deepEqual(sections.map(section => [section.index, section.status]), [[1, 1], [2, 1], [3, 0]]);
+});
+
+test("getSection 返回章节 Markdown", async () => {
+    const client = createMockClient(server);
+    const section = await client.getSection("7000000000000000201");
+
+    assert.equal(section.title, "构建工具的演进");
+    assert.match(section.content, /从 Grunt 到 Vite/);
+});
+
+test("请求携带 cookieProvider 提供的 Cookie，且只读取一次", async () => {
+    let calls = 0;
+    const client = createMockClient(server, {
+        cookieProvider: async () => {
+            calls++;
+            return "sessionid=abc;";
+        },
+    });
+
+    // 并发请求也只读取一次
+    await Promise.all([client.getBooks(), client.getBooks()]);
+    await client.getBooks();
+
+    assert.equal(calls, 1);
+    assert.equal(server.requests.at(-1).cookie, "sessionid=abc;");
+});
+
+test("请求失败时按重试策略重试", async () => {
+    const client = createMockClient({ url: "http://127.0.0.1:9" }, {
+        timeout: 500,
+        retry: { attempts: 2, delay: 10 },
+    });
+
+    await assert.rejects(client.getBooks());
+});
+
+test("不存在的小册抛出错误", async () => {
+    const client = createMockClient(server);
+    await assert.rejects(client.getBookInfo("404"), /获取小册信息失败/);
+});
+
+test("登录失效时抛出 AuthError 且不重试", async () => {
+    const client = createMockClient(server, {
+        cookieProvider: () => "",
+        retry: { attempts: 3, delay: 0 },
+    });
+    const before = server.requests.length;
+
+    await assert.rejects(client.getBooks(), (error) => {
+        assert.ok(error instanceof AuthError);
+        assert.equal(error.errNo, 403);
+        assert.match(error.message, /登录已失效.*must login/);
+        return true;
+    });
+    assert.equal(server.requests.length - before, 1);
+});
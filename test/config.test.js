@@ -0,0 +1,142 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import { makeTempDir } from "./helpers.js";
+import { EXIT_CODES, runCli } from "../lib/cli.js";
+import { config, describeConfig, findConfigFile, getConfigFilePath, loadConfig, setConfig } from "../lib/config.js";
+
+const writeJson = (filePath, content) => fs.writeFileSync(filePath, JSON.stringify(content));
+
+const sourceOf = key => describeConfig().find(entry => entry.key === key).source;
+
+// 每个测试后恢复为实际的配置文件和环境变量
+afterEach(() => {
+    loadConfig();
+});
+
+test("按 默认值 < 配置文件 < 环境变量 < 命令行 的顺序合并", () => {
+    const cwd = makeTempDir();
+    const filePath = path.join(cwd, "juejin.config.json");
+    writeJson(filePath, {
+        network: { retryCount: 5, retryDelay: 200 },
+        downloads: { exportDir: "my-exports" },
+    });
+
+    loadConfig({ cwd, homeDir: makeTempDir(), env: { RETRY_DELAY: "50", EXPORT_DIR: "env-exports" } });
+    setConfig("downloads.exportDir", "cli-exports", "命令行 --out");
+
+    assert.equal(getConfigFilePath(), filePath);
+    assert.equal(config.network.timeout, 30000);
+    assert.equal(config.network.retryCount, 5);
+    assert.equal(config.network.retryDelay, 50);
+    assert.equal(config.downloads.exportDir, "cli-exports");
+
+    assert.equal(sourceOf("network.timeout"), "默认值");
+    assert.equal(sourceOf("network.retryCount"), `配置文件 ${filePath}`);
+    assert.equal(sourceOf("network.retryDelay"), "环境变量 RETRY_DELAY");
+    assert.equal(sourceOf("downloads.exportDir"), "命令行 --out");
+
+    // 之后通过 -c 加载的配置文件不会覆盖环境变量和命令行设置的值
+    const other = path.join(makeTempDir(), "other.json");
+    writeJson(other, { network: { retryDelay: 300 }, downloads: { exportDir: "file-exports" } });
+    loadConfig({ file: other, env: { RETRY_DELAY: "50" } });
+    assert.equal(config.network.retryCount, 3);
+    assert.equal(config.network.retryDelay, 50);
+    assert.equal(config.downloads.exportDir, "cli-exports");
+    setConfig("downloads.exportDir", "exports");
+});
+
+test("依次在项目目录和主目录中查找配置文件", () => {
+    const cwd = makeTempDir();
+    const homeDir = makeTempDir();
+    assert.equal(findConfigFile({ cwd, homeDir }), null);
+
+    fs.writeFileSync(path.join(homeDir, ".juejinrc"), "{}");
+    assert.equal(findConfigFile({ cwd, homeDir }), path.join(homeDir, ".juejinrc"));
+
+    fs.writeFileSync(path.join(cwd, ".juejinrc"), "{}");
+    assert.equal(findConfigFile({ cwd, homeDir }), path.join(cwd, ".juejinrc"));
+});
+
+test("无效的配置项汇总报告，有效的配置项仍然生效", () => {
+    const file = path.join(makeTempDir(), "juejin.config.json");
+    writeJson(file, {
+        network: { retryCount: "3", retryDelays: 100, requestDelay: 0 },
+        sync: { introduction: "all" },
+        rateLimit: { api: 5 },
+    });
+
+    assert.throws(() => loadConfig({ file, env: { MAX_CONCURRENT: "many", INCLUDE_DRAFTS: "false" } }), (error) => {
+        assert.match(error.message, /network\.retryCount 应为不小于 1 的整数，实际为 "3"/);
+        assert.match(error.message, /未知的配置项 network\.retryDelays（是否是 network\.retryDelay？）/);
+        assert.match(error.message, /sync\.introduction 应为以下值之一: readme, chapter, none/);
+        assert.match(error.message, /rateLimit\.api 应为对象/);
+        assert.match(error.message, /环境变量 MAX_CONCURRENT: concurrency\.maxConcurrent 应为不小于 1 的整数，实际为 "many"/);
+        return true;
+    });
+    assert.equal(config.network.retryCount, 3);
+    assert.equal(config.network.requestDelay, 0);
+    assert.equal(config.sync.includeDrafts, false);
+});
+
+test("重新加载时恢复默认值，不修改默认配置", () => {
+    loadConfig({ homeDir: makeTempDir(), cwd: makeTempDir(), env: { MAX_CONCURRENT: "9", SELECTION_EXCLUDE: "性能, 草稿" } });
+    assert.equal(config.concurrency.maxConcurrent, 9);
+    assert.deepEqual(config.selection.exclude, ["性能", "草稿"]);
+    config.selection.include.push("node");
+
+    loadConfig({ homeDir: makeTempDir(), cwd: makeTempDir(), env: {} });
+    assert.equal(config.concurrency.maxConcurrent, 5);
+    assert.deepEqual(config.selection.include, []);
+    assert.deepEqual(config.selection.exclude, []);
+});
+
+test("config print 输出配置项的值和来源，配置无效时返回参数错误", async (t) => {
+    const file = path.join(makeTempDir(), "juejin.config.json");
+    writeJson(file, { concurrency: { maxBooks: 2 } });
+
+    const log = t.mock.method(console, "log", () => {});
+    assert.equal(await runCli(["config", "print", "--json", "-c", file]), EXIT_CODES.OK);
+    const entries = JSON.parse(log.mock.calls[0].arguments[0]);
+    assert.deepEqual(entries.find(entry => entry.key === "concurrency.maxBooks"), {
+        key: "concurrency.maxBooks",
+        value: 2,
+        source: `配置文件 ${file}`,
+    });
+
+    const error = t.mock.method(console, "error", () => {});
+    writeJson(file, { concurrency: { maxBooks: 0 } });
+    assert.equal(await runCli(["config", "print", "-c", file]), EXIT_CODES.USAGE);
+    assert.match(error.mock.calls[0].arguments[0], /concurrency\.maxBooks 应为不小于 1 的整数/);
+    assert.equal(await runCli(["config", "show"]), EXIT_CODES.USAGE);
+});
+
+test("命令行参数同样按 CONFIG_SCHEMA 校验", async (t) => {
+    const error = t.mock.method(console, "error", () => {});
+    assert.equal(await runCli(["config", "print", "--log-level", "foo"]), EXIT_CODES.USAGE);
+    assert.match(error.mock.calls[0].arguments[0], /命令行 --log-level: logging\.logLevel 应为以下值之一: DEBUG, INFO, WARN, ERROR，实际为 "foo"/);
+    assert.equal(config.logging.logLevel, "ERROR");
+
+    assert.throws(() => setConfig("concurrency.maxConcurrent", 0), /运行时设置: concurrency\.maxConcurrent 应为不小于 1 的整数/);
+    assert.equal(config.concurrency.maxConcurrent, 5);
+
+    setConfig("logging.logLevel", "warn");
+    assert.equal(config.logging.logLevel, "WARN");
+    setConfig("logging.logLevel", "ERROR");
+});
+
+test("直接运行脚本时配置无效会报告错误并以参数错误退出", () => {
+    const cwd = makeTempDir();
+    writeJson(path.join(cwd, "juejin.config.json"), { logging: { logLevel: "LOUD" } });
+    const script = fileURLToPath(new URL("../migrate-layout.js", import.meta.url));
+
+    const result = spawnSync(process.execPath, [script], { cwd, env: { ...process.env, HOME: cwd }, encoding: "utf-8" });
+
+    assert.equal(result.status, 2);
+    assert.match(result.stderr, /配置无效/);
+    assert.ok(result.stderr.includes(path.join(cwd, "juejin.config.json")));
+    assert.match(result.stderr, /logging\.logLevel 应为以下值之一/);
+});
@@ -0,0 +1,115 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { makeTempDir } from "./helpers.js";
+import { startMockServer } from "../mock/server.js";
+import { createClient } from "../utils.js";
+import { setConfig } from "../lib/config.js";
+import {
+    loadCredentials,
+    toCookieHeader,
+    describeCredentials,
+    parseCookieHeader,
+    parseNetscape,
+} from "../lib/credentials.js";
+
+const NOW = Date.parse("2024-06-01T00:00:00Z");
+const FUTURE = NOW / 1000 + 86400;
+const PAST = NOW / 1000 - 86400;
+
+// 写入临时 Cookie 文件
+const writeCookieFile = (name, content) => {
+    const filePath = path.join(makeTempDir(), name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+};
+
+const COOKIE_EDITOR_JSON = JSON.stringify([
+    { name: "sessionid", value: "secret-session", domain: ".juejin.cn", expirationDate: FUTURE },
+    { name: "sid_tt", value: "secret-sid", domain: "api.juejin.cn", session: true },
+    { name: "old", value: "secret-old", domain: ".juejin.cn", expirationDate: PAST },
+    { name: "tracker", value: "secret-tracker", domain: ".example.com", expirationDate: FUTURE },
+]);
+
+const NETSCAPE_TXT = [
+    "# Netscape HTTP Cookie File",
+    `.juejin.cn\tTRUE\t/\tTRUE\t${FUTURE}\tsessionid\tsecret-session`,
+    `#HttpOnly_.juejin.cn\tTRUE\t/\tTRUE\t0\tsid_tt\tsecret-sid`,
+    `.juejin.cn\tTRUE\t/\tFALSE\t${PAST}\told\tsecret-old`,
+    `.example.com\tTRUE\t/\tFALSE\t${FUTURE}\ttracker\tsecret-tracker`,
+    "",
+].join("\n");
+
+test("Cookie-Editor JSON：只保留 juejin.cn 下未过期的 Cookie", () => {
+    const file = writeCookieFile("cookies.json", COOKIE_EDITOR_JSON);
+    const result = loadCredentials({ file, env: {}, now: NOW });
+
+    assert.equal(result.source, "cookie-editor");
+    assert.deepEqual(result.cookies.map(cookie => cookie.name), ["sessionid", "sid_tt"]);
+    assert.deepEqual(result.dropped, { expired: 1, otherDomain: 1 });
+    assert.equal(toCookieHeader(result.cookies), "sessionid=secret-session; sid_tt=secret-sid");
+});
+
+test("Netscape cookies.txt：支持 #HttpOnly_ 前缀，0 表示会话 Cookie", () => {
+    const file = writeCookieFile("cookies.txt", NETSCAPE_TXT);
+    const result = loadCredentials({ file, env: {}, now: NOW });
+
+    assert.equal(result.source, "netscape");
+    assert.deepEqual(result.cookies.map(cookie => cookie.name), ["sessionid", "sid_tt"]);
+    assert.deepEqual(result.dropped, { expired: 1, otherDomain: 1 });
+    assert.deepEqual(parseNetscape("# 注释\n\n不完整\tTRUE\n"), []);
+});
+
+test("原始 Cookie 请求头，可以带 Cookie: 前缀", () => {
+    const file = writeCookieFile("cookie.txt", "Cookie: sessionid=secret-session; sid_tt=a=b;;\n");
+    const result = loadCredentials({ file, env: {}, now: NOW });
+
+    assert.equal(result.source, "header");
+    assert.equal(toCookieHeader(result.cookies), "sessionid=secret-session; sid_tt=a=b");
+    assert.deepEqual(parseCookieHeader(""), []);
+});
+
+test("JUEJIN_COOKIE 环境变量优先于文件，也可以通过来源强制指定", () => {
+    const file = writeCookieFile("cookies.json", COOKIE_EDITOR_JSON);
+    const env = { JUEJIN_COOKIE: "sessionid=from-env" };
+
+    assert.equal(toCookieHeader(loadCredentials({ file, env, now: NOW }).cookies), "sessionid=from-env");
+    assert.equal(loadCredentials({ file, env, now: NOW, source: "cookie-editor" }).cookies.length, 2);
+    assert.throws(() => loadCredentials({ file, env: {}, source: "env" }), /JUEJIN_COOKIE 未设置/);
+});
+
+test("错误信息和日志摘要不包含 Cookie 值", () => {
+    const file = writeCookieFile("cookies.json", COOKIE_EDITOR_JSON);
+    const summary = describeCredentials(loadCredentials({ file, env: {}, now: NOW }));
+    assert.match(summary, /sessionid, sid_tt/);
+    assert.doesNotMatch(summary, /secret/);
+
+    const broken = writeCookieFile("cookies.json", "[{\"name\": \"sessionid\", \"value\": \"secret-session\"");
+    assert.throws(() => loadCredentials({ file: broken, env: {} }), (error) => {
+        assert.doesNotMatch(error.message, /secret/);
+        return true;
+    });
+
+    assert.throws(() => loadCredentials({ file: path.join(makeTempDir(), "missing.json"), env: {} }), /Cookie 文件不存在/);
+    assert.throws(() => loadCredentials({ file, env: {}, source: "unknown" }), /未知的 Cookie 来源/);
+});
+
+test("默认客户端在第一次请求时才读取配置中的 Cookie 文件", async () => {
+    const server = await startMockServer();
+    const file = path.join(makeTempDir(), "cookies.txt");
+    setConfig("auth.cookiesFile", file);
+
+    try {
+        // 文件不存在时创建客户端不会报错
+        const client = createClient({ baseUrl: server.url, retry: { attempts: 1 } });
+        fs.writeFileSync(file, NETSCAPE_TXT.replace(String(FUTURE), String(Math.floor(Date.now() / 1000) + 86400)));
+
+        const books = await client.getBooks();
+        assert.equal(books.length, 2);
+        assert.equal(server.requests[0].cookie, "sessionid=secret-session; sid_tt=secret-sid");
+    } finally {
+        setConfig("auth.cookiesFile", "cookies.json");
+        await server.close();
+    }
+});
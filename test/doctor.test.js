@@ -0,0 +1,138 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { copyFixtures, createMockClient, makeTempDir } from "./helpers.js";
+import { startMockServer } from "../mock/server.js";
+import { setConfig } from "../lib/config.js";
+import { runDoctor, formatDoctorTable } from "../test-api.js";
+
+let server;
+
+before(async () => {
+    // 章节中的图片指向 mock 服务，测试不访问外网
+    const fixturesDir = copyFixtures();
+    const sectionPath = path.join(fixturesDir, "sections", "7000000000000000101.json");
+    fs.writeFileSync(sectionPath, fs.readFileSync(sectionPath, "utf-8")
+        .replaceAll("https://p3-juejin.byteimg.com/tos-cn-i-k3u1fbpfcp/", "{{baseUrl}}/images/"));
+    server = await startMockServer({ fixturesDir });
+});
+
+after(async () => {
+    await server.close();
+});
+
+// 写入 Cookie 文件并把输出目录指向临时目录
+const setupEnvironment = (cookies) => {
+    const dir = makeTempDir();
+    const cookiesFile = path.join(dir, "cookies.json");
+    if (cookies) {
+        fs.writeFileSync(cookiesFile, JSON.stringify(cookies));
+    }
+    setConfig("auth.source", "cookie-editor");
+    setConfig("auth.cookiesFile", cookiesFile);
+    setConfig("downloads.dir", path.join(dir, "downloads"));
+    setConfig("downloads.outputDir", path.join(dir, "downloads-with-images"));
+    setConfig("downloads.exportDir", path.join(dir, "exports"));
+    setConfig("logging.logDir", path.join(dir, "log"));
+};
+
+const sessionCookies = (expirationDate) => ["sessionid", "sid_guard", "sid_tt", "uid_tt"].map(name => ({
+    name,
+    value: "test",
+    domain: ".juejin.cn",
+    expirationDate,
+}));
+
+const inYears = (years) => Math.floor(Date.now() / 1000) + years * 365 * 24 * 60 * 60;
+
+const getStatuses = (checks) => Object.fromEntries(checks.map(check => [check.name, check.status]));
+
+test("doctor 全部检查通过", async (t) => {
+    t.mock.method(console, "log", () => {});
+    setupEnvironment(sessionCookies(inYears(1)));
+
+    const { ok, checks } = await runDoctor({ client: createMockClient(server) });
+
+    assert.equal(ok, true);
+    assert.deepEqual(checks.map(check => check.name), [
+        "Cookie",
+        "Cookie 过期时间",
+        "登录状态",
+        "书架",
+        "获取小册",
+        "获取章节",
+        "图片 CDN",
+        "写入权限: 小册目录",
+        "写入权限: 处理后目录",
+        "写入权限: 导出目录",
+        "写入权限: 日志目录",
+    ]);
+    assert.ok(checks.every(check => check.status === "pass"), JSON.stringify(checks));
+    assert.ok(server.requests.some(request => request.path === "/images/arch.png"));
+});
+
+test("Cookie 即将过期时给出警告", async (t) => {
+    t.mock.method(console, "log", () => {});
+    setupEnvironment(sessionCookies(Math.floor(Date.now() / 1000) + 24 * 60 * 60));
+
+    const { ok, checks } = await runDoctor({ client: createMockClient(server) });
+
+    assert.equal(ok, true);
+    assert.equal(getStatuses(checks)["Cookie 过期时间"], "warn");
+});
+
+test("缺少 Cookie 时跳过 API 检查", async (t) => {
+    t.mock.method(console, "log", () => {});
+    setupEnvironment(null);
+    const before = server.requests.length;
+
+    const { ok, checks } = await runDoctor({ client: createMockClient(server) });
+    const statuses = getStatuses(checks);
+
+    assert.equal(ok, false);
+    assert.equal(statuses.Cookie, "fail");
+    assert.equal(statuses["登录状态"], "skip");
+    assert.equal(statuses["图片 CDN"], "skip");
+    assert.equal(statuses["写入权限: 小册目录"], "pass");
+    assert.equal(server.requests.length, before);
+});
+
+test("登录失效时报告失败", async (t) => {
+    t.mock.method(console, "log", () => {});
+    setupEnvironment(sessionCookies(inYears(1)));
+
+    const { ok, checks } = await runDoctor({ client: createMockClient(server, { cookieProvider: () => "" }) });
+    const failed = checks.find(check => check.name === "登录状态");
+
+    assert.equal(ok, false);
+    assert.equal(failed.status, "fail");
+    assert.match(failed.detail, /登录已失效/);
+    assert.equal(getStatuses(checks)["获取小册"], "skip");
+});
+
+test("图片地址无效时报告失败而不是抛出错误", async (t) => {
+    t.mock.method(console, "log", () => {});
+    setupEnvironment(sessionCookies(inYears(1)));
+    const client = createMockClient(server);
+    const getSection = client.getSection.bind(client);
+    client.getSection = async (id) => ({ ...(await getSection(id)), content: "![图](http://[broken)" });
+
+    const { ok, checks } = await runDoctor({ client });
+    const image = checks.find(check => check.name === "图片 CDN");
+
+    assert.equal(ok, false);
+    assert.equal(image.status, "fail");
+    assert.match(image.detail, /^http:\/\/\[broken: /);
+});
+
+test("表格按中文显示宽度对齐", () => {
+    const table = formatDoctorTable([
+        { name: "Cookie", status: "pass", detail: "ok" },
+        { name: "登录状态", status: "fail", detail: "登录已失效" },
+    ]);
+    const lines = table.split("\n");
+
+    assert.equal(lines[2], "Cookie    PASS  ok");
+    assert.equal(lines[3], "登录状态  FAIL  登录已失效");
+});
@@ -0,0 +1,197 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { makeTempDir } from "./helpers.js";
+import { DEFAULT_FIXTURES_DIR, startMockServer } from "../mock/server.js";
+import { DownloadQueue } from "../lib/download-queue.js";
+import { CancelledError } from "../lib/errors.js";
+import { downloadImageFile, downloadImageToStore } from "../lib/image-download.js";
+import { ImageStore } from "../lib/image-store.js";
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let server;
+
+before(async () => {
+    server = await startMockServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+// 记录同时运行的任务数（全局和按主机）
+const createTracker = () => {
+    const tracker = { active: 0, maxActive: 0, hosts: new Map(), maxPerHost: 0 };
+    tracker.task = (host, ms = 5) => async () => {
+        tracker.active++;
+        tracker.maxActive = Math.max(tracker.maxActive, tracker.active);
+        const count = (tracker.hosts.get(host) || 0) + 1;
+        tracker.hosts.set(host, count);
+        tracker.maxPerHost = Math.max(tracker.maxPerHost, count);
+        await delay(ms);
+        tracker.hosts.set(host, tracker.hosts.get(host) - 1);
+        tracker.active--;
+        return host;
+    };
+    return tracker;
+};
+
+test("同时下载数不超过全局和每个主机的上限", async () => {
+    const queue = new DownloadQueue({ concurrency: 3, perHostConcurrency: 2 });
+    const tracker = createTracker();
+
+    const urls = [];
+    for (let i = 0; i < 6; i++) {
+        urls.push(`https://a.example.com/${i}.png`, `https://b.example.com/${i}.png`);
+    }
+    await Promise.all(urls.map(url => queue.add(url, tracker.task(new URL(url).host))));
+
+    assert.equal(tracker.maxActive, 3);
+    assert.equal(tracker.maxPerHost, 2);
+    assert.equal(queue.getStats().completed, 12);
+});
+
+test("相同 URL 在下载中时只下载一次", async () => {
+    const queue = new DownloadQueue({ concurrency: 2 });
+    let calls = 0;
+    const task = async () => {
+        calls++;
+        await delay(5);
+        return "done";
+    };
+
+    const results = await Promise.all([
+        queue.add("https://a.example.com/1.png", task),
+        queue.add("https://a.example.com/1.png", task),
+        queue.add("https://a.example.com/1.png", task),
+    ]);
+
+    assert.deepEqual(results, ["done", "done", "done"]);
+    assert.equal(calls, 1);
+    assert.equal(queue.getStats().deduplicated, 2);
+});
+
+test("优先级高的任务先下载，同优先级按加入顺序", async () => {
+    const queue = new DownloadQueue({ concurrency: 1 });
+    const order = [];
+    const task = name => async () => {
+        order.push(name);
+        await delay(1);
+    };
+
+    // 第一个任务立即开始，其余任务排队
+    await Promise.all([
+        queue.add("first", task("first")),
+        queue.add("low-1", task("low-1"), { priority: -1 }),
+        queue.add("normal-1", task("normal-1")),
+        queue.add("normal-2", task("normal-2")),
+        queue.add("high", task("high"), { priority: 5 }),
+        // 重复加入时提升已排队任务的优先级
+        queue.add("low-1", task("low-1"), { priority: 10 }),
+    ]);
+
+    assert.deepEqual(order, ["first", "low-1", "high", "normal-1", "normal-2"]);
+});
+
+test("取消排队中的任务不会执行", async () => {
+    const queue = new DownloadQueue({ concurrency: 1 });
+    let ran = false;
+
+    const first = queue.add("first", () => delay(10));
+    const second = queue.add("second", async () => {
+        ran = true;
+    });
+    assert.equal(queue.cancel("second"), true);
+
+    await assert.rejects(second, CancelledError);
+    await first;
+    assert.equal(ran, false);
+    assert.equal(queue.getStats().cancelled, 1);
+});
+
+test("所有调用方取消后中止下载中的任务", async () => {
+    const queue = new DownloadQueue({ concurrency: 1 });
+    const controllerA = new AbortController();
+    const controllerB = new AbortController();
+    let taskSignal;
+    const task = signal => new Promise((resolve, reject) => {
+        taskSignal = signal;
+        signal.addEventListener("abort", () => reject(new Error("aborted")));
+    });
+
+    const a = queue.add("img", task, { signal: controllerA.signal });
+    const b = queue.add("img", task, { signal: controllerB.signal });
+    await delay(1);
+
+    // 只有一个调用方取消时，下载继续
+    controllerA.abort();
+    await assert.rejects(a, CancelledError);
+    assert.equal(taskSignal.aborted, false);
+
+    controllerB.abort();
+    await assert.rejects(b, CancelledError);
+    assert.equal(taskSignal.aborted, true);
+
+    await queue.onIdle();
+    assert.equal(queue.pending, 0);
+});
+
+test("cancelAll 取消排队和下载中的所有任务", async () => {
+    const queue = new DownloadQueue({ concurrency: 1 });
+    const task = signal => new Promise((resolve, reject) => {
+        signal.addEventListener("abort", () => reject(new Error("aborted")));
+    });
+
+    const promises = ["a", "b", "c"].map(key => queue.add(key, task));
+    await delay(1);
+    queue.cancelAll();
+
+    for (const promise of promises) {
+        await assert.rejects(promise, CancelledError);
+    }
+    await queue.onIdle();
+    assert.equal(queue.size, 0);
+    assert.equal(queue.getStats().cancelled, 3);
+});
+
+test("downloadImageFile 将图片写入文件，同一 URL 复制到各自路径", async () => {
+    const outDir = makeTempDir();
+    const queue = new DownloadQueue({ concurrency: 2 });
+    const url = `${server.url}/images/arch.png`;
+    const first = path.join(outDir, "book-a", "arch.png");
+    const second = path.join(outDir, "book-b", "arch.png");
+
+    await Promise.all([
+        downloadImageFile(url, first, { queue }),
+        downloadImageFile(url, second, { queue }),
+    ]);
+
+    const expected = fs.readFileSync(path.join(DEFAULT_FIXTURES_DIR, "images", "arch.png"));
+    assert.deepEqual(fs.readFileSync(first), expected);
+    assert.deepEqual(fs.readFileSync(second), expected);
+    assert.equal(server.requests.filter(req => req.path === "/images/arch.png").length, 1);
+    // 不留下临时文件
+    assert.deepEqual(fs.readdirSync(path.dirname(first)), ["arch.png"]);
+});
+
+test("downloadImageFile 下载失败时不留下文件", async () => {
+    const outDir = makeTempDir();
+    const localPath = path.join(outDir, "missing.png");
+
+    await assert.rejects(
+        downloadImageFile(`${server.url}/images/missing.png`, localPath, { queue: new DownloadQueue() }),
+    );
+    assert.deepEqual(fs.readdirSync(outDir), []);
+});
+
+test("图片地址无效时两种下载方式都返回 rejected Promise", async () => {
+    const queue = new DownloadQueue();
+    const store = new ImageStore(makeTempDir());
+
+    await Promise.all([
+        assert.rejects(downloadImageFile("not a url", path.join(makeTempDir(), "a.png"), { queue }), /Invalid URL/),
+        assert.rejects(downloadImageToStore("not a url", store, { queue }), /Invalid URL/),
+    ]);
+});
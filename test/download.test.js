@@ -0,0 +1,132 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { createMockClient, listFiles, makeTempDir } from "./helpers.js";
+import { startMockServer } from "../mock/server.js";
+import { batchDownload, downloadBook } from "../batch-download.js";
+import { AuthError, ForbiddenError } from "../lib/errors.js";
+import { setConfig } from "../lib/config.js";
+
+let server;
+
+before(async () => {
+    server = await startMockServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+test("batchDownload 下载书架上所有小册的完结章节", async () => {
+    const outDir = makeTempDir();
+    const client = createMockClient(server);
+
+    const results = await batchDownload({ outDir, client });
+
+    assert.equal(results.total, 2);
+    assert.equal(results.success, 2);
+    assert.equal(results.failed, 0);
+    assert.equal(results.totalDownloaded, 4);
+    assert.equal(results.totalDrafts, 1);
+
+    assert.deepEqual(listFiles(path.join(outDir, "Node.js 实战：从入门到部署")), [
+        "1.开篇：为什么选择 Node.js.md",
+        "2.模块系统：CommonJS 与 ESM.md",
+        "README.md",
+        "book.json",
+        "cover.png",
+        "drafts",
+        "manifest.json",
+    ]);
+    assert.deepEqual(listFiles(path.join(outDir, "Node.js 实战：从入门到部署", "drafts")), [
+        "3.部署上线（写作中）.md",
+    ]);
+
+    const content = fs.readFileSync(path.join(outDir, "前端工程化： 原理与实践", "1.构建工具的演进.md"), "utf-8");
+    assert.match(content, /从 Grunt 到 Vite/);
+});
+
+test("再次同步时内容相同的章节被跳过", async () => {
+    const outDir = makeTempDir();
+    const client = createMockClient(server);
+    const book = { bookId: "7000000000000000002", name: "前端工程化: 原理与实践" };
+
+    await downloadBook(book, { outDir, client });
+    const result = await downloadBook(book, { outDir, client });
+
+    assert.equal(result.success, true);
+    assert.equal(result.downloadedCount, 0);
+    assert.equal(result.skippedCount, 1);
+});
+
+test("小册获取失败时记录为失败而不中断", async () => {
+    const outDir = makeTempDir();
+    const client = createMockClient(server);
+
+    const result = await downloadBook({ bookId: "404", name: "不存在" }, { outDir, client });
+
+    assert.equal(result.success, false);
+    assert.equal(result.errorKind, "schema");
+    assert.deepEqual(listFiles(outDir), []);
+});
+
+test("失败的章节按错误类别计入汇总", async () => {
+    const outDir = makeTempDir();
+    const client = createMockClient(server);
+    const getSection = client.getSection.bind(client);
+    client.getSection = async (sectionId) => {
+        if (sectionId === "7000000000000000102") {
+            throw new ForbiddenError("没有访问权限");
+        }
+        return getSection(sectionId);
+    };
+
+    const results = await batchDownload({ outDir, client });
+
+    assert.equal(results.success, 2);
+    assert.equal(results.totalFailedSections, 1);
+    assert.deepEqual(results.errorKinds, { forbidden: 1 });
+});
+
+test("登录失效时立即终止批量下载", async () => {
+    const outDir = makeTempDir();
+    const client = createMockClient(server);
+
+    // 获取书架后 Cookie 失效
+    const getBooks = client.getBooks.bind(client);
+    client.getBooks = async () => {
+        const books = await getBooks();
+        client.cookie = "";
+        return books;
+    };
+    const before = server.requests.length;
+
+    await assert.rejects(batchDownload({ outDir, client }), AuthError);
+    // 只请求了书架和第一本小册
+    assert.deepEqual(server.requests.slice(before).map(request => request.path), [
+        "/booklet_api/v1/booklet/bookletshelflist",
+        "/booklet_api/v1/booklet/get",
+    ]);
+});
+
+test("并发同步多本小册的结果与串行一致", async () => {
+    setConfig("concurrency.maxBooks", 2);
+    setConfig("concurrency.maxConcurrent", 3);
+    try {
+        const outDir = makeTempDir();
+        const results = await batchDownload({ outDir, client: createMockClient(server) });
+
+        assert.equal(results.success, 2);
+        assert.equal(results.totalDownloaded, 4);
+        assert.equal(results.totalFetched, 4);
+        assert.ok(results.sectionsPerSecond > 0);
+        assert.deepEqual(listFiles(path.join(outDir, "前端工程化： 原理与实践")).filter(file => file.endsWith(".md")), [
+            "1.构建工具的演进.md",
+            "README.md",
+        ]);
+    } finally {
+        setConfig("concurrency.maxBooks", 1);
+        setConfig("concurrency.maxConcurrent", 5);
+    }
+});
@@ -0,0 +1,124 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import JSZip from "jszip";
+import { createMockClient, makeTempDir } from "./helpers.js";
+import { startMockServer } from "../mock/server.js";
+import { buildEpub, EPUB_MIMETYPE } from "../lib/export/epub.js";
+import { exportBook } from "../export-book.js";
+
+const PNG = fs.readFileSync(new URL("../mock/fixtures/images/arch.png", import.meta.url));
+
+let server;
+
+before(async () => {
+    server = await startMockServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+// 模拟 process-images 处理后的小册目录
+const createProcessedBook = () => {
+    const bookDir = path.join(makeTempDir(), "示例小册");
+    fs.mkdirSync(path.join(bookDir, "images"), { recursive: true });
+    fs.writeFileSync(path.join(bookDir, "images", "a.png"), PNG);
+    fs.writeFileSync(path.join(bookDir, "images", "b.png"), PNG);
+    fs.writeFileSync(path.join(bookDir, "images", "unused.png"), PNG);
+
+    fs.writeFileSync(path.join(bookDir, "1.开篇.md"), "# 开篇\n\n![图 A](images/a.png)\n\n换行<br>标签\n");
+    fs.writeFileSync(path.join(bookDir, "2.第二章.md"), "# 第二章\n\n<img src=\"https://cdn.example.com/b.png\" alt=\"B\">\n");
+    fs.writeFileSync(path.join(bookDir, "10.第十章.md"), "# 第十章\n\n![远程](https://cdn.example.com/missing.png)\n\n```js\nconst a = 1 < 2;\n```\n");
+    fs.writeFileSync(path.join(bookDir, "mapping.json"), JSON.stringify({
+        "a.png": { originalUrl: "https://cdn.example.com/a.png", localPath: "images/a.png" },
+        "b.png": { originalUrl: "https://cdn.example.com/b.png", localPath: "images/b.png" },
+        _metadata: {},
+    }));
+
+    return bookDir;
+};
+
+// 读取 EPUB 中的文本文件
+const readEntry = (zip, name) => zip.file(name).async("string");
+
+test("EPUB 结构：mimetype 在最前且不压缩，包含 container.xml", async () => {
+    const { buffer } = await buildEpub({
+        bookDir: createProcessedBook(),
+        metadata: { identifier: "urn:juejin:booklet:1", title: "示例小册" },
+    });
+
+    // 第一个本地文件头：文件名在偏移 30 处，压缩方式在偏移 8 处（0 表示不压缩）
+    assert.equal(buffer.readUInt32LE(0), 0x04034b50);
+    assert.equal(buffer.readUInt16LE(8), 0);
+    assert.equal(buffer.toString("ascii", 30, 38), "mimetype");
+    assert.equal(buffer.toString("ascii", 38, 38 + EPUB_MIMETYPE.length), EPUB_MIMETYPE);
+
+    const zip = await JSZip.loadAsync(buffer);
+    const container = await readEntry(zip, "META-INF/container.xml");
+    assert.match(container, /full-path="OEBPS\/content.opf"/);
+});
+
+test("章节按序号排序，目录包含所有章节", async () => {
+    const { buffer, chapterCount } = await buildEpub({
+        bookDir: createProcessedBook(),
+        metadata: { identifier: "urn:juejin:booklet:1", title: "示例小册" },
+    });
+    const zip = await JSZip.loadAsync(buffer);
+
+    assert.equal(chapterCount, 3);
+    const nav = await readEntry(zip, "OEBPS/nav.xhtml");
+    const titles = [...nav.matchAll(/<li><a href="[^"]+">([^<]+)<\/a><\/li>/g)].map(match => match[1]);
+    assert.deepEqual(titles, ["开篇", "第二章", "第十章"]);
+
+    const opf = await readEntry(zip, "OEBPS/content.opf");
+    const spine = [...opf.matchAll(/<itemref idref="([^"]+)"/g)].map(match => match[1]);
+    assert.deepEqual(spine, ["chapter-001", "chapter-002", "chapter-003"]);
+});
+
+test("OPF manifest 覆盖所有嵌入的图片", async () => {
+    const { buffer, imageCount } = await buildEpub({
+        bookDir: createProcessedBook(),
+        metadata: { identifier: "urn:juejin:booklet:1", title: "示例小册" },
+    });
+    const zip = await JSZip.loadAsync(buffer);
+    const opf = await readEntry(zip, "OEBPS/content.opf");
+
+    const imageFiles = Object.keys(zip.files).filter(name => name.startsWith("OEBPS/images/") && !zip.files[name].dir);
+    assert.equal(imageCount, 2);
+    assert.deepEqual(imageFiles.sort(), ["OEBPS/images/a.png", "OEBPS/images/b.png"]);
+    for (const file of imageFiles) {
+        assert.ok(opf.includes(`href="${file.replace("OEBPS/", "")}"`), `${file} 不在 manifest 中`);
+    }
+
+    // 使用 mapping.json 把远程地址替换为本地图片，无法嵌入的远程图片变为链接
+    const chapter2 = await readEntry(zip, "OEBPS/chapter-002.xhtml");
+    assert.match(chapter2, /<img src="images\/b.png" alt="B"\/>/);
+    const chapter3 = await readEntry(zip, "OEBPS/chapter-003.xhtml");
+    assert.match(chapter3, /<a href="https:\/\/cdn.example.com\/missing.png">/);
+    assert.match(chapter3, /1 &lt; 2/);
+
+    // XHTML 需要自闭合标签
+    const chapter1 = await readEntry(zip, "OEBPS/chapter-001.xhtml");
+    assert.match(chapter1, /<br\/>/);
+});
+
+test("exportBook 使用小册信息填充元数据和封面", async () => {
+    const bookDir = createProcessedBook();
+    const outDir = makeTempDir();
+    fs.writeFileSync(path.join(bookDir, "manifest.json"), JSON.stringify({ bookletId: "7000000000000000001" }));
+
+    const { exported, failed } = await exportBook({ format: "epub", book: bookDir, outDir, client: createMockClient(server) });
+
+    assert.equal(failed, 0);
+    assert.deepEqual(exported, [path.join(outDir, "示例小册.epub")]);
+
+    const zip = await JSZip.loadAsync(fs.readFileSync(exported[0]));
+    const opf = await readEntry(zip, "OEBPS/content.opf");
+    assert.match(opf, /<dc:title>Node.js 实战：从入门到部署<\/dc:title>/);
+    assert.match(opf, /<dc:creator>示例作者<\/dc:creator>/);
+    assert.match(opf, /<dc:identifier id="book-id">urn:juejin:booklet:7000000000000000001<\/dc:identifier>/);
+    assert.match(opf, /properties="cover-image"/);
+    assert.ok(zip.file("OEBPS/cover.png"));
+});
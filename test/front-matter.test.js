@@ -0,0 +1,153 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { copyFixtures, createMockClient, makeTempDir, updateFixture } from "./helpers.js";
+import { startMockServer } from "../mock/server.js";
+import { downloadBook } from "../batch-download.js";
+import { processImages } from "../process-images.js";
+import { setConfig } from "../lib/config.js";
+import { addFrontMatter, buildFrontMatter, calculateContentHash, hasFrontMatter, stripFrontMatter } from "../lib/front-matter.js";
+
+const BOOK = { bookId: "7000000000000000001", name: "Node.js 实战：从入门到部署" };
+const CHAPTER = "1.开篇：为什么选择 Node.js.md";
+
+let server;
+let fixturesDir;
+
+before(async () => {
+    fixturesDir = copyFixtures();
+    server = await startMockServer({ fixturesDir });
+});
+
+after(async () => {
+    setConfig("sync.frontMatter", false);
+    await server.close();
+});
+
+// 开启 front matter 执行一次同步
+const syncWithFrontMatter = async (enabled, outDir, client) => {
+    setConfig("sync.frontMatter", enabled);
+    try {
+        return await downloadBook(BOOK, { outDir, client });
+    } finally {
+        setConfig("sync.frontMatter", false);
+    }
+};
+
+test("front matter 可以被完整去掉，正文保持不变", () => {
+    const body = "---\n\n正文以分隔线开头\n";
+    const content = addFrontMatter(body, { title: "标题: \"引号\"", booklet_id: "1", section_id: "2", author: null });
+
+    assert.equal(content.split("\n")[1], "title: \"标题: \\\"引号\\\"\"");
+    assert.ok(hasFrontMatter(content));
+    assert.equal(stripFrontMatter(content), body);
+    assert.equal(calculateContentHash(content), calculateContentHash(body));
+    assert.equal(buildFrontMatter({ index: 1 }), "---\nindex: 1\n---\n");
+    assert.equal(stripFrontMatter("# 没有 front matter\n"), "# 没有 front matter\n");
+});
+
+test("正文以分隔线开头时不会被当作 front matter", () => {
+    const body = "---\n表格说明\n---\n正文第一段\n";
+
+    assert.equal(hasFrontMatter(body), false);
+    assert.equal(stripFrontMatter(body), body);
+    assert.equal(hasFrontMatter(buildFrontMatter({ title: "标题", index: 1 })), false);
+});
+
+test("关闭 front matter 时不会删掉以分隔线开头的正文", async () => {
+    const outDir = makeTempDir();
+    const client = createMockClient(server);
+    const filePath = path.join(outDir, BOOK.name, CHAPTER);
+    const body = "---\n表格说明\n---\n正文第一段\n";
+    let original;
+    updateFixture(fixturesDir, "sections/7000000000000000101.json", (data) => {
+        original = data.markdown_show;
+        data.markdown_show = body;
+    });
+
+    try {
+        await syncWithFrontMatter(false, outDir, client);
+        const result = await syncWithFrontMatter(false, outDir, client);
+
+        assert.equal(result.updatedCount, 0);
+        assert.equal(fs.readFileSync(filePath, "utf-8"), body);
+
+        await syncWithFrontMatter(true, outDir, client);
+        assert.equal(stripFrontMatter(fs.readFileSync(filePath, "utf-8")), body);
+    } finally {
+        updateFixture(fixturesDir, "sections/7000000000000000101.json", (data) => {
+            data.markdown_show = original;
+        });
+    }
+});
+
+test("开启后章节开头写入来源信息", async () => {
+    const outDir = makeTempDir();
+    await syncWithFrontMatter(true, outDir, createMockClient(server));
+
+    const content = fs.readFileSync(path.join(outDir, BOOK.name, CHAPTER), "utf-8");
+    const header = content.split("---\n")[1];
+
+    assert.match(header, /^booklet_id: "7000000000000000001"$/m);
+    assert.match(header, /^booklet_title: "Node.js 实战：从入门到部署"$/m);
+    assert.match(header, /^section_id: "7000000000000000101"$/m);
+    assert.match(header, /^index: 1$/m);
+    assert.match(header, /^url: "https:\/\/juejin.cn\/book\/7000000000000000001\/section\/7000000000000000101"$/m);
+    assert.match(header, /^author: "示例作者"$/m);
+    assert.match(header, /^downloaded_at: "\d{4}-\d{2}-\d{2}T/m);
+    assert.match(header, /^hash: "[0-9a-f]{64}"$/m);
+    assert.match(header, /^status: "finished"$/m);
+
+    const draft = fs.readFileSync(path.join(outDir, BOOK.name, "drafts", "3.部署上线（写作中）.md"), "utf-8");
+    assert.match(draft, /^status: "draft"$/m);
+});
+
+test("内容相同时不会因为 front matter 被视为更新", async () => {
+    const outDir = makeTempDir();
+    const client = createMockClient(server);
+    await syncWithFrontMatter(true, outDir, client);
+
+    // 服务端更新时间变化但正文相同
+    updateFixture(fixturesDir, "booklets/7000000000000000001.json", (data) => {
+        data.sections[0].mtime += 1;
+    });
+    const result = await syncWithFrontMatter(true, outDir, client);
+
+    assert.equal(result.downloadedCount, 0);
+    assert.equal(result.updatedCount, 0);
+    assert.equal(result.skippedCount, 3);
+});
+
+test("切换 front matter 开关只重写文件头", async () => {
+    const outDir = makeTempDir();
+    const client = createMockClient(server);
+    const filePath = path.join(outDir, BOOK.name, CHAPTER);
+
+    await syncWithFrontMatter(false, outDir, client);
+    const body = fs.readFileSync(filePath, "utf-8");
+
+    const enabled = await syncWithFrontMatter(true, outDir, client);
+    assert.equal(enabled.downloadedCount, 0);
+    assert.equal(enabled.updatedCount, 0);
+    assert.ok(hasFrontMatter(fs.readFileSync(filePath, "utf-8")));
+    assert.equal(stripFrontMatter(fs.readFileSync(filePath, "utf-8")), body);
+
+    const disabled = await syncWithFrontMatter(false, outDir, client);
+    assert.equal(disabled.downloadedCount, 0);
+    assert.equal(fs.readFileSync(filePath, "utf-8"), body);
+});
+
+test("处理图片时忽略 front matter", async () => {
+    const inputDir = makeTempDir();
+    const outputDir = makeTempDir();
+    const bookDir = path.join(inputDir, "示例小册");
+    fs.mkdirSync(bookDir);
+    fs.writeFileSync(path.join(bookDir, "1.开篇.md"), "# 开篇\n\n没有图片\n");
+
+    await processImages({ inputDir, outputDir });
+    fs.writeFileSync(path.join(bookDir, "1.开篇.md"), addFrontMatter("# 开篇\n\n没有图片\n", { booklet_id: "1", section_id: "2", index: 1 }));
+    const results = await processImages({ inputDir, outputDir });
+
+    assert.equal(results.skippedFiles, 1);
+});
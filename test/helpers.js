@@ -0,0 +1,46 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import fse from "fs-extra";
+import { setConfig } from "../lib/config.js";
+import { JuejinClient } from "../lib/client.js";
+import { DEFAULT_FIXTURES_DIR } from "../mock/server.js";
+
+// 测试时不写日志文件，只输出错误
+setConfig("logging.enableFileLogging", false);
+setConfig("logging.logLevel", "ERROR");
+setConfig("network.requestDelay", 0);
+
+/** 创建临时目录 */
+export const makeTempDir = (prefix = "juejin-test-") => {
+    return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+};
+
+/** 创建指向 mock 服务的客户端 */
+export const createMockClient = (server, options = {}) => {
+    return new JuejinClient({
+        baseUrl: server.url,
+        cookieProvider: () => "sessionid=test;",
+        timeout: 5000,
+        retry: { attempts: 1, delay: 0 },
+        ...options,
+    });
+};
+
+/** 读取目录下的文件名（排序后） */
+export const listFiles = (dir) => fs.readdirSync(dir).sort();
+
+/** 复制 mock fixtures 到临时目录，便于在测试中修改 */
+export const copyFixtures = () => {
+    const fixturesDir = makeTempDir("juejin-fixtures-");
+    fse.copySync(DEFAULT_FIXTURES_DIR, fixturesDir);
+    return fixturesDir;
+};
+
+/** 修改临时 fixtures 中的 JSON 文件 */
+export const updateFixture = (fixturesDir, relativePath, update) => {
+    const filePath = path.join(fixturesDir, relativePath);
+    const data = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    update(data);
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 4), "utf-8");
+};
@@ -0,0 +1,133 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import vm from "vm";
+import { makeTempDir, listFiles } from "./helpers.js";
+import { buildSite, SEARCH_INDEX_FILE, SITE_MARKER_FILE } from "../lib/export/html.js";
+
+const PNG = fs.readFileSync(new URL("../mock/fixtures/images/arch.png", import.meta.url));
+
+// 模拟 process-images 处理后的小册目录
+const createProcessedBook = () => {
+    const bookDir = path.join(makeTempDir(), "示例小册");
+    fs.mkdirSync(path.join(bookDir, "images"), { recursive: true });
+    fs.writeFileSync(path.join(bookDir, "images", "a.png"), PNG);
+    fs.writeFileSync(path.join(bookDir, "images", "unused.png"), PNG);
+
+    fs.writeFileSync(path.join(bookDir, "1.开篇.md"), "# 开篇\n\n![图 A](images/a.png)\n\n为什么选择 Node.js\n");
+    fs.writeFileSync(path.join(bookDir, "2.模块系统.md"), "# 模块系统\n\n```js\nconst fs = require(\"fs\");\n```\n\n<img src=\"https://cdn.example.com/remote.png\" alt=\"远程\">\n");
+    fs.writeFileSync(path.join(bookDir, "10.部署.md"), "# 部署\n\n![缺失](images/missing.png)\n\n</script><script>alert(1)</script>\n");
+    fs.writeFileSync(path.join(bookDir, "mapping.json"), JSON.stringify({
+        "a.png": { originalUrl: "https://cdn.example.com/a.png", localPath: "images/a.png" },
+    }));
+
+    return bookDir;
+};
+
+// 在沙箱中执行 search-index.js，取出索引
+const loadSearchIndex = (siteDir) => {
+    const sandbox = { window: {} };
+    vm.runInNewContext(fs.readFileSync(path.join(siteDir, SEARCH_INDEX_FILE), "utf-8"), sandbox);
+    // 转回当前上下文的对象，便于 deepEqual 比较
+    return JSON.parse(JSON.stringify(sandbox.window.SEARCH_INDEX));
+};
+
+test("生成首页、章节页、静态资源和搜索索引", async () => {
+    const siteDir = path.join(makeTempDir(), "site");
+    const { chapterCount, imageCount } = await buildSite({
+        bookDir: createProcessedBook(),
+        outDir: siteDir,
+        metadata: { title: "示例小册", author: "示例作者" },
+    });
+
+    assert.equal(chapterCount, 3);
+    assert.equal(imageCount, 1);
+    assert.deepEqual(listFiles(siteDir), [
+        SITE_MARKER_FILE,
+        "assets",
+        "chapter-001.html",
+        "chapter-002.html",
+        "chapter-003.html",
+        "images",
+        "index.html",
+        SEARCH_INDEX_FILE,
+    ]);
+    assert.deepEqual(listFiles(path.join(siteDir, "assets")), ["highlight.css", "search.js", "site.css"]);
+    // 只复制被引用的图片
+    assert.deepEqual(listFiles(path.join(siteDir, "images")), ["a.png"]);
+
+    const index = fs.readFileSync(path.join(siteDir, "index.html"), "utf-8");
+    assert.match(index, /作者：示例作者/);
+    assert.match(index, /<a href="chapter-001.html">开始阅读/);
+});
+
+test("章节页包含侧边栏目录、上一章/下一章和高亮代码", async () => {
+    const siteDir = path.join(makeTempDir(), "site");
+    await buildSite({ bookDir: createProcessedBook(), outDir: siteDir, metadata: { title: "示例小册" } });
+
+    const page = fs.readFileSync(path.join(siteDir, "chapter-002.html"), "utf-8");
+    // 目录按章节序号排序，当前章节高亮
+    const toc = [...page.matchAll(/<li( class="active")?><a href="([^"]+)">([^<]+)<\/a><\/li>/g)]
+        .map(match => `${match[1] ? "*" : ""}${match[3]}`);
+    assert.deepEqual(toc, ["开篇", "*模块系统", "部署"]);
+
+    assert.match(page, /<a class="prev" href="chapter-001.html">← 开篇<\/a>/);
+    assert.match(page, /<a class="next" href="chapter-003.html">部署 →<\/a>/);
+    assert.match(page, /<code class="language-js hljs">/);
+    assert.match(page, /<span class="hljs-keyword">const<\/span>/);
+    // 无法本地化的远程图片保留原地址
+    assert.match(page, /<img src="https:\/\/cdn.example.com\/remote.png" alt="远程">/);
+
+    const first = fs.readFileSync(path.join(siteDir, "chapter-001.html"), "utf-8");
+    assert.doesNotMatch(first, /class="prev"/);
+    assert.match(first, /<img src="images\/a.png" alt="图 A" loading="lazy">/);
+
+    const last = fs.readFileSync(path.join(siteDir, "chapter-003.html"), "utf-8");
+    assert.doesNotMatch(last, /class="next"/);
+    assert.match(last, /<span>缺失<\/span>/);
+});
+
+test("搜索索引包含章节纯文本，可在 file:// 下以脚本加载", async () => {
+    const siteDir = path.join(makeTempDir(), "site");
+    await buildSite({ bookDir: createProcessedBook(), outDir: siteDir, metadata: { title: "示例小册" } });
+
+    const searchIndex = loadSearchIndex(siteDir);
+    assert.deepEqual(searchIndex.map(entry => [entry.index, entry.title, entry.href]), [
+        [1, "开篇", "chapter-001.html"],
+        [2, "模块系统", "chapter-002.html"],
+        [10, "部署", "chapter-003.html"],
+    ]);
+    assert.match(searchIndex[0].text, /为什么选择 Node.js/);
+    assert.match(searchIndex[1].text, /require\("fs"\)/);
+
+    // 章节中的 </script> 不能提前结束索引脚本
+    assert.doesNotMatch(fs.readFileSync(path.join(siteDir, SEARCH_INDEX_FILE), "utf-8"), /<\/script>/i);
+});
+
+test("重新导出时清空旧页面", async () => {
+    const siteDir = path.join(makeTempDir(), "site");
+    const bookDir = createProcessedBook();
+    await buildSite({ bookDir, outDir: siteDir, metadata: { title: "示例小册" } });
+    fs.writeFileSync(path.join(siteDir, "chapter-099.html"), "stale");
+
+    await buildSite({ bookDir, outDir: siteDir, metadata: { title: "示例小册" } });
+
+    assert.equal(fs.existsSync(path.join(siteDir, "chapter-099.html")), false);
+    assert.deepEqual(fs.readdirSync(path.dirname(siteDir)), ["site"]);
+});
+
+test("站点目录是小册目录、包含小册目录或不是导出的站点时拒绝导出", async () => {
+    const bookDir = createProcessedBook();
+    const chapters = listFiles(bookDir);
+
+    await assert.rejects(buildSite({ bookDir, outDir: bookDir, metadata: { title: "示例小册" } }), /相同或包含小册目录/);
+    await assert.rejects(buildSite({ bookDir, outDir: path.dirname(bookDir), metadata: { title: "示例小册" } }), /相同或包含小册目录/);
+    assert.deepEqual(listFiles(bookDir), chapters);
+
+    const otherDir = path.join(makeTempDir(), "示例小册");
+    fs.mkdirSync(otherDir);
+    fs.writeFileSync(path.join(otherDir, "notes.txt"), "keep");
+    await assert.rejects(buildSite({ bookDir, outDir: otherDir, metadata: { title: "示例小册" } }), /不是导出的站点/);
+    assert.deepEqual(listFiles(otherDir), ["notes.txt"]);
+});
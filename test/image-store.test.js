@@ -0,0 +1,129 @@
+import { test, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { listFiles, makeTempDir } from "./helpers.js";
+import { DEFAULT_FIXTURES_DIR, startMockServer } from "../mock/server.js";
+import { processImages } from "../process-images.js";
+import { resolveImage } from "../lib/export/common.js";
+import { setConfig } from "../lib/config.js";
+
+let server;
+
+before(async () => {
+    server = await startMockServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+afterEach(() => {
+    setConfig("downloads.root", ".");
+    setConfig("imageStore.enabled", false);
+    setConfig("imageStore.linkMode", "hardlink");
+});
+
+const sha256 = fileName => crypto.createHash("sha256")
+    .update(fs.readFileSync(path.join(DEFAULT_FIXTURES_DIR, "images", fileName)))
+    .digest("hex");
+
+// 在 root 下使用图片库，返回写入章节的函数
+const useStore = (linkMode) => {
+    const root = makeTempDir();
+    setConfig("downloads.root", root);
+    setConfig("imageStore.enabled", true);
+    setConfig("imageStore.linkMode", linkMode);
+    const writeChapter = (book, images) => {
+        const bookDir = path.join(root, "downloads", book);
+        fs.mkdirSync(bookDir, { recursive: true });
+        const body = images.map(image => `![${image}](${server.url}/images/${image})`).join("\n\n");
+        fs.writeFileSync(path.join(bookDir, "1.开篇.md"), `# 开篇\n\n${body}\n`);
+    };
+    return { root, writeChapter };
+};
+
+// 图片库中的所有文件（<哈希前两位>/<文件名>）
+const listStore = root => fs.readdirSync(path.join(root, "image-store"))
+    .flatMap(shard => fs.readdirSync(path.join(root, "image-store", shard)))
+    .sort();
+
+const readMapping = (root, book) => {
+    return JSON.parse(fs.readFileSync(path.join(root, "downloads-with-images", book, "mapping.json"), "utf-8"));
+};
+
+test("多本小册引用同一张图片时图片库只保存一份，并按引用计数清理", async () => {
+    const { root, writeChapter } = useStore("hardlink");
+    writeChapter("小册 A", ["arch.png", "esm.png"]);
+    writeChapter("小册 B", ["arch.png"]);
+
+    const results = await processImages();
+    assert.equal(results.totalDownloaded, 3);
+    assert.deepEqual(listStore(root), [`${sha256("arch.png")}.png`, `${sha256("esm.png")}.png`].sort());
+
+    // 小册中的图片是库中文件的硬链接，mapping 记录图片地址对应的哈希
+    const objectPath = path.join(root, "image-store", sha256("arch.png").slice(0, 2), `${sha256("arch.png")}.png`);
+    const linkedPath = path.join(root, "downloads-with-images", "小册 B", "images", "arch.png");
+    assert.equal(fs.statSync(linkedPath).ino, fs.statSync(objectPath).ino);
+    assert.deepEqual(readMapping(root, "小册 B")["arch.png"], {
+        originalUrl: `${server.url}/images/arch.png`,
+        localPath: "images/arch.png",
+        hash: sha256("arch.png"),
+        mimeType: "image/png",
+        width: 2,
+        height: 2,
+        size: 73,
+    });
+
+    // 小册 A 不再引用 esm.png：删除链接和库中的图片；arch.png 仍被两本小册引用
+    writeChapter("小册 A", ["arch.png"]);
+    const updated = await processImages();
+    assert.equal(updated.store.removed, 1);
+    assert.deepEqual(listStore(root), [`${sha256("arch.png")}.png`]);
+    assert.deepEqual(listFiles(path.join(root, "downloads-with-images", "小册 A", "images")), ["arch.png"]);
+
+    // 只删除一本小册时图片仍被另一本引用
+    fs.rmSync(path.join(root, "downloads", "小册 B"), { recursive: true });
+    fs.rmSync(path.join(root, "downloads-with-images", "小册 B"), { recursive: true });
+    assert.equal((await processImages()).store.removed, 0);
+    assert.deepEqual(listStore(root), [`${sha256("arch.png")}.png`]);
+
+    writeChapter("小册 A", []);
+    assert.equal((await processImages()).store.removed, 1);
+    assert.deepEqual(listStore(root), []);
+});
+
+test("symlink 方式在小册中创建指向图片库的符号链接", async () => {
+    const { root, writeChapter } = useStore("symlink");
+    writeChapter("小册 A", ["arch.png"]);
+
+    await processImages();
+    const linkedPath = path.join(root, "downloads-with-images", "小册 A", "images", "arch.png");
+    assert.equal(fs.lstatSync(linkedPath).isSymbolicLink(), true);
+    assert.equal(
+        fs.readlinkSync(linkedPath),
+        path.join("..", "..", "..", "image-store", sha256("arch.png").slice(0, 2), `${sha256("arch.png")}.png`),
+    );
+});
+
+test("relative 方式在章节中直接引用图片库中的文件，导出时打包为 images 下的文件", async () => {
+    const { root, writeChapter } = useStore("relative");
+    writeChapter("小册 A", ["arch.png"]);
+
+    await processImages();
+    const bookDir = path.join(root, "downloads-with-images", "小册 A");
+    const storedPath = `../../image-store/${sha256("arch.png").slice(0, 2)}/${sha256("arch.png")}.png`;
+    assert.match(fs.readFileSync(path.join(bookDir, "1.开篇.md"), "utf-8"), new RegExp(`!\\[arch\\.png\\]\\(${storedPath.replace(/\./g, "\\.")}\\)`));
+    assert.deepEqual(listFiles(path.join(bookDir, "images")), []);
+    assert.equal(readMapping(root, "小册 A")["arch.png"].localPath, storedPath);
+
+    const image = resolveImage(storedPath, { bookDir, urlToLocal: new Map() });
+    assert.equal(image.localPath, `images/${sha256("arch.png")}.png`);
+    assert.equal(image.mediaType, "image/png");
+
+    // 再次处理时不重复下载
+    const again = await processImages();
+    assert.equal(again.totalImages, 1);
+    assert.deepEqual(listStore(root), [`${sha256("arch.png")}.png`]);
+});
@@ -0,0 +1,185 @@
+import { test, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { copyFixtures, makeTempDir } from "./helpers.js";
+import { startMockServer } from "../mock/server.js";
+import { processImages } from "../process-images.js";
+import { detectImageType, fixImageExtension } from "../lib/image-type.js";
+import { InvalidImageError } from "../lib/errors.js";
+import { setConfig } from "../lib/config.js";
+
+// 最小的 WebP（VP8X）文件头：宽 640、高 480
+const webp = () => {
+    const buffer = Buffer.alloc(30);
+    buffer.write("RIFF", 0, "latin1");
+    buffer.writeUInt32LE(22, 4);
+    buffer.write("WEBPVP8X", 8, "latin1");
+    buffer.writeUInt32LE(10, 16);
+    buffer.writeUIntLE(639, 24, 3);
+    buffer.writeUIntLE(479, 27, 3);
+    return buffer;
+};
+
+// JPEG：APP0 段之后是 SOF0 段（宽 800、高 600）
+const jpeg = () => Buffer.from([
+    0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, ...Buffer.from("JFIF\0"), 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00,
+    0xff, 0xc0, 0x00, 0x11, 0x08, 0x02, 0x58, 0x03, 0x20, 0x03, 0x01, 0x22, 0x00,
+]);
+
+let server;
+
+before(async () => {
+    const fixturesDir = copyFixtures();
+    const imagesDir = path.join(fixturesDir, "images");
+    fs.writeFileSync(path.join(imagesDir, "photo.jpg"), webp());
+    fs.writeFileSync(path.join(imagesDir, "blocked.png"), "<!DOCTYPE html><html><body>访问被拒绝</body></html>");
+    fs.writeFileSync(path.join(imagesDir, "empty.png"), "");
+    server = await startMockServer({ fixturesDir });
+});
+
+after(async () => {
+    await server.close();
+});
+
+afterEach(() => {
+    setConfig("downloads.root", ".");
+});
+
+test("按特征字节识别图片格式并读取宽高", () => {
+    const png = fs.readFileSync(new URL("../mock/fixtures/images/arch.png", import.meta.url));
+    assert.deepEqual(detectImageType(png), { mimeType: "image/png", ext: ".png", width: 2, height: 2, size: 73 });
+    assert.deepEqual(detectImageType(jpeg()), { mimeType: "image/jpeg", ext: ".jpg", width: 800, height: 600, size: 33 });
+    assert.deepEqual(detectImageType(webp(), { contentType: "image/jpeg" }), { mimeType: "image/webp", ext: ".webp", width: 640, height: 480, size: 30 });
+
+    const gif = Buffer.from("GIF89a\x10\x00\x20\x00", "latin1");
+    assert.deepEqual(detectImageType(gif), { mimeType: "image/gif", ext: ".gif", width: 16, height: 32, size: 10 });
+
+    const svg = Buffer.from(`<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 120 60"></svg>`);
+    assert.deepEqual(detectImageType(svg), { mimeType: "image/svg+xml", ext: ".svg", width: 120, height: 60, size: svg.length });
+
+    // 无法识别的内容按 image/* 的 Content-Type 接受，不记录宽高
+    assert.deepEqual(detectImageType(Buffer.from([1, 2, 3]), { contentType: "image/heic" }), {
+        mimeType: "image/heic",
+        ext: null,
+        width: null,
+        height: null,
+        size: 3,
+    });
+});
+
+test("HTML、JSON、空内容和无法识别的内容不是图片", () => {
+    const rejects = (content, contentType, pattern) => {
+        assert.throws(() => detectImageType(Buffer.from(content), { contentType }), (error) => {
+            assert.ok(error instanceof InvalidImageError);
+            assert.equal(error.kind, "invalid-image");
+            assert.match(error.message, pattern);
+            return true;
+        });
+    };
+    rejects("", "image/png", /响应内容为空/);
+    rejects("\n  <!doctype html><title>404</title>", "image/png", /HTML 页面/);
+    rejects(`{"err_no":404,"err_msg":"not found"}`, "application/json", /JSON/);
+    rejects("plain text", "text/plain", /无法识别的图片格式（Content-Type: text\/plain）/);
+});
+
+test("按实际格式修正扩展名", () => {
+    assert.equal(fixImageExtension("images/photo.jpg", { mimeType: "image/webp", ext: ".webp" }), "images/photo.webp");
+    assert.equal(fixImageExtension("images/photo.jpeg", { mimeType: "image/jpeg", ext: ".jpg" }), "images/photo.jpeg");
+    assert.equal(fixImageExtension("images/a1b2c3d4.jpg", { mimeType: "image/svg+xml", ext: ".svg" }), "images/a1b2c3d4.svg");
+    assert.equal(fixImageExtension("images/photo.heic", { mimeType: "image/heic", ext: null }), "images/photo.heic");
+});
+
+test("images 按实际格式保存图片，不是图片的响应记入 missing-images.json", async () => {
+    const root = makeTempDir();
+    setConfig("downloads.root", root);
+    const bookDir = path.join(root, "downloads", "示例小册");
+    fs.mkdirSync(bookDir, { recursive: true });
+    fs.writeFileSync(path.join(bookDir, "1.开篇.md"), [
+        "# 开篇",
+        `![照片](${server.url}/images/photo.jpg)`,
+        `![被拦截](${server.url}/images/blocked.png)`,
+        `![空图片](${server.url}/images/empty.png)`,
+        "",
+    ].join("\n\n"));
+
+    const results = await processImages();
+    assert.equal(results.totalDownloaded, 1);
+    assert.equal(results.totalFailed, 2);
+    assert.deepEqual(results.errorKinds, { "invalid-image": 2 });
+
+    const outputDir = path.join(root, "downloads-with-images", "示例小册");
+    assert.deepEqual(fs.readdirSync(path.join(outputDir, "images")), ["photo.webp"]);
+    const content = fs.readFileSync(path.join(outputDir, "1.开篇.md"), "utf-8");
+    assert.match(content, /!\[照片\]\(images\/photo\.webp\)/);
+    assert.ok(content.includes(`![被拦截](${server.url}/images/blocked.png)`));
+
+    const mapping = JSON.parse(fs.readFileSync(path.join(outputDir, "mapping.json"), "utf-8"));
+    assert.deepEqual(mapping["photo.jpg"], {
+        originalUrl: `${server.url}/images/photo.jpg`,
+        localPath: "images/photo.webp",
+        mimeType: "image/webp",
+        width: 640,
+        height: 480,
+        size: 30,
+    });
+
+    const missing = JSON.parse(fs.readFileSync(path.join(outputDir, "missing-images.json"), "utf-8"));
+    assert.deepEqual(Object.keys(missing).sort(), ["blocked.png", "empty.png"]);
+    assert.equal(missing["blocked.png"].errorKind, "invalid-image");
+    assert.match(missing["blocked.png"].error, /HTML 页面/);
+    assert.match(missing["empty.png"].error, /响应内容为空/);
+
+    // 再次处理时使用已保存的 photo.webp，不重新下载；不是图片的响应不重试
+    const requests = server.requests.length;
+    await processImages();
+    assert.deepEqual(server.requests.slice(requests).map(request => request.path).sort(), ["/images/blocked.png", "/images/empty.png"]);
+    assert.deepEqual(fs.readdirSync(path.join(outputDir, "images")), ["photo.webp"]);
+});
+
+test("同一次运行中后处理的章节使用已保存的图片，不重复下载", async () => {
+    const root = makeTempDir();
+    setConfig("downloads.root", root);
+    setConfig("concurrency.maxConcurrent", 1);
+    try {
+        const bookDir = path.join(root, "downloads", "示例小册");
+        fs.mkdirSync(bookDir, { recursive: true });
+        fs.writeFileSync(path.join(bookDir, "1.开篇.md"), `# 开篇\n\n![照片](${server.url}/images/photo.jpg)\n`);
+        fs.writeFileSync(path.join(bookDir, "2.回顾.md"), `# 回顾\n\n![照片](${server.url}/images/photo.jpg)\n`);
+
+        const requests = server.requests.length;
+        const results = await processImages();
+        assert.equal(results.totalDownloaded, 2);
+        assert.deepEqual(server.requests.slice(requests).map(request => request.path), ["/images/photo.jpg"]);
+
+        const outputDir = path.join(root, "downloads-with-images", "示例小册");
+        assert.match(fs.readFileSync(path.join(outputDir, "2.回顾.md"), "utf-8"), /!\[照片\]\(images\/photo\.webp\)/);
+    } finally {
+        setConfig("concurrency.maxConcurrent", 5);
+    }
+});
+
+test("并发处理的章节引用同一张图片时只下载一次，映射关系只在下载成功后写入", async () => {
+    const root = makeTempDir();
+    setConfig("downloads.root", root);
+    const bookDir = path.join(root, "downloads", "示例小册");
+    fs.mkdirSync(bookDir, { recursive: true });
+    const chapters = ["1.开篇.md", "2.基础.md", "3.回顾.md"];
+    for (const chapter of chapters) {
+        fs.writeFileSync(path.join(bookDir, chapter), `# ${chapter}\n\n![照片](${server.url}/images/photo.jpg)\n\n![被拦截](${server.url}/images/blocked.png)\n`);
+    }
+
+    const requests = server.requests.length;
+    const results = await processImages();
+    assert.equal(results.totalDownloaded, 3);
+    assert.deepEqual(server.requests.slice(requests).map(request => request.path).sort(), ["/images/blocked.png", "/images/photo.jpg"]);
+
+    const outputDir = path.join(root, "downloads-with-images", "示例小册");
+    for (const chapter of chapters) {
+        assert.match(fs.readFileSync(path.join(outputDir, chapter), "utf-8"), /!\[照片\]\(images\/photo\.webp\)/);
+    }
+    const mapping = JSON.parse(fs.readFileSync(path.join(outputDir, "mapping.json"), "utf-8"));
+    assert.equal(mapping["photo.jpg"].localPath, "images/photo.webp");
+    assert.equal(mapping["photo.jpg"].mimeType, "image/webp");
+    assert.deepEqual(mapping["blocked.png"], { originalUrl: `${server.url}/images/blocked.png`, localPath: "images/blocked.png" });
+});
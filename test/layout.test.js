@@ -0,0 +1,132 @@
+import { test, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { createMockClient, listFiles, makeTempDir } from "./helpers.js";
+import { startMockServer } from "../mock/server.js";
+import { batchDownload, downloadBook } from "../batch-download.js";
+import { migrateLayout } from "../migrate-layout.js";
+import { listChapters } from "../lib/export/common.js";
+import { loadConfig, setConfig } from "../lib/config.js";
+import { getBookDirName } from "../lib/layout.js";
+import { checkTemplate, formatTemplate, parseTemplate } from "../lib/template.js";
+
+const BOOK_ID = "7000000000000000001";
+const BOOK_TITLE = "Node.js 实战：从入门到部署";
+
+let server;
+
+before(async () => {
+    server = await startMockServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+afterEach(() => {
+    setConfig("downloads.root", ".");
+    setConfig("downloads.bookDirTemplate", "{title}");
+    setConfig("downloads.sectionFileTemplate", "{index}.{title}.md");
+});
+
+const readManifest = bookDir => JSON.parse(fs.readFileSync(path.join(bookDir, "manifest.json"), "utf-8"));
+
+test("按模板生成和解析文件名", () => {
+    assert.equal(formatTemplate("{index:03}-{title}.md", { index: 7, title: "开篇" }), "007-开篇.md");
+    assert.deepEqual(parseTemplate("{index:03}-{title}.md", "007-开篇.md"), { index: 7, title: "开篇" });
+    assert.deepEqual(parseTemplate("{bookId}-{title}", `${BOOK_ID}-小册`), { bookId: BOOK_ID, title: "小册" });
+    assert.equal(parseTemplate("{index:03}-{title}.md", "README.md"), null);
+
+    const sectionRule = { variables: ["index", "title", "sectionId"], required: [["index"]], suffix: ".md" };
+    assert.equal(checkTemplate("{index:03}-{title}.md", sectionRule), null);
+    assert.match(checkTemplate("{idx}-{title}.md", sectionRule), /未知的模板变量 \{idx\}/);
+    assert.match(checkTemplate("{title}.md", sectionRule), /需要包含 \{index\}/);
+    assert.match(checkTemplate("{index}/{title}.md", sectionRule), /路径分隔符/);
+});
+
+test("小册标题中的路径分隔符等字符替换为全角字符", () => {
+    assert.equal(getBookDirName({ bookId: BOOK_ID, title: "前端/后端: 实战" }), "前端／后端： 实战");
+    setConfig("downloads.bookDirTemplate", "{bookId}-{title}");
+    assert.equal(getBookDirName({ bookId: BOOK_ID, title: "a\\b" }), `${BOOK_ID}-a＼b`);
+});
+
+test("配置中的模板无效时报告错误", () => {
+    try {
+        assert.throws(
+            () => loadConfig({ cwd: makeTempDir(), homeDir: makeTempDir(), env: { SECTION_FILE_TEMPLATE: "{index}-{name}.md" } }),
+            /SECTION_FILE_TEMPLATE: downloads\.sectionFileTemplate 无效: 未知的模板变量 \{name\}/,
+        );
+    } finally {
+        loadConfig();
+    }
+});
+
+test("sync 默认写入输出根目录下的 downloads，并按模板命名", async () => {
+    const root = makeTempDir();
+    setConfig("downloads.root", root);
+    setConfig("downloads.bookDirTemplate", "{bookId}-{title}");
+    setConfig("downloads.sectionFileTemplate", "{index:03}-{title}.md");
+
+    const results = await batchDownload({ client: createMockClient(server) });
+    assert.equal(results.success, 2);
+
+    const bookDir = path.join(root, "downloads", `${BOOK_ID}-${BOOK_TITLE}`);
+    assert.deepEqual(listFiles(bookDir).filter(file => file.endsWith(".md")), [
+        "001-开篇：为什么选择 Node.js.md",
+        "002-模块系统：CommonJS 与 ESM.md",
+        "README.md",
+    ]);
+    assert.deepEqual(listFiles(path.join(bookDir, "drafts")), ["003-部署上线（写作中）.md"]);
+
+    // 导出时按同一模板解析章节序号和标题
+    assert.deepEqual(listChapters(bookDir).map(chapter => [chapter.index, chapter.title]), [
+        [1, "开篇：为什么选择 Node.js"],
+        [2, "模块系统：CommonJS 与 ESM"],
+    ]);
+});
+
+test("migrate 把旧布局中的小册移动到输出根目录并按模板重命名", async () => {
+    // 旧版本默认下载到当前目录
+    const oldDir = makeTempDir();
+    const root = makeTempDir();
+    await downloadBook({ bookId: BOOK_ID, name: BOOK_TITLE }, { outDir: oldDir, client: createMockClient(server) });
+    const processedDir = path.join(root, "downloads-with-images", BOOK_TITLE);
+    fs.mkdirSync(processedDir, { recursive: true });
+    fs.writeFileSync(path.join(processedDir, "1.开篇：为什么选择 Node.js.md"), "# 开篇\n");
+    const { syncedAt } = readManifest(path.join(oldDir, BOOK_TITLE));
+
+    setConfig("downloads.root", root);
+    setConfig("downloads.bookDirTemplate", "{bookId}-{title}");
+    setConfig("downloads.sectionFileTemplate", "{index:03}-{title}.md");
+
+    const preview = migrateLayout({ from: oldDir, dryRun: true });
+    assert.equal(preview.moved.length, 2);
+    assert.equal(preview.renamedSections, 3);
+    assert.ok(fs.existsSync(path.join(oldDir, BOOK_TITLE)));
+
+    const results = migrateLayout({ from: oldDir });
+    assert.equal(results.books, 1);
+    assert.equal(results.renamedSections, 3);
+    assert.deepEqual(results.conflicts, []);
+
+    const bookDir = path.join(root, "downloads", `${BOOK_ID}-${BOOK_TITLE}`);
+    assert.equal(fs.existsSync(path.join(oldDir, BOOK_TITLE)), false);
+    assert.ok(fs.existsSync(path.join(bookDir, "001-开篇：为什么选择 Node.js.md")));
+    assert.ok(fs.existsSync(path.join(bookDir, "drafts", "003-部署上线（写作中）.md")));
+    assert.deepEqual(listFiles(path.join(root, "downloads-with-images", `${BOOK_ID}-${BOOK_TITLE}`)), ["001-开篇：为什么选择 Node.js.md"]);
+
+    // manifest 记录新文件名，同步时间不变
+    const manifest = readManifest(bookDir);
+    assert.equal(manifest.syncedAt, syncedAt);
+    assert.deepEqual(Object.values(manifest.sections).map(entry => entry.file).sort(), [
+        "001-开篇：为什么选择 Node.js.md",
+        "002-模块系统：CommonJS 与 ESM.md",
+        "drafts/003-部署上线（写作中）.md",
+    ]);
+
+    // 再次迁移没有需要移动的内容
+    const again = migrateLayout({ from: oldDir });
+    assert.equal(again.moved.length, 0);
+    assert.equal(again.renamedSections, 0);
+});
@@ -0,0 +1,155 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { createMockClient, makeTempDir } from "./helpers.js";
+import { startMockServer } from "../mock/server.js";
+import { downloadBook } from "../batch-download.js";
+import { downloadInteractive, filterBooks, updateSelection } from "../main.js";
+import { setConfig } from "../lib/config.js";
+import { formatLocalStatus, getLocalStatus } from "../lib/local-status.js";
+import { parseBookRef } from "../utils.js";
+
+const BOOK_1 = { value: "7000000000000000001", name: "Node.js 实战：从入门到部署", updateTime: 1700000000, sectionCount: 3 };
+const BOOK_2 = { value: "7000000000000000002", name: "前端工程化: 原理与实践", updateTime: 1690000000, sectionCount: 1 };
+
+let server;
+
+before(async () => {
+    server = await startMockServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+// 按顺序返回预设答案的 prompt，记录问过的问题
+const createPrompt = (answers) => {
+    const prompt = async ([question]) => {
+        prompt.questions.push(question);
+        assert.ok(answers.length > 0, `没有预设答案: ${question.message}`);
+        return { [question.name]: answers.shift() };
+    };
+    prompt.questions = [];
+    return prompt;
+};
+
+test("parseBookRef 识别小册 ID 和掘金小册地址", () => {
+    assert.equal(parseBookRef("7000000000000000001"), "7000000000000000001");
+    assert.equal(parseBookRef("https://juejin.cn/book/7000000000000000001"), "7000000000000000001");
+    assert.equal(parseBookRef("https://juejin.cn/book/7000000000000000001/section/7000000000000000101?utm=x"), "7000000000000000001");
+    assert.equal(parseBookRef("juejin.cn/book/7000000000000000002"), "7000000000000000002");
+    assert.equal(parseBookRef("https://example.com/book/7000000000000000001"), null);
+    assert.equal(parseBookRef("Node.js"), null);
+});
+
+test("getLocalStatus 根据 manifest 判断本地状态", async () => {
+    const outDir = makeTempDir();
+    assert.equal(formatLocalStatus(getLocalStatus(BOOK_1, outDir)), "未下载");
+
+    await downloadBook({ bookId: BOOK_1.value, name: BOOK_1.name }, { outDir, client: createMockClient(server) });
+    assert.equal(formatLocalStatus(getLocalStatus(BOOK_1, outDir)), "已是最新 · 1 章草稿");
+
+    // 书架上的章节数多于本地
+    assert.equal(formatLocalStatus(getLocalStatus({ ...BOOK_1, sectionCount: 5 }, outDir)), "落后 2 章 · 1 章草稿");
+    // 小册在上次同步后更新过
+    assert.equal(getLocalStatus({ ...BOOK_1, updateTime: 1800000000 }, outDir).state, "outdated");
+});
+
+test("不下载草稿时跳过的草稿不算落后", async () => {
+    const outDir = makeTempDir();
+    setConfig("sync.includeDrafts", false);
+    try {
+        await downloadBook({ bookId: BOOK_1.value, name: BOOK_1.name }, { outDir, client: createMockClient(server) });
+    } finally {
+        setConfig("sync.includeDrafts", true);
+    }
+
+    assert.equal(formatLocalStatus(getLocalStatus(BOOK_1, outDir)), "已是最新");
+    assert.equal(formatLocalStatus(getLocalStatus({ ...BOOK_1, sectionCount: 4 }, outDir)), "落后 1 章");
+});
+
+test("指定小册地址时直接下载，不进行交互", async () => {
+    const outDir = makeTempDir();
+    const prompt = createPrompt([]);
+
+    const { results, failed, actions } = await downloadInteractive({
+        outDir,
+        client: createMockClient(server),
+        books: ["https://juejin.cn/book/7000000000000000002"],
+        prompt,
+    });
+
+    assert.equal(failed, 0);
+    assert.deepEqual(results.map(result => result.bookName), [BOOK_2.name]);
+    assert.deepEqual(actions, []);
+    assert.equal(prompt.questions.length, 0);
+});
+
+test("书架上没有指定的小册时报错", async () => {
+    await assert.rejects(
+        downloadInteractive({ outDir: makeTempDir(), client: createMockClient(server), books: ["7000000000000000009"] }),
+        /书架上没有该小册/,
+    );
+});
+
+test("搜索并多选小册，选项显示本地状态", async () => {
+    const outDir = makeTempDir();
+    await downloadBook({ bookId: BOOK_1.value, name: BOOK_1.name }, { outDir, client: createMockClient(server) });
+
+    // 第一次搜索没有结果，第二次显示全部
+    const prompt = createPrompt(["不存在的小册", "", [BOOK_1.value, BOOK_2.value], false, []]);
+    const { results } = await downloadInteractive({ outDir, client: createMockClient(server), prompt });
+
+    const picker = prompt.questions.find(question => question.type === "checkbox");
+    assert.deepEqual(picker.choices.map(choice => choice.name), [
+        `${BOOK_1.name}  [已是最新 · 1 章草稿]`,
+        `${BOOK_2.name}  [未下载]`,
+    ]);
+    assert.equal(results.length, 2);
+    assert.equal(results[0].downloadedCount, 0);
+    assert.equal(results[1].downloadedCount, 1);
+});
+
+test("filterBooks 按标题、小册 ID 或正则筛选", () => {
+    const books = [BOOK_1, BOOK_2];
+
+    assert.deepEqual(filterBooks(books, "  "), books);
+    assert.deepEqual(filterBooks(books, "前端"), [BOOK_2]);
+    assert.deepEqual(filterBooks(books, BOOK_1.value), [BOOK_1]);
+    assert.deepEqual(filterBooks(books, "/^node/i"), [BOOK_1]);
+    assert.throws(() => filterBooks(books, "/[/"));
+});
+
+test("updateSelection 只替换本次列出的小册，保留之前的选择", () => {
+    const selected = updateSelection(new Set([BOOK_1.value]), [BOOK_2], [BOOK_2.value]);
+    assert.deepEqual([...selected], [BOOK_1.value, BOOK_2.value]);
+
+    // 取消勾选列出的小册
+    assert.deepEqual([...updateSelection(selected, [BOOK_1, BOOK_2], [BOOK_2.value])], [BOOK_2.value]);
+});
+
+test("多次搜索时保留并预先勾选已选的小册", async () => {
+    const outDir = makeTempDir();
+    const prompt = createPrompt(["Node", [BOOK_1.value], true, "", [BOOK_1.value, BOOK_2.value], false, []]);
+    const { results } = await downloadInteractive({ outDir, client: createMockClient(server), prompt });
+
+    const pickers = prompt.questions.filter(question => question.type === "checkbox" && question.name === "bookIds");
+    assert.deepEqual(pickers[1].choices.map(choice => choice.checked), [true, false]);
+    assert.equal(results.length, 2);
+});
+
+test("下载后可以继续处理图片", async () => {
+    const outDir = makeTempDir();
+    const processedDir = makeTempDir();
+    setConfig("downloads.outputDir", processedDir);
+    try {
+        const prompt = createPrompt(["前端", [BOOK_2.value], false, ["images"]]);
+        const { actions } = await downloadInteractive({ outDir, client: createMockClient(server), prompt });
+
+        assert.deepEqual(actions, ["images"]);
+        assert.ok(fs.existsSync(path.join(processedDir, "前端工程化： 原理与实践", "1.构建工具的演进.md")));
+    } finally {
+        setConfig("downloads.outputDir", "downloads-with-images");
+    }
+});
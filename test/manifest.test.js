@@ -0,0 +1,134 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { copyFixtures, createMockClient, makeTempDir, updateFixture } from "./helpers.js";
+import { startMockServer } from "../mock/server.js";
+import { downloadBook } from "../batch-download.js";
+import { MANIFEST_FILE_NAME } from "../lib/manifest.js";
+import { setConfig } from "../lib/config.js";
+
+const BOOK = { bookId: "7000000000000000001", name: "Node.js 实战：从入门到部署" };
+
+let server;
+let fixturesDir;
+
+before(async () => {
+    fixturesDir = copyFixtures();
+    server = await startMockServer({ fixturesDir });
+});
+
+after(async () => {
+    await server.close();
+});
+
+// 统计章节接口的请求次数
+const countSectionRequests = () => server.requests.filter(req => req.path.endsWith("/section/get")).length;
+
+test("首次同步写入 manifest.json", async () => {
+    const outDir = makeTempDir();
+    await downloadBook(BOOK, { outDir, client: createMockClient(server) });
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(outDir, BOOK.name, MANIFEST_FILE_NAME), "utf-8"));
+    const entry = manifest.sections["7000000000000000101"];
+
+    assert.equal(manifest.bookletId, BOOK.bookId);
+    assert.equal(entry.index, 1);
+    assert.equal(entry.status, 1);
+    assert.equal(entry.updateTime, 1680000000);
+    assert.equal(entry.file, "1.开篇：为什么选择 Node.js.md");
+    assert.match(entry.hash, /^[0-9a-f]{64}$/);
+});
+
+test("章节未变化时不再请求章节接口", async () => {
+    const outDir = makeTempDir();
+    const client = createMockClient(server);
+
+    await downloadBook(BOOK, { outDir, client });
+    const before = countSectionRequests();
+    const result = await downloadBook(BOOK, { outDir, client });
+
+    assert.equal(countSectionRequests(), before);
+    assert.equal(result.skippedCount, 3);
+    assert.equal(result.downloadedCount, 0);
+});
+
+test("只重新获取服务端更新时间变化的章节", async () => {
+    const outDir = makeTempDir();
+    const client = createMockClient(server);
+
+    await downloadBook(BOOK, { outDir, client });
+
+    updateFixture(fixturesDir, "booklets/7000000000000000001.json", (data) => {
+        data.sections[1].mtime = 1710000000;
+    });
+    updateFixture(fixturesDir, "sections/7000000000000000102.json", (data) => {
+        data.markdown_show += "\n新增内容\n";
+    });
+
+    const before = countSectionRequests();
+    const result = await downloadBook(BOOK, { outDir, client });
+
+    assert.equal(countSectionRequests() - before, 1);
+    assert.equal(result.updatedCount, 1);
+    assert.match(fs.readFileSync(path.join(outDir, BOOK.name, "2.模块系统：CommonJS 与 ESM.md"), "utf-8"), /新增内容/);
+});
+
+test("本地文件被删除时重新获取", async () => {
+    const outDir = makeTempDir();
+    const client = createMockClient(server);
+
+    await downloadBook(BOOK, { outDir, client });
+    fs.unlinkSync(path.join(outDir, BOOK.name, "1.开篇：为什么选择 Node.js.md"));
+
+    const result = await downloadBook(BOOK, { outDir, client });
+
+    assert.equal(result.downloadedCount, 1);
+    assert.ok(fs.existsSync(path.join(outDir, BOOK.name, "1.开篇：为什么选择 Node.js.md")));
+});
+
+test("写作中的章节完结后从 drafts 转为正式章节", async () => {
+    const outDir = makeTempDir();
+    const client = createMockClient(server);
+    const bookDir = path.join(outDir, BOOK.name);
+
+    await downloadBook(BOOK, { outDir, client });
+    assert.ok(fs.existsSync(path.join(bookDir, "drafts", "3.部署上线（写作中）.md")));
+
+    updateFixture(fixturesDir, "booklets/7000000000000000001.json", (data) => {
+        data.sections[2].status = 1;
+        data.sections[2].title = "部署上线";
+        data.sections[2].mtime = 1720000000;
+    });
+
+    try {
+        const result = await downloadBook(BOOK, { outDir, client });
+
+        assert.deepEqual(result.promoted, [{ index: 3, title: "部署上线" }]);
+        assert.ok(fs.existsSync(path.join(bookDir, "3.部署上线.md")));
+        assert.ok(!fs.existsSync(path.join(bookDir, "drafts", "3.部署上线（写作中）.md")));
+
+        const manifest = JSON.parse(fs.readFileSync(path.join(bookDir, MANIFEST_FILE_NAME), "utf-8"));
+        assert.equal(manifest.sections["7000000000000000103"].status, 1);
+        assert.equal(manifest.sections["7000000000000000103"].file, "3.部署上线.md");
+    } finally {
+        updateFixture(fixturesDir, "booklets/7000000000000000001.json", (data) => {
+            data.sections[2].status = 0;
+            data.sections[2].title = "部署上线（写作中）";
+        });
+    }
+});
+
+test("关闭 includeDrafts 时不下载写作中的章节", async () => {
+    const outDir = makeTempDir();
+    setConfig("sync.includeDrafts", false);
+
+    try {
+        const result = await downloadBook(BOOK, { outDir, client: createMockClient(server) });
+
+        assert.equal(result.draftCount, 0);
+        assert.ok(!fs.existsSync(path.join(outDir, BOOK.name, "drafts")));
+    } finally {
+        setConfig("sync.includeDrafts", true);
+    }
+});
@@ -0,0 +1,124 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { makeTempDir } from "./helpers.js";
+import { startMockServer } from "../mock/server.js";
+import { processImages } from "../process-images.js";
+import { extractImageRefs, normalizeImageUrl, replaceImageRefs } from "../lib/markdown-images.js";
+import { generateImageFileName } from "../utils.js";
+
+// 各种写法的章节：<名称>.md 为原文，<名称>.expected.md 为所有图片替换为 images/<文件名> 后的结果
+const CORPUS_DIR = new URL("./fixtures/markdown-images/", import.meta.url);
+
+const corpus = fs.readdirSync(CORPUS_DIR)
+    .filter(file => file.endsWith(".md") && !file.endsWith(".expected.md"))
+    .sort();
+
+const readCorpus = file => fs.readFileSync(new URL(file, CORPUS_DIR), "utf-8");
+
+const urlsOf = file => extractImageRefs(readCorpus(file)).map(ref => ref.url);
+
+let server;
+
+before(async () => {
+    server = await startMockServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+test("替换图片地址后与预期结果逐字节一致", () => {
+    assert.ok(corpus.length > 0);
+    for (const file of corpus) {
+        const content = readCorpus(file);
+        const refs = extractImageRefs(content);
+        const replaced = replaceImageRefs(content, refs, ref => `images/${generateImageFileName(ref.url)}`);
+        assert.equal(replaced, readCorpus(file.replace(/\.md$/, ".expected.md")), file);
+        // 不替换时内容不变
+        assert.equal(replaceImageRefs(content, refs, () => null), content, file);
+    }
+});
+
+test("行内图片：尖括号、协议相对地址、链接中的图片，不包括转义和普通链接", () => {
+    assert.deepEqual(urlsOf("inline.md"), [
+        "https://p3-juejin.byteimg.com/tos-cn-i-k3u1fbpfcp/a1b2c3d4e5~tplv-k3u1fbpfcp-watermark.image",
+        "https://p6-juejin.byteimg.com/tos-cn-i-k3u1fbpfcp/f6e5d4c3.png?x-oss-process=image/resize,w_800",
+        "https://cdn.example.com/img/figure-1.png",
+        "https://cdn.example.com/img/screen shot.png",
+        "https://p9-juejin.byteimg.com/tos-cn-i-k3u1fbpfcp/logo.svg",
+        "https://img.shields.io/badge/node-%3E%3D18-green.svg",
+        "https://p3-juejin.byteimg.com/tos-cn-i-k3u1fbpfcp/a1b2c3d4e5~tplv-k3u1fbpfcp-watermark.image",
+    ]);
+});
+
+test("引用式图片改写被图片引用的链接定义", () => {
+    const refs = extractImageRefs(readCorpus("references.md"));
+    assert.deepEqual(refs.map(ref => [ref.source, ref.url, ref.bracketed]), [
+        ["definition", "https://p3-juejin.byteimg.com/tos-cn-i-k3u1fbpfcp/overview~tplv-k3u1fbpfcp-zoom-1.image", false],
+        ["definition", "https://cdn.example.com/img/detail image.png", true],
+        ["definition", "https://cdn.example.com/img/shortcut.gif", false],
+    ]);
+});
+
+test("HTML 图片：任意位置的 src、data-src、srcset 和 <source>", () => {
+    assert.deepEqual(urlsOf("html.md"), [
+        "https://p1-juejin.byteimg.com/tos-cn-i-k3u1fbpfcp/cover.png?a=1&b=2",
+        "https://p3-juejin.byteimg.com/tos-cn-i-k3u1fbpfcp/lazy.webp",
+        "https://cdn.example.com/img/upper.JPG",
+        "https://cdn.example.com/img/unquoted.png",
+        "https://cdn.example.com/img/hero.webp",
+        "https://cdn.example.com/img/hero@2x.webp",
+        "https://cdn.example.com/img/hero-640.png",
+        "https://cdn.example.com/img/hero-1280.png",
+        "https://cdn.example.com/img/hero.png",
+    ]);
+});
+
+test("代码块和行内代码中的图片不处理", () => {
+    assert.deepEqual(urlsOf("code.md"), [
+        "https://cdn.example.com/img/inline-code.png",
+        "https://cdn.example.com/img/after-code.png",
+    ]);
+    // 制表符缩进的是代码块；\r\n 换行的文件按原文位置替换
+    assert.deepEqual(urlsOf("crlf.md"), [
+        "https://cdn.example.com/img/crlf.png",
+        "https://cdn.example.com/img/multiline.png",
+    ]);
+});
+
+test("规范化图片地址", () => {
+    assert.equal(normalizeImageUrl(" //p3-juejin.byteimg.com/a.image "), "https://p3-juejin.byteimg.com/a.image");
+    assert.equal(normalizeImageUrl("HTTP://example.com/a.png"), "HTTP://example.com/a.png");
+    assert.equal(normalizeImageUrl("images/a.png"), null);
+    assert.equal(normalizeImageUrl("data:image/png;base64,AAAA"), null);
+    assert.equal(normalizeImageUrl("///a.png"), null);
+});
+
+test("images 下载引用式和懒加载的图片，不改写代码块，保留 \\r\\n 换行", async () => {
+    const inputDir = makeTempDir();
+    const outputDir = makeTempDir();
+    const bookDir = path.join(inputDir, "示例小册");
+    fs.mkdirSync(bookDir);
+    const content = [
+        "# 开篇",
+        "![架构][arch]",
+        `<img class="lazy" src="data:image/gif;base64,R0lGODlhAQABAAAAACw=" data-src="${server.url}/images/esm.png">`,
+        "```md",
+        `![代码](${server.url}/images/esm.png)`,
+        "```",
+        `[arch]: ${server.url}/images/arch.png "架构图"`,
+        "",
+    ].join("\r\n\r\n");
+    fs.writeFileSync(path.join(bookDir, "1.开篇.md"), content);
+
+    const results = await processImages({ inputDir, outputDir });
+    assert.equal(results.totalImages, 2);
+    assert.equal(results.totalDownloaded, 2);
+
+    const output = fs.readFileSync(path.join(outputDir, "示例小册", "1.开篇.md"), "utf-8");
+    assert.equal(output, content
+        .replace(`[arch]: ${server.url}/images/arch.png`, "[arch]: images/arch.png")
+        .replace(`data-src="${server.url}/images/esm.png"`, "data-src=\"images/esm.png\""));
+});
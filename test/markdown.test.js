@@ -0,0 +1,135 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { makeTempDir } from "./helpers.js";
+import { mergeMarkdown, slugify } from "../lib/export/markdown.js";
+import { exportBook } from "../export-book.js";
+
+// 模拟处理后的小册目录
+const createProcessedBook = () => {
+    const bookDir = path.join(makeTempDir(), "downloads-with-images", "示例小册");
+    fs.mkdirSync(path.join(bookDir, "images"), { recursive: true });
+
+    fs.writeFileSync(path.join(bookDir, "1.开篇.md"), [
+        "# 开篇",
+        "",
+        "## 背景",
+        "",
+        "见[总结](#总结)。",
+        "",
+        "![图 A](images/a.png)",
+        "",
+        "### 总结",
+    ].join("\n"));
+    fs.writeFileSync(path.join(bookDir, "2.模块系统.md"), [
+        "## 背景",
+        "",
+        "```md",
+        "# 代码块中的标题不处理",
+        "![code](images/code.png)",
+        "```",
+        "",
+        "<img src=\"images/b%20c.png\" alt=\"B\">",
+        "",
+        "![远程](https://cdn.example.com/x.png)",
+    ].join("\n"));
+    fs.writeFileSync(path.join(bookDir, "10.部署.md"), "---\nbooklet_id: \"1\"\nsection_id: \"10\"\n---\n正文没有标题\n");
+
+    return bookDir;
+};
+
+test("按章节序号合并并生成目录", () => {
+    const bookDir = createProcessedBook();
+    const { markdown, chapterCount } = mergeMarkdown({ bookDir, outputDir: bookDir, metadata: { title: "示例小册", author: "示例作者" } });
+
+    assert.equal(chapterCount, 3);
+    assert.ok(markdown.startsWith("# 示例小册\n\n> 作者：示例作者\n\n## 目录\n\n"));
+    assert.match(markdown, /- \[开篇\]\(#chapter-1\)\n- \[模块系统\]\(#chapter-2\)\n- \[部署\]\(#chapter-10\)/);
+
+    const chapterHeadings = [...markdown.matchAll(/^## (.+)$/gm)].map(match => match[1]);
+    assert.deepEqual(chapterHeadings, ["目录", "开篇", "模块系统", "部署"]);
+
+    // 章节的 front matter 不会出现在合并文件中
+    assert.doesNotMatch(markdown, /booklet_id/);
+    assert.match(markdown, /## 部署\n\n正文没有标题\n$/);
+});
+
+test("下移标题级别并保证锚点唯一", () => {
+    const bookDir = createProcessedBook();
+    const { markdown } = mergeMarkdown({ bookDir, outputDir: bookDir, metadata: { title: "示例小册" } });
+
+    // 与章节标题相同的开头标题被去掉，章节内最高级别的标题成为三级标题
+    assert.equal(markdown.match(/^#+ 开篇$/gm).length, 1);
+    assert.match(markdown, /<a id="chapter-1-背景"><\/a>\n\n### 背景/);
+    assert.match(markdown, /<a id="chapter-1-总结"><\/a>\n\n#### 总结/);
+    assert.match(markdown, /<a id="chapter-2-背景"><\/a>\n\n### 背景/);
+
+    const ids = [...markdown.matchAll(/<a id="([^"]+)">/g)].map(match => match[1]);
+    assert.equal(new Set(ids).size, ids.length);
+
+    // 章节内的锚点链接改写为合并后的锚点
+    assert.match(markdown, /见\[总结\]\(#chapter-1-总结\)。/);
+
+    // 代码块保持原样
+    assert.match(markdown, /```md\n# 代码块中的标题不处理\n!\[code\]\(images\/code.png\)\n```/);
+});
+
+test("图片路径相对于合并文件所在目录", () => {
+    const bookDir = createProcessedBook();
+    const outputDir = path.join(path.dirname(path.dirname(bookDir)), "exports");
+    const { markdown } = mergeMarkdown({ bookDir, outputDir, metadata: { title: "示例小册" } });
+
+    assert.match(markdown, /!\[图 A\]\(\.\.\/downloads-with-images\/%E7%A4%BA%E4%BE%8B%E5%B0%8F%E5%86%8C\/images\/a.png\)/);
+    assert.match(markdown, /<img src="\.\.\/downloads-with-images\/%E7%A4%BA%E4%BE%8B%E5%B0%8F%E5%86%8C\/images\/b%20c.png" alt="B">/);
+    assert.match(markdown, /!\[远程\]\(https:\/\/cdn.example.com\/x.png\)/);
+});
+
+test("按 Markdown 结构改写图片和标题：行内代码不变，处理引用式图片、懒加载属性和 setext 标题", () => {
+    const bookDir = createProcessedBook();
+    fs.writeFileSync(path.join(bookDir, "3.进阶.md"), [
+        "进阶",
+        "====",
+        "",
+        "小节",
+        "----",
+        "",
+        "写法示例：`![x](images/inline.png)`",
+        "",
+        "![引用][ref]",
+        "",
+        "<img data-src=\"images/lazy.png\" srcset=\"images/s1.png 1x, images/s2.png 2x\">",
+        "",
+        "[ref]: images/ref.png",
+    ].join("\r\n"));
+    const outputDir = path.join(path.dirname(bookDir), "exports");
+    const { markdown } = mergeMarkdown({ bookDir, outputDir, metadata: { title: "示例小册" } });
+    const prefix = "../%E7%A4%BA%E4%BE%8B%E5%B0%8F%E5%86%8C/images";
+
+    assert.match(markdown, /## 进阶\n\n<a id="chapter-3-小节"><\/a>\n\n### 小节\n/);
+    assert.doesNotMatch(markdown, /^=+$|^-+$/m);
+    assert.ok(markdown.includes("`![x](images/inline.png)`"));
+    assert.ok(markdown.includes(`[ref]: ${prefix}/ref.png`));
+    assert.ok(markdown.includes(`<img data-src="${prefix}/lazy.png" srcset="${prefix}/s1.png 1x, ${prefix}/s2.png 2x">`));
+});
+
+test("slugify 与常见渲染器规则一致", () => {
+    assert.equal(slugify("Hello World!"), "hello-world");
+    assert.equal(slugify("模块系统：CommonJS 与 ESM"), "模块系统commonjs-与-esm");
+});
+
+test("exportBook md 写入 <导出目录>/<小册名>.md", async () => {
+    const bookDir = createProcessedBook();
+    const outDir = makeTempDir();
+    const { exported, failed } = await exportBook({ format: "md", book: bookDir, outDir });
+
+    assert.equal(failed, 0);
+    assert.deepEqual(exported, [path.join(outDir, "示例小册.md")]);
+    const markdown = fs.readFileSync(exported[0], "utf-8");
+    assert.ok(markdown.startsWith("# 示例小册\n"));
+
+    // 合并文件中的相对路径能找到图片
+    fs.writeFileSync(path.join(bookDir, "images", "a.png"), "png");
+    const src = markdown.match(/!\[图 A\]\(([^)]+)\)/)[1];
+    assert.ok(fs.existsSync(path.join(outDir, decodeURI(src))));
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createLimit, mapConcurrent, runOrdered } from "../lib/pool.js";
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test("createLimit 同时运行的任务不超过上限", async () => {
+    const limit = createLimit(2);
+    let active = 0;
+    let maxActive = 0;
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(n => limit(async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await delay(5);
+        active--;
+        return n * 10;
+    })));
+
+    assert.deepEqual(results, [10, 20, 30, 40, 50]);
+    assert.equal(maxActive, 2);
+});
+
+test("runOrdered 并发获取、按输入顺序提交", async () => {
+    const committed = [];
+    // 越靠前的任务越慢，完成顺序与输入顺序相反
+    const results = await runOrdered([1, 2, 3, 4], {
+        concurrency: 4,
+        fetch: async (n) => {
+            await delay((5 - n) * 5);
+            return n;
+        },
+        commit: async (n) => {
+            committed.push(n);
+            return n * 2;
+        },
+    });
+
+    assert.deepEqual(committed, [1, 2, 3, 4]);
+    assert.deepEqual(results, [2, 4, 6, 8]);
+});
+
+test("出错后不再启动新任务，已提交的结果保留", async () => {
+    const started = [];
+    const committed = [];
+
+    await assert.rejects(runOrdered([1, 2, 3, 4, 5, 6], {
+        concurrency: 2,
+        fetch: async (n) => {
+            started.push(n);
+            await delay(5);
+            if (n === 2) {
+                throw new Error("失败");
+            }
+            return n;
+        },
+        commit: n => committed.push(n),
+    }), /失败/);
+
+    assert.deepEqual(committed, [1]);
+    assert.ok(started.length <= 4, `已启动: ${started}`);
+});
+
+test("mapConcurrent 按输入顺序返回结果", async () => {
+    const results = await mapConcurrent(["a", "b", "c"], 2, async (item, index) => {
+        await delay((3 - index) * 3);
+        return `${index}:${item}`;
+    });
+    assert.deepEqual(results, ["0:a", "1:b", "2:c"]);
+});
@@ -0,0 +1,109 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { copyFixtures, listFiles, makeTempDir } from "./helpers.js";
+import { startMockServer } from "../mock/server.js";
+import { processImages } from "../process-images.js";
+import { fixMissingImages } from "../fix-missing-images.js";
+import { PROCESSING_INDEX_FILE_NAME } from "../lib/processing-index.js";
+
+let server;
+let fixturesDir;
+
+before(async () => {
+    fixturesDir = copyFixtures();
+    // 先返回空内容（下载失败），再替换为正常图片，模拟 fix 修复图片
+    fs.writeFileSync(path.join(fixturesDir, "images", "later.png"), "");
+    server = await startMockServer({ fixturesDir });
+});
+
+after(async () => {
+    await server.close();
+});
+
+// 创建原始小册目录，返回写入章节和读取处理结果的函数
+const createBook = () => {
+    const inputDir = makeTempDir();
+    const outputDir = makeTempDir();
+    const bookDir = path.join(inputDir, "示例小册");
+    const outputBookDir = path.join(outputDir, "示例小册");
+    fs.mkdirSync(bookDir);
+    const writeChapter = (fileName, images, text = "") => {
+        const body = images.map(image => `![${image}](${server.url}/images/${image})`).join("\n\n");
+        fs.writeFileSync(path.join(bookDir, fileName), `# ${fileName}\n\n${text}${body}\n`);
+    };
+    const readOutput = fileName => fs.readFileSync(path.join(outputBookDir, fileName), "utf-8");
+    const readIndex = () => JSON.parse(fs.readFileSync(path.join(outputBookDir, PROCESSING_INDEX_FILE_NAME), "utf-8"));
+    const run = () => processImages({ inputDir, outputDir });
+    return { bookDir, outputDir, outputBookDir, writeChapter, readOutput, readIndex, run };
+};
+
+test("按章节记录处理状态，只重新处理原文或输出变化的章节", async () => {
+    const book = createBook();
+    book.writeChapter("1.开篇.md", ["arch.png", "esm.png"]);
+    book.writeChapter("2.进阶.md", ["arch.png"]);
+
+    const first = await book.run();
+    assert.equal(first.totalDownloaded, 3);
+    const index = book.readIndex();
+    assert.deepEqual(Object.keys(index.chapters).sort(), ["1.开篇.md", "2.进阶.md"]);
+    assert.deepEqual(index.chapters["1.开篇.md"].images, ["arch.png", "esm.png"]);
+    assert.match(index.chapters["1.开篇.md"].sourceHash, /^[0-9a-f]{64}$/);
+    assert.match(index.chapters["1.开篇.md"].outputHash, /^[0-9a-f]{64}$/);
+    assert.deepEqual(index.images, { "arch.png": ["1.开篇.md", "2.进阶.md"], "esm.png": ["1.开篇.md"] });
+
+    // 只修改第二章：第一章跳过，不重新下载图片
+    book.writeChapter("2.进阶.md", ["arch.png"], "补充说明\n\n");
+    const requests = server.requests.length;
+    const second = await book.run();
+    assert.equal(second.skippedFiles, 1);
+    assert.equal(server.requests.length, requests);
+    const updated = book.readIndex();
+    assert.equal(updated.chapters["1.开篇.md"].processedAt, index.chapters["1.开篇.md"].processedAt);
+    assert.notEqual(updated.chapters["2.进阶.md"].sourceHash, index.chapters["2.进阶.md"].sourceHash);
+    assert.match(book.readOutput("2.进阶.md"), /补充说明/);
+
+    // 手动修改过的输出文件重新生成
+    fs.writeFileSync(path.join(book.outputBookDir, "1.开篇.md"), "被修改的内容\n");
+    assert.equal((await book.run()).skippedFiles, 1);
+    assert.match(book.readOutput("1.开篇.md"), /!\[esm\.png\]\(images\/esm\.png\)/);
+
+    // 删除第一章后移除其记录，只被它引用的图片随之清理
+    fs.unlinkSync(path.join(book.bookDir, "1.开篇.md"));
+    await book.run();
+    assert.deepEqual(Object.keys(book.readIndex().chapters), ["2.进阶.md"]);
+    assert.deepEqual(book.readIndex().images, { "arch.png": ["2.进阶.md"] });
+    assert.deepEqual(listFiles(path.join(book.outputBookDir, "images")), ["arch.png"]);
+    const mapping = JSON.parse(fs.readFileSync(path.join(book.outputBookDir, "mapping.json"), "utf-8"));
+    assert.deepEqual(Object.keys(mapping), ["arch.png"]);
+});
+
+test("fix 修复图片后把引用它的章节标记为需要重新处理", async () => {
+    const book = createBook();
+    book.writeChapter("1.开篇.md", ["arch.png", "later.png"]);
+    book.writeChapter("2.进阶.md", ["later.png"]);
+    book.writeChapter("3.总结.md", ["esm.png"]);
+
+    const first = await book.run();
+    assert.equal(first.totalFailed, 2);
+
+    fs.copyFileSync(path.join(fixturesDir, "images", "arch.png"), path.join(fixturesDir, "images", "later.png"));
+    const fixed = await fixMissingImages({ outputDir: book.outputDir });
+    assert.equal(fixed.totalFixed, 1);
+    assert.equal(fixed.totalStaleChapters, 2);
+    const index = book.readIndex();
+    assert.equal(index.chapters["1.开篇.md"].stale, true);
+    assert.equal(index.chapters["2.进阶.md"].stale, true);
+    assert.equal(index.chapters["3.总结.md"].stale, undefined);
+    assert.ok(book.readOutput("2.进阶.md").includes(`${server.url}/images/later.png`));
+
+    // 下次处理时只重新处理被标记的章节，使用 fix 下载的图片
+    const requests = server.requests.length;
+    const again = await book.run();
+    assert.equal(again.skippedFiles, 1);
+    assert.equal(server.requests.length, requests);
+    assert.match(book.readOutput("2.进阶.md"), /!\[later\.png\]\(images\/later\.png\)/);
+    assert.equal(book.readIndex().chapters["2.进阶.md"].stale, undefined);
+    assert.equal(fs.existsSync(path.join(book.outputBookDir, "missing-images.json")), false);
+});
@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { TokenBucket, RateLimiter, formatRateStats } from "../lib/rate-limit.js";
+import { ServerError, SchemaError } from "../lib/errors.js";
+
+// 虚拟时钟：sleep 只推进时间，不真正等待
+const createClock = () => {
+    const clock = { time: 0, sleeps: [] };
+    clock.now = () => clock.time;
+    clock.sleep = async (ms) => {
+        clock.sleeps.push(ms);
+        clock.time += ms;
+    };
+    return clock;
+};
+
+test("令牌桶允许突发请求，之后按速率放行", async () => {
+    const clock = createClock();
+    const bucket = new TokenBucket({ rate: 2, burst: 2, now: clock.now, sleep: clock.sleep });
+
+    await Promise.all([bucket.acquire(), bucket.acquire(), bucket.acquire(), bucket.acquire()]);
+
+    assert.deepEqual(clock.sleeps, [500, 500]);
+    assert.equal(clock.time, 1000);
+    assert.equal(bucket.getStats().requests, 4);
+    assert.equal(bucket.getStats().effectiveRate, 3);
+});
+
+test("rate 为 0 时不限速", async () => {
+    const clock = createClock();
+    const bucket = new TokenBucket({ rate: 0, now: clock.now, sleep: clock.sleep });
+
+    for (let i = 0; i < 10; i++) {
+        await bucket.acquire();
+    }
+    assert.deepEqual(clock.sleeps, []);
+});
+
+test("遇到 5xx 降速，连续成功后逐步恢复", () => {
+    const clock = createClock();
+    const bucket = new TokenBucket({ rate: 4, minRate: 1, now: clock.now, sleep: clock.sleep });
+
+    bucket.onThrottle();
+    assert.equal(bucket.rate, 2);
+
+    // 冷却时间内的连续失败只降速一次
+    bucket.onThrottle();
+    assert.equal(bucket.rate, 2);
+
+    clock.time += 2000;
+    bucket.onThrottle();
+    clock.time += 2000;
+    bucket.onThrottle();
+    assert.equal(bucket.rate, 1);
+    assert.equal(bucket.getStats().slowdowns, 3);
+
+    for (let i = 0; i < 10; i++) {
+        bucket.onSuccess();
+    }
+    assert.equal(bucket.rate, 1.25);
+
+    for (let i = 0; i < 100; i++) {
+        bucket.onSuccess();
+    }
+    assert.equal(bucket.rate, 4);
+});
+
+test("RateLimiter 按主机分配令牌桶，API 和 CDN 使用各自的速率", async () => {
+    const clock = createClock();
+    const limiter = new RateLimiter({
+        apiHost: "api.juejin.cn",
+        api: { rate: 1, burst: 1 },
+        cdn: { rate: 10, burst: 5 },
+        now: clock.now,
+        sleep: clock.sleep,
+    });
+
+    await limiter.schedule("https://api.juejin.cn/a", async () => "ok");
+    await limiter.schedule("https://p3-juejin.byteimg.com/1.png", async () => "ok");
+    await limiter.schedule("https://p6-juejin.byteimg.com/2.png", async () => "ok");
+
+    const stats = limiter.getStats();
+    assert.deepEqual(stats.map(item => [item.host, item.group, item.maxRate]), [
+        ["api.juejin.cn", "api", 1],
+        ["p3-juejin.byteimg.com", "cdn", 10],
+        ["p6-juejin.byteimg.com", "cdn", 10],
+    ]);
+    assert.match(formatRateStats(stats)[0], /^api\.juejin\.cn: 1 次请求，实际 - 次\/秒（限速 1 次\/秒，降速 0 次）$/);
+});
+
+test("RateLimiter 只在 429/5xx 时降速", async () => {
+    const limiter = new RateLimiter({
+        apiHost: "api.juejin.cn",
+        api: { rate: 100, burst: 100 },
+        cdn: { rate: 100, burst: 100 },
+    });
+    const url = "https://api.juejin.cn/a";
+
+    await assert.rejects(limiter.schedule(url, async () => {
+        throw new SchemaError("缺少 data");
+    }));
+    assert.equal(limiter.getStats()[0].slowdowns, 0);
+
+    await assert.rejects(limiter.schedule(url, async () => {
+        throw new ServerError("502");
+    }));
+    assert.equal(limiter.getStats()[0].slowdowns, 1);
+    assert.equal(limiter.getStats()[0].rate, 50);
+});
@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { copyFixtures, createMockClient, listFiles, makeTempDir, updateFixture } from "./helpers.js";
+import { startMockServer } from "../mock/server.js";
+import { downloadBook } from "../batch-download.js";
+import { setConfig } from "../lib/config.js";
+
+const BOOK = { bookId: "7000000000000000001", name: "Node.js 实战：从入门到部署" };
+const BOOKLET_FIXTURE = "booklets/7000000000000000001.json";
+
+// 每个测试使用独立的 fixtures、输出目录和处理后目录
+const setup = async () => {
+    const fixturesDir = copyFixtures();
+    const server = await startMockServer({ fixturesDir });
+    const outDir = makeTempDir();
+    const processedRoot = makeTempDir();
+    setConfig("downloads.outputDir", processedRoot);
+
+    const sync = () => downloadBook(BOOK, { outDir, client: createMockClient(server) });
+    await sync();
+
+    // 模拟 process-images 的输出
+    const processedDir = path.join(processedRoot, BOOK.name);
+    fs.mkdirSync(processedDir, { recursive: true });
+    for (const file of listFiles(path.join(outDir, BOOK.name)).filter(file => file.endsWith(".md"))) {
+        fs.copyFileSync(path.join(outDir, BOOK.name, file), path.join(processedDir, file));
+    }
+
+    return { fixturesDir, server, sync, bookDir: path.join(outDir, BOOK.name), processedDir };
+};
+
+test("章节改名时重命名两个目录中的文件", async () => {
+    const { fixturesDir, server, sync, bookDir, processedDir } = await setup();
+
+    try {
+        updateFixture(fixturesDir, BOOKLET_FIXTURE, (data) => {
+            data.sections[0].title = "开篇";
+        });
+
+        const result = await sync();
+
+        assert.equal(result.renamedCount, 1);
+        assert.equal(result.downloadedCount, 0);
+        assert.ok(fs.existsSync(path.join(bookDir, "1.开篇.md")));
+        assert.ok(!fs.existsSync(path.join(bookDir, "1.开篇：为什么选择 Node.js.md")));
+        assert.deepEqual(listFiles(processedDir), ["1.开篇.md", "2.模块系统：CommonJS 与 ESM.md", "README.md"]);
+    } finally {
+        await server.close();
+    }
+});
+
+test("章节调换顺序时按新序号重命名", async () => {
+    const { fixturesDir, server, sync, bookDir } = await setup();
+
+    try {
+        updateFixture(fixturesDir, BOOKLET_FIXTURE, (data) => {
+            [data.sections[0], data.sections[1]] = [data.sections[1], data.sections[0]];
+        });
+
+        const result = await sync();
+
+        assert.equal(result.renamedCount, 2);
+        assert.match(fs.readFileSync(path.join(bookDir, "1.模块系统：CommonJS 与 ESM.md"), "utf-8"), /# 模块系统/);
+        assert.match(fs.readFileSync(path.join(bookDir, "2.开篇：为什么选择 Node.js.md"), "utf-8"), /# 开篇/);
+    } finally {
+        await server.close();
+    }
+});
+
+test("已移除的章节默认归档，处理后的文件被删除", async () => {
+    const { fixturesDir, server, sync, bookDir, processedDir } = await setup();
+
+    try {
+        updateFixture(fixturesDir, BOOKLET_FIXTURE, (data) => {
+            data.sections.splice(1, 1);
+        });
+
+        const result = await sync();
+
+        assert.equal(result.removedCount, 1);
+        assert.ok(fs.existsSync(path.join(bookDir, "archive", "2.模块系统：CommonJS 与 ESM.md")));
+        assert.ok(!fs.existsSync(path.join(processedDir, "2.模块系统：CommonJS 与 ESM.md")));
+    } finally {
+        await server.close();
+    }
+});
+
+test("removedSections 为 delete 时直接删除", async () => {
+    const { fixturesDir, server, sync, bookDir } = await setup();
+    setConfig("sync.removedSections", "delete");
+
+    try {
+        updateFixture(fixturesDir, BOOKLET_FIXTURE, (data) => {
+            data.sections.splice(1, 1);
+        });
+
+        await sync();
+
+        assert.ok(!fs.existsSync(path.join(bookDir, "2.模块系统：CommonJS 与 ESM.md")));
+        assert.ok(!fs.existsSync(path.join(bookDir, "archive")));
+    } finally {
+        setConfig("sync.removedSections", "archive");
+        await server.close();
+    }
+});
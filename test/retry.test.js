@@ -0,0 +1,119 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    AuthError,
+    ForbiddenError,
+    NetworkError,
+    RateLimitError,
+    SchemaError,
+    ServerError,
+    TimeoutError,
+    classifyError,
+    classifyResponse,
+    parseRetryAfter,
+} from "../lib/errors.js";
+import { getRetryDelay, requestWithRetry } from "../lib/retry.js";
+
+// 模拟 got 抛出的 HTTPError
+const httpError = (statusCode, headers = {}) => {
+    const error = new Error(`Response code ${statusCode}`);
+    error.name = "HTTPError";
+    error.response = { statusCode, headers };
+    return error;
+};
+
+const codeError = (name, code) => Object.assign(new Error(code), { name, code });
+
+test("classifyError 按 got 错误归类", () => {
+    assert.ok(classifyError(codeError("RequestError", "ECONNREFUSED")) instanceof NetworkError);
+    assert.ok(classifyError(codeError("TimeoutError", "ETIMEDOUT")) instanceof TimeoutError);
+    assert.ok(classifyError(httpError(502)) instanceof ServerError);
+    assert.ok(classifyError(httpError(401)) instanceof AuthError);
+    assert.ok(classifyError(httpError(403)) instanceof ForbiddenError);
+    assert.ok(classifyError(Object.assign(new Error("Unexpected token"), { name: "ParseError" })) instanceof SchemaError);
+    assert.equal(classifyError(httpError(404)).kind, "unknown");
+
+    const rateLimited = classifyError(httpError(429, { "retry-after": "3" }));
+    assert.ok(rateLimited instanceof RateLimitError);
+    assert.equal(rateLimited.retryAfter, 3000);
+
+    // 已归类的错误原样返回
+    const schemaError = new SchemaError("缺少 data");
+    assert.equal(classifyError(schemaError), schemaError);
+});
+
+test("classifyResponse 按 err_no/err_msg 归类", () => {
+    assert.equal(classifyResponse({ err_no: 0, err_msg: "success", data: [] }), null);
+    assert.equal(classifyResponse({ err_no: 403, err_msg: "must login" }).kind, "auth");
+    assert.equal(classifyResponse({ err_no: 2, err_msg: "小册未购买" }).kind, "forbidden");
+    assert.equal(classifyResponse({ err_no: 429, err_msg: "too many requests" }).kind, "rate-limit");
+    assert.equal(classifyResponse({ err_no: 404, err_msg: "section not found" }), null);
+});
+
+test("parseRetryAfter 支持秒数和 HTTP 日期", () => {
+    const now = Date.parse("2024-01-01T00:00:00Z");
+    assert.equal(parseRetryAfter("2", now), 2000);
+    assert.equal(parseRetryAfter("Mon, 01 Jan 2024 00:00:05 GMT", now), 5000);
+    assert.equal(parseRetryAfter("soon", now), null);
+    assert.equal(parseRetryAfter(undefined, now), null);
+});
+
+test("getRetryDelay 指数退避并加入抖动，优先使用 Retry-After", () => {
+    const network = new NetworkError("reset");
+    assert.equal(getRetryDelay(network, 1, 100, () => 0), 50);
+    assert.equal(getRetryDelay(network, 3, 100, () => 1), 400);
+
+    // 5xx 和限流的基础延迟更长
+    assert.equal(getRetryDelay(new ServerError("502"), 1, 100, () => 1), 200);
+    assert.equal(getRetryDelay(new RateLimitError("429"), 1, 100, () => 1), 500);
+
+    // Retry-After 优先，但不超过上限
+    assert.equal(getRetryDelay(new RateLimitError("429", { retryAfter: 1234 }), 1, 100), 1234);
+    assert.equal(getRetryDelay(new RateLimitError("429", { retryAfter: 10 ** 9 }), 1, 100), 120000);
+
+    // 等待时间不超过上限
+    assert.equal(getRetryDelay(network, 20, 1000, () => 1), 30000);
+});
+
+test("requestWithRetry 重试可恢复的错误", async () => {
+    let calls = 0;
+    const retries = [];
+    const result = await requestWithRetry(async () => {
+        calls++;
+        if (calls < 3) {
+            throw httpError(503);
+        }
+        return "ok";
+    }, 3, 1, { onRetry: (error, attempt) => retries.push([error.kind, attempt]) });
+
+    assert.equal(result, "ok");
+    assert.deepEqual(retries, [["server", 1], ["server", 2]]);
+});
+
+test("requestWithRetry 遇到不可重试的错误立即失败", async () => {
+    for (const error of [new AuthError("must login"), httpError(403), new SchemaError("缺少 data")]) {
+        let calls = 0;
+        await assert.rejects(requestWithRetry(async () => {
+            calls++;
+            throw error;
+        }, 5, 1), (thrown) => {
+            assert.equal(thrown.attempts, 1);
+            return true;
+        });
+        assert.equal(calls, 1);
+    }
+});
+
+test("requestWithRetry 达到最大次数后抛出归类后的错误", async () => {
+    let calls = 0;
+    await assert.rejects(requestWithRetry(async () => {
+        calls++;
+        throw codeError("RequestError", "ECONNRESET");
+    }, 3, 1), (error) => {
+        assert.ok(error instanceof NetworkError);
+        assert.equal(error.attempts, 3);
+        assert.equal(error.cause.code, "ECONNRESET");
+        return true;
+    });
+    assert.equal(calls, 3);
+});
@@ -0,0 +1,98 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { createMockClient, makeTempDir } from "./helpers.js";
+import { startMockServer } from "../mock/server.js";
+import { batchDownload } from "../batch-download.js";
+import { processImages } from "../process-images.js";
+import { EXIT_CODES, runCli } from "../lib/cli.js";
+import { setConfig } from "../lib/config.js";
+import { createSelection, describeShelfBook, parseSelector, selectBooks } from "../lib/selection.js";
+
+const SHELF = [
+    { value: "7000000000000000001", name: "Node.js 实战：从入门到部署", updateTime: 1700000000 },
+    { value: "7000000000000000002", name: "前端工程化: 原理与实践", updateTime: 1690000000 },
+    { value: "7000000000000000003", name: "深入浅出 Node 性能优化", updateTime: null },
+];
+
+let server;
+
+before(async () => {
+    server = await startMockServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+const selectTitles = options => selectBooks(SHELF, createSelection(options), describeShelfBook).map(book => book.name);
+
+test("parseSelector 区分小册 ID、正则和标题片段", () => {
+    assert.equal(parseSelector("7000000000000000001").type, "id");
+    assert.equal(parseSelector("/^node/i").type, "regex");
+    assert.equal(parseSelector("2048").type, "title");
+    assert.equal(parseSelector("前端").type, "title");
+    assert.throws(() => parseSelector("/(/"), /无效的正则表达式/);
+});
+
+test("按 include/exclude 选择小册，排除优先", () => {
+    assert.deepEqual(selectTitles({ include: ["7000000000000000002"] }), ["前端工程化: 原理与实践"]);
+    assert.deepEqual(selectTitles({ include: ["node"] }), ["Node.js 实战：从入门到部署", "深入浅出 Node 性能优化"]);
+    assert.deepEqual(selectTitles({ include: ["/^Node\\.js/"] }), ["Node.js 实战：从入门到部署"]);
+    assert.deepEqual(selectTitles({ include: ["node"], exclude: ["性能"] }), ["Node.js 实战：从入门到部署"]);
+});
+
+test("按更新时间和数量选择小册", () => {
+    // 更新时间未知的小册不会被选中
+    assert.deepEqual(selectTitles({ updatedSince: "2023-10-01" }), ["Node.js 实战：从入门到部署"]);
+    assert.deepEqual(selectTitles({ limit: 2 }), ["Node.js 实战：从入门到部署", "前端工程化: 原理与实践"]);
+    assert.throws(() => createSelection({ updatedSince: "昨天" }), /无效的日期/);
+    assert.throws(() => createSelection({ limit: 0 }), /正整数/);
+});
+
+test("配置中的 selection 与命令行条件合并", () => {
+    setConfig("selection.include", ["node"]);
+    setConfig("selection.exclude", ["性能"]);
+    try {
+        assert.deepEqual(selectTitles(), ["Node.js 实战：从入门到部署"]);
+        // 命令行 include 替换配置中的列表，exclude 仍然生效
+        assert.deepEqual(selectTitles({ include: ["/./"] }), ["Node.js 实战：从入门到部署", "前端工程化: 原理与实践"]);
+    } finally {
+        setConfig("selection.include", []);
+        setConfig("selection.exclude", []);
+    }
+});
+
+test("sync 只同步选中的小册", async () => {
+    const outDir = makeTempDir();
+    const results = await batchDownload({
+        outDir,
+        client: createMockClient(server),
+        selection: createSelection({ include: ["前端"] }),
+    });
+
+    assert.equal(results.total, 1);
+    assert.equal(results.filtered, 1);
+    assert.equal(results.success, 1);
+    assert.deepEqual(fs.readdirSync(outDir).filter(item => !item.startsWith(".")), ["前端工程化： 原理与实践"]);
+});
+
+test("images 按文件夹名选择，未选中的文件夹保持不变", async () => {
+    const inputDir = makeTempDir();
+    const outputDir = makeTempDir();
+    for (const name of ["小册 A", "小册 B"]) {
+        fs.mkdirSync(path.join(inputDir, name));
+        fs.writeFileSync(path.join(inputDir, name, "1.开篇.md"), "# 开篇\n");
+    }
+
+    const results = await processImages({ inputDir, outputDir, selection: createSelection({ include: ["小册 B"] }) });
+
+    assert.equal(results.totalFolders, 1);
+    assert.deepEqual(fs.readdirSync(outputDir).filter(item => !item.startsWith(".")), ["小册 B"]);
+});
+
+test("筛选参数无效时返回参数错误", async () => {
+    assert.equal(await runCli(["sync", "--limit", "abc"]), EXIT_CODES.USAGE);
+    assert.equal(await runCli(["fix", "--only-updated-since", "昨天"]), EXIT_CODES.USAGE);
+});
@@ -1,176 +1,93 @@
-import got from "got";
-import fse from "fs-extra";
+import path from "path";
 import crypto from "crypto";
-import { config } from "./lib/config.js";
-
-const cookies = fse.readJSONSync("./cookies.json");
-
-const cookie = cookies.reduce(
-    (prev, curr) => prev + `${curr.name}=${curr.value};`,
-    "",
-);
+import { pathToFileURL } from "url";
+import { config, loadConfig } from "./lib/config.js";
+import { formatTemplate } from "./lib/template.js";
+import { replaceFileName } from "./lib/layout.js";
+import { JuejinClient } from "./lib/client.js";
+import { createLogger } from "./lib/logger.js";
+import { getRateLimiter } from "./lib/rate-limit.js";
+import { loadCredentials, toCookieHeader, describeCredentials } from "./lib/credentials.js";
+
+const log = createLogger("auth");
+
+/** 按配置读取 Cookie（第一次请求 API 时调用），日志中只记录 Cookie 名称 */
+const readCookies = () => {
+    const credentials = loadCredentials({
+        source: config.auth.source,
+        file: config.auth.cookiesFile,
+    });
+    log.debug(describeCredentials(credentials));
+
+    if (credentials.cookies.length === 0) {
+        throw new Error(`${credentials.origin} 中没有可用的 juejin.cn Cookie（可能已全部过期），请重新导出`);
+    }
+    return toCookieHeader(credentials.cookies);
+};
 
 /**
- * 带重试的 API 请求
- * @param {Function} requestFn - 请求函数
- * @param {number} maxRetries - 最大重试次数
- * @param {number} retryDelay - 重试延迟（毫秒）
- * @returns {Promise} 请求结果
+ * 根据当前配置创建 API 客户端
+ * @param {object} options - 覆盖默认值的客户端选项
+ * @returns {JuejinClient} 客户端实例
  */
-const requestWithRetry = async (requestFn, maxRetries = config.network.retryCount, retryDelay = config.network.retryDelay) => {
-    let lastError;
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            return await requestFn();
-        } catch (error) {
-            lastError = error;
-            
-            // 如果是最后一次尝试，直接抛出错误
-            if (attempt === maxRetries) {
-                throw error;
-            }
-            
-            // 等待后重试
-            const delay = retryDelay * attempt;
-            await new Promise(resolve => setTimeout(resolve, delay));
-        }
-    }
-    
-    throw lastError;
+export const createClient = (options = {}) => {
+    return new JuejinClient({
+        baseUrl: config.api.baseUrl,
+        cookieProvider: readCookies,
+        timeout: config.network.timeout,
+        retry: {
+            attempts: config.network.retryCount,
+            delay: config.network.retryDelay,
+        },
+        limiter: getRateLimiter(),
+        ...options,
+    });
 };
 
-export const getBooks = async () => {
-    try {
-        const response = await requestWithRetry(async () => {
-            return await got
-                .post("https://api.juejin.cn/booklet_api/v1/booklet/bookletshelflist", {
-                    headers: {
-                        cookie: cookie,
-                    },
-                    timeout: {
-                        request: config.network.timeout,
-                    },
-                })
-                .json();
-        });
-
-        // 检查响应结构
-        if (!response) {
-            throw new Error("API 响应为空");
-        }
-
-        if (!response.data) {
-            throw new Error(`API 响应缺少 data 字段: ${JSON.stringify(response)}`);
-        }
-
-        if (!Array.isArray(response.data)) {
-            throw new Error(`API 响应的 data 字段不是数组: ${JSON.stringify(response.data)}`);
-        }
-
-        const books = response.data.map((book) => ({
-            value: book.booklet_id,
-            name: book.base_info.title,
-        }));
+let defaultClient = null;
 
-        return books;
-    } catch (error) {
-        console.error("获取小册列表失败:", error.message);
-        console.error("完整错误:", error);
-        throw error;
+/** 获取默认客户端（首次使用时创建） */
+export const getDefaultClient = () => {
+    if (!defaultClient) {
+        defaultClient = createClient();
     }
+    return defaultClient;
 };
 
-export const getBookInfo = async (bookId) => {
-    try {
-        const response = await requestWithRetry(async () => {
-            return await got
-                .post("https://api.juejin.cn/booklet_api/v1/booklet/get", {
-                    json: { booklet_id: bookId },
-                    headers: {
-                        cookie,
-                    },
-                    timeout: {
-                        request: config.network.timeout,
-                    },
-                })
-                .json();
-        });
-
-        // 检查响应结构
-        if (!response || !response.data) {
-            throw new Error(`获取小册信息失败，响应: ${JSON.stringify(response)}`);
-        }
+export const getBooks = () => getDefaultClient().getBooks();
 
-        const booklet = response.data.booklet;
-        const sections = response.data.sections.map((section, index) => ({
-            id: section.section_id,
-            title: section.title,
-            status: section.status,
-            index: index + 1,
-        }));
-        
-        return {
-            booklet,
-            sections,
-        };
-    } catch (error) {
-        console.error(`获取小册信息失败 (ID: ${bookId}):`, error.message);
-        throw error;
-    }
-};
+export const getBookInfo = (bookId) => getDefaultClient().getBookInfo(bookId);
 
-export const getSection = async (sectionId) => {
-    try {
-        const response = await requestWithRetry(async () => {
-            return await got
-                .post("https://api.juejin.cn/booklet_api/v1/section/get", {
-                    json: { section_id: sectionId },
-                    headers: {
-                        cookie,
-                    },
-                    timeout: {
-                        request: config.network.timeout,
-                    },
-                })
-                .json();
-        });
-
-        // 检查响应结构
-        if (!response || !response.data || !response.data.section) {
-            throw new Error(`获取章节信息失败，响应: ${JSON.stringify(response)}`);
-        }
+export const getSection = (sectionId) => getDefaultClient().getSection(sectionId);
 
-        return {
-            title: response.data.section.title,
-            content: response.data.section.markdown_show,
-        };
-    } catch (error) {
-        console.error(`获取章节信息失败 (ID: ${sectionId}):`, error.message);
-        throw error;
-    }
+// 文件名中特殊字符的替换在 lib/layout.js 中实现，这里继续导出供已有调用使用
+export { replaceFileName };
+
+/**
+ * 生成章节文件名（相对小册目录）
+ * 写作中的章节放在 drafts 目录下，完结后再移到小册目录
+ */
+export const getSectionFileName = (section) => {
+    const fileName = formatTemplate(config.downloads.sectionFileTemplate, {
+        index: section.index,
+        title: replaceFileName(section.title),
+        sectionId: section.id,
+    });
+    return section.status === 1 ? fileName : `${config.downloads.draftsDirName}/${fileName}`;
 };
 
-/** 使用 Unicode 字符替换文件名中的特殊字符 */
-export const replaceFileName = (fileName) => {
-    // https://docs.microsoft.com/zh-cn/windows/desktop/FileIO/naming-a-file#naming_conventions
-    const replaceMap = new Map([
-        ['<', '\uFF1C'], // Fullwidth Less-Than Sign
-        ['>', '\uFF1E'], // Fullwidth Greater-Than Sign
-        [':', '\uFF1A'], // Fullwidth Colon
-        ['/', '\uFF0F'], // Fullwidth Solidus
-        ['\\', '\uFF3C'],// Fullwidth Reverse Solidus
-        ['|', '\uFF5C'], // Fullwidth Vertical Line
-        ['?', '\uFF1F'], // Fullwidth Question Mark
-        ['*', '\uFF0A'], // Fullwidth Asterisk
-        ['"', '\uFF02'], // Fullwidth Quotation Mark
-    ]);
-
-    const pattern = [...replaceMap.keys()].map((key) => "\\" + key).join("|");
-
-    const regex = new RegExp(pattern, "g");
-
-    return fileName.replace(regex, (match) => replaceMap.get(match));
+/**
+ * 从小册 ID 或掘金小册地址（https://juejin.cn/book/<ID>，可带章节路径）中取出小册 ID
+ * @param {string} text - 小册 ID 或地址
+ * @returns {string|null} 小册 ID，无法识别时返回 null
+ */
+export const parseBookRef = (text) => {
+    const value = String(text).trim();
+    if (/^\d+$/.test(value)) {
+        return value;
+    }
+    const match = value.match(/^(?:https?:\/\/)?(?:www\.)?juejin\.cn\/book\/(\d+)(?:[/?#]|$)/);
+    return match ? match[1] : null;
 };
 
 /** 从 URL 生成图片文件名 */
@@ -205,3 +122,23 @@ export const generateImageFileName = (url) => {
 export const calculateFileHash = (content) => {
     return crypto.createHash("sha256").update(content, "utf-8").digest("hex");
 };
+
+/** 判断模块是否被直接执行（而不是被其他模块导入） */
+export const isMainModule = (metaUrl) => {
+    return Boolean(process.argv[1]) && metaUrl === pathToFileURL(path.resolve(process.argv[1])).href;
+};
+
+/**
+ * 直接运行脚本时重新加载配置，配置无效时与 juejin-dl 一样输出错误并以参数错误（2）退出
+ * @returns {boolean} 配置是否有效
+ */
+export const loadScriptConfig = () => {
+    try {
+        loadConfig();
+        return true;
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 2;
+        return false;
+    }
+};